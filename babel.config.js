@@ -0,0 +1,12 @@
+/**
+ * Babel 配置 - 仅供 Jest 使用
+ * background.js 是 ES module (MV3 service worker)，测试时转换为 CommonJS 后 require
+ */
+module.exports = {
+  overrides: [
+    {
+      test: './background.js',
+      plugins: ['@babel/plugin-transform-modules-commonjs']
+    }
+  ]
+};
@@ -9,366 +9,3012 @@
 
 /**
  * @typedef {Object} ExtensionState
+ * @property {number|null} tabId - 运行所在的标签页ID
+ * @property {string|null} sessionId - 运行会话ID (每次开始时生成)
  * @property {boolean} isRunning - 是否正在运行
- * @property {string} keyword - 搜索关键词
+ * @property {'search'|'list'|'watch'} mode - 运行模式 (随机搜索 / 购物清单 / 抢购监视)
+ * @property {SearchSpec} searchSpec - 搜索条件 (关键词、排序、价格区间、筛选、页码)
  * @property {number} currentProductIndex - 当前处理的商品索引
- * @property {string[]} processedProducts - 已处理商品ID列表
+ * @property {ProcessedRegistryOptions} processedRegistry - 已处理商品的去重范围和有效期
+ * @property {string} region - 运行所在的 Shopee 站点 (如 "tw")
  * @property {number} cartCount - 当前商品已添加购物车数量
+ * @property {ShoppingListItem[]} shoppingList - 购物清单
+ * @property {number} listIndex - 购物清单中当前处理的商品索引
+ * @property {Object[]} variantRules - 全局规格规则 (清单商品可自带规则覆盖)
+ * @property {Object} searchFilter - 搜索结果筛选条件 (价格、评分、销量、所在地、商城/优选)
+ * @property {{strategy: string, seed: number|null}} selection - 商品选择策略和随机种子 (用于重放)
+ * @property {number} selectionStep - 已按策略选择的商品次数
+ * @property {number} maxPages - 搜索结果最多翻页数 (当前页码记录在 searchSpec.page)
+ * @property {Budget} budget - 预算限制和本次运行已花费金额
+ * @property {number|null} quantity - 每次加购数量 (null 表示按有无规格使用默认值)
+ * @property {KeywordRotation} keywordRotation - 关键词轮换设置和当前位置
+ * @property {FlashWatch|null} watch - 抢购监视目标 (仅抢购监视模式)
+ * @property {boolean} isPaused - 是否已暂停 (暂停时 isRunning 为 false，可从断点继续)
+ * @property {RunCheckpoint|null} checkpoint - 运行断点 (规格遍历位置和暂停时所在页面)
+ * @property {WorkflowState|null} workflow - 运行流程当前步骤 (抢购监视和未运行时为 null)
+ */
+
+/**
+ * @typedef {Object} RunCheckpoint
+ * @property {string} url - 暂停时 (或正在遍历规格时) 所在页面
+ * @property {string|null} productId - 正在遍历规格的商品ID
+ * @property {number[]|null} variantIndices - 下一个要尝试的规格组合 (每层一个索引)
+ * @property {number} cartCount - 该商品已添加购物车数量
+ * @property {boolean} completed - 该商品的规格是否已全部处理完
+ * @property {number|null} [pausedAt] - 暂停时间戳
+ * @property {boolean} [resumed] - 是否刚从暂停中继续 (规格遍历据此从断点开始，遍历写入新断点后清除)
+ */
+
+/**
+ * @typedef {Object} KeywordRotation
+ * @property {string[]} keywords - 本次运行使用的关键词列表
+ * @property {'fixed'|'random'|'round-robin'} policy - 轮换方式
+ * @property {number} index - 当前关键词在列表中的索引
+ * @property {number} changedAt - 上次更换关键词的时间戳
+ */
+
+/**
+ * @typedef {Object} FlashWatch
+ * @property {string} url - 商品链接
+ * @property {string} productId - 商品ID (shopId_itemId)
+ * @property {number} stopAt - 截止时间戳，到时按钮仍不可用则结束监视
+ */
+
+/**
+ * @typedef {Object} Budget
+ * @property {number|null} maxItemPrice - 单品价格上限 (null 表示不限)
+ * @property {number|null} totalBudget - 本次运行总预算 (null 表示不限)
+ * @property {number} spent - 已成功加入购物车的金额
+ */
+
+/**
+ * @typedef {Object} SearchSpec
+ * @property {string} keyword - 搜索关键词
+ * @property {string} sortBy - 排序方式 (relevancy / ctime / sales / price)
+ * @property {'asc'|'desc'} order - 排序方向
+ * @property {number|null} priceMin - 最低价格
+ * @property {number|null} priceMax - 最高价格
+ * @property {Object} filters - 服务端筛选条件 (locations / ratingFilter / officialMall / preferredSellers)
+ * @property {number} page - 页码 (从 0 开始)
+ */
+
+/**
+ * @typedef {Object} ShoppingListItem
+ * @property {string} url - 商品链接
+ * @property {string} productId - 商品ID (shopId_itemId)
+ * @property {Object[]} [variantRules] - 该商品专用的规格规则
+ * @property {number|null} quantity - 该商品的加购数量 (null 表示使用运行设置)
+ * @property {'pending'|'done'|'skipped'|'failed'} status - 处理结果 (skipped: 没有加入任何商品)
+ * @property {number} cartCount - 已添加购物车数量
+ * @property {string|null} error - 失败或跳过的原因
+ * @property {string[]} unmatchedRules - 未匹配的规格规则
+ */
+
+/**
+ * @typedef {Object} ExtensionConfig
+ * @property {number} maxCartsWithVariants - 有规格商品最多添加的规格组合数
+ * @property {number} maxCartsNoVariants - 无规格商品默认加购件数
+ * @property {number} maxLogEntries - 面板最多保存的日志条数
+ * @property {number} maxVisibleLogEntries - 面板最多显示的日志条数
+ * @property {number} retryAttempts - 重试次数
+ * @property {number} retryDelay - 重试延迟(ms)
+ * @property {number} operationDelay - 操作间延迟(ms)
+ * @property {number} navigationTimeout - 导航超时时间(ms)
+ * @property {number} elementTimeout - 元素等待超时时间(ms)
+ * @property {number} pageLoadDelay - 商品页面加载等待时间(ms)
+ * @property {number} searchPageDelay - 搜索页面加载等待时间(ms)
+ * @property {number} variantSelectDelay - 规格选择后等待时间(ms)
+ * @property {number} keywordChangeInterval - 搜索词更换间隔(ms)
+ * @property {number} maxSearchPages - 搜索结果默认最多翻页数
+ * @property {{x: number, y: number}|null} uiPosition - UI位置 (null 表示停靠在页面右上角)
+ */
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {'integer'|'position'} type - 值类型
+ * @property {*} default - 默认值
+ * @property {number} [min] - 最小值 (integer)
+ * @property {number} [max] - 最大值 (integer)
+ * @property {string} label - 配置项名称
+ * @property {string} help - 配置项说明 (选项页显示)
+ */
+
+/**
+ * 配置结构 - 所有运行参数只在这里定义，content script 和面板通过 GET_CONFIG 读取
+ * @type {Object<string, ConfigField>}
+ */
+const CONFIG_SCHEMA = {
+  maxCartsWithVariants: {
+    type: 'integer', default: 5, min: 1, max: 50, label: '有规格商品最多加购组合数',
+    help: '有规格的商品最多尝试加入购物车的规格组合数，达到后处理下一个商品'
+  },
+  maxCartsNoVariants: {
+    type: 'integer', default: 3, min: 1, max: 99, label: '无规格商品默认加购件数',
+    help: '没有规格的商品一次加入购物车的件数 (运行设置中指定了加购数量时以运行设置为准)'
+  },
+  maxLogEntries: {
+    type: 'integer', default: 200, min: 20, max: 2000, label: '最多保存日志条数',
+    help: '面板日志保存在本地的条数，导出日志时导出这些记录'
+  },
+  maxVisibleLogEntries: {
+    type: 'integer', default: 100, min: 20, max: 500, label: '最多显示日志条数',
+    help: '面板日志区域最多显示的条数，条数过多时页面会变慢'
+  },
+  retryAttempts: {
+    type: 'integer', default: 3, min: 0, max: 10, label: '重试次数',
+    help: '加入购物车等操作失败后的重试次数'
+  },
+  retryDelay: {
+    type: 'integer', default: 2000, min: 0, max: 60000, label: '重试延迟 (毫秒)',
+    help: '每次重试前的等待时间'
+  },
+  operationDelay: {
+    type: 'integer', default: 1000, min: 0, max: 30000, label: '操作间延迟 (毫秒)',
+    help: '两次加购等连续操作之间的等待时间，过短容易被 Shopee 限制'
+  },
+  navigationTimeout: {
+    type: 'integer', default: 30000, min: 5000, max: 120000, label: '导航超时时间 (毫秒)',
+    help: '跳转页面后超过这个时间仍未加载完成时记录超时'
+  },
+  elementTimeout: {
+    type: 'integer', default: 5000, min: 1000, max: 60000, label: '元素等待超时时间 (毫秒)',
+    help: '等待页面上的按钮、输入框等元素出现的最长时间'
+  },
+  pageLoadDelay: {
+    type: 'integer', default: 3000, min: 500, max: 30000, label: '商品页面加载等待时间 (毫秒)',
+    help: '进入商品页面后开始识别规格前的等待时间，网络较慢时调大'
+  },
+  searchPageDelay: {
+    type: 'integer', default: 5000, min: 500, max: 30000, label: '搜索页面加载等待时间 (毫秒)',
+    help: '进入搜索结果页后开始读取商品列表前的等待时间'
+  },
+  variantSelectDelay: {
+    type: 'integer', default: 500, min: 100, max: 10000, label: '规格选择后等待时间 (毫秒)',
+    help: '点击规格选项后等待价格和库存刷新的时间'
+  },
+  keywordChangeInterval: {
+    type: 'integer', default: 240000, min: 60000, max: 3600000, label: '搜索词更换间隔 (毫秒)',
+    help: '关键词轮换 (随机/依次) 时每个关键词使用的时长'
+  },
+  maxSearchPages: {
+    type: 'integer', default: 5, min: 1, max: 50, label: '搜索结果默认最多翻页数',
+    help: '面板中未填写最多翻页数时使用的值'
+  },
+  uiPosition: {
+    type: 'position', default: null, label: '面板位置',
+    help: '悬浮面板左上角的位置，拖动面板时自动保存；没有保存过时停靠在页面右上角'
+  }
+};
+
+/**
+ * 配置迁移 - 第 i 项把第 i 版的配置升级到第 i+1 版，当前版本号即迁移数量
+ * @type {Array<function(Object): Object>}
+ */
+const CONFIG_MIGRATIONS = [
+  // 0 → 1: 旧版配置没有版本号，maxCartsPerProduct 拆分为有/无规格两项；
+  // 旧默认值 (10 个、100 条日志) 从未被 content script 使用，迁移时改用新默认值
+  // 面板位置以前从未写入配置，保存的只会是旧默认值 (20, 20)，改为 null (停靠右上角)；
+  // 实际拖动的位置存在 LEGACY_UI_POSITION_KEY 中，由 loadConfig 迁入
+  (old) => {
+    const { maxCartsPerProduct, maxLogEntries, uiPosition, ...rest } = old;
+    const migrated = { ...rest };
+    if (maxCartsPerProduct != null && maxCartsPerProduct !== 10) {
+      migrated.maxCartsWithVariants = maxCartsPerProduct;
+    }
+    if (maxLogEntries != null && maxLogEntries !== 100) {
+      migrated.maxLogEntries = maxLogEntries;
+    }
+    if (uiPosition !== undefined && !(uiPosition?.x === 20 && uiPosition?.y === 20)) {
+      migrated.uiPosition = uiPosition;
+    }
+    return migrated;
+  }
+];
+
+/** 旧版 content script 单独保存面板位置的存储键 */
+const LEGACY_UI_POSITION_KEY = 'shopee_auto_cart_ui_position';
+
+/** 当前配置版本 */
+const CONFIG_VERSION = CONFIG_MIGRATIONS.length;
+
+/**
+ * 创建空闲状态
+ * @param {number|null} [tabId] - 标签页ID
+ * @returns {ExtensionState}
+ */
+function createInitialState(tabId = null) {
+  return {
+    tabId,
+    sessionId: null,
+    isRunning: false,
+    mode: 'search',
+    searchSpec: defaultSearchSpec(),
+    currentProductIndex: 0,
+    processedRegistry: { scope: 'run', expiryDays: DEFAULT_PROCESSED_EXPIRY_DAYS },
+    region: '',
+    cartCount: 0,
+    shoppingList: [],
+    listIndex: 0,
+    variantRules: [],
+    searchFilter: {},
+    selection: { strategy: 'random', seed: null },
+    selectionStep: 0,
+    maxPages: CONFIG_SCHEMA.maxSearchPages.default,
+    budget: { maxItemPrice: null, totalBudget: null, spent: 0 },
+    quantity: null,
+    keywordRotation: { keywords: [], policy: 'random', index: 0, changedAt: 0 },
+    watch: null,
+    isPaused: false,
+    checkpoint: null,
+    workflow: null
+  };
+}
+
+/**
+ * 运行会话 - 按标签页ID保存，每个标签页的运行状态互不影响
+ * @type {Object<number, ExtensionState>}
+ */
+let sessions = {};
+
+/**
+ * 获取标签页的运行状态，没有运行过的标签页返回空闲状态
+ * @param {number} tabId - 标签页ID
+ * @returns {ExtensionState}
+ */
+function getSession(tabId) {
+  return sessions[tabId] || createInitialState(tabId);
+}
+
+/**
+ * 已暂停会话脱离标签页后的保存键 - 标签页关闭或浏览器重启后，暂停的运行仍可在任意标签页继续
+ * @param {ExtensionState} session - 运行会话
+ * @returns {string}
+ */
+function detachedSessionKey(session) {
+  return `paused:${session.sessionId}`;
+}
+
+/**
+ * 按会话ID查找会话的保存键 (标签页ID或脱离标签页的暂停会话键)
+ * @param {string} sessionId - 会话ID
+ * @returns {string|null}
+ */
+function findSessionKey(sessionId) {
+  const entry = Object.entries(sessions).find(([, session]) => session.sessionId === sessionId);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * 生成运行会话ID
+ * @returns {string}
+ */
+function generateSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * 默认搜索条件
+ * @returns {SearchSpec}
+ */
+function defaultSearchSpec() {
+  return { keyword: '', sortBy: 'relevancy', order: 'desc', priceMin: null, priceMax: null, filters: {}, page: 0 };
+}
+
+/** @type {ExtensionConfig} */
+const defaultConfig = defaultConfigValues();
+
+let config = defaultConfigValues();
+
+// ============================================
+// 运行流程状态机
+// ============================================
+
+/**
+ * 运行流程步骤 - 随机搜索和购物清单模式按步骤推进，步骤保存在运行状态中，
+ * 页面刷新或 SPA 导航后按保存的步骤继续，而不是根据页面类型重新推断 (抢购监视不使用流程步骤)
+ */
+const WorkflowStep = {
+  SEARCHING: 'searching',                   // 前往并等待搜索结果页加载
+  SELECTING: 'selecting',                   // 在搜索结果中筛选并挑选商品
+  OPENING_PRODUCT: 'opening_product',       // 已选定商品，正在打开商品页
+  SELECTING_VARIANTS: 'selecting_variants', // 在商品页遍历规格 (遍历位置记录在运行断点中)
+  ADDING: 'adding',                         // 正在把选中的规格加入购物车
+  RETURNING: 'returning'                    // 商品已处理完，返回搜索页或前往清单下一个商品
+};
+
+/**
+ * 允许的步骤转换 - 刷新搜索页、继续下一个规格组合等重复进入同一步骤的情况也需要列出
+ * @type {Object<string, string[]>}
+ */
+const WORKFLOW_TRANSITIONS = {
+  [WorkflowStep.SEARCHING]: [WorkflowStep.SEARCHING, WorkflowStep.SELECTING],
+  [WorkflowStep.SELECTING]: [WorkflowStep.SEARCHING, WorkflowStep.OPENING_PRODUCT],
+  [WorkflowStep.OPENING_PRODUCT]: [WorkflowStep.SELECTING_VARIANTS, WorkflowStep.RETURNING],
+  [WorkflowStep.SELECTING_VARIANTS]: [WorkflowStep.SELECTING_VARIANTS, WorkflowStep.ADDING, WorkflowStep.RETURNING],
+  [WorkflowStep.ADDING]: [WorkflowStep.SELECTING_VARIANTS, WorkflowStep.RETURNING],
+  [WorkflowStep.RETURNING]: [WorkflowStep.RETURNING, WorkflowStep.SEARCHING, WorkflowStep.OPENING_PRODUCT]
+};
+
+/** 沿用上一步商品信息的步骤 (同一商品的后续步骤) */
+const PRODUCT_STEPS = [WorkflowStep.SELECTING_VARIANTS, WorkflowStep.ADDING, WorkflowStep.RETURNING];
+
+/**
+ * @typedef {Object} WorkflowState
+ * @property {string} step - 当前步骤 (WorkflowStep)
+ * @property {string|null} productId - 正在打开或处理的商品ID
+ * @property {string|null} url - 正在打开或处理的商品页面
+ * @property {number} enteredAt - 进入该步骤的时间戳
+ */
+
+/**
+ * 运行开始时的流程步骤 - 随机搜索从搜索页开始，购物清单直接打开第一个商品
+ * @param {ExtensionState} state - 运行会话
+ * @returns {WorkflowState|null}
+ */
+function initialWorkflow(state) {
+  if (state.mode === 'watch') return null;
+  if (state.mode === 'list') {
+    const first = state.shoppingList[0];
+    return { step: WorkflowStep.OPENING_PRODUCT, productId: first?.productId ?? null, url: first?.url ?? null, enteredAt: Date.now() };
+  }
+  return { step: WorkflowStep.SEARCHING, productId: null, url: null, enteredAt: Date.now() };
+}
+
+/**
+ * 检查步骤转换是否合法 - 没有流程步骤的会话 (旧版本开始的运行) 可以进入任意步骤
+ * @param {string|null} from - 当前步骤
+ * @param {string} to - 目标步骤
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (!Object.values(WorkflowStep).includes(to)) return false;
+  return from == null || WORKFLOW_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * 推进会话的流程步骤 (不保存)
+ * 同一商品的后续步骤沿用上一步的商品信息，回到搜索页时清除
+ * @param {ExtensionState} state - 运行会话
+ * @param {string} step - 目标步骤
+ * @param {{productId?: string|null, url?: string|null}} [target] - 步骤对应的商品
+ * @returns {string|null} 转换不合法时返回原因，状态不变
+ */
+function advanceWorkflow(state, step, target = {}) {
+  const from = state.workflow?.step ?? null;
+  if (!canTransition(from, step)) {
+    const reason = `不能从 ${from} 进入 ${step}`;
+    console.warn('[workflow]', { tabId: state.tabId, sessionId: state.sessionId, reason });
+    return reason;
+  }
+  
+  const carried = PRODUCT_STEPS.includes(step) ? state.workflow : null;
+  state.workflow = {
+    step,
+    productId: target.productId ?? carried?.productId ?? null,
+    url: target.url ?? carried?.url ?? null,
+    enteredAt: Date.now()
+  };
+  return null;
+}
+
+/**
+ * 处理 WORKFLOW_TRANSITION 消息 - content script 进入下一个流程步骤
+ * 不合法的转换 (如同一页面的重复处理已先一步进入该步骤) 被拒绝，页面据此停止当前处理
+ * @param {Object} payload
+ * @param {string} payload.step - 目标步骤
+ * @param {string|null} [payload.productId] - 步骤对应的商品ID
+ * @param {string|null} [payload.url] - 步骤对应的商品页面
+ * @param {number} senderId - 发送者标签页ID
+ * @returns {Promise<{accepted: boolean, workflow: WorkflowState|null, reason?: string}>}
+ */
+async function handleWorkflowTransition(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning) {
+    return { accepted: false, workflow: state?.workflow ?? null, reason: '没有运行中的任务' };
+  }
+  
+  const reason = advanceWorkflow(state, payload.step, payload);
+  if (reason) {
+    return { accepted: false, workflow: state.workflow, reason };
+  }
+  
+  await saveState();
+  return { accepted: true, workflow: state.workflow };
+}
+
+// ============================================
+// 2.2 状态持久化
+// ============================================
+
+/**
+ * 创建串行修改队列 - 多个标签页、闹钟和面板操作可能同时修改同一份存储，
+ * 排队依次执行读取-修改-保存，避免后保存的覆盖先保存的；前一次修改失败不影响后面的修改
+ * @returns {function(function(): Promise<*>): Promise<*>} 排队执行修改函数，返回其结果
+ */
+function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (update) => {
+    const result = tail.then(update);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * 保存所有运行会话到 chrome.storage.local
+ */
+async function saveState() {
+  try {
+    await chrome.storage.local.set({ runSessions: sessions });
+  } catch (error) {
+    console.error('Failed to save state:', error);
+  }
+}
+
+
+/** 旧版保存单个运行状态的存储键 - 没有标签页ID，无法对应到标签页，加载时删除 */
+const LEGACY_STATE_KEY = 'extensionState';
+
+/**
+ * 从 chrome.storage.local 加载运行会话
+ * 浏览器重启后标签页ID会变化，已暂停的会话保留为脱离标签页的会话，
+ * 其他标签页已不存在的会话丢弃并结束其运行记录
+ */
+async function loadState() {
+  try {
+    const result = await chrome.storage.local.get(['runSessions', LEGACY_STATE_KEY]);
+    const openTabIds = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+    const closed = [];
+    sessions = {};
+    for (const [tabId, session] of Object.entries(result.runSessions || {})) {
+      if (openTabIds.has(Number(tabId))) {
+        sessions[tabId] = { ...createInitialState(Number(tabId)), ...session };
+      } else if (session.isPaused) {
+        sessions[detachedSessionKey(session)] = { ...createInitialState(), ...session, tabId: null };
+      } else {
+        closed.push(session);
+      }
+    }
+    for (const session of closed) {
+      await finishRunRecord(session, '标签页已关闭');
+    }
+    if (result[LEGACY_STATE_KEY]) {
+      await chrome.storage.local.remove(LEGACY_STATE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to load state:', error);
+  }
+}
+
+/**
+ * 按配置结构生成默认配置
+ * @returns {ExtensionConfig}
+ */
+function defaultConfigValues() {
+  return Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([key, field]) => [key, structuredClone(field.default)])
+  );
+}
+
+/**
+ * 校验单个配置项，类型不对时使用默认值，超出范围时取最近的边界值
+ * @param {ConfigField} field - 配置项定义
+ * @param {*} value - 配置值
+ * @returns {{value: *, error: string|null}}
+ */
+function validateConfigField(field, value) {
+  if (field.type === 'position') {
+    if (value === null) return { value: null, error: null };
+    const valid = value && Number.isFinite(value.x) && Number.isFinite(value.y);
+    return valid
+      ? { value: { x: value.x, y: value.y }, error: null }
+      : { value: structuredClone(field.default), error: '不是有效的位置' };
+  }
+  
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    return { value: field.default, error: '不是整数' };
+  }
+  if (number < field.min || number > field.max) {
+    return { value: Math.min(field.max, Math.max(field.min, number)), error: `超出范围 ${field.min} ~ ${field.max}` };
+  }
+  return { value: number, error: null };
+}
+
+/**
+ * 校验配置 - 缺少的项使用默认值，未知的项丢弃
+ * @param {Object} values - 待校验的配置
+ * @returns {{config: ExtensionConfig, errors: Array<{key: string, message: string}>}}
+ */
+function validateConfig(values) {
+  const config = {};
+  const errors = [];
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (values?.[key] === undefined) {
+      config[key] = structuredClone(field.default);
+      continue;
+    }
+    const result = validateConfigField(field, values[key]);
+    config[key] = result.value;
+    if (result.error) {
+      errors.push({ key, message: `${field.label}: ${result.error}` });
+    }
+  }
+  return { config, errors };
+}
+
+/**
+ * 把保存的配置迁移到当前版本 (没有版本号的视为第 0 版)
+ * @param {Object} stored - chrome.storage.local 中的 extensionConfig
+ * @returns {Object} 当前版本的配置值 (未校验)
+ */
+function migrateConfig(stored) {
+  const { version = 0, ...values } = stored || {};
+  return CONFIG_MIGRATIONS.slice(version).reduce((migrated, migrate) => migrate(migrated), values);
+}
+
+/**
+ * 保存配置到 chrome.storage.local (带版本号)
+ */
+async function saveConfig() {
+  try {
+    await chrome.storage.local.set({ extensionConfig: { version: CONFIG_VERSION, ...config } });
+  } catch (error) {
+    console.error('Failed to save config:', error);
+  }
+}
+
+/**
+ * 从 chrome.storage.local 加载配置
+ * 旧版本的配置先迁移再校验，迁移或修正过的配置写回存储
+ * 旧版单独保存的面板位置并入配置后删除
+ */
+async function loadConfig() {
+  try {
+    const result = await chrome.storage.local.get(['extensionConfig', LEGACY_UI_POSITION_KEY]);
+    const legacyPosition = result[LEGACY_UI_POSITION_KEY];
+    if (!result.extensionConfig && !legacyPosition) return;
+
+    const values = migrateConfig(result.extensionConfig);
+    if (legacyPosition) {
+      values.uiPosition = legacyPosition;
+    }
+    const { config: validated, errors } = validateConfig(values);
+    config = validated;
+    if (errors.length > 0) {
+      console.warn('Invalid config values replaced:', errors);
+    }
+    if (errors.length > 0 || legacyPosition || result.extensionConfig?.version !== CONFIG_VERSION) {
+      await saveConfig();
+    }
+    if (legacyPosition) {
+      await chrome.storage.local.remove(LEGACY_UI_POSITION_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to load config:', error);
+  }
+}
+
+/**
+ * 获取带版本号的配置 (GET_CONFIG 的响应)
+ * @returns {ExtensionConfig & {version: number}}
+ */
+function getVersionedConfig() {
+  return { version: CONFIG_VERSION, ...structuredClone(config) };
+}
+
+/**
+ * 保存 UI 位置
+ * @param {{x: number, y: number}} position
+ */
+async function saveUIPosition(position) {
+  config.uiPosition = validateConfigField(CONFIG_SCHEMA.uiPosition, position).value;
+  await saveConfig();
+}
+
+/**
+ * 获取 UI 位置
+ * @returns {{x: number, y: number}|null}
+ */
+function getUIPosition() {
+  return config.uiPosition;
+}
+
+/**
+ * 通知所有 Shopee 标签页配置已变化，运行中的 content script 立即使用新配置
+ */
+async function broadcastConfig() {
+  await broadcastToShopee({
+    type: 'CONFIG_UPDATE',
+    payload: { config: getVersionedConfig() }
+  });
+}
+
+/**
+ * 处理 SAVE_CONFIG 消息 - 选项页修改配置
+ * 未提交的项保持原值；不合法的值按校验规则修正后保存，并把错误返回给选项页
+ * @param {Object} payload
+ * @param {Partial<ExtensionConfig>} payload.values - 修改的配置项
+ * @returns {Promise<{config: ExtensionConfig & {version: number}, errors: Array<{key: string, message: string}>}>}
+ */
+async function handleSaveConfig(payload) {
+  const { config: validated, errors } = validateConfig({ ...config, ...payload.values });
+  config = validated;
+  await saveConfig();
+  await broadcastConfig();
+  return { config: getVersionedConfig(), errors };
+}
+
+/**
+ * 处理 RESET_CONFIG 消息 - 恢复默认配置 (面板位置保留)
+ * @returns {Promise<ExtensionConfig & {version: number}>}
+ */
+async function handleResetConfig() {
+  config = { ...defaultConfigValues(), uiPosition: config.uiPosition };
+  await saveConfig();
+  await broadcastConfig();
+  return getVersionedConfig();
+}
+
+// ============================================
+// 已处理商品记录 (IndexedDB)
+// ============================================
+
+/** 已处理商品数据库 */
+const PROCESSED_DB_NAME = 'shopee-auto-cart';
+const PROCESSED_DB_VERSION = 1;
+const PROCESSED_STORE = 'processedProducts';
+
+/** 默认不重复访问天数 (跨运行保留记录时) */
+const DEFAULT_PROCESSED_EXPIRY_DAYS = 7;
+
+/** 记录最长保留天数，超过后启动时清理 */
+const PROCESSED_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ProcessedRegistryOptions
+ * @property {'run'|'keyword'|'region'|'global'} scope - 不重复访问的范围 (run 表示只在本次运行内去重)
+ * @property {number} expiryDays - 跨运行保留记录时，多少天内不再访问同一商品
  */
 
 /**
- * @typedef {Object} ExtensionConfig
- * @property {number} maxCartsPerProduct - 每个商品最大添加购物车数量
- * @property {number} retryAttempts - 重试次数
- * @property {number} retryDelay - 重试延迟(ms)
- * @property {number} maxLogEntries - 最大日志条目数
- * @property {{x: number, y: number}} uiPosition - UI位置
+ * @typedef {Object} ProcessedEntry
+ * @property {string} scope - 记录范围 (如 "run:<sessionId>"、"keyword:手機殼"、"region:tw"、"list"、"global")
+ * @property {string} productId - 商品ID
+ * @property {string|null} sessionId - 记录时的运行会话ID
+ * @property {number} processedAt - 记录时间
+ */
+
+let processedDbPromise = null;
+
+/**
+ * 打开已处理商品数据库 (主键为 [scope, productId]，按 processedAt 建索引用于清理)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openProcessedDb() {
+  if (!processedDbPromise) {
+    processedDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PROCESSED_DB_NAME, PROCESSED_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(PROCESSED_STORE, { keyPath: ['scope', 'productId'] });
+        store.createIndex('processedAt', 'processedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        processedDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return processedDbPromise;
+}
+
+/**
+ * 在已处理商品表上执行一个事务，事务完成后返回 work 写入 result.value 的结果
+ * @param {IDBTransactionMode} mode - 'readonly' 或 'readwrite'
+ * @param {function(IDBObjectStore, {value: *}): void} work - 发起请求的函数
+ * @returns {Promise<*>}
+ */
+async function withProcessedStore(mode, work) {
+  const db = await openProcessedDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PROCESSED_STORE, mode);
+    const result = { value: undefined };
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    work(tx.objectStore(PROCESSED_STORE), result);
+  });
+}
+
+/**
+ * 获取运行会话当前的记录范围 - 关键词范围随关键词轮换变化
+ * @param {ExtensionState} state - 运行会话
+ * @returns {string}
+ */
+function getProcessedScope(state) {
+  switch (state.processedRegistry?.scope) {
+    case 'keyword':
+      return state.mode === 'list' ? 'list' : `keyword:${state.searchSpec.keyword}`;
+    case 'region':
+      return `region:${state.region || ''}`;
+    case 'global':
+      return 'global';
+    default:
+      return `run:${state.sessionId}`;
+  }
+}
+
+/**
+ * 获取记录的有效起始时间 - 本次运行范围内的记录始终有效
+ * @param {ExtensionState} state - 运行会话
+ * @returns {number}
+ */
+function getProcessedCutoff(state) {
+  const { scope, expiryDays } = state.processedRegistry || {};
+  if (!scope || scope === 'run') return 0;
+  return Date.now() - (expiryDays || DEFAULT_PROCESSED_EXPIRY_DAYS) * DAY_MS;
+}
+
+/**
+ * 添加已处理商品
+ * @param {ExtensionState} state - 运行会话
+ * @param {string} productId
+ */
+async function addProcessedProduct(state, productId) {
+  await withProcessedStore('readwrite', (store) => {
+    store.put({
+      scope: getProcessedScope(state),
+      productId,
+      sessionId: state.sessionId,
+      processedAt: Date.now()
+    });
+  });
+}
+
+/**
+ * 批量检查商品是否已处理
+ * @param {ExtensionState} state - 运行会话
+ * @param {string[]} productIds
+ * @returns {Promise<string[]>} 有效期内已处理的商品ID
+ */
+async function getProcessedProducts(state, productIds) {
+  const scope = getProcessedScope(state);
+  const cutoff = getProcessedCutoff(state);
+  
+  return withProcessedStore('readonly', (store, result) => {
+    result.value = [];
+    for (const productId of new Set(productIds)) {
+      const request = store.get([scope, productId]);
+      request.onsuccess = () => {
+        if (request.result && request.result.processedAt >= cutoff) {
+          result.value.push(productId);
+        }
+      };
+    }
+  });
+}
+
+/**
+ * 清除已处理商品记录
+ * @param {ExtensionState|null} state - 运行会话，为 null 时清除所有范围的记录
+ */
+async function clearProcessedProducts(state) {
+  await withProcessedStore('readwrite', (store) => {
+    if (!state) {
+      store.clear();
+      return;
+    }
+    const scope = getProcessedScope(state);
+    store.delete(IDBKeyRange.bound([scope, ''], [scope, '\uffff']));
+  });
+}
+
+/**
+ * 清理超过最长保留天数的记录
+ */
+async function pruneProcessedProducts() {
+  try {
+    await withProcessedStore('readwrite', (store) => {
+      const range = IDBKeyRange.upperBound(Date.now() - PROCESSED_RETENTION_DAYS * DAY_MS);
+      const request = store.index('processedAt').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to prune processed products:', error);
+  }
+}
+
+// ============================================
+// 商品快照存储
+// ============================================
+
+/** 最多保存的商品快照数量，超出时删除最早的快照 */
+const MAX_PRODUCT_SNAPSHOTS = 500;
+
+/** 商品快照修改队列 */
+const withProductSnapshots = createSerialQueue();
+
+/**
+ * 保存商品快照 - 按商品ID保存，同一商品只保留最新一次
+ * @param {Object} snapshot - 商品页快照 (包含 productId 和 capturedAt)
+ */
+async function saveProductSnapshot(snapshot) {
+  if (!snapshot?.productId) return;
+  
+  await withProductSnapshots(() => writeProductSnapshot(snapshot));
+}
+
+/**
+ * 读取-修改-保存商品快照 (只在 withProductSnapshots 队列中调用)
+ * @param {Object} snapshot - 商品页快照
+ */
+async function writeProductSnapshot(snapshot) {
+  try {
+    const result = await chrome.storage.local.get(['productSnapshots']);
+    const snapshots = result.productSnapshots || {};
+    snapshots[snapshot.productId] = snapshot;
+    
+    const ids = Object.keys(snapshots);
+    if (ids.length > MAX_PRODUCT_SNAPSHOTS) {
+      ids
+        .sort((a, b) => (snapshots[a].capturedAt || 0) - (snapshots[b].capturedAt || 0))
+        .slice(0, ids.length - MAX_PRODUCT_SNAPSHOTS)
+        .forEach(id => delete snapshots[id]);
+    }
+    
+    await chrome.storage.local.set({ productSnapshots: snapshots });
+  } catch (error) {
+    console.error('Failed to save product snapshot:', error);
+  }
+}
+
+/**
+ * 获取商品快照
+ * @param {string} productId - 商品ID
+ * @returns {Promise<Object|null>}
+ */
+async function getProductSnapshot(productId) {
+  try {
+    const result = await chrome.storage.local.get(['productSnapshots']);
+    return result.productSnapshots?.[productId] || null;
+  } catch (error) {
+    console.error('Failed to load product snapshot:', error);
+    return null;
+  }
+}
+
+// ============================================
+// 运行记录
+// ============================================
+
+/** 最多保留的运行记录数 */
+const MAX_RUN_HISTORY = 50;
+
+/**
+ * @typedef {Object} CartAttempt
+ * @property {string} variant - 规格组合名称 (无规格时为空)
+ * @property {boolean} success - 是否成功加入购物车
+ * @property {string} reason - 失败原因
+ * @property {number|null} quantity - 加购数量
+ * @property {number|null} price - 单价
+ * @property {number} at - 尝试时间
+ */
+
+/**
+ * @typedef {Object} RunProduct
+ * @property {string|null} productId - 商品ID
+ * @property {string} url - 商品链接
+ * @property {string} title - 商品名称
+ * @property {number} visitedAt - 访问时间
+ * @property {string|null} error - 处理商品失败的原因
+ * @property {CartAttempt[]} attempts - 加购尝试
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string} sessionId - 运行会话ID
+ * @property {number} tabId - 运行所在的标签页ID
+ * @property {'search'|'list'|'watch'} mode - 运行模式
+ * @property {string} target - 关键词、购物清单或抢购商品
+ * @property {Object|null} searchSpec - 搜索条件 (排序、价格区间、服务端筛选，仅搜索模式)
+ * @property {number|null} maxPages - 最多翻页数 (仅搜索模式)
+ * @property {Object|null} searchFilter - 搜索结果筛选条件 (仅搜索模式)
+ * @property {{strategy: string, seed: number|null}|null} selection - 商品选择策略和随机种子 (仅搜索模式，用于重放)
+ * @property {Array<{url: string, productId: string, quantity: number|null, variantRules: Object[]}>|null} shoppingList - 购物清单 (仅清单模式)
+ * @property {number} startedAt - 开始时间
+ * @property {number|null} stoppedAt - 结束时间 (运行中为 null)
+ * @property {string|null} stopReason - 结束原因
+ * @property {RunProduct[]} products - 访问过的商品
+ * @property {{products: number, attempts: number, succeeded: number, failed: number, cartCount: number, spent: number}} totals - 汇总
+ */
+
+/**
+ * 读取运行记录 (最新的在前)
+ * @returns {Promise<RunRecord[]>}
+ */
+async function loadRunHistory() {
+  try {
+    const result = await chrome.storage.local.get(['runHistory']);
+    return result.runHistory || [];
+  } catch (error) {
+    console.error('Failed to load run history:', error);
+    return [];
+  }
+}
+
+/**
+ * 保存运行记录
+ * @param {RunRecord[]} runs
+ */
+async function saveRunHistory(runs) {
+  try {
+    await chrome.storage.local.set({ runHistory: runs.slice(0, MAX_RUN_HISTORY) });
+  } catch (error) {
+    console.error('Failed to save run history:', error);
+  }
+}
+
+/** 运行记录修改队列 */
+const withRunHistory = createSerialQueue();
+
+/**
+ * 生成运行记录中显示的运行目标
+ * @param {ExtensionState} state - 运行会话
+ * @returns {string}
+ */
+function describeRunRecordTarget(state) {
+  if (state.mode === 'list') return `购物清单 (${state.shoppingList.length} 个商品)`;
+  if (state.mode === 'watch') return `抢购监视 ${state.watch?.productId || ''}`;
+  return state.searchSpec.keyword;
+}
+
+/**
+ * 汇总运行记录
+ * @param {RunRecord} record - 运行记录
+ * @param {ExtensionState} [state] - 运行会话 (用于读取已花费金额)
+ * @returns {RunRecord['totals']}
+ */
+function computeRunTotals(record, state) {
+  const attempts = record.products.flatMap(product => product.attempts);
+  const succeeded = attempts.filter(attempt => attempt.success);
+  return {
+    products: record.products.length,
+    attempts: attempts.length,
+    succeeded: succeeded.length,
+    failed: attempts.length - succeeded.length,
+    cartCount: succeeded.reduce((sum, attempt) => sum + (attempt.quantity || 1), 0),
+    spent: state?.budget?.spent ?? record.totals?.spent ?? 0
+  };
+}
+
+/**
+ * 为新的运行创建记录 - 连同搜索条件、选择策略和种子或购物清单一起保存，之后可以按记录重放
+ * @param {ExtensionState} state - 运行会话
+ */
+async function startRunRecord(state) {
+  const record = {
+    sessionId: state.sessionId,
+    tabId: state.tabId,
+    mode: state.mode,
+    target: describeRunRecordTarget(state),
+    searchSpec: state.mode === 'search' ? structuredClone(state.searchSpec) : null,
+    maxPages: state.mode === 'search' ? state.maxPages : null,
+    searchFilter: state.mode === 'search' ? structuredClone(state.searchFilter) : null,
+    selection: state.mode === 'search' ? { strategy: state.selection.strategy, seed: state.selection.seed ?? null } : null,
+    shoppingList: state.mode === 'list'
+      ? state.shoppingList.map(({ url, productId, quantity, variantRules }) => ({ url, productId, quantity, variantRules: structuredClone(variantRules) }))
+      : null,
+    startedAt: Date.now(),
+    stoppedAt: null,
+    stopReason: null,
+    products: []
+  };
+  record.totals = computeRunTotals(record, state);
+  
+  await withRunHistory(async () => {
+    const runs = await loadRunHistory();
+    await saveRunHistory([record, ...runs]);
+  });
+}
+
+/**
+ * 修改运行会话对应的记录 (已结束的记录不再修改)，并重新汇总
+ * @param {ExtensionState} state - 运行会话
+ * @param {function(RunRecord): void} update - 修改函数
+ */
+async function updateRunRecord(state, update) {
+  await withRunHistory(async () => {
+    const runs = await loadRunHistory();
+    const record = runs.find(run => run.sessionId === state.sessionId);
+    if (!record || record.stoppedAt) return;
+    
+    update(record);
+    record.totals = computeRunTotals(record, state);
+    await saveRunHistory(runs);
+  });
+}
+
+/**
+ * 查找或添加运行记录中的商品
+ * @param {RunRecord} record - 运行记录
+ * @param {Object} payload - 商品信息 (productId / url / title)
+ * @returns {RunProduct}
+ */
+function upsertRunProduct(record, payload) {
+  let product = record.products.find(item => item.productId === payload.productId && item.url === payload.url);
+  if (!product) {
+    product = {
+      productId: payload.productId || null,
+      url: payload.url || '',
+      title: '',
+      visitedAt: Date.now(),
+      error: null,
+      attempts: []
+    };
+    record.products.push(product);
+  }
+  product.title = payload.title || product.title;
+  return product;
+}
+
+/**
+ * 处理 RECORD_VISIT 消息 - 记录访问的商品和处理失败的原因
+ * @param {Object} payload
+ * @param {string|null} payload.productId - 商品ID
+ * @param {string} payload.url - 商品链接
+ * @param {string} [payload.title] - 商品名称
+ * @param {string|null} [payload.error] - 处理失败的原因
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleRecordVisit(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.sessionId) return;
+  
+  await updateRunRecord(state, (record) => {
+    const product = upsertRunProduct(record, payload);
+    if (payload.error) {
+      product.error = payload.error;
+    }
+  });
+}
+
+/**
+ * 处理 RECORD_ATTEMPT 消息 - 记录一次加入购物车尝试
+ * @param {Object} payload
+ * @param {string|null} payload.productId - 商品ID
+ * @param {string} payload.url - 商品链接
+ * @param {string} [payload.title] - 商品名称
+ * @param {string} payload.variant - 规格组合名称
+ * @param {boolean} payload.success - 是否成功
+ * @param {string} payload.reason - 失败原因
+ * @param {number|null} payload.quantity - 加购数量
+ * @param {number|null} payload.price - 单价
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleRecordAttempt(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.sessionId) return;
+  
+  await updateRunRecord(state, (record) => {
+    upsertRunProduct(record, payload).attempts.push({
+      variant: payload.variant || '',
+      success: !!payload.success,
+      reason: payload.reason || '',
+      quantity: payload.quantity ?? null,
+      price: payload.price ?? null,
+      at: Date.now()
+    });
+  });
+}
+
+/**
+ * 结束运行会话对应的记录
+ * @param {ExtensionState} state - 运行会话
+ * @param {string} reason - 结束原因
+ */
+async function finishRunRecord(state, reason) {
+  await updateRunRecord(state, (record) => {
+    record.stoppedAt = Date.now();
+    record.stopReason = reason;
+  });
+}
+
+// ============================================
+// 2.3 页面间通信协调
+// ============================================
+
+/**
+ * @typedef {Object} Message
+ * @property {'START'|'STOP'|'LOG'|'STATE_UPDATE'|'NAVIGATE'|'GET_STATE'|'GET_CONFIG'|'SAVE_UI_POSITION'|'ADD_PROCESSED'|'CLEAR_PROCESSED'|'LIST_ITEM_DONE'|'NEXT_SEARCH_PAGE'|'RECORD_SPEND'|'SAVE_SNAPSHOT'|'GET_SNAPSHOT'|'GET_RUNS'|'FOCUS_TAB'|'RUNS_UPDATE'|'SCHEDULE_JOB'|'CANCEL_JOB'|'GET_JOBS'|'JOBS_UPDATE'|'WATCH_DONE'|'ADD_RESTOCK_WATCH'|'REMOVE_RESTOCK_WATCH'|'GET_RESTOCK_WATCHES'|'GET_RESTOCK_CHECK'|'RESTOCK_RESULT'|'RESTOCK_WATCHES_UPDATE'|'ADD_PRICE_WATCH'|'REMOVE_PRICE_WATCH'|'GET_PRICE_WATCHES'|'GET_PRICE_HISTORY'|'GET_PRICE_CHECK'|'PRICE_RESULT'|'PRICE_CHECK_NOW'|'PRICE_WATCHES_UPDATE'|'RECORD_VISIT'|'RECORD_ATTEMPT'|'GET_RUN_HISTORY'|'CHECK_PROCESSED'|'PAUSE'|'RESUME'|'GET_CONFIG_SCHEMA'|'SAVE_CONFIG'|'RESET_CONFIG'|'CONFIG_UPDATE'|'OPEN_OPTIONS'|'SUBSCRIBE'|'UNSUBSCRIBE'|'WORKFLOW_TRANSITION'|'RUN_ABORT'} type
+ * @property {*} payload
+ * @property {string} [requestId] - 请求ID (页面发出的消息带有，响应中原样返回)
+ * @property {number} [protocolVersion] - 消息协议版本
+ */
+
+// ============================================
+// 消息协议
+// ============================================
+
+/** 消息协议版本 - 消息格式有不兼容的变化时递增 (content script、选项页使用同一版本号) */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * 协议错误码
+ */
+const ProtocolErrorCode = {
+  MALFORMED: 'MALFORMED',               // 消息不是 {type, payload} 结构
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',         // 消息类型不在消息目录中
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',   // 参数类型不符合消息目录
+  VERSION_MISMATCH: 'VERSION_MISMATCH', // 协议版本不同 (扩展更新后未刷新的页面)
+  HANDLER_ERROR: 'HANDLER_ERROR'        // 处理消息时出错
+};
+
+/**
+ * @typedef {Object} ProtocolError
+ * @property {string} code - 错误码 (ProtocolErrorCode)
+ * @property {string} message - 错误说明
+ * @property {string[]} [details] - 参数校验失败的明细
+ */
+
+/**
+ * START 参数之间的关系 - 抢购监视模式必须带上商品链接、商品ID和截止时间
+ * @param {Object} payload - START 的参数
+ * @returns {string[]} 校验失败的明细
+ */
+function checkStartPayload(payload) {
+  if (payload.mode !== 'watch') return [];
+  const { watch } = payload;
+  const details = [];
+  if (typeof watch?.url !== 'string' || !watch.url) details.push('mode 为 watch 时 payload.watch.url 应为非空 string');
+  if (typeof watch?.productId !== 'string' || !watch.productId) details.push('mode 为 watch 时 payload.watch.productId 应为非空 string');
+  if (!Number.isFinite(watch?.stopAt)) details.push('mode 为 watch 时 payload.watch.stopAt 应为 number');
+  return details;
+}
+
+/**
+ * 消息目录 - background 接收的每种消息及其参数类型
+ * 类型写法为 'string'、'number|null' 等，结尾的 ? 表示可省略；未列出的参数不校验
+ * check 校验参数之间的关系 (类型都正确后才调用)，返回校验失败的明细
+ * background 发给页面的消息 (STATE_UPDATE、LOG、*_UPDATE) 不在这里，发送时只附加协议版本
+ * @type {Object<string, {payload: Object<string, string>, check?: function(Object): string[]}>}
+ */
+const MESSAGE_CATALOGUE = {
+  START: {
+    payload: {
+      mode: 'string?', searchSpec: 'object?', keyword: 'string?', shoppingList: 'array?',
+      variantRules: 'array?', searchFilter: 'object?', selection: 'object?',
+      maxPages: 'number|string|null?', budget: 'object?', quantity: 'number|string|null?',
+      keywordRotation: 'object?', watch: 'object|null?', processedRegistry: 'object?', region: 'string?'
+    },
+    check: checkStartPayload
+  },
+  STOP: { payload: { reason: 'string?', sessionId: 'string?' } },
+  PAUSE: { payload: { url: 'string' } },
+  RESUME: { payload: { sessionId: 'string?' } },
+  NAVIGATE: { payload: { url: 'string' } },
+  LOG: { payload: { message: 'string', logType: 'string?' } },
+  // 页面只能更新这些进度字段，运行状态、流程步骤和预算由各自的消息修改
+  STATE_UPDATE: {
+    payload: { checkpoint: 'object?', selectionStep: 'number?', cartCount: 'number?', searchSpec: 'object?', keywordRotation: 'object?' }
+  },
+  LIST_ITEM_DONE: {
+    payload: { productId: 'string|null?', cartCount: 'number?', status: 'string', error: 'string|null?', unmatchedRules: 'array?' }
+  },
+  NEXT_SEARCH_PAGE: { payload: {} },
+  WORKFLOW_TRANSITION: { payload: { step: 'string', productId: 'string|null?', url: 'string|null?' } },
+  RECORD_SPEND: { payload: { amount: 'number' } },
+  WATCH_DONE: { payload: { status: 'string', message: 'string' } },
+  RECORD_VISIT: { payload: { productId: 'string|null', url: 'string', title: 'string?', error: 'string|null?' } },
+  RECORD_ATTEMPT: {
+    payload: {
+      productId: 'string|null', url: 'string', title: 'string?', variant: 'string?', success: 'boolean',
+      reason: 'string?', quantity: 'number|null?', price: 'number|null?'
+    }
+  },
+  GET_RUN_HISTORY: { payload: {} },
+  SAVE_SNAPSHOT: { payload: { productId: 'string|null?' } },
+  GET_SNAPSHOT: { payload: { productId: 'string|null' } },
+  GET_STATE: { payload: {} },
+  SCHEDULE_JOB: { payload: { id: 'string|null?', runAt: 'number', label: 'string?', url: 'string', startPayload: 'object' } },
+  CANCEL_JOB: { payload: { id: 'string' } },
+  GET_JOBS: { payload: {} },
+  ADD_RESTOCK_WATCH: {
+    payload: {
+      url: 'string', productId: 'string', variantRules: 'array?', variantLabel: 'string?',
+      intervalMinutes: 'number?', autoAddToCart: 'boolean?', quantity: 'number|null?'
+    }
+  },
+  REMOVE_RESTOCK_WATCH: { payload: { id: 'string' } },
+  GET_RESTOCK_WATCHES: { payload: {} },
+  GET_RESTOCK_CHECK: { payload: {} },
+  RESTOCK_RESULT: { payload: { available: 'boolean', added: 'boolean?', variantName: 'string|null?', error: 'string|null?' } },
+  ADD_PRICE_WATCH: { payload: { url: 'string', productId: 'string', title: 'string?', targetPrice: 'number' } },
+  REMOVE_PRICE_WATCH: { payload: { id: 'string' } },
+  GET_PRICE_WATCHES: { payload: {} },
+  GET_PRICE_HISTORY: { payload: { productId: 'string' } },
+  GET_PRICE_CHECK: { payload: {} },
+  PRICE_RESULT: { payload: { prices: 'object?', title: 'string?', error: 'string|null?' } },
+  PRICE_CHECK_NOW: { payload: {} },
+  GET_RUNS: { payload: {} },
+  FOCUS_TAB: { payload: { tabId: 'number' } },
+  GET_CONFIG: { payload: {} },
+  GET_CONFIG_SCHEMA: { payload: {} },
+  SAVE_CONFIG: { payload: { values: 'object' } },
+  RESET_CONFIG: { payload: {} },
+  OPEN_OPTIONS: { payload: {} },
+  SAVE_UI_POSITION: { payload: { x: 'number', y: 'number' } },
+  ADD_PROCESSED: { payload: { productId: 'string' } },
+  CHECK_PROCESSED: { payload: { productIds: 'array' } },
+  CLEAR_PROCESSED: { payload: { all: 'boolean?' } }
+};
+
+/**
+ * 值的协议类型名 (区分 null 和数组)
+ * @param {*} value
+ * @returns {string}
+ */
+function protocolTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 校验收到的消息 - 结构、协议版本、消息类型和参数类型
+ * 未带协议版本的消息按当前版本处理
+ * @param {*} message - 收到的消息
+ * @param {Object<string, {payload: Object<string, string>}>} [catalogue=MESSAGE_CATALOGUE] - 消息目录
+ * @returns {ProtocolError|null} 校验通过时返回 null
+ */
+function validateMessage(message, catalogue = MESSAGE_CATALOGUE) {
+  if (protocolTypeOf(message) !== 'object' || typeof message.type !== 'string') {
+    return { code: ProtocolErrorCode.MALFORMED, message: '消息必须是带 type 字段的对象' };
+  }
+  if (message.protocolVersion != null && message.protocolVersion !== PROTOCOL_VERSION) {
+    return {
+      code: ProtocolErrorCode.VERSION_MISMATCH,
+      message: `协议版本不一致 (页面 ${message.protocolVersion}，扩展 ${PROTOCOL_VERSION})，请刷新页面`
+    };
+  }
+  
+  const entry = catalogue[message.type];
+  if (!entry) {
+    return { code: ProtocolErrorCode.UNKNOWN_TYPE, message: `未知的消息类型: ${message.type}` };
+  }
+  
+  const payload = message.payload ?? {};
+  if (protocolTypeOf(payload) !== 'object') {
+    return { code: ProtocolErrorCode.INVALID_PAYLOAD, message: `${message.type} 的 payload 必须是对象` };
+  }
+  
+  const details = [];
+  for (const [field, spec] of Object.entries(entry.payload)) {
+    const optional = spec.endsWith('?');
+    const types = spec.replace(/\?$/, '').split('|');
+    const value = payload[field];
+    if (value === undefined ? !optional : !types.includes(protocolTypeOf(value))) {
+      details.push(`payload.${field} 应为 ${types.join(' 或 ')}${optional ? ' (可省略)' : ''}，实际为 ${protocolTypeOf(value)}`);
+    }
+  }
+  if (details.length === 0 && entry.check) {
+    details.push(...entry.check(payload));
+  }
+  return details.length > 0
+    ? { code: ProtocolErrorCode.INVALID_PAYLOAD, message: `${message.type} 的参数不正确`, details }
+    : null;
+}
+
+/**
+ * 给 background 发出的消息附加协议版本
+ * @param {Message} message
+ * @returns {Message}
+ */
+function withProtocolVersion(message) {
+  return { ...message, protocolVersion: PROTOCOL_VERSION };
+}
+
+/**
+ * 记录协议错误 - 写入 service worker 控制台，并显示在发送消息的页面面板中
+ * @param {*} message - 收到的消息
+ * @param {ProtocolError} error - 协议错误
+ * @param {number} [senderId] - 发送者标签页ID
+ */
+async function logProtocolError(message, error, senderId) {
+  console.error('[protocol]', {
+    type: message?.type,
+    requestId: message?.requestId ?? null,
+    senderId: senderId ?? null,
+    ...error
+  });
+  if (senderId == null) return;
+  await sendToTab(senderId, {
+    type: 'LOG',
+    payload: {
+      message: `[消息错误] ${error.message}${error.details ? `: ${error.details.join('; ')}` : ''}`,
+      logType: 'error'
+    }
+  });
+}
+
+// ============================================
+// 长连接端口
+// ============================================
+
+/** content script 连接 background 的端口名 */
+const PORT_NAME = 'shopee-auto-cart';
+
+/**
+ * 推送主题 - background 推给页面的消息按类型归入主题，页面只收到已订阅主题的消息
+ * 不属于任何主题的消息总是送达
+ */
+const PORT_TOPICS = {
+  LOG: 'log',
+  STATE_UPDATE: 'state',
+  RUNS_UPDATE: 'runs',
+  JOBS_UPDATE: 'jobs',
+  RESTOCK_WATCHES_UPDATE: 'watches',
+  PRICE_WATCHES_UPDATE: 'watches',
+  CONFIG_UPDATE: 'config'
+};
+
+/**
+ * 端口消息目录 - 页面通过端口发给 background 的消息 (格式同 MESSAGE_CATALOGUE)
+ * @type {Object<string, {payload: Object<string, string>}>}
+ */
+const PORT_MESSAGE_CATALOGUE = {
+  SUBSCRIBE: { payload: { topics: 'array' } },
+  UNSUBSCRIBE: { payload: { topics: 'array' } }
+};
+
+/**
+ * @typedef {Object} TabPort
+ * @property {chrome.runtime.Port} port - 端口
+ * @property {Set<string>} topics - 已订阅的主题
+ */
+
+/**
+ * 已连接的标签页端口 (service worker 重启后为空，页面会自动重连并重新订阅)
+ * @type {Map<number, TabPort>}
+ */
+const tabPorts = new Map();
+
+/**
+ * 通过端口向标签页推送消息
+ * @param {number} tabId - 标签页ID
+ * @param {Message} message
+ * @returns {boolean} 标签页已连接时返回 true (未订阅该主题的消息直接丢弃，同样返回 true)
+ */
+function postToPort(tabId, message) {
+  const connection = tabPorts.get(tabId);
+  if (!connection) return false;
+  
+  const topic = PORT_TOPICS[message.type];
+  if (topic && !connection.topics.has(topic)) return true;
+  
+  try {
+    connection.port.postMessage(withProtocolVersion(message));
+    return true;
+  } catch (error) {
+    // 端口已断开 (页面正在跳转)
+    tabPorts.delete(tabId);
+    return false;
+  }
+}
+
+/**
+ * 推送主题的当前内容 - 订阅后页面立即得到最新数据，service worker 重启期间错过的推送由此补上
+ * 日志和配置没有快照 (日志由页面自己保存，配置由页面启动时读取)
+ * @param {number} tabId - 标签页ID
+ * @param {string[]} topics - 新订阅的主题
+ */
+async function pushTopicSnapshots(tabId, topics) {
+  if (topics.includes('state') && sessions[tabId]) {
+    postToPort(tabId, { type: 'STATE_UPDATE', payload: { ...sessions[tabId] } });
+  }
+  if (topics.includes('runs')) {
+    postToPort(tabId, { type: 'RUNS_UPDATE', payload: { runs: listActiveRuns() } });
+  }
+  if (topics.includes('jobs')) {
+    postToPort(tabId, { type: 'JOBS_UPDATE', payload: { jobs: await loadScheduledJobs() } });
+  }
+  if (topics.includes('watches')) {
+    postToPort(tabId, { type: 'RESTOCK_WATCHES_UPDATE', payload: { watches: await loadRestockWatches() } });
+    postToPort(tabId, { type: 'PRICE_WATCHES_UPDATE', payload: { watches: await loadPriceWatches() } });
+  }
+}
+
+/**
+ * 处理页面通过端口发来的消息 - 订阅和退订
+ * 端口消息没有响应，校验失败时只记录协议错误
+ * @param {TabPort} connection - 端口
+ * @param {number} tabId - 标签页ID
+ * @param {*} message - 收到的消息
+ */
+async function handlePortMessage(connection, tabId, message) {
+  const invalid = validateMessage(message, PORT_MESSAGE_CATALOGUE);
+  if (invalid) {
+    await logProtocolError(message, invalid, tabId);
+    return;
+  }
+  
+  const knownTopics = new Set(Object.values(PORT_TOPICS));
+  switch (message.type) {
+    case 'SUBSCRIBE': {
+      const topics = message.payload.topics.filter(topic => knownTopics.has(topic) && !connection.topics.has(topic));
+      topics.forEach(topic => connection.topics.add(topic));
+      await pushTopicSnapshots(tabId, topics);
+      break;
+    }
+    case 'UNSUBSCRIBE':
+      message.payload.topics.forEach(topic => connection.topics.delete(topic));
+      break;
+  }
+}
+
+/**
+ * 向所有已连接的 Shopee 标签页推送消息
+ * 未连接的页面 (正在加载或等待重连) 会在订阅时收到快照，不需要补发
+ * @param {Message} message
+ */
+async function broadcastToShopee(message) {
+  for (const tabId of [...tabPorts.keys()]) {
+    postToPort(tabId, message);
+  }
+}
+
+/**
+ * 向指定标签页发送消息 - 优先走端口，未连接时退回 tabs.sendMessage
+ * @param {number} tabId
+ * @param {Message} message
+ */
+async function sendToTab(tabId, message) {
+  if (postToPort(tabId, message)) return;
+  try {
+    await chrome.tabs.sendMessage(tabId, withProtocolVersion(message));
+  } catch (error) {
+    console.error('Failed to send message to tab:', error);
+  }
+}
+
+/**
+ * 向运行会话所在的标签页发送消息 - 日志和状态只发给运行所在的标签页
+ * 页面跳转期间标签页可能暂时没有 content script，忽略发送失败
+ * @param {ExtensionState} state - 运行会话
+ * @param {Message} message
+ */
+async function notifySession(state, message) {
+  if (state.tabId == null) return;
+  if (postToPort(state.tabId, message)) return;
+  try {
+    await chrome.tabs.sendMessage(state.tabId, withProtocolVersion(message));
+  } catch (error) {
+    // 标签页正在加载，忽略错误
+  }
+}
+
+/**
+ * 通知运行所在页面立即中止正在进行的处理 - 停止、暂停或运行结束时发送，
+ * 页面不必在每一步之前查询运行状态 (不属于任何推送主题，总是送达)
+ * @param {ExtensionState} state - 运行会话
+ * @param {string} reason - 中止原因
+ */
+async function abortSessionPage(state, reason) {
+  await notifySession(state, {
+    type: 'RUN_ABORT',
+    payload: { reason, paused: state.isPaused }
+  });
+}
+
+/**
+ * 列出正在运行和已暂停的会话摘要，供其他标签页的面板显示
+ * @returns {Array<{tabId: number|null, sessionId: string, mode: string, keyword: string, paused: boolean}>}
+ */
+function listActiveRuns() {
+  return Object.values(sessions)
+    .filter(session => session.isRunning || session.isPaused)
+    .map(session => ({
+      tabId: session.tabId,
+      sessionId: session.sessionId,
+      mode: session.mode,
+      keyword: session.searchSpec.keyword,
+      paused: session.isPaused
+    }));
+}
+
+/**
+ * 通知所有 Shopee 标签页当前运行中的会话
+ */
+async function broadcastActiveRuns() {
+  await broadcastToShopee({
+    type: 'RUNS_UPDATE',
+    payload: { runs: listActiveRuns() }
+  });
+}
+
+/**
+ * 切换到指定标签页 (其他标签页面板的 "前往" 按钮)
+ * @param {number} tabId - 标签页ID
+ */
+async function focusTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  if (tab?.windowId != null) {
+    await chrome.windows.update(tab.windowId, { focused: true });
+  }
+}
+
+
+/**
+ * 处理 START 消息 - 开始自动化流程
+ * @param {Object} payload
+ * @param {'search'|'list'} [payload.mode] - 运行模式，默认随机搜索
+ * @param {SearchSpec} [payload.searchSpec] - 搜索条件
+ * @param {string} [payload.keyword] - 搜索关键词 (未提供 searchSpec 时使用)
+ * @param {Array<{url: string, productId: string}>} [payload.shoppingList] - 购物清单 (清单模式)
+ * @param {Object[]} [payload.variantRules] - 全局规格规则
+ * @param {Object} [payload.searchFilter] - 搜索结果筛选条件
+ * @param {{strategy: string, seed: number|null}} [payload.selection] - 商品选择策略
+ * @param {number} [payload.maxPages] - 搜索结果最多翻页数
+ * @param {{maxItemPrice: number|null, totalBudget: number|null}} [payload.budget] - 预算限制
+ * @param {number|null} [payload.quantity] - 每次加购数量
+ * @param {{keywords: string[], policy: string, index: number}} [payload.keywordRotation] - 关键词轮换设置
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleStart(payload, senderId) {
+  const previous = sessions[senderId];
+  if (previous?.isRunning || previous?.isPaused) {
+    await finishRunRecord(previous, '开始了新的运行');
+  }
+  
+  const state = createInitialState(senderId);
+  state.sessionId = generateSessionId();
+  state.isRunning = true;
+  state.mode = ['list', 'watch'].includes(payload.mode) ? payload.mode : 'search';
+  state.searchSpec = {
+    ...defaultSearchSpec(),
+    ...(payload.searchSpec || { keyword: payload.keyword || '' })
+  };
+  state.currentProductIndex = 0;
+  state.cartCount = 0;
+  state.shoppingList = (payload.shoppingList || []).map(item => ({
+    url: item.url,
+    productId: item.productId,
+    variantRules: item.variantRules || [],
+    quantity: item.quantity || null,
+    status: 'pending',
+    cartCount: 0,
+    error: null,
+    unmatchedRules: []
+  }));
+  state.listIndex = 0;
+  state.variantRules = payload.variantRules || [];
+  state.searchFilter = payload.searchFilter || {};
+  state.selection = payload.selection || { strategy: 'random', seed: null };
+  state.selectionStep = 0;
+  state.maxPages = Math.max(1, parseInt(payload.maxPages, 10) || config.maxSearchPages);
+  state.budget = {
+    maxItemPrice: payload.budget?.maxItemPrice ?? null,
+    totalBudget: payload.budget?.totalBudget ?? null,
+    spent: 0
+  };
+  state.quantity = parseInt(payload.quantity, 10) || null;
+  state.keywordRotation = {
+    keywords: payload.keywordRotation?.keywords || [state.searchSpec.keyword].filter(Boolean),
+    policy: payload.keywordRotation?.policy || 'fixed',
+    index: payload.keywordRotation?.index || 0,
+    changedAt: Date.now()
+  };
+  state.watch = state.mode === 'watch' ? {
+    url: payload.watch.url,
+    productId: payload.watch.productId,
+    stopAt: payload.watch.stopAt
+  } : null;
+  state.processedRegistry = {
+    scope: ['keyword', 'region', 'global'].includes(payload.processedRegistry?.scope) ? payload.processedRegistry.scope : 'run',
+    expiryDays: Math.max(1, parseInt(payload.processedRegistry?.expiryDays, 10) || DEFAULT_PROCESSED_EXPIRY_DAYS)
+  };
+  state.region = payload.region || '';
+  state.workflow = initialWorkflow(state);
+  sessions[senderId] = state;
+  await startRunRecord(state);
+  
+  // 通知运行所在标签页状态更新，并告知其他标签页有运行中的任务
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await broadcastActiveRuns();
+  
+  // 记录日志
+  await notifySession(state, {
+    type: 'LOG',
+    payload: {
+      message: state.mode === 'list'
+        ? `开始自动化流程，购物清单共 ${state.shoppingList.length} 个商品`
+        : state.mode === 'watch'
+        ? `开始抢购监视，商品: ${state.watch.productId}，截止时间: ${new Date(state.watch.stopAt).toLocaleString('zh-CN')}`
+        : `开始自动化流程，关键词: ${state.searchSpec.keyword}，选择策略: ${state.selection.strategy}${state.selection.seed != null ? `，种子: ${state.selection.seed}` : ''}`,
+      logType: 'info'
+    }
+  });
+}
+
+/**
+ * 处理 LIST_ITEM_DONE 消息 - 记录清单商品结果并前往下一个商品
+ * 清单处理完毕时结束运行，而不是返回搜索页
+ * @param {Object} payload
+ * @param {string|null} payload.productId - 实际处理的商品ID
+ * @param {number} payload.cartCount - 添加到购物车的数量
+ * @param {'done'|'skipped'|'failed'} payload.status - 处理结果
+ * @param {string} [payload.error] - 失败原因
+ * @param {string[]} [payload.unmatchedRules] - 未匹配的规格规则
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleListItemDone(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning || state.mode !== 'list') return;
+  
+  const item = state.shoppingList[state.listIndex];
+  if (item) {
+    item.cartCount = payload.cartCount || 0;
+    // 没有加入任何商品时不算成功，即使页面报告为 done
+    if (payload.status === 'failed') {
+      item.status = 'failed';
+    } else {
+      item.status = item.cartCount > 0 ? 'done' : 'skipped';
+    }
+    item.error = payload.error || null;
+    item.unmatchedRules = payload.unmatchedRules || [];
+    if (payload.productId && payload.productId !== item.productId) {
+      item.error = item.error || `页面商品 ${payload.productId} 与清单不一致`;
+    }
+  }
+  
+  advanceWorkflow(state, WorkflowStep.RETURNING);
+  state.listIndex++;
+  const next = state.shoppingList[state.listIndex];
+  
+  if (!next) {
+    await finishShoppingList(state);
+    return;
+  }
+  
+  advanceWorkflow(state, WorkflowStep.OPENING_PRODUCT, next);
+  await saveState();
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await handleNavigate({ url: next.url }, senderId);
+}
+
+/**
+ * 购物清单全部处理完毕 - 停止运行并输出汇总
+ * @param {ExtensionState} state - 运行会话
+ */
+async function finishShoppingList(state) {
+  state.isRunning = false;
+  await saveState();
+  await abortSessionPage(state, '购物清单处理完毕');
+  await finishRunRecord(state, '购物清单处理完毕');
+  await broadcastActiveRuns();
+  
+  const doneItems = state.shoppingList.filter(item => item.status === 'done');
+  const skippedItems = state.shoppingList.filter(item => item.status === 'skipped');
+  const failedItems = state.shoppingList.filter(item => item.status === 'failed');
+  const totalCarts = state.shoppingList.reduce((sum, item) => sum + item.cartCount, 0);
+  
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  
+  for (const item of failedItems) {
+    await notifySession(state, {
+      type: 'LOG',
+      payload: {
+        message: `清单商品 ${item.productId} 失败: ${item.error || '未知原因'}`,
+        logType: 'warning'
+      }
+    });
+  }
+  
+  for (const item of skippedItems) {
+    await notifySession(state, {
+      type: 'LOG',
+      payload: {
+        message: `清单商品 ${item.productId} 已跳过: ${item.error || '没有加入任何商品'}`,
+        logType: 'warning'
+      }
+    });
+  }
+  
+  for (const item of state.shoppingList.filter(item => item.unmatchedRules.length > 0)) {
+    await notifySession(state, {
+      type: 'LOG',
+      payload: {
+        message: `清单商品 ${item.productId} 未匹配的规格规则: ${item.unmatchedRules.join('; ')}`,
+        logType: 'warning'
+      }
+    });
+  }
+  
+  await notifySession(state, {
+    type: 'LOG',
+    payload: {
+      message: `购物清单处理完毕: 成功 ${doneItems.length} 个，跳过 ${skippedItems.length} 个，失败 ${failedItems.length} 个，共添加 ${totalCarts} 个到购物车`,
+      logType: 'success'
+    }
+  });
+}
+
+/**
+ * 处理 NEXT_SEARCH_PAGE 消息 - 当前搜索结果页处理完后翻到下一页
+ * 页码保存在后台状态中，进入商品页再返回时仍停留在同一页
+ * @param {number} senderId - 发送者标签页ID
+ * @returns {Promise<{hasNext: boolean, searchSpec: SearchSpec, maxPages: number}>}
+ */
+async function handleNextSearchPage(senderId) {
+  const state = getSession(senderId);
+  const nextPage = state.searchSpec.page + 1;
+  
+  if (!state.isRunning || nextPage >= state.maxPages) {
+    return { hasNext: false, searchSpec: { ...state.searchSpec }, maxPages: state.maxPages };
+  }
+  
+  state.searchSpec = { ...state.searchSpec, page: nextPage };
+  advanceWorkflow(state, WorkflowStep.SEARCHING);
+  await saveState();
+  
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  
+  return { hasNext: true, searchSpec: { ...state.searchSpec }, maxPages: state.maxPages };
+}
+
+/**
+ * 处理 RECORD_SPEND 消息 - 累计成功加入购物车的金额，达到总预算时结束运行
+ * @param {Object} payload
+ * @param {number} payload.amount - 本次加入购物车的金额
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleRecordSpend(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning) return;
+  
+  state.budget.spent += payload.amount || 0;
+  await saveState();
+  
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  
+  const { spent, totalBudget } = state.budget;
+  if (totalBudget != null && spent >= totalBudget) {
+    await notifySession(state, {
+      type: 'LOG',
+      payload: {
+        message: `预算已用完 (已花费 ${spent} / 预算 ${totalBudget})，结束运行`,
+        logType: 'success'
+      }
+    });
+    await handleStop(senderId, '预算已用完');
+  }
+}
+
+/**
+ * 处理 WATCH_DONE 消息 - 抢购监视结束，停止运行并发送系统通知
+ * @param {Object} payload
+ * @param {'success'|'failed'|'timeout'} payload.status - 监视结果
+ * @param {string} payload.message - 结果说明
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleWatchDone(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning || state.mode !== 'watch') return;
+  
+  const titles = {
+    success: '抢购成功',
+    failed: '抢购失败',
+    timeout: '抢购监视已超时'
+  };
+  
+  state.isRunning = false;
+  await saveState();
+  await abortSessionPage(state, titles[payload.status] || '抢购监视结束');
+  await finishRunRecord(state, titles[payload.status] || '抢购监视结束');
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await broadcastActiveRuns();
+
+  await notifySession(state, {
+    type: 'LOG',
+    payload: {
+      message: `[抢购] ${titles[payload.status] || '抢购监视结束'}: ${payload.message}`,
+      logType: payload.status === 'success' ? 'success' : 'warning'
+    }
+  });
+  await showNotification(titles[payload.status] || '抢购监视结束', `${payload.message} (${state.watch?.productId || '-'})`);
+}
+
+/**
+ * 处理 STOP 消息 - 停止自动化流程
+ * Requirements: 4.4 - 用户点击停止时立即停止所有操作并保持当前状态
+ * @param {number|string} senderId - 发送者标签页ID (或脱离标签页的暂停会话键)
+ * @param {string} [reason='已停止'] - 停止原因 (记入运行记录)
+ */
+async function handleStop(senderId, reason = '已停止') {
+  const state = sessions[senderId];
+  if (!state) return;
+  
+  state.isRunning = false;
+  state.isPaused = false;
+  state.checkpoint = null;
+  state.workflow = null;
+  if (state.tabId == null) {
+    // 脱离标签页的暂停会话没有页面可以显示，停止后直接删除
+    delete sessions[senderId];
+  }
+  await saveState();
+  await abortSessionPage(state, reason);
+  await finishRunRecord(state, reason);
+  
+  // 通知状态更新
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await broadcastActiveRuns();
+  
+  // 记录日志
+  await notifySession(state, {
+    type: 'LOG',
+    payload: {
+      message: '自动化流程已停止',
+      logType: 'warning'
+    }
+  });
+}
+
+/**
+ * 处理 PAUSE 消息 - 暂停运行并记录断点
+ * 规格遍历位置由 content script 在每个组合开始前写入断点，这里补上暂停时所在页面；
+ * 页面收到 RUN_ABORT 后立即中止，继续时从未完成的组合重新开始；
+ * 关键词/清单位置和页码本来就在运行状态中，暂停后原样保留
+ * @param {Object} payload
+ * @param {string} payload.url - 暂停时所在页面
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handlePause(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning) return;
+  
+  // 断点只在仍停留在同一页面时有效，否则从暂停页面重新开始该步骤
+  const previous = state.checkpoint?.url === payload.url ? state.checkpoint : null;
+  state.isRunning = false;
+  state.isPaused = true;
+  state.checkpoint = {
+    url: payload.url,
+    productId: previous?.productId ?? null,
+    variantIndices: previous?.variantIndices ?? null,
+    cartCount: previous?.cartCount ?? 0,
+    completed: previous?.completed ?? false,
+    pausedAt: Date.now()
+  };
+  await saveState();
+  await abortSessionPage(state, '已暂停');
+  
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await broadcastActiveRuns();
+  
+  await notifySession(state, {
+    type: 'LOG',
+    payload: {
+      message: '已暂停，停在断点处',
+      logType: 'warning'
+    }
+  });
+}
+
+/**
+ * 处理 RESUME 消息 - 从断点继续已暂停的运行
+ * 脱离标签页 (或在其他标签页暂停) 的会话会转移到发送者标签页，然后跳转回断点页面
+ * @param {Object} [payload]
+ * @param {string} [payload.sessionId] - 要继续的会话ID (未提供时继续发送者标签页的会话)
+ * @param {number} senderId - 发送者标签页ID
+ * @returns {Promise<boolean>} 是否已继续
+ */
+async function handleResume(payload, senderId) {
+  const key = payload?.sessionId ? findSessionKey(payload.sessionId) : senderId;
+  const state = key != null ? sessions[key] : null;
+  if (!state?.isPaused) return false;
+  
+  if (String(key) !== String(senderId)) {
+    if (sessions[senderId]?.isRunning || sessions[senderId]?.isPaused) return false;
+    delete sessions[key];
+    sessions[senderId] = state;
+    state.tabId = senderId;
+  }
+  
+  state.isPaused = false;
+  state.isRunning = true;
+  if (state.checkpoint) {
+    state.checkpoint = { ...state.checkpoint, resumed: true };
+  }
+  await saveState();
+  
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+  await broadcastActiveRuns();
+  await notifySession(state, {
+    type: 'LOG',
+    payload: { message: '从断点继续运行', logType: 'info' }
+  });
+  
+  try {
+    await chrome.tabs.update(senderId, { url: state.checkpoint?.url || state.watch?.url });
+  } catch (error) {
+    console.error('Resume navigation failed:', error);
+  }
+  return true;
+}
+
+/**
+ * 处理 NAVIGATE 消息 - 页面跳转
+ * @param {Object} payload
+ * @param {string} payload.url - 目标URL
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleNavigate(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state?.isRunning) return;
+  
+  try {
+    await chrome.tabs.update(senderId, { url: payload.url });
+  } catch (error) {
+    console.error('Navigation failed:', error);
+    await notifySession(state, {
+      type: 'LOG',
+      payload: {
+        message: `导航失败: ${error.message}`,
+        logType: 'error'
+      }
+    });
+  }
+}
+
+/**
+ * 处理 LOG 消息 - 转发日志到 UI
+ * Requirements: 6.1 - 任何操作执行时都要添加带时间戳的日志
+ * @param {Object} payload
+ * @param {string} payload.message - 日志消息
+ * @param {string} payload.logType - 日志类型
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleLog(payload, senderId) {
+  // 日志只转发回产生日志的标签页的 UI
+  await notifySession(getSession(senderId), {
+    type: 'LOG',
+    payload: {
+      message: payload.message,
+      logType: payload.logType || 'info',
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * 处理 STATE_UPDATE 消息 - 更新发送者标签页的运行进度
+ * 只接受消息目录中列出的字段，其他字段 (流程步骤、运行状态、预算等) 丢弃
+ * @param {Partial<ExtensionState>} payload
+ * @param {number} senderId - 发送者标签页ID
+ */
+async function handleStateUpdate(payload, senderId) {
+  const state = sessions[senderId];
+  if (!state) return;
+  
+  for (const field of Object.keys(MESSAGE_CATALOGUE.STATE_UPDATE.payload)) {
+    if (payload[field] !== undefined) {
+      state[field] = payload[field];
+    }
+  }
+  await saveState();
+  
+  // 通知状态更新
+  await notifySession(state, {
+    type: 'STATE_UPDATE',
+    payload: { ...state }
+  });
+}
+
+// ============================================
+// 系统通知
+// ============================================
+
+/**
+ * 显示系统通知 - 运行结果需要在用户离开页面时也能看到
+ * @param {string} title - 标题
+ * @param {string} message - 内容
+ */
+async function showNotification(title, message) {
+  try {
+    await chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon128.png',
+      title,
+      message
+    });
+  } catch (error) {
+    console.error('Failed to show notification:', error);
+  }
+}
+
+// ============================================
+// 定时任务
+// ============================================
+
+/** 定时任务闹钟名称前缀 */
+const SCHEDULE_ALARM_PREFIX = 'scheduled-job:';
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {string} id - 任务ID
+ * @property {number} runAt - 开始时间戳
+ * @property {string} label - 显示名称 (关键词或购物清单)
+ * @property {string} url - 开始运行时打开的页面 (搜索页或清单第一个商品)
+ * @property {Object} startPayload - 传给 handleStart 的运行参数
+ * @property {number} createdAt - 创建时间
+ */
+
+/**
+ * 读取所有定时任务
+ * @returns {Promise<ScheduledJob[]>}
+ */
+async function loadScheduledJobs() {
+  try {
+    const result = await chrome.storage.local.get(['scheduledJobs']);
+    return result.scheduledJobs || [];
+  } catch (error) {
+    console.error('Failed to load scheduled jobs:', error);
+    return [];
+  }
+}
+
+/**
+ * 保存定时任务并通知所有面板刷新列表
+ * @param {ScheduledJob[]} jobs
+ */
+async function saveScheduledJobs(jobs) {
+  await chrome.storage.local.set({ scheduledJobs: jobs });
+  await broadcastToShopee({
+    type: 'JOBS_UPDATE',
+    payload: { jobs }
+  });
+}
+
+/** 定时任务修改队列 */
+const withScheduledJobs = createSerialQueue();
+
+/**
+ * 处理 SCHEDULE_JOB 消息 - 新建或修改定时任务，并设置对应的闹钟
+ * @param {Object} payload
+ * @param {string|null} [payload.id] - 修改时的任务ID
+ * @param {number} payload.runAt - 开始时间戳
+ * @param {string} payload.label - 显示名称
+ * @param {string} payload.url - 开始页面
+ * @param {Object} payload.startPayload - 运行参数
+ * @returns {Promise<ScheduledJob>}
+ */
+async function handleScheduleJob(payload) {
+  if (!payload.url || !payload.startPayload) {
+    throw new Error('定时任务缺少运行参数');
+  }
+  if (!Number.isFinite(payload.runAt) || payload.runAt <= Date.now()) {
+    throw new Error('定时任务时间必须晚于当前时间');
+  }
+  // 运行参数到点后才交给 handleStart，保存前先按 START 校验
+  const invalid = validateMessage({ type: 'START', payload: payload.startPayload });
+  if (invalid) {
+    throw new Error(`定时任务的运行参数不正确: ${(invalid.details || [invalid.message]).join('; ')}`);
+  }
+  
+  return withScheduledJobs(async () => {
+    const jobs = await loadScheduledJobs();
+    const existing = jobs.find(job => job.id === payload.id);
+    const job = {
+      id: existing?.id || generateSessionId(),
+      runAt: payload.runAt,
+      label: payload.label || '',
+      url: payload.url,
+      startPayload: payload.startPayload,
+      createdAt: existing?.createdAt || Date.now()
+    };
+    
+    const updated = [...jobs.filter(item => item.id !== job.id), job].sort((a, b) => a.runAt - b.runAt);
+    await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + job.id, { when: job.runAt });
+    await saveScheduledJobs(updated);
+    return job;
+  });
+}
+
+/**
+ * 处理 CANCEL_JOB 消息 - 删除定时任务和对应的闹钟
+ * @param {Object} payload
+ * @param {string} payload.id - 任务ID
  */
+async function handleCancelJob(payload) {
+  await withScheduledJobs(async () => {
+    const jobs = await loadScheduledJobs();
+    await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + payload.id);
+    await saveScheduledJobs(jobs.filter(job => job.id !== payload.id));
+  });
+}
 
-/** @type {ExtensionState} */
-let state = {
-  isRunning: false,
-  keyword: '',
-  currentProductIndex: 0,
-  processedProducts: [],
-  cartCount: 0
-};
+/**
+ * 执行定时任务 - 复用同站点没有运行任务的标签页，没有则新开标签页
+ * 在队列中选定标签页并建立运行会话，同时到点的任务不会选中同一个标签页
+ * 会话建立后才删除任务，页面加载后 content script 直接接手运行；启动失败时通知用户
+ * @param {string} jobId - 任务ID
+ */
+async function runScheduledJob(jobId) {
+  await withScheduledJobs(async () => {
+    const jobs = await loadScheduledJobs();
+    const job = jobs.find(item => item.id === jobId);
+    if (!job) return;
+    
+    try {
+      const origin = new URL(job.url).origin;
+      const tabs = await chrome.tabs.query({ url: `${origin}/*` });
+      const idleTab = tabs.find(tab => !sessions[tab.id]?.isRunning && !sessions[tab.id]?.isPaused);
+      const tab = idleTab || await chrome.tabs.create({ url: 'about:blank', active: true });
+      
+      await handleStart(job.startPayload, tab.id);
+      await saveScheduledJobs(jobs.filter(item => item.id !== jobId));
+      await chrome.tabs.update(tab.id, { url: job.url, active: true });
+      console.log(`Scheduled job ${job.id} started in tab ${tab.id}`);
+    } catch (error) {
+      console.error('Failed to run scheduled job:', error);
+      await saveScheduledJobs(jobs.filter(item => item.id !== jobId));
+      await showNotification('定时任务启动失败', `${job.label || job.url}: ${error.message}`);
+    }
+  });
+}
 
-/** @type {ExtensionConfig} */
-const defaultConfig = {
-  maxCartsPerProduct: 10,
-  retryAttempts: 3,
-  retryDelay: 2000,
-  maxLogEntries: 100,
-  uiPosition: { x: 20, y: 20 }
-};
+/**
+ * 确保每个定时任务都有对应的闹钟 (闹钟丢失时重新设置，已过期的立即执行)
+ */
+async function syncScheduleAlarms() {
+  await withScheduledJobs(async () => {
+    const jobs = await loadScheduledJobs();
+    for (const job of jobs) {
+      const alarm = await chrome.alarms.get(SCHEDULE_ALARM_PREFIX + job.id);
+      if (!alarm) {
+        await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + job.id, { when: Math.max(job.runAt, Date.now() + 1000) });
+      }
+    }
+  });
+}
 
-let config = { ...defaultConfig };
+/**
+ * 闹钟触发时唤醒 service worker 执行定时任务
+ * 等待启动时的初始化 (worker 被闹钟唤醒时会话还没加载)，worker 仍在运行时不重新加载，以免替换运行中的会话对象
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  await backgroundReady;
+  await runScheduledJob(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+});
 
 // ============================================
-// 2.2 状态持久化
+// 到货提醒
 // ============================================
 
+/** 到货检查闹钟名称前缀 */
+const RESTOCK_ALARM_PREFIX = 'restock-watch:';
+
+/** 默认到货检查间隔 (分钟) */
+const DEFAULT_RESTOCK_INTERVAL_MINUTES = 10;
+
 /**
- * 保存状态到 chrome.storage.local
+ * @typedef {Object} RestockWatch
+ * @property {string} id - 提醒ID
+ * @property {string} url - 商品链接
+ * @property {string} productId - 商品ID (shopId_itemId)
+ * @property {Object[]} variantRules - 要等待的规格 (规格规则，为空表示任意规格)
+ * @property {string} variantLabel - 规格显示名称
+ * @property {number} intervalMinutes - 检查间隔 (分钟)
+ * @property {boolean} autoAddToCart - 到货后是否自动加入购物车
+ * @property {number} quantity - 自动加入购物车的数量
+ * @property {'watching'|'available'|'added'} status - 提醒状态
+ * @property {number|null} checkTabId - 正在检查的后台标签页ID
+ * @property {number|null} lastCheckedAt - 上次检查时间
+ * @property {string|null} lastError - 上次检查的错误
+ * @property {number} createdAt - 创建时间
  */
-async function saveState() {
+
+/**
+ * 读取所有到货提醒
+ * @returns {Promise<RestockWatch[]>}
+ */
+async function loadRestockWatches() {
   try {
-    await chrome.storage.local.set({ extensionState: state });
+    const result = await chrome.storage.local.get(['restockWatches']);
+    return result.restockWatches || [];
   } catch (error) {
-    console.error('Failed to save state:', error);
+    console.error('Failed to load restock watches:', error);
+    return [];
   }
 }
 
+/**
+ * 保存到货提醒并通知所有面板刷新列表
+ * @param {RestockWatch[]} watches
+ */
+async function saveRestockWatches(watches) {
+  await chrome.storage.local.set({ restockWatches: watches });
+  await broadcastToShopee({
+    type: 'RESTOCK_WATCHES_UPDATE',
+    payload: { watches }
+  });
+}
+
+/** 到货提醒修改队列 */
+const withRestockWatches = createSerialQueue();
 
 /**
- * 从 chrome.storage.local 加载状态
+ * 处理 ADD_RESTOCK_WATCH 消息 - 新建到货提醒并设置周期检查闹钟
+ * @param {Object} payload
+ * @param {string} payload.url - 商品链接
+ * @param {string} payload.productId - 商品ID
+ * @param {Object[]} [payload.variantRules] - 要等待的规格
+ * @param {string} [payload.variantLabel] - 规格显示名称
+ * @param {number} [payload.intervalMinutes] - 检查间隔 (分钟)
+ * @param {boolean} [payload.autoAddToCart] - 到货后是否自动加入购物车
+ * @param {number|null} [payload.quantity] - 自动加入购物车的数量 (未设置时 1 件)
+ * @returns {Promise<RestockWatch>}
  */
-async function loadState() {
-  try {
-    const result = await chrome.storage.local.get(['extensionState']);
-    if (result.extensionState) {
-      state = { ...state, ...result.extensionState };
-    }
-  } catch (error) {
-    console.error('Failed to load state:', error);
+async function handleAddRestockWatch(payload) {
+  if (!payload.url || !payload.productId) {
+    throw new Error('到货提醒缺少商品链接');
   }
+  
+  const watch = {
+    id: generateSessionId(),
+    url: payload.url,
+    productId: payload.productId,
+    variantRules: payload.variantRules || [],
+    variantLabel: payload.variantLabel || '',
+    intervalMinutes: Math.max(1, parseInt(payload.intervalMinutes, 10) || DEFAULT_RESTOCK_INTERVAL_MINUTES),
+    autoAddToCart: !!payload.autoAddToCart,
+    quantity: Math.max(1, parseInt(payload.quantity, 10) || 1),
+    status: 'watching',
+    checkTabId: null,
+    lastCheckedAt: null,
+    lastError: null,
+    createdAt: Date.now()
+  };
+  
+  await chrome.alarms.create(RESTOCK_ALARM_PREFIX + watch.id, {
+    delayInMinutes: watch.intervalMinutes,
+    periodInMinutes: watch.intervalMinutes
+  });
+  await withRestockWatches(async () => {
+    const watches = await loadRestockWatches();
+    await saveRestockWatches([...watches, watch]);
+  });
+  return watch;
 }
 
 /**
- * 保存配置到 chrome.storage.local
+ * 处理 REMOVE_RESTOCK_WATCH 消息 - 删除到货提醒、闹钟和正在检查的标签页
+ * @param {Object} payload
+ * @param {string} payload.id - 提醒ID
  */
-async function saveConfig() {
-  try {
-    await chrome.storage.local.set({ extensionConfig: config });
-  } catch (error) {
-    console.error('Failed to save config:', error);
-  }
+async function handleRemoveRestockWatch(payload) {
+  await withRestockWatches(async () => {
+    const watches = await loadRestockWatches();
+    const watch = watches.find(item => item.id === payload.id);
+    await chrome.alarms.clear(RESTOCK_ALARM_PREFIX + payload.id);
+    if (watch?.checkTabId != null) {
+      await closeTab(watch.checkTabId);
+    }
+    await saveRestockWatches(watches.filter(item => item.id !== payload.id));
+  });
 }
 
 /**
- * 从 chrome.storage.local 加载配置
+ * 关闭标签页，标签页已不存在时忽略
+ * @param {number} tabId - 标签页ID
  */
-async function loadConfig() {
+async function closeTab(tabId) {
   try {
-    const result = await chrome.storage.local.get(['extensionConfig']);
-    if (result.extensionConfig) {
-      config = { ...defaultConfig, ...result.extensionConfig };
-    }
+    await chrome.tabs.remove(tabId);
   } catch (error) {
-    console.error('Failed to load config:', error);
+    // 标签页已被关闭
   }
 }
 
 /**
- * 保存 UI 位置
- * @param {{x: number, y: number}} position
+ * 执行一次到货检查 - 在后台标签页中打开商品页，由 content script 检查规格库存后上报结果
+ * 上一次检查的标签页还没有上报 (页面卡住等) 时先关闭它
+ * @param {string} watchId - 提醒ID
  */
-async function saveUIPosition(position) {
-  config.uiPosition = position;
-  await saveConfig();
+async function runRestockCheck(watchId) {
+  await withRestockWatches(async () => {
+    const watches = await loadRestockWatches();
+    const watch = watches.find(item => item.id === watchId);
+    if (!watch || watch.status !== 'watching') {
+      await chrome.alarms.clear(RESTOCK_ALARM_PREFIX + watchId);
+      return;
+    }
+    
+    if (watch.checkTabId != null) {
+      await closeTab(watch.checkTabId);
+    }
+    
+    try {
+      const tab = await chrome.tabs.create({ url: watch.url, active: false });
+      watch.checkTabId = tab.id;
+    } catch (error) {
+      console.error('Failed to open restock check tab:', error);
+      watch.checkTabId = null;
+      watch.lastError = error.message;
+    }
+    await saveRestockWatches(watches);
+  });
 }
 
 /**
- * 获取 UI 位置
- * @returns {{x: number, y: number}}
+ * 处理 GET_RESTOCK_CHECK 消息 - 查询发送者标签页是否是到货检查标签页
+ * @param {number} senderId - 发送者标签页ID
+ * @returns {Promise<RestockWatch|null>}
  */
-function getUIPosition() {
-  return config.uiPosition;
+async function getRestockCheck(senderId) {
+  const watches = await loadRestockWatches();
+  return watches.find(item => item.checkTabId === senderId) || null;
 }
 
 /**
- * 添加已处理商品
- * @param {string} productId
+ * 处理 RESTOCK_RESULT 消息 - 记录检查结果并关闭检查标签页
+ * 到货时发送系统通知并停止周期检查，未到货时等待下一次闹钟
+ * 提醒已删除或已换了检查标签页时只关闭发送结果的标签页
+ * @param {Object} payload
+ * @param {boolean} payload.available - 规格是否有货
+ * @param {boolean} [payload.added] - 是否已自动加入购物车
+ * @param {string} [payload.variantName] - 检查时选中的规格名称
+ * @param {string} [payload.error] - 检查失败的原因
+ * @param {number} senderId - 发送者标签页ID
  */
-async function addProcessedProduct(productId) {
-  if (!state.processedProducts.includes(productId)) {
-    state.processedProducts.push(productId);
-    await saveState();
-  }
+async function handleRestockResult(payload, senderId) {
+  await withRestockWatches(async () => {
+    const watches = await loadRestockWatches();
+    const watch = watches.find(item => item.checkTabId === senderId);
+    if (!watch) return;
+    
+    watch.checkTabId = null;
+    watch.lastCheckedAt = Date.now();
+    watch.lastError = payload.error || null;
+    
+    if (payload.available) {
+      watch.status = payload.added ? 'added' : 'available';
+      await chrome.alarms.clear(RESTOCK_ALARM_PREFIX + watch.id);
+      const target = payload.variantName || watch.variantLabel || watch.productId;
+      await showNotification(
+        payload.added ? '已到货并加入购物车' : '商品已到货',
+        `${target}\n${watch.url}`
+      );
+    }
+    
+    await saveRestockWatches(watches);
+  });
+  await closeTab(senderId);
 }
 
 /**
- * 检查商品是否已处理
- * @param {string} productId
- * @returns {boolean}
+ * 检查标签页被关闭时清除记录，下一次闹钟重新打开
+ * @param {number} tabId - 标签页ID
  */
-function isProductProcessed(productId) {
-  return state.processedProducts.includes(productId);
+async function clearRestockCheckTab(tabId) {
+  await withRestockWatches(async () => {
+    const watches = await loadRestockWatches();
+    const watch = watches.find(item => item.checkTabId === tabId);
+    if (!watch) return;
+    watch.checkTabId = null;
+    await saveRestockWatches(watches);
+  });
 }
 
 /**
- * 清除已处理商品列表
+ * 为仍在等待的到货提醒补建闹钟 (浏览器重启后闹钟可能丢失)
  */
-async function clearProcessedProducts() {
-  state.processedProducts = [];
-  await saveState();
+async function syncRestockAlarms() {
+  const watches = await loadRestockWatches();
+  for (const watch of watches) {
+    if (watch.status !== 'watching') continue;
+    const alarm = await chrome.alarms.get(RESTOCK_ALARM_PREFIX + watch.id);
+    if (!alarm) {
+      await chrome.alarms.create(RESTOCK_ALARM_PREFIX + watch.id, {
+        delayInMinutes: watch.intervalMinutes,
+        periodInMinutes: watch.intervalMinutes
+      });
+    }
+  }
 }
 
+/**
+ * 到货检查闹钟触发时打开商品页检查
+ * 先等待启动时的初始化，以免和闹钟同步、配置加载同时进行
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(RESTOCK_ALARM_PREFIX)) return;
+  await backgroundReady;
+  await runRestockCheck(alarm.name.slice(RESTOCK_ALARM_PREFIX.length));
+});
+
 // ============================================
-// 2.3 页面间通信协调
+// 降价提醒
 // ============================================
 
+/** 降价检查闹钟名称 */
+const PRICE_WATCH_ALARM = 'price-watch';
+
+/** 降价检查间隔 (分钟) */
+const PRICE_CHECK_INTERVAL_MINUTES = 60;
+
+/** 检查标签页最长等待时间 (毫秒) - 超过时认为页面卡住，关闭后重新检查 */
+const PRICE_CHECK_TAB_TIMEOUT = 5 * 60 * 1000;
+
+/** 每个商品最多保留的价格记录数 */
+const MAX_PRICE_HISTORY_POINTS = 200;
+
 /**
- * @typedef {Object} Message
- * @property {'START'|'STOP'|'LOG'|'STATE_UPDATE'|'NAVIGATE'|'GET_STATE'|'GET_CONFIG'|'SAVE_UI_POSITION'|'ADD_PROCESSED'|'IS_PROCESSED'|'CLEAR_PROCESSED'} type
- * @property {*} payload
+ * @typedef {Object} PriceWatch
+ * @property {string} id - 关注ID
+ * @property {string} url - 商品链接
+ * @property {string} productId - 商品ID (shopId_itemId)
+ * @property {string} title - 商品名称
+ * @property {number} targetPrice - 目标价格，最低规格价格不高于此价格时通知
+ * @property {number|null} lastPrice - 上次检查时的最低规格价格
+ * @property {number|null} lowestPrice - 记录到的最低价格
+ * @property {number|null} lastCheckedAt - 上次检查时间
+ * @property {string|null} lastError - 上次检查的错误
+ * @property {boolean} due - 本轮是否还需要检查
+ * @property {number|null} checkTabId - 正在检查的后台标签页ID
+ * @property {number|null} checkStartedAt - 打开检查标签页的时间
+ * @property {number} createdAt - 创建时间
  */
 
 /**
- * 向所有 Shopee 标签页发送消息
- * @param {Message} message
+ * @typedef {Object} PricePoint
+ * @property {number} at - 检查时间
+ * @property {Object<string, number>} prices - 各规格价格 (规格名称 -> 价格)
+ * @property {number} min - 最低规格价格
  */
-async function broadcastToShopee(message) {
+
+/**
+ * 读取降价关注列表
+ * @returns {Promise<PriceWatch[]>}
+ */
+async function loadPriceWatches() {
   try {
-    const tabs = await chrome.tabs.query({ url: '*://*.shopee.*/*' });
-    for (const tab of tabs) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, message);
-      } catch (error) {
-        // 标签页可能没有 content script，忽略错误
-      }
-    }
+    const result = await chrome.storage.local.get(['priceWatches']);
+    return result.priceWatches || [];
   } catch (error) {
-    console.error('Failed to broadcast message:', error);
+    console.error('Failed to load price watches:', error);
+    return [];
   }
 }
 
 /**
- * 向指定标签页发送消息
- * @param {number} tabId
- * @param {Message} message
+ * 保存降价关注列表并通知所有面板刷新
+ * @param {PriceWatch[]} watches
  */
-async function sendToTab(tabId, message) {
+async function savePriceWatches(watches) {
+  await chrome.storage.local.set({ priceWatches: watches });
+  await broadcastToShopee({
+    type: 'PRICE_WATCHES_UPDATE',
+    payload: { watches }
+  });
+}
+
+/** 降价关注和价格记录修改队列 */
+const withPriceWatches = createSerialQueue();
+
+/**
+ * 追加一条价格记录，超过上限时丢弃最早的记录
+ * 只在 withPriceWatches 队列中调用，与关注列表的修改一起排队
+ * @param {string} productId - 商品ID
+ * @param {PricePoint} point - 价格记录
+ */
+async function appendPriceHistory(productId, point) {
   try {
-    await chrome.tabs.sendMessage(tabId, message);
+    const result = await chrome.storage.local.get(['priceHistory']);
+    const history = result.priceHistory || {};
+    history[productId] = [...(history[productId] || []), point].slice(-MAX_PRICE_HISTORY_POINTS);
+    await chrome.storage.local.set({ priceHistory: history });
   } catch (error) {
-    console.error('Failed to send message to tab:', error);
+    console.error('Failed to save price history:', error);
   }
 }
 
+/**
+ * 读取商品的价格记录
+ * @param {string} productId - 商品ID
+ * @returns {Promise<PricePoint[]>}
+ */
+async function getPriceHistory(productId) {
+  try {
+    const result = await chrome.storage.local.get(['priceHistory']);
+    return result.priceHistory?.[productId] || [];
+  } catch (error) {
+    console.error('Failed to load price history:', error);
+    return [];
+  }
+}
 
 /**
- * 处理 START 消息 - 开始自动化流程
+ * 处理 ADD_PRICE_WATCH 消息 - 关注商品价格，同一商品再次添加时更新目标价格
  * @param {Object} payload
- * @param {string} payload.keyword - 搜索关键词
- * @param {number} senderId - 发送者标签页ID
+ * @param {string} payload.url - 商品链接
+ * @param {string} payload.productId - 商品ID
+ * @param {string} [payload.title] - 商品名称
+ * @param {number} payload.targetPrice - 目标价格
+ * @returns {Promise<PriceWatch>}
  */
-async function handleStart(payload, senderId) {
-  state.isRunning = true;
-  state.keyword = payload.keyword || '';
-  state.currentProductIndex = 0;
-  state.cartCount = 0;
-  await clearProcessedProducts();
-  await saveState();
+async function handleAddPriceWatch(payload) {
+  if (!payload.url || !payload.productId) {
+    throw new Error('降价提醒缺少商品链接');
+  }
+  if (!(payload.targetPrice > 0)) {
+    throw new Error('目标价格必须大于 0');
+  }
   
-  // 广播状态更新
-  await broadcastToShopee({
-    type: 'STATE_UPDATE',
-    payload: { ...state }
+  return withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    const existing = watches.find(item => item.productId === payload.productId);
+    if (existing) {
+      existing.targetPrice = payload.targetPrice;
+      existing.title = payload.title || existing.title;
+      await savePriceWatches(watches);
+      return existing;
+    }
+    
+    const watch = {
+      id: generateSessionId(),
+      url: payload.url,
+      productId: payload.productId,
+      title: payload.title || '',
+      targetPrice: payload.targetPrice,
+      lastPrice: null,
+      lowestPrice: null,
+      lastCheckedAt: null,
+      lastError: null,
+      due: true,
+      checkTabId: null,
+      checkStartedAt: null,
+      createdAt: Date.now()
+    };
+    watches.push(watch);
+    await openNextPriceCheck(watches);
+    await savePriceWatches(watches);
+    await ensurePriceWatchAlarm();
+    return watch;
   });
-  
-  // 记录日志
-  await broadcastToShopee({
-    type: 'LOG',
-    payload: {
-      message: `开始自动化流程，关键词: ${state.keyword}`,
-      logType: 'info'
+}
+
+/**
+ * 处理 REMOVE_PRICE_WATCH 消息 - 取消关注，价格记录保留
+ * 删除的商品正在检查时关闭检查标签页并继续检查下一个商品
+ * @param {Object} payload
+ * @param {string} payload.id - 关注ID
+ */
+async function handleRemovePriceWatch(payload) {
+  await withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    const watch = watches.find(item => item.id === payload.id);
+    const remaining = watches.filter(item => item.id !== payload.id);
+    if (watch?.checkTabId != null) {
+      await openNextPriceCheck(remaining);
+    }
+    await savePriceWatches(remaining);
+    if (watch?.checkTabId != null) {
+      await closeTab(watch.checkTabId);
+    }
+    if (remaining.length === 0) {
+      await chrome.alarms.clear(PRICE_WATCH_ALARM);
     }
   });
 }
 
 /**
- * 处理 STOP 消息 - 停止自动化流程
- * Requirements: 4.4 - 用户点击停止时立即停止所有操作并保持当前状态
+ * 有关注商品时确保周期检查闹钟存在
  */
-async function handleStop() {
-  state.isRunning = false;
-  await saveState();
-  
-  // 广播状态更新
-  await broadcastToShopee({
-    type: 'STATE_UPDATE',
-    payload: { ...state }
+async function ensurePriceWatchAlarm() {
+  const watches = await loadPriceWatches();
+  if (watches.length === 0) return;
+  const alarm = await chrome.alarms.get(PRICE_WATCH_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(PRICE_WATCH_ALARM, { periodInMinutes: PRICE_CHECK_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * 释放失效的检查标签页 - 标签页已不存在，或超过 PRICE_CHECK_TAB_TIMEOUT 仍未上报结果
+ * 否则 openNextPriceCheck 会一直等待这个标签页，之后的检查都不会再进行
+ * @param {PriceWatch[]} watches - 关注列表 (直接修改)
+ * @returns {Promise<number[]>} 需要关闭的超时标签页
+ */
+async function releaseStalePriceChecks(watches) {
+  const staleTabs = [];
+  for (const watch of watches) {
+    if (watch.checkTabId == null) continue;
+    
+    let exists = true;
+    try {
+      await chrome.tabs.get(watch.checkTabId);
+    } catch (error) {
+      exists = false;
+    }
+    
+    if (exists && Date.now() - (watch.checkStartedAt || 0) < PRICE_CHECK_TAB_TIMEOUT) continue;
+    
+    if (exists) {
+      staleTabs.push(watch.checkTabId);
+      watch.lastError = '检查超时';
+    }
+    watch.checkTabId = null;
+    watch.checkStartedAt = null;
+  }
+  return staleTabs;
+}
+
+/**
+ * 开始新一轮降价检查 - 释放失效的检查标签页，标记所有关注商品待检查，然后逐个检查
+ */
+async function runPriceChecks() {
+  await withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    const staleTabs = await releaseStalePriceChecks(watches);
+    for (const watch of watches) {
+      watch.due = true;
+    }
+    await openNextPriceCheck(watches);
+    await savePriceWatches(watches);
+    
+    // 先保存再关闭，标签页关闭事件不会再找到对应的关注商品
+    for (const tabId of staleTabs) {
+      await closeTab(tabId);
+    }
   });
+}
+
+/**
+ * 为下一个待检查的商品打开检查标签页 - 同一时间只打开一个后台标签页
+ * 只修改传入的列表，由调用方在队列中保存
+ * @param {PriceWatch[]} watches - 关注列表 (直接修改)
+ */
+async function openNextPriceCheck(watches) {
+  if (watches.some(item => item.checkTabId != null)) return;
   
-  // 记录日志
-  await broadcastToShopee({
-    type: 'LOG',
-    payload: {
-      message: '自动化流程已停止',
-      logType: 'warning'
+  for (const watch of watches.filter(item => item.due)) {
+    watch.due = false;
+    try {
+      const tab = await chrome.tabs.create({ url: watch.url, active: false });
+      watch.checkTabId = tab.id;
+      watch.checkStartedAt = Date.now();
+      return;
+    } catch (error) {
+      console.error('Failed to open price check tab:', error);
+      watch.lastError = error.message;
     }
+  }
+}
+
+/**
+ * 检查下一个待检查的商品
+ */
+async function checkNextPriceWatch() {
+  await withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    await openNextPriceCheck(watches);
+    await savePriceWatches(watches);
   });
 }
 
 /**
- * 处理 NAVIGATE 消息 - 页面跳转
- * @param {Object} payload
- * @param {string} payload.url - 目标URL
+ * 处理 GET_PRICE_CHECK 消息 - 查询发送者标签页是否是降价检查标签页
  * @param {number} senderId - 发送者标签页ID
+ * @returns {Promise<PriceWatch|null>}
  */
-async function handleNavigate(payload, senderId) {
-  if (!state.isRunning) return;
-  
-  try {
-    await chrome.tabs.update(senderId, { url: payload.url });
-  } catch (error) {
-    console.error('Navigation failed:', error);
-    await broadcastToShopee({
-      type: 'LOG',
-      payload: {
-        message: `导航失败: ${error.message}`,
-        logType: 'error'
-      }
-    });
-  }
+async function getPriceCheck(senderId) {
+  const watches = await loadPriceWatches();
+  return watches.find(item => item.checkTabId === senderId) || null;
 }
 
 /**
- * 处理 LOG 消息 - 转发日志到 UI
- * Requirements: 6.1 - 任何操作执行时都要添加带时间戳的日志
+ * 处理 PRICE_RESULT 消息 - 记录价格，降到目标价格时通知，然后检查下一个商品
+ * 只在价格从高于目标变为不高于目标时通知一次，避免每轮检查重复通知
  * @param {Object} payload
- * @param {string} payload.message - 日志消息
- * @param {string} payload.logType - 日志类型
+ * @param {Object<string, number>} payload.prices - 各规格价格
+ * @param {string} [payload.title] - 商品名称
+ * @param {string} [payload.error] - 检查失败的原因
+ * @param {number} senderId - 发送者标签页ID
  */
-async function handleLog(payload) {
-  // 转发日志到所有 Shopee 标签页的 UI
-  await broadcastToShopee({
-    type: 'LOG',
-    payload: {
-      message: payload.message,
-      logType: payload.logType || 'info',
-      timestamp: new Date().toISOString()
+async function handlePriceResult(payload, senderId) {
+  await withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    const watch = watches.find(item => item.checkTabId === senderId);
+    if (!watch) return;
+    
+    watch.checkTabId = null;
+    watch.checkStartedAt = null;
+    watch.lastCheckedAt = Date.now();
+    watch.lastError = payload.error || null;
+    watch.title = payload.title || watch.title;
+    
+    const values = Object.values(payload.prices || {});
+    if (values.length > 0) {
+      const min = Math.min(...values);
+      const wasAboveTarget = watch.lastPrice == null || watch.lastPrice > watch.targetPrice;
+      
+      await appendPriceHistory(watch.productId, { at: watch.lastCheckedAt, prices: payload.prices, min });
+      watch.lastPrice = min;
+      watch.lowestPrice = watch.lowestPrice == null ? min : Math.min(watch.lowestPrice, min);
+      
+      if (min <= watch.targetPrice && wasAboveTarget) {
+        await showNotification('商品降价了', `${watch.title || watch.productId}\n当前 ${min}，目标 ${watch.targetPrice}`);
+      }
+    } else if (!watch.lastError) {
+      watch.lastError = '未读取到价格';
     }
+    
+    await openNextPriceCheck(watches);
+    await savePriceWatches(watches);
+    await closeTab(senderId);
   });
 }
 
 /**
- * 处理 STATE_UPDATE 消息 - 更新状态
- * @param {Partial<ExtensionState>} payload
+ * 检查标签页被关闭时清除记录并继续检查下一个商品
+ * @param {number} tabId - 标签页ID
  */
-async function handleStateUpdate(payload) {
-  state = { ...state, ...payload };
-  await saveState();
-  
-  // 广播状态更新
-  await broadcastToShopee({
-    type: 'STATE_UPDATE',
-    payload: { ...state }
+async function clearPriceCheckTab(tabId) {
+  await withPriceWatches(async () => {
+    const watches = await loadPriceWatches();
+    const watch = watches.find(item => item.checkTabId === tabId);
+    if (!watch) return;
+    watch.checkTabId = null;
+    watch.checkStartedAt = null;
+    await openNextPriceCheck(watches);
+    await savePriceWatches(watches);
   });
 }
 
+/**
+ * 降价检查闹钟触发时开始新一轮检查 (先等待启动时的初始化)
+ */
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== PRICE_WATCH_ALARM) return;
+  await backgroundReady;
+  await runPriceChecks();
+});
+
+/**
+ * 按消息类型调用处理函数 (消息已通过 validateMessage 校验)
+ * @param {Message} message - 消息
+ * @param {number} [senderId] - 发送者标签页ID (选项页发出的消息没有)
+ * @returns {Promise<*>} 响应数据
+ */
+async function dispatchMessage(message, senderId) {
+  message = { ...message, payload: message.payload ?? {} };
+  
+  switch (message.type) {
+    case 'START':
+      await handleStart(message.payload, senderId);
+      return;
+      
+    case 'STOP':
+      await handleStop(
+        message.payload?.sessionId ? findSessionKey(message.payload.sessionId) : senderId,
+        message.payload?.reason
+      );
+      return;
+      
+    case 'PAUSE':
+      await handlePause(message.payload, senderId);
+      return;
+      
+    case 'RESUME':
+      return handleResume(message.payload, senderId);
+      
+    case 'NAVIGATE':
+      await handleNavigate(message.payload, senderId);
+      return;
+      
+    case 'LOG':
+      await handleLog(message.payload, senderId);
+      return;
+      
+    case 'STATE_UPDATE':
+      await handleStateUpdate(message.payload, senderId);
+      return;
+      
+    case 'LIST_ITEM_DONE':
+      await handleListItemDone(message.payload, senderId);
+      return;
+      
+    case 'NEXT_SEARCH_PAGE':
+      return handleNextSearchPage(senderId);
+      
+    case 'WORKFLOW_TRANSITION':
+      return handleWorkflowTransition(message.payload, senderId);
+      
+    case 'RECORD_SPEND':
+      await handleRecordSpend(message.payload, senderId);
+      return;
+      
+    case 'WATCH_DONE':
+      await handleWatchDone(message.payload, senderId);
+      return;
+      
+    case 'RECORD_VISIT':
+      await handleRecordVisit(message.payload, senderId);
+      return;
+      
+    case 'RECORD_ATTEMPT':
+      await handleRecordAttempt(message.payload, senderId);
+      return;
+      
+    case 'GET_RUN_HISTORY':
+      return loadRunHistory();
+      
+    case 'SAVE_SNAPSHOT':
+      await saveProductSnapshot(message.payload);
+      return;
+      
+    case 'GET_SNAPSHOT':
+      return getProductSnapshot(message.payload.productId);
+      
+    case 'GET_STATE':
+      return { ...getSession(senderId) };
+      
+    case 'SCHEDULE_JOB':
+      return handleScheduleJob(message.payload);
+      
+    case 'CANCEL_JOB':
+      await handleCancelJob(message.payload);
+      return;
+      
+    case 'GET_JOBS':
+      return loadScheduledJobs();
+      
+    case 'ADD_RESTOCK_WATCH':
+      return handleAddRestockWatch(message.payload);
+      
+    case 'REMOVE_RESTOCK_WATCH':
+      await handleRemoveRestockWatch(message.payload);
+      return;
+      
+    case 'GET_RESTOCK_WATCHES':
+      return loadRestockWatches();
+      
+    case 'GET_RESTOCK_CHECK':
+      return getRestockCheck(senderId);
+      
+    case 'RESTOCK_RESULT':
+      await handleRestockResult(message.payload, senderId);
+      return;
+      
+    case 'ADD_PRICE_WATCH':
+      return handleAddPriceWatch(message.payload);
+      
+    case 'REMOVE_PRICE_WATCH':
+      await handleRemovePriceWatch(message.payload);
+      return;
+      
+    case 'GET_PRICE_WATCHES':
+      return loadPriceWatches();
+      
+    case 'GET_PRICE_HISTORY':
+      return getPriceHistory(message.payload.productId);
+      
+    case 'GET_PRICE_CHECK':
+      return getPriceCheck(senderId);
+      
+    case 'PRICE_RESULT':
+      await handlePriceResult(message.payload, senderId);
+      return;
+      
+    case 'PRICE_CHECK_NOW':
+      await runPriceChecks();
+      return;
+      
+    case 'GET_RUNS':
+      return { tabId: senderId, runs: listActiveRuns() };
+      
+    case 'FOCUS_TAB':
+      await focusTab(message.payload.tabId);
+      return;
+      
+    case 'GET_CONFIG':
+      return getVersionedConfig();
+      
+    case 'GET_CONFIG_SCHEMA':
+      return { version: CONFIG_VERSION, schema: CONFIG_SCHEMA };
+      
+    case 'SAVE_CONFIG':
+      return handleSaveConfig(message.payload);
+      
+    case 'RESET_CONFIG':
+      return handleResetConfig();
+      
+    case 'OPEN_OPTIONS':
+      await chrome.runtime.openOptionsPage();
+      return;
+      
+    case 'SAVE_UI_POSITION':
+      await saveUIPosition(message.payload);
+      return;
+      
+    case 'ADD_PROCESSED':
+      await addProcessedProduct(getSession(senderId), message.payload.productId);
+      return;
+      
+    case 'CHECK_PROCESSED':
+      return getProcessedProducts(getSession(senderId), message.payload.productIds || []);
+      
+    case 'CLEAR_PROCESSED':
+      await clearProcessedProducts(message.payload?.all ? null : getSession(senderId));
+      return;
+      
+    default:
+      throw new Error(`未处理的消息类型: ${message.type}`);
+  }
+}
+
 /**
  * 消息监听器
+ * 响应格式: {success: true, requestId, protocolVersion, data} 或 {success: false, requestId, protocolVersion, error: ProtocolError}
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const senderId = sender.tab?.id;
+  const requestId = message?.requestId ?? null;
+  const respondError = (error) => {
+    logProtocolError(message, error, senderId);
+    sendResponse({ success: false, requestId, protocolVersion: PROTOCOL_VERSION, error });
+  };
+  
+  const invalid = validateMessage(message);
+  if (invalid) {
+    respondError(invalid);
+    return false;
+  }
   
   (async () => {
     try {
-      switch (message.type) {
-        case 'START':
-          await handleStart(message.payload, senderId);
-          sendResponse({ success: true });
-          break;
-          
-        case 'STOP':
-          await handleStop();
-          sendResponse({ success: true });
-          break;
-          
-        case 'NAVIGATE':
-          await handleNavigate(message.payload, senderId);
-          sendResponse({ success: true });
-          break;
-          
-        case 'LOG':
-          await handleLog(message.payload);
-          sendResponse({ success: true });
-          break;
-          
-        case 'STATE_UPDATE':
-          await handleStateUpdate(message.payload);
-          sendResponse({ success: true });
-          break;
-          
-        case 'GET_STATE':
-          sendResponse({ success: true, data: { ...state } });
-          break;
-          
-        case 'GET_CONFIG':
-          sendResponse({ success: true, data: { ...config } });
-          break;
-          
-        case 'SAVE_UI_POSITION':
-          await saveUIPosition(message.payload);
-          sendResponse({ success: true });
-          break;
-          
-        case 'ADD_PROCESSED':
-          await addProcessedProduct(message.payload.productId);
-          sendResponse({ success: true });
-          break;
-          
-        case 'IS_PROCESSED':
-          sendResponse({ 
-            success: true, 
-            data: isProductProcessed(message.payload.productId) 
-          });
-          break;
-          
-        case 'CLEAR_PROCESSED':
-          await clearProcessedProducts();
-          sendResponse({ success: true });
-          break;
-          
-        default:
-          sendResponse({ success: false, error: 'Unknown message type' });
-      }
+      // worker 重启后先等会话加载完，否则会把运行中的标签页当成未运行
+      await backgroundReady;
+      const data = await dispatchMessage(message, senderId);
+      sendResponse({ success: true, requestId, protocolVersion: PROTOCOL_VERSION, data });
     } catch (error) {
-      console.error('Message handling error:', error);
-      sendResponse({ success: false, error: error.message });
+      respondError({ code: ProtocolErrorCode.HANDLER_ERROR, message: error.message });
     }
   })();
   
@@ -376,47 +3022,174 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * 端口连接监听器 - 每个 Shopee 标签页的 content script 保持一个端口
+ * 页面通过端口订阅/退订主题，background 通过端口推送订阅的日志、状态和列表更新
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PORT_NAME) return;
+  const tabId = port.sender?.tab?.id;
+  if (tabId == null) {
+    port.disconnect();
+    return;
+  }
+  
+  /** @type {TabPort} */
+  const connection = { port, topics: new Set() };
+  tabPorts.set(tabId, connection);
+  
+  port.onMessage.addListener((message) => {
+    backgroundReady.then(() => handlePortMessage(connection, tabId, message)).catch(error => {
+      console.error('Failed to handle port message:', error);
+    });
+  });
+  port.onDisconnect.addListener(() => {
+    void chrome.runtime.lastError;
+    // 页面跳转后新页面可能已先连上，只删除自己的记录
+    if (tabPorts.get(tabId) === connection) {
+      tabPorts.delete(tabId);
+    }
+  });
+});
+
 // ============================================
 // 初始化
 // ============================================
 
 /**
- * 扩展安装/更新时初始化
+ * 标签页关闭时结束该标签页的运行会话和到货/降价检查
+ * 已暂停的会话不结束，保留为脱离标签页的会话以便之后继续
+ * 关闭标签页可能唤醒已停止的 worker，先等待会话加载完
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await backgroundReady;
+  await clearRestockCheckTab(tabId);
+  await clearPriceCheckTab(tabId);
+  const session = sessions[tabId];
+  if (!session) return;
+  if (session.isPaused) {
+    sessions[detachedSessionKey(session)] = { ...session, tabId: null };
+  } else {
+    await finishRunRecord(session, '标签页已关闭');
+  }
+  delete sessions[tabId];
+  await saveState();
+  await broadcastActiveRuns();
+});
+
+/**
+ * 扩展安装/更新时 - 初始化已由 backgroundReady 完成，不再重复加载 (会替换已在使用的会话对象)
  */
 chrome.runtime.onInstalled.addListener(async () => {
-  await loadConfig();
-  await loadState();
+  await backgroundReady;
   console.log('Shopee Auto Cart Extension installed/updated');
 });
 
 /**
- * Service Worker 启动时加载状态
+ * Service Worker 启动时加载状态 - 闹钟等在 worker 启动时就可能触发的事件先等待它完成
  */
-(async () => {
+const backgroundReady = (async () => {
   await loadConfig();
   await loadState();
+  await syncScheduleAlarms();
+  await syncRestockAlarms();
+  await ensurePriceWatchAlarm();
+  await pruneProcessedProducts();
   console.log('Shopee Auto Cart Extension background service started');
 })();
 
 // 导出供测试使用
 export {
-  state,
+  sessions,
+  createInitialState,
+  getSession,
+  WorkflowStep,
+  WORKFLOW_TRANSITIONS,
+  initialWorkflow,
+  canTransition,
+  advanceWorkflow,
+  handleWorkflowTransition,
+  findSessionKey,
   config,
   defaultConfig,
+  CONFIG_SCHEMA,
+  CONFIG_VERSION,
+  defaultConfigValues,
+  validateConfig,
+  migrateConfig,
+  getVersionedConfig,
+  broadcastConfig,
+  handleSaveConfig,
+  handleResetConfig,
   saveState,
   loadState,
   saveConfig,
   loadConfig,
   saveUIPosition,
   getUIPosition,
+  getProcessedScope,
+  getProcessedCutoff,
   addProcessedProduct,
-  isProductProcessed,
+  getProcessedProducts,
   clearProcessedProducts,
+  pruneProcessedProducts,
+  PROTOCOL_VERSION,
+  ProtocolErrorCode,
+  MESSAGE_CATALOGUE,
+  validateMessage,
+  dispatchMessage,
+  PORT_NAME,
+  PORT_TOPICS,
+  PORT_MESSAGE_CATALOGUE,
+  postToPort,
+  handlePortMessage,
   broadcastToShopee,
   sendToTab,
+  notifySession,
+  abortSessionPage,
+  listActiveRuns,
+  broadcastActiveRuns,
+  focusTab,
+  showNotification,
+  loadScheduledJobs,
+  handleScheduleJob,
+  handleCancelJob,
+  runScheduledJob,
+  syncScheduleAlarms,
+  loadRestockWatches,
+  handleAddRestockWatch,
+  handleRemoveRestockWatch,
+  runRestockCheck,
+  getRestockCheck,
+  handleRestockResult,
+  syncRestockAlarms,
+  loadPriceWatches,
+  getPriceHistory,
+  handleAddPriceWatch,
+  handleRemovePriceWatch,
+  releaseStalePriceChecks,
+  runPriceChecks,
+  checkNextPriceWatch,
+  getPriceCheck,
+  handlePriceResult,
   handleStart,
   handleStop,
+  handlePause,
+  handleResume,
   handleNavigate,
   handleLog,
-  handleStateUpdate
+  handleStateUpdate,
+  handleListItemDone,
+  finishShoppingList,
+  handleNextSearchPage,
+  handleRecordSpend,
+  handleWatchDone,
+  saveProductSnapshot,
+  getProductSnapshot,
+  loadRunHistory,
+  computeRunTotals,
+  startRunRecord,
+  finishRunRecord,
+  handleRecordVisit,
+  handleRecordAttempt
 };
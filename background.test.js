@@ -0,0 +1,1431 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Background Service Worker Tests
+ * 直接加载 background.js (测试时由 babel 转换为 CommonJS)，chrome API 用内存实现代替
+ */
+
+const fc = require('fast-check');
+// 提供 indexedDB / IDBKeyRange / IDBFactory 全局对象 (已处理商品记录)
+require('fake-indexeddb/auto');
+
+// ============================================
+// 测试辅助 - 内存版 chrome API
+// ============================================
+
+/**
+ * 创建内存版 chrome API
+ * @param {Object} store - chrome.storage.local 的内容 (重新加载 background 时传入同一个对象模拟重启)
+ * @param {Object} [options]
+ * @param {number[]} [options.openTabs] - tabs.query 返回的已打开标签页
+ * @returns {{chrome: Object, store: Object, sent: Array<{tabId: number, message: Object}>}}
+ */
+function createChromeMock(store, { openTabs = [] } = {}) {
+  const listener = () => ({ addListener: jest.fn() });
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  const sent = [];
+  let nextTabId = 1000;
+
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries(
+          [].concat(keys).filter(key => key in store).map(key => [key, clone(store[key])])
+        ),
+        set: async (items) => { Object.assign(store, clone(items)); },
+        remove: async (keys) => { [].concat(keys).forEach(key => delete store[key]); }
+      }
+    },
+    tabs: {
+      query: jest.fn(async () => openTabs.map(id => ({ id }))),
+      get: jest.fn(async (tabId) => ({ id: tabId })),
+      create: jest.fn(async (properties) => ({ id: nextTabId++, ...properties })),
+      update: jest.fn(async (tabId, properties) => ({ id: tabId, ...properties })),
+      remove: jest.fn(async () => {}),
+      sendMessage: jest.fn(async (tabId, message) => { sent.push({ tabId, message }); }),
+      onRemoved: listener(),
+      onUpdated: listener()
+    },
+    runtime: {
+      lastError: undefined,
+      openOptionsPage: jest.fn(async () => {}),
+      onMessage: listener(),
+      onConnect: listener(),
+      onInstalled: listener(),
+      onStartup: listener()
+    },
+    alarms: {
+      get: jest.fn(async () => null),
+      create: jest.fn(async () => {}),
+      clear: jest.fn(async () => true),
+      onAlarm: listener()
+    },
+    notifications: {
+      create: jest.fn(async () => {}),
+      onClicked: listener()
+    },
+    windows: {
+      update: jest.fn(async () => {})
+    }
+  };
+
+  return { chrome, store, sent };
+}
+
+/**
+ * 等待 background 启动时的异步初始化 (加载配置和状态、同步闹钟) 完成
+ */
+async function settle() {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * 重新加载一份 background.js - 每次得到独立的模块状态
+ * @param {Object} [store={}] - chrome.storage.local 的内容
+ * @param {Object} [options] - 见 createChromeMock
+ */
+async function loadBackground(store = {}, options = {}) {
+  const mock = createChromeMock(store, options);
+  global.chrome = mock.chrome;
+  let background;
+  jest.isolateModules(() => {
+    background = require('./background.js');
+  });
+  await settle();
+  return { ...mock, background };
+}
+
+beforeEach(() => {
+  // background 会输出启动日志和存储错误
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.chrome;
+});
+
+// ============================================
+// 搜索结果翻页
+// ============================================
+
+describe('Search Pagination', () => {
+  const TAB = 7;
+
+  async function startSearch(background, maxPages) {
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼', maxPages } }, TAB);
+  }
+
+  test('each NEXT_SEARCH_PAGE advances the page until the page limit, then stops advancing', async () => {
+    const { background } = await loadBackground();
+    await startSearch(background, 3);
+
+    const first = await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+    const second = await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+    const third = await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+
+    expect([first.hasNext, second.hasNext, third.hasNext]).toEqual([true, true, false]);
+    expect([first.searchSpec.page, second.searchSpec.page, third.searchSpec.page]).toEqual([1, 2, 2]);
+    expect(third.maxPages).toBe(3);
+    expect(background.sessions[TAB].searchSpec.page).toBe(2);
+  });
+
+  test('a stopped run does not advance the page', async () => {
+    const { background } = await loadBackground();
+    await startSearch(background, 5);
+    await background.dispatchMessage({ type: 'STOP', payload: {} }, TAB);
+
+    const next = await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+    expect(next.hasNext).toBe(false);
+    expect(next.searchSpec.page).toBe(0);
+  });
+
+  test('the next page is persisted and the run resumes searching there after a restart', async () => {
+    const store = {};
+    const { background } = await loadBackground(store, { openTabs: [TAB] });
+    await startSearch(background, 5);
+    await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+
+    const { background: restarted } = await loadBackground(store, { openTabs: [TAB] });
+    const state = await restarted.dispatchMessage({ type: 'GET_STATE', payload: {} }, TAB);
+    expect(state.isRunning).toBe(true);
+    expect(state.searchSpec.page).toBe(1);
+    expect(state.workflow.step).toBe(restarted.WorkflowStep.SEARCHING);
+  });
+
+  test('Property: the page never reaches maxPages however often NEXT_SEARCH_PAGE is sent', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 6 }), fc.integer({ min: 0, max: 10 }), async (maxPages, requests) => {
+        const { background } = await loadBackground();
+        await startSearch(background, maxPages);
+        let advanced = 0;
+        for (let i = 0; i < requests; i++) {
+          const next = await background.dispatchMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} }, TAB);
+          if (next.hasNext) advanced++;
+        }
+        expect(advanced).toBe(Math.min(requests, maxPages - 1));
+        expect(background.sessions[TAB].searchSpec.page).toBe(advanced);
+      }),
+      { numRuns: 25 }
+    );
+  });
+});
+
+// ============================================
+// 预算控制
+// ============================================
+
+describe('Budget', () => {
+  const TAB = 9;
+
+  test('spending is added up and the run ends once the total budget is used up', async () => {
+    const { background } = await loadBackground();
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼', budget: { maxItemPrice: null, totalBudget: 300 } } }, TAB);
+
+    await background.dispatchMessage({ type: 'RECORD_SPEND', payload: { amount: 120 } }, TAB);
+    expect(background.sessions[TAB]).toMatchObject({ isRunning: true, budget: { spent: 120, totalBudget: 300 } });
+
+    await background.dispatchMessage({ type: 'RECORD_SPEND', payload: { amount: 200 } }, TAB);
+    expect(background.getSession(TAB).isRunning).toBe(false);
+    const [run] = await background.loadRunHistory();
+    expect(run).toMatchObject({ stopReason: '预算已用完', totals: { spent: 320 } });
+  });
+
+  test('spending without a total budget or after the run stopped does not end or change anything', async () => {
+    const { background } = await loadBackground();
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, TAB);
+
+    await background.dispatchMessage({ type: 'RECORD_SPEND', payload: { amount: 1e6 } }, TAB);
+    expect(background.sessions[TAB]).toMatchObject({ isRunning: true, budget: { spent: 1e6 } });
+
+    await background.dispatchMessage({ type: 'STOP', payload: {} }, TAB);
+    await background.dispatchMessage({ type: 'RECORD_SPEND', payload: { amount: 5 } }, TAB);
+    const [run] = await background.loadRunHistory();
+    expect(run.totals.spent).toBe(1e6);
+  });
+});
+
+// ============================================
+// 标签页独立会话
+// ============================================
+
+describe('Per-Tab Sessions', () => {
+  const TAB_A = 11;
+  const TAB_B = 22;
+
+  async function startBoth() {
+    const loaded = await loadBackground();
+    const { background } = loaded;
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, TAB_A);
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '耳機' } }, TAB_B);
+    return loaded;
+  }
+
+  test('two tabs run with separate state', async () => {
+    const { background } = await startBoth();
+    const a = background.getSession(TAB_A);
+    const b = background.getSession(TAB_B);
+
+    expect(a.searchSpec.keyword).toBe('手機殼');
+    expect(b.searchSpec.keyword).toBe('耳機');
+    expect(a.sessionId).not.toBe(b.sessionId);
+    expect(a.tabId).toBe(TAB_A);
+    expect(b.tabId).toBe(TAB_B);
+
+    await background.dispatchMessage({ type: 'STATE_UPDATE', payload: { cartCount: 3 } }, TAB_A);
+    expect(background.getSession(TAB_A).cartCount).toBe(3);
+    expect(background.getSession(TAB_B).cartCount).toBe(0);
+  });
+
+  test('a tab without a run gets an idle state and does not create a session', async () => {
+    const { background } = await startBoth();
+    const idle = background.getSession(33);
+    expect(idle.isRunning).toBe(false);
+    expect(idle.tabId).toBe(33);
+    expect(background.sessions[33]).toBeUndefined();
+  });
+
+  test('a STATE_UPDATE from a tab without a run is rejected', async () => {
+    const { background, sent } = await startBoth();
+    const before = JSON.stringify(background.sessions);
+    sent.length = 0;
+
+    await background.dispatchMessage({ type: 'STATE_UPDATE', payload: { isRunning: true, cartCount: 99 } }, 33);
+
+    expect(background.sessions[33]).toBeUndefined();
+    expect(JSON.stringify(background.sessions)).toBe(before);
+    expect(sent).toHaveLength(0);
+  });
+
+  test('a STATE_UPDATE cannot move a run to another tab or replace its session id', async () => {
+    const { background } = await startBoth();
+    const sessionId = background.getSession(TAB_A).sessionId;
+
+    await background.dispatchMessage({ type: 'STATE_UPDATE', payload: { tabId: TAB_B, sessionId: 'taken-over', cartCount: 1 } }, TAB_A);
+
+    const a = background.getSession(TAB_A);
+    expect(a.tabId).toBe(TAB_A);
+    expect(a.sessionId).toBe(sessionId);
+    expect(a.cartCount).toBe(1);
+    expect(background.getSession(TAB_B).cartCount).toBe(0);
+  });
+
+  test('state updates are only pushed to the tab that owns the run', async () => {
+    const { background, sent } = await startBoth();
+    sent.length = 0;
+
+    await background.dispatchMessage({ type: 'STATE_UPDATE', payload: { cartCount: 2 } }, TAB_B);
+
+    const updates = sent.filter(({ message }) => message.type === 'STATE_UPDATE');
+    expect(updates.map(({ tabId }) => tabId)).toEqual([TAB_B]);
+  });
+
+  test('listActiveRuns lists every running or paused tab and drops stopped ones', async () => {
+    const { background } = await startBoth();
+    const byTab = (runs) => runs.map(run => [run.tabId, run.keyword, run.paused]).sort((x, y) => x[0] - y[0]);
+
+    expect(byTab(background.listActiveRuns())).toEqual([[TAB_A, '手機殼', false], [TAB_B, '耳機', false]]);
+
+    await background.dispatchMessage({ type: 'PAUSE', payload: {} }, TAB_A);
+    expect(byTab(background.listActiveRuns())).toEqual([[TAB_A, '手機殼', true], [TAB_B, '耳機', false]]);
+
+    await background.dispatchMessage({ type: 'STOP', payload: {} }, TAB_B);
+    expect(byTab(background.listActiveRuns())).toEqual([[TAB_A, '手機殼', true]]);
+
+    const response = await background.dispatchMessage({ type: 'GET_RUNS', payload: {} }, TAB_B);
+    expect(response.tabId).toBe(TAB_B);
+    expect(byTab(response.runs)).toEqual([[TAB_A, '手機殼', true]]);
+  });
+
+  test('messages and port subscriptions that arrive while a restarted worker loads see the saved run', async () => {
+    const { store, background: before } = await startBoth();
+    await before.saveState();
+
+    // 模拟 worker 重启: 不等待启动初始化，消息和端口连接立即到达
+    const { chrome } = createChromeMock(store, { openTabs: [TAB_A, TAB_B] });
+    global.chrome = chrome;
+    jest.isolateModules(() => { require('./background.js'); });
+
+    const response = new Promise(resolve => {
+      chrome.runtime.onMessage.addListener.mock.calls[0][0]({ type: 'GET_STATE' }, { tab: { id: TAB_A } }, resolve);
+    });
+    const port = {
+      name: before.PORT_NAME,
+      sender: { tab: { id: TAB_B } },
+      postMessage: jest.fn(),
+      disconnect: jest.fn(),
+      onMessage: { addListener: jest.fn() },
+      onDisconnect: { addListener: jest.fn() }
+    };
+    chrome.runtime.onConnect.addListener.mock.calls[0][0](port);
+    port.onMessage.addListener.mock.calls[0][0]({ type: 'SUBSCRIBE', payload: { topics: ['state'] } });
+
+    const { data } = await response;
+    expect(data.isRunning).toBe(true);
+    expect(data.searchSpec.keyword).toBe('手機殼');
+    await settle();
+    const snapshots = port.postMessage.mock.calls.map(([message]) => message).filter(message => message.type === 'STATE_UPDATE');
+    expect(snapshots.map(message => message.payload.searchSpec.keyword)).toEqual(['耳機']);
+  });
+
+  /** 两个标签页各开始一个运行，TAB_B 的运行暂停，返回保存了会话的存储 */
+  async function saveRunningAndPaused() {
+    const store = {};
+    const { background } = await loadBackground(store, { openTabs: [TAB_A, TAB_B] });
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, TAB_A);
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '耳機' } }, TAB_B);
+    await background.dispatchMessage({ type: 'PAUSE', payload: { url: 'https://shopee.tw/search?keyword=耳機' } }, TAB_B);
+    await background.saveState();
+    return store;
+  }
+
+  const recordFor = (runs, target) => runs.find(run => run.target === target);
+
+  test('a run whose tab closed while the worker was stopped gets its record finished on load', async () => {
+    const store = await saveRunningAndPaused();
+    store.extensionState = { isRunning: true, cartCount: 3 };
+
+    const { background } = await loadBackground(store, { openTabs: [] });
+
+    const runs = await background.loadRunHistory();
+    expect(recordFor(runs, '手機殼')).toMatchObject({ stoppedAt: expect.any(Number), stopReason: '标签页已关闭' });
+    expect(recordFor(runs, '耳機').stoppedAt).toBeFalsy();
+    expect(background.listActiveRuns().map(run => [run.keyword, run.paused])).toEqual([['耳機', true]]);
+    expect(store).not.toHaveProperty('extensionState');
+  });
+
+  test('closing a tab that wakes the worker still finishes its run', async () => {
+    const store = await saveRunningAndPaused();
+
+    const { chrome } = createChromeMock(store, { openTabs: [TAB_A, TAB_B] });
+    global.chrome = chrome;
+    let background;
+    jest.isolateModules(() => { background = require('./background.js'); });
+    await chrome.tabs.onRemoved.addListener.mock.calls[0][0](TAB_A);
+
+    expect(background.sessions[TAB_A]).toBeUndefined();
+    const runs = await background.loadRunHistory();
+    expect(recordFor(runs, '手機殼')).toMatchObject({ stopReason: '标签页已关闭' });
+  });
+});
+
+// ============================================
+// 定时任务
+// ============================================
+
+describe('Scheduled Jobs', () => {
+  const job = (overrides = {}) => ({
+    runAt: Date.now() + 60 * 60 * 1000,
+    label: '12.12 開賣',
+    url: 'https://shopee.tw/search?keyword=%E6%89%8B%E6%A9%9F%E6%AE%BC',
+    startPayload: { keyword: '手機殼' },
+    ...overrides
+  });
+
+  test('a job in the future is saved with an alarm at its start time', async () => {
+    const { background, chrome } = await loadBackground();
+    const saved = await background.handleScheduleJob(job());
+
+    expect(saved.id).toEqual(expect.any(String));
+    expect(await background.loadScheduledJobs()).toEqual([saved]);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`scheduled-job:${saved.id}`, { when: saved.runAt });
+  });
+
+  test('start times that are not in the future are rejected without saving or setting an alarm', async () => {
+    const { background, chrome } = await loadBackground();
+    chrome.alarms.create.mockClear();
+
+    for (const runAt of [Date.now() - 1000, Date.now(), 0, -1, NaN, Infinity]) {
+      await expect(background.handleScheduleJob(job({ runAt }))).rejects.toThrow('定时任务时间');
+    }
+    expect(await background.loadScheduledJobs()).toEqual([]);
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  test('a job without a start page or run parameters is rejected', async () => {
+    const { background } = await loadBackground();
+    await expect(background.handleScheduleJob(job({ url: '' }))).rejects.toThrow('缺少运行参数');
+    await expect(background.handleScheduleJob(job({ startPayload: null }))).rejects.toThrow('缺少运行参数');
+    expect(await background.loadScheduledJobs()).toEqual([]);
+  });
+
+  test('a start time that is not a number is rejected by the message catalogue', async () => {
+    const { background } = await loadBackground();
+    for (const runAt of ['2030-12-12T00:00', null, undefined]) {
+      const error = background.validateMessage({ type: 'SCHEDULE_JOB', payload: job({ runAt }) });
+      expect(error.code).toBe(background.ProtocolErrorCode.INVALID_PAYLOAD);
+      expect(error.details.join()).toMatch('payload.runAt');
+    }
+  });
+
+  test('scheduling with an existing id edits that job instead of adding a duplicate', async () => {
+    const { background, chrome } = await loadBackground();
+    const first = await background.handleScheduleJob(job());
+    const other = await background.handleScheduleJob(job({ label: '其他' }));
+    const laterRunAt = first.runAt + 30 * 60 * 1000;
+
+    const edited = await background.handleScheduleJob(job({ id: first.id, runAt: laterRunAt, label: '改時間' }));
+
+    const jobs = await background.loadScheduledJobs();
+    expect(jobs.map(item => item.id)).toEqual([other.id, first.id]);
+    expect(edited).toMatchObject({ id: first.id, runAt: laterRunAt, label: '改時間', createdAt: first.createdAt });
+    expect(chrome.alarms.create).toHaveBeenLastCalledWith(`scheduled-job:${first.id}`, { when: laterRunAt });
+  });
+
+  test('an unknown id creates a new job rather than reusing the id', async () => {
+    const { background } = await loadBackground();
+    const saved = await background.handleScheduleJob(job({ id: 'missing' }));
+    expect(saved.id).not.toBe('missing');
+    expect(await background.loadScheduledJobs()).toHaveLength(1);
+  });
+
+  test('Property: jobs stay unique by id and sorted by start time', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.record({ edit: fc.nat({ max: 5 }), offset: fc.integer({ min: 1000, max: 10 ** 7 }) }), { minLength: 1, maxLength: 8 }),
+        async (operations) => {
+          const { background } = await loadBackground();
+          const ids = [];
+          for (const { edit, offset } of operations) {
+            const id = ids.length > 0 && edit < ids.length ? ids[edit] : null;
+            const saved = await background.handleScheduleJob(job({ id, runAt: Date.now() + offset }));
+            if (!id) ids.push(saved.id);
+          }
+          const jobs = await background.loadScheduledJobs();
+          expect(new Set(jobs.map(item => item.id)).size).toBe(jobs.length);
+          expect(jobs).toHaveLength(ids.length);
+          expect(jobs.map(item => item.runAt)).toEqual([...jobs.map(item => item.runAt)].sort((a, b) => a - b));
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  test('jobs that fire together each start in their own tab and are all removed', async () => {
+    const { background, chrome } = await loadBackground({}, { openTabs: [5] });
+    const first = await background.handleScheduleJob(job());
+    const second = await background.handleScheduleJob(job({ label: '其他' }));
+
+    await Promise.all([background.runScheduledJob(first.id), background.runScheduledJob(second.id)]);
+
+    expect(await background.loadScheduledJobs()).toEqual([]);
+    expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    const startedTabs = chrome.tabs.update.mock.calls.map(([tabId]) => tabId);
+    expect(new Set(startedTabs).size).toBe(2);
+    expect(startedTabs.every(tabId => background.sessions[tabId]?.isRunning)).toBe(true);
+  });
+
+  test('a job cancelled while another job starts stays cancelled', async () => {
+    const { background } = await loadBackground({}, { openTabs: [5] });
+    const first = await background.handleScheduleJob(job());
+    const second = await background.handleScheduleJob(job({ label: '其他' }));
+
+    await Promise.all([background.runScheduledJob(first.id), background.handleCancelJob({ id: second.id })]);
+
+    expect(await background.loadScheduledJobs()).toEqual([]);
+  });
+
+  test('a job that fails to start is removed and the user is notified', async () => {
+    const { background, chrome } = await loadBackground();
+    chrome.tabs.create.mockRejectedValueOnce(new Error('no window'));
+    const saved = await background.handleScheduleJob(job());
+
+    await background.runScheduledJob(saved.id);
+
+    expect(await background.loadScheduledJobs()).toEqual([]);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: '定时任务启动失败',
+      message: expect.stringContaining('no window')
+    }));
+  });
+
+  test('a job alarm keeps the sessions of runs already in progress', async () => {
+    const { background, chrome } = await loadBackground({}, { openTabs: [5, 6] });
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, 5);
+    const running = background.sessions[5];
+    const saved = await background.handleScheduleJob(job());
+
+    for (const [listener] of chrome.alarms.onAlarm.addListener.mock.calls) {
+      await listener({ name: `scheduled-job:${saved.id}` });
+    }
+
+    expect(background.sessions[5]).toBe(running);
+    expect(background.sessions[6].isRunning).toBe(true);
+  });
+});
+
+// ============================================
+// 到货提醒
+// ============================================
+
+describe('Restock Watches', () => {
+  const watchPayload = (productId) => ({ url: `https://shopee.tw/product/1/${productId}`, productId: `1_${productId}` });
+
+  test('the background fills in the default check interval when none is given', async () => {
+    const { background, chrome } = await loadBackground();
+    const watch = await background.dispatchMessage({ type: 'ADD_RESTOCK_WATCH', payload: watchPayload(1) }, 5);
+    expect(watch.intervalMinutes).toBe(10);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`restock-watch:${watch.id}`, { delayInMinutes: 10, periodInMinutes: 10 });
+
+    const custom = await background.dispatchMessage({ type: 'ADD_RESTOCK_WATCH', payload: { ...watchPayload(2), intervalMinutes: 3 } }, 5);
+    expect(custom.intervalMinutes).toBe(3);
+  });
+
+  test('the auto-add quantity defaults to one item', async () => {
+    const { background } = await loadBackground();
+    expect((await background.handleAddRestockWatch({ ...watchPayload(1), quantity: null })).quantity).toBe(1);
+    expect((await background.handleAddRestockWatch({ ...watchPayload(2), quantity: 4 })).quantity).toBe(4);
+  });
+
+  test('watches added at the same time are all kept', async () => {
+    const { background } = await loadBackground();
+    await Promise.all([1, 2, 3, 4].map(id => background.handleAddRestockWatch(watchPayload(id))));
+    expect((await background.loadRestockWatches()).map(watch => watch.productId).sort()).toEqual(['1_1', '1_2', '1_3', '1_4']);
+  });
+
+  test('checks started at the same time each keep their check tab', async () => {
+    const { background } = await loadBackground();
+    const first = await background.handleAddRestockWatch(watchPayload(1));
+    const second = await background.handleAddRestockWatch(watchPayload(2));
+
+    await Promise.all([background.runRestockCheck(first.id), background.runRestockCheck(second.id)]);
+
+    const watches = await background.loadRestockWatches();
+    expect(watches.every(watch => watch.checkTabId != null)).toBe(true);
+    expect(new Set(watches.map(watch => watch.checkTabId)).size).toBe(2);
+  });
+
+  test('a result arriving while another check starts is not lost', async () => {
+    const { background } = await loadBackground();
+    const first = await background.handleAddRestockWatch(watchPayload(1));
+    const second = await background.handleAddRestockWatch(watchPayload(2));
+    await background.runRestockCheck(first.id);
+    const checkTabId = (await background.loadRestockWatches()).find(watch => watch.id === first.id).checkTabId;
+
+    await Promise.all([
+      background.handleRestockResult({ available: true }, checkTabId),
+      background.runRestockCheck(second.id)
+    ]);
+
+    const watches = await background.loadRestockWatches();
+    expect(watches.find(watch => watch.id === first.id)).toMatchObject({ status: 'available', checkTabId: null });
+    expect(watches.find(watch => watch.id === second.id).checkTabId).not.toBeNull();
+  });
+
+  test('a result from a tab that no longer belongs to a watch still closes the tab', async () => {
+    const { background, chrome } = await loadBackground();
+    const watch = await background.handleAddRestockWatch(watchPayload(1));
+    await background.runRestockCheck(watch.id);
+    const checkTabId = (await background.loadRestockWatches())[0].checkTabId;
+    await background.handleRemoveRestockWatch({ id: watch.id });
+    chrome.tabs.remove.mockClear();
+
+    await background.handleRestockResult({ available: false }, checkTabId);
+    await background.handleRestockResult({ available: false }, 4321);
+
+    expect(chrome.tabs.remove.mock.calls.map(([tabId]) => tabId)).toEqual([checkTabId, 4321]);
+    expect(await background.loadRestockWatches()).toEqual([]);
+  });
+
+  test('a failed update does not block the updates queued after it', async () => {
+    const { background, chrome } = await loadBackground();
+    const watch = await background.handleAddRestockWatch(watchPayload(1));
+    jest.spyOn(chrome.storage.local, 'set').mockRejectedValueOnce(new Error('quota'));
+
+    await expect(background.runRestockCheck(watch.id)).rejects.toThrow('quota');
+    await background.runRestockCheck(watch.id);
+
+    expect((await background.loadRestockWatches())[0].checkTabId).not.toBeNull();
+  });
+});
+
+// ============================================
+// 降价提醒
+// ============================================
+
+describe('Price Watch Checks', () => {
+  const watchPayload = (productId) => ({ url: `https://shopee.tw/product/1/${productId}`, productId: `1_${productId}`, targetPrice: 100 });
+
+  async function watchWithOpenCheck() {
+    const loaded = await loadBackground();
+    const watch = await loaded.background.handleAddPriceWatch(watchPayload(1));
+    const checkTabId = (await loaded.background.loadPriceWatches())[0].checkTabId;
+    expect(checkTabId).not.toBeNull();
+    loaded.chrome.tabs.create.mockClear();
+    return { ...loaded, watch, checkTabId };
+  }
+
+  test('a new round waits for a check tab that is still working', async () => {
+    const { background, chrome, checkTabId } = await watchWithOpenCheck();
+
+    await background.runPriceChecks();
+
+    expect(chrome.tabs.create).not.toHaveBeenCalled();
+    expect(chrome.tabs.remove).not.toHaveBeenCalled();
+    expect((await background.loadPriceWatches())[0].checkTabId).toBe(checkTabId);
+  });
+
+  test('a check tab that no longer exists is forgotten and the check runs again', async () => {
+    const { background, chrome, checkTabId } = await watchWithOpenCheck();
+    chrome.tabs.get.mockRejectedValueOnce(new Error(`No tab with id: ${checkTabId}.`));
+
+    await background.runPriceChecks();
+
+    const [watch] = await background.loadPriceWatches();
+    expect(chrome.tabs.remove).not.toHaveBeenCalled();
+    expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    expect(watch.checkTabId).not.toBe(checkTabId);
+    expect(watch.checkTabId).not.toBeNull();
+  });
+
+  test('a check tab older than the timeout is closed and the check runs again', async () => {
+    const { background, chrome, checkTabId } = await watchWithOpenCheck();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5 * 60 * 1000 + 1);
+
+    await background.runPriceChecks();
+
+    const [watch] = await background.loadPriceWatches();
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(checkTabId);
+    expect(watch.lastError).toBe('检查超时');
+    expect(watch.checkTabId).not.toBe(checkTabId);
+    expect(watch.checkStartedAt).toBe(now + 5 * 60 * 1000 + 1);
+  });
+
+  test('a check tab saved before start times were recorded is treated as stale', async () => {
+    const store = {
+      priceWatches: [{ id: 'old', ...watchPayload(1), due: false, checkTabId: 77, lastPrice: null, lowestPrice: null }]
+    };
+    const { background, chrome } = await loadBackground(store);
+
+    await background.runPriceChecks();
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(77);
+    expect((await background.loadPriceWatches())[0].checkTabId).not.toBe(77);
+  });
+
+  test('a result clears the check start time and moves on to the next watch', async () => {
+    const { background, checkTabId } = await watchWithOpenCheck();
+    await background.handleAddPriceWatch(watchPayload(2));
+
+    await background.handlePriceResult({ prices: { 默认: 120 } }, checkTabId);
+
+    const [first, second] = await background.loadPriceWatches();
+    expect(first).toMatchObject({ checkTabId: null, checkStartedAt: null, lastPrice: 120 });
+    expect(second.checkTabId).not.toBeNull();
+    expect(second.checkStartedAt).toEqual(expect.any(Number));
+  });
+
+  test('watches added at the same time are all kept with a single check tab', async () => {
+    const { background } = await loadBackground();
+    await Promise.all([1, 2, 3, 4].map(id => background.handleAddPriceWatch(watchPayload(id))));
+
+    const watches = await background.loadPriceWatches();
+    expect(watches.map(watch => watch.productId).sort()).toEqual(['1_1', '1_2', '1_3', '1_4']);
+    expect(watches.filter(watch => watch.checkTabId != null)).toHaveLength(1);
+  });
+
+  test('a result arriving while a new round starts keeps the price and opens one check tab', async () => {
+    const { background, chrome, checkTabId } = await watchWithOpenCheck();
+    await background.handleAddPriceWatch(watchPayload(2));
+
+    await Promise.all([
+      background.handlePriceResult({ prices: { 默认: 90 } }, checkTabId),
+      background.runPriceChecks(),
+      background.handleRemovePriceWatch({ id: 'missing' })
+    ]);
+
+    const [first, second] = await background.loadPriceWatches();
+    expect(first).toMatchObject({ lastPrice: 90, lowestPrice: 90 });
+    expect([first, second].filter(watch => watch.checkTabId != null)).toHaveLength(1);
+    expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    expect(await background.getPriceHistory('1_1')).toHaveLength(1);
+  });
+
+  test('results for different products arriving together keep every history point', async () => {
+    const { background, checkTabId } = await watchWithOpenCheck();
+    await background.handleAddPriceWatch(watchPayload(2));
+    await background.handlePriceResult({ prices: { 默认: 120 } }, checkTabId);
+    const secondTabId = (await background.loadPriceWatches())[1].checkTabId;
+
+    await Promise.all([
+      background.handlePriceResult({ prices: { 默认: 110 } }, secondTabId),
+      background.handlePriceResult({ prices: { 默认: 100 } }, checkTabId)
+    ]);
+
+    expect(await background.getPriceHistory('1_1')).toHaveLength(1);
+    expect(await background.getPriceHistory('1_2')).toHaveLength(1);
+    expect((await background.loadPriceWatches())[1]).toMatchObject({ lastPrice: 110, checkTabId: null });
+  });
+
+  test('removing the watch being checked moves on to the next watch', async () => {
+    const { background, chrome, watch, checkTabId } = await watchWithOpenCheck();
+    await background.handleAddPriceWatch(watchPayload(2));
+
+    await background.handleRemovePriceWatch({ id: watch.id });
+
+    const watches = await background.loadPriceWatches();
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(checkTabId);
+    expect(watches).toHaveLength(1);
+    expect(watches[0].checkTabId).not.toBeNull();
+  });
+});
+
+// ============================================
+// 运行记录
+// ============================================
+
+describe('Run History', () => {
+  const TAB_A = 11;
+  const TAB_B = 22;
+  const product = (id) => ({ productId: `1_${id}`, url: `https://shopee.tw/product/1/${id}`, title: `商品 ${id}` });
+
+  async function startBoth() {
+    const loaded = await loadBackground();
+    const { background } = loaded;
+    await Promise.all([
+      background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, TAB_A),
+      background.dispatchMessage({ type: 'START', payload: { keyword: '耳機' } }, TAB_B)
+    ]);
+    return loaded;
+  }
+
+  test('runs started at the same time each get a record', async () => {
+    const { background } = await startBoth();
+    const runs = await background.loadRunHistory();
+    expect(runs.map(run => run.target).sort()).toEqual(['手機殼', '耳機']);
+  });
+
+  test('visits and attempts recorded by several tabs at once are all kept', async () => {
+    const { background } = await startBoth();
+
+    await Promise.all([1, 2, 3].flatMap(id => [
+      background.handleRecordVisit(product(id), TAB_A),
+      background.handleRecordAttempt({ ...product(id), variant: '', success: true, reason: '', quantity: 1, price: 10 }, TAB_A),
+      background.handleRecordVisit(product(id + 10), TAB_B),
+      background.handleRecordAttempt({ ...product(id + 10), variant: '', success: false, reason: '缺货', quantity: null, price: null }, TAB_B)
+    ]));
+
+    const runs = await background.loadRunHistory();
+    const a = runs.find(run => run.tabId === TAB_A);
+    const b = runs.find(run => run.tabId === TAB_B);
+    expect(a.products).toHaveLength(3);
+    expect(a.totals).toMatchObject({ attempts: 3, succeeded: 3 });
+    expect(b.products).toHaveLength(3);
+    expect(b.totals).toMatchObject({ attempts: 3, failed: 3 });
+  });
+
+  test('finishing one run does not drop an attempt recorded by another tab at the same time', async () => {
+    const { background } = await startBoth();
+
+    await Promise.all([
+      background.finishRunRecord(background.getSession(TAB_A), '用户停止'),
+      background.handleRecordAttempt({ ...product(1), variant: '', success: true, reason: '', quantity: 1, price: 10 }, TAB_B)
+    ]);
+
+    const runs = await background.loadRunHistory();
+    expect(runs.find(run => run.tabId === TAB_A).stopReason).toBe('用户停止');
+    expect(runs.find(run => run.tabId === TAB_B).totals.attempts).toBe(1);
+  });
+
+  test('a record keeps the search settings or the shopping list the run started with', async () => {
+    const { background } = await loadBackground();
+    const searchSpec = { keyword: '手機殼', sortBy: 'sales', order: 'desc', priceMin: 100, priceMax: 500, filters: { locations: ['臺北市'] }, page: 0 };
+    const searchFilter = { minPrice: 100, maxPrice: 500, minSold: 50, locations: ['臺北市'] };
+    const shoppingList = [
+      { url: 'https://shopee.tw/a-i.1.2', productId: '1_2', quantity: 2, variantRules: [{ layer: '顏色', op: 'contains', values: ['黑'], raw: '顏色~黑' }] },
+      { url: 'https://shopee.tw/b-i.3.4', productId: '3_4' }
+    ];
+    await background.dispatchMessage({ type: 'START', payload: { searchSpec, searchFilter, maxPages: '3' } }, TAB_A);
+    await background.dispatchMessage({ type: 'START', payload: { mode: 'list', shoppingList } }, TAB_B);
+
+    const runs = await background.loadRunHistory();
+    const search = runs.find(run => run.tabId === TAB_A);
+    const list = runs.find(run => run.tabId === TAB_B);
+    expect(search).toMatchObject({ searchSpec, searchFilter, maxPages: 3, shoppingList: null });
+    expect(list).toMatchObject({ searchSpec: null, searchFilter: null, maxPages: null, selection: null });
+    expect(list.shoppingList).toEqual([
+      shoppingList[0],
+      { url: 'https://shopee.tw/b-i.3.4', productId: '3_4', quantity: null, variantRules: [] }
+    ]);
+  });
+
+  test('a record keeps the selection strategy and seed after the tab starts another run', async () => {
+    const { background } = await loadBackground();
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼', selection: { strategy: 'random', seed: 42 } } }, TAB_A);
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '耳機', selection: { strategy: 'cheapest', seed: null } } }, TAB_A);
+
+    const runs = await background.loadRunHistory();
+    expect(runs.map(run => [run.target, run.selection])).toEqual([
+      ['耳機', { strategy: 'cheapest', seed: null }],
+      ['手機殼', { strategy: 'random', seed: 42 }]
+    ]);
+  });
+
+  test('snapshots saved by several tabs at once are all kept', async () => {
+    const { background } = await loadBackground();
+
+    await Promise.all([1, 2, 3].map(id => background.saveProductSnapshot({ ...product(id), capturedAt: id })));
+
+    for (const id of [1, 2, 3]) {
+      expect(await background.getProductSnapshot(`1_${id}`)).toMatchObject({ title: `商品 ${id}` });
+    }
+  });
+});
+
+// ============================================
+// 已处理商品记录 (IndexedDB)
+// ============================================
+
+describe('Processed Product Registry', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * 构造运行会话 - 只包含记录范围相关的字段
+   */
+  function session(background, { sessionId = 'run-a', scope = 'run', expiryDays = 7, keyword = '手機殼', mode = 'search', region = 'tw' } = {}) {
+    return {
+      ...background.createInitialState(1),
+      sessionId,
+      mode,
+      region,
+      searchSpec: { keyword, page: 0 },
+      processedRegistry: { scope, expiryDays }
+    };
+  }
+
+  async function isProcessed(background, state, productId) {
+    return (await background.getProcessedProducts(state, [productId])).includes(productId);
+  }
+
+  async function recordAt(background, state, productId, time) {
+    jest.spyOn(Date, 'now').mockReturnValue(time);
+    await background.addProcessedProduct(state, productId);
+    Date.now.mockRestore();
+  }
+
+  beforeEach(() => {
+    // 每个测试使用新的空数据库
+    global.indexedDB = new IDBFactory();
+  });
+
+  test('scopes are derived from the registry option', async () => {
+    const { background } = await loadBackground();
+    expect(background.getProcessedScope(session(background))).toBe('run:run-a');
+    expect(background.getProcessedScope(session(background, { scope: 'keyword' }))).toBe('keyword:手機殼');
+    expect(background.getProcessedScope(session(background, { scope: 'keyword', mode: 'list' }))).toBe('list');
+    expect(background.getProcessedScope(session(background, { scope: 'region' }))).toBe('region:tw');
+    expect(background.getProcessedScope(session(background, { scope: 'global' }))).toBe('global');
+  });
+
+  test('run scope records are kept apart per run and never expire', async () => {
+    const { background } = await loadBackground();
+    const runA = session(background, { sessionId: 'run-a' });
+    const runB = session(background, { sessionId: 'run-b' });
+    await recordAt(background, runA, '1_1', Date.now() - 365 * DAY);
+
+    expect(background.getProcessedCutoff(runA)).toBe(0);
+    expect(await isProcessed(background, runA, '1_1')).toBe(true);
+    expect(await isProcessed(background, runB, '1_1')).toBe(false);
+  });
+
+  test('keyword and region scopes are shared across runs but kept apart from each other', async () => {
+    const { background } = await loadBackground();
+    await background.addProcessedProduct(session(background, { sessionId: 'run-a', scope: 'keyword' }), '1_1');
+    await background.addProcessedProduct(session(background, { sessionId: 'run-a', scope: 'region', region: 'tw' }), '2_2');
+
+    const nextRun = { sessionId: 'run-b' };
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'keyword' }), '1_1')).toBe(true);
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'keyword', keyword: '耳機' }), '1_1')).toBe(false);
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'region' }), '1_1')).toBe(false);
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'region' }), '2_2')).toBe(true);
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'region', region: 'my' }), '2_2')).toBe(false);
+    expect(await isProcessed(background, session(background, { ...nextRun, scope: 'global' }), '1_1')).toBe(false);
+  });
+
+  test('expired entries are processed again, fresh ones are skipped', async () => {
+    const { background } = await loadBackground();
+    const state = session(background, { scope: 'global', expiryDays: 3 });
+    await recordAt(background, state, 'old', Date.now() - 3 * DAY - 60 * 1000);
+    await recordAt(background, state, 'fresh', Date.now() - 3 * DAY + 60 * 1000);
+
+    expect(await background.getProcessedProducts(state, ['old', 'fresh', 'never'])).toEqual(['fresh']);
+
+    // 再次处理后重新计时
+    await background.addProcessedProduct(state, 'old');
+    expect((await background.getProcessedProducts(state, ['old', 'fresh'])).sort()).toEqual(['fresh', 'old']);
+  });
+
+  test('a missing expiry falls back to the default number of days', async () => {
+    const { background } = await loadBackground();
+    const state = { ...session(background, { scope: 'global' }), processedRegistry: { scope: 'global' } };
+    await recordAt(background, state, 'six-days', Date.now() - 6 * DAY);
+    await recordAt(background, state, 'eight-days', Date.now() - 8 * DAY);
+
+    expect(await background.getProcessedProducts(state, ['six-days', 'eight-days'])).toEqual(['six-days']);
+  });
+
+  test('clearing a run only clears its own scope', async () => {
+    const { background } = await loadBackground();
+    const keywordRun = session(background, { scope: 'keyword' });
+    const globalRun = session(background, { scope: 'global' });
+    await background.addProcessedProduct(keywordRun, '1_1');
+    await background.addProcessedProduct(globalRun, '1_1');
+
+    await background.clearProcessedProducts(keywordRun);
+
+    expect(await isProcessed(background, keywordRun, '1_1')).toBe(false);
+    expect(await isProcessed(background, globalRun, '1_1')).toBe(true);
+  });
+
+  test('pruning drops entries past the retention period in every scope', async () => {
+    const { background } = await loadBackground();
+    const runState = session(background);
+    const globalState = session(background, { scope: 'global', expiryDays: 365 });
+    await recordAt(background, runState, 'ancient', Date.now() - 91 * DAY);
+    await recordAt(background, globalState, 'ancient', Date.now() - 91 * DAY);
+    await recordAt(background, globalState, 'recent', Date.now() - 89 * DAY);
+
+    await background.pruneProcessedProducts();
+
+    expect(await isProcessed(background, runState, 'ancient')).toBe(false);
+    expect(await background.getProcessedProducts(globalState, ['ancient', 'recent'])).toEqual(['recent']);
+  });
+
+  test('Property: a product counts as processed exactly when its record is within the expiry', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 30 }), fc.integer({ min: 0, max: 40 * 24 }), async (expiryDays, ageHours) => {
+        global.indexedDB = new IDBFactory();
+        const { background } = await loadBackground();
+        const state = session(background, { scope: 'global', expiryDays });
+        const now = Date.now();
+        await recordAt(background, state, 'p', now - ageHours * 60 * 60 * 1000);
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        const processed = await isProcessed(background, state, 'p');
+        Date.now.mockRestore();
+        expect(processed).toBe(ageHours * 60 * 60 * 1000 <= expiryDays * DAY);
+      }),
+      { numRuns: 30 }
+    );
+  });
+});
+
+// ============================================
+// 消息协议
+// ============================================
+
+describe('Message Protocol', () => {
+  const TAB = 21;
+  const TYPES = ['string', 'number', 'boolean', 'object', 'array', 'null'];
+  const SAMPLES = { string: 'x', number: 1, boolean: true, object: {}, array: [], null: null };
+
+  /** 解析目录中的参数类型写法 */
+  function parseSpec(spec) {
+    return { optional: spec.endsWith('?'), types: spec.replace(/\?$/, '').split('|') };
+  }
+
+  /** 只填必填参数的最小合法 payload */
+  function minimalPayload(entry) {
+    return Object.fromEntries(
+      Object.entries(entry.payload)
+        .map(([field, spec]) => [field, parseSpec(spec)])
+        .filter(([, { optional }]) => !optional)
+        .map(([field, { types }]) => [field, SAMPLES[types[0]]])
+    );
+  }
+
+  /**
+   * 通过 background 注册的 onMessage 监听器发送消息，等待 sendResponse
+   * @returns {Promise<{response: Object, async: boolean}>}
+   */
+  function send(chrome, message, senderId = TAB) {
+    const listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+    let respond;
+    const response = new Promise(resolve => { respond = resolve; });
+    const async = listener(message, { tab: { id: senderId } }, respond);
+    return response.then(value => ({ response: value, async }));
+  }
+
+  test('every catalogue type accepts its minimal payload and rejects each missing required field', async () => {
+    const { background } = await loadBackground();
+    const entries = Object.entries(background.MESSAGE_CATALOGUE);
+    expect(entries.length).toBeGreaterThan(40);
+
+    for (const [type, entry] of entries) {
+      const payload = minimalPayload(entry);
+      expect(background.validateMessage({ type, payload, protocolVersion: background.PROTOCOL_VERSION })).toBeNull();
+
+      for (const field of Object.keys(payload)) {
+        const { [field]: _omitted, ...rest } = payload;
+        const error = background.validateMessage({ type, payload: rest });
+        expect(error.code).toBe(background.ProtocolErrorCode.INVALID_PAYLOAD);
+        expect(error.details).toHaveLength(1);
+        expect(error.details[0]).toMatch(new RegExp(`^payload\\.${field} `));
+      }
+    }
+  });
+
+  test('every catalogue field accepts each listed type and rejects every other type', async () => {
+    const { background } = await loadBackground();
+    for (const [type, entry] of Object.entries(background.MESSAGE_CATALOGUE)) {
+      const base = minimalPayload(entry);
+      for (const [field, spec] of Object.entries(entry.payload)) {
+        const { types } = parseSpec(spec);
+        for (const candidate of TYPES) {
+          const error = background.validateMessage({ type, payload: { ...base, [field]: SAMPLES[candidate] } });
+          if (types.includes(candidate)) {
+            expect(error).toBeNull();
+          } else {
+            expect(error).toEqual(expect.objectContaining({
+              code: background.ProtocolErrorCode.INVALID_PAYLOAD,
+              details: [expect.stringContaining(`payload.${field} `)]
+            }));
+          }
+        }
+      }
+    }
+  });
+
+  test('payloads in the shape the page sends them pass validation', async () => {
+    const { background } = await loadBackground();
+    const url = 'https://shopee.tw/product/1/2';
+    const messages = [
+      { type: 'START', payload: { keyword: '手機殼', maxPages: '3', quantity: null, watch: null, region: 'tw' } },
+      { type: 'STOP', payload: { reason: '手动停止' } },
+      { type: 'STOP', payload: { sessionId: 's-1', reason: '放弃已暂停的任务' } },
+      { type: 'RESUME', payload: {} },
+      { type: 'PAUSE', payload: { url } },
+      { type: 'GET_STATE' },
+      { type: 'RECORD_ATTEMPT', payload: { productId: null, url, title: '', variant: '黑色', success: false, reason: '无库存', quantity: null, price: null } },
+      { type: 'RECORD_VISIT', payload: { productId: '2', url, title: '商品', error: null } },
+      { type: 'LIST_ITEM_DONE', payload: { productId: '2', status: 'done', cartCount: 2 } },
+      { type: 'WORKFLOW_TRANSITION', payload: { step: 'DONE', productId: null, url: null } },
+      { type: 'STATE_UPDATE', payload: { checkpoint: { url, productId: '2', variantIndices: [0, 1], cartCount: 1, completed: false } } },
+      { type: 'STATE_UPDATE', payload: { searchSpec: { keyword: '耳機', page: 0 }, keywordRotation: { index: 1, changedAt: 1 } } },
+      // 检查间隔留空时为 undefined，按省略处理
+      { type: 'ADD_RESTOCK_WATCH', payload: { url, productId: '2', variantRules: [], variantLabel: '', intervalMinutes: undefined, autoAddToCart: false } },
+      { type: 'RESTOCK_RESULT', payload: { available: true, added: false, variantName: null, error: null } },
+      { type: 'ADD_PRICE_WATCH', payload: { url, productId: '2', title: '商品', targetPrice: 99 } },
+      { type: 'PRICE_RESULT', payload: { prices: { '2': 120 }, title: '商品', error: null } },
+      { type: 'SCHEDULE_JOB', payload: { id: null, runAt: Date.now() + 60000, label: '抢购', url, startPayload: {} } },
+      { type: 'FOCUS_TAB', payload: { tabId: 3 } },
+      { type: 'CHECK_PROCESSED', payload: { productIds: ['1', '2'] } },
+      { type: 'CLEAR_PROCESSED', payload: { all: true } },
+      { type: 'SAVE_CONFIG', payload: { values: { maxCartsWithVariants: 5 } } }
+    ];
+    for (const message of messages) {
+      expect({ type: message.type, error: background.validateMessage(message) }).toEqual({ type: message.type, error: null });
+    }
+  });
+
+  test('malformed messages, unknown types, bad payloads and other protocol versions are rejected', async () => {
+    const { background } = await loadBackground();
+    const { MALFORMED, UNKNOWN_TYPE, INVALID_PAYLOAD, VERSION_MISMATCH } = background.ProtocolErrorCode;
+
+    for (const message of [null, undefined, 'START', [], { payload: {} }, { type: 1 }]) {
+      expect(background.validateMessage(message).code).toBe(MALFORMED);
+    }
+    expect(background.validateMessage({ type: 'NOPE' }).code).toBe(UNKNOWN_TYPE);
+    // 端口消息不能通过 runtime.sendMessage 发送
+    expect(background.validateMessage({ type: 'SUBSCRIBE', payload: { topics: ['runs'] } }).code).toBe(UNKNOWN_TYPE);
+    expect(background.validateMessage({ type: 'SUBSCRIBE', payload: { topics: ['runs'] } }, background.PORT_MESSAGE_CATALOGUE)).toBeNull();
+    expect(background.validateMessage({ type: 'LOG_BATCH', payload: { entries: [] } }, background.PORT_MESSAGE_CATALOGUE).code).toBe(UNKNOWN_TYPE);
+    expect(background.validateMessage({ type: 'STOP', payload: [] }).code).toBe(INVALID_PAYLOAD);
+    expect(background.validateMessage({ type: 'STOP', payload: 'stop' }).code).toBe(INVALID_PAYLOAD);
+    expect(background.validateMessage({ type: 'STOP', protocolVersion: background.PROTOCOL_VERSION + 1 }).code).toBe(VERSION_MISMATCH);
+    // 版本检查先于类型检查，旧页面发来的未知消息也提示刷新
+    expect(background.validateMessage({ type: 'NOPE', protocolVersion: 0 }).code).toBe(VERSION_MISMATCH);
+  });
+
+  test('a watch START without a complete watch target is rejected before the running session is touched', async () => {
+    const { background, chrome, store } = await loadBackground();
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼' } }, TAB);
+    const running = background.sessions[TAB];
+    const history = JSON.stringify(store.runHistory);
+
+    for (const watch of [undefined, null, {}, { url: 'https://shopee.tw/x-i.1.2', productId: '1_2' }]) {
+      const { response } = await send(chrome, { type: 'START', payload: { mode: 'watch', watch } });
+      expect(response.error).toEqual(expect.objectContaining({
+        code: background.ProtocolErrorCode.INVALID_PAYLOAD,
+        details: expect.arrayContaining([expect.stringContaining('payload.watch.')])
+      }));
+    }
+    expect(background.validateMessage({ type: 'START', payload: { mode: 'watch', watch: { url: 'https://shopee.tw/x-i.1.2', productId: '1_2', stopAt: Date.now() } } })).toBeNull();
+    expect(background.sessions[TAB]).toBe(running);
+    expect(running.isRunning).toBe(true);
+    expect(JSON.stringify(store.runHistory)).toBe(history);
+    await expect(background.handleScheduleJob({ runAt: Date.now() + 60000, url: 'https://shopee.tw/', startPayload: { mode: 'watch' } }))
+      .rejects.toThrow('payload.watch.url');
+  });
+
+  test('a payload with several bad fields lists every one of them', async () => {
+    const { background } = await loadBackground();
+    const error = background.validateMessage({ type: 'RECORD_ATTEMPT', payload: { productId: 1, success: 'yes' } });
+    expect(error.code).toBe(background.ProtocolErrorCode.INVALID_PAYLOAD);
+    expect(error.details.map(detail => detail.split(' ')[0])).toEqual(['payload.productId', 'payload.url', 'payload.success']);
+  });
+
+  test('a successful response echoes the request id and protocol version', async () => {
+    const { background, chrome } = await loadBackground();
+    const { response, async } = await send(chrome, { type: 'GET_STATE', payload: {}, requestId: 'req-1', protocolVersion: 1 });
+
+    expect(async).toBe(true);
+    expect(response).toEqual(expect.objectContaining({ success: true, requestId: 'req-1', protocolVersion: background.PROTOCOL_VERSION }));
+    expect(response.data.tabId).toBe(TAB);
+  });
+
+  test('validation errors are answered synchronously with the request id', async () => {
+    const { background, chrome, sent } = await loadBackground();
+    const { response, async } = await send(chrome, { type: 'FOCUS_TAB', payload: { tabId: '3' }, requestId: 'req-2' });
+
+    expect(async).toBe(false);
+    expect(response).toEqual({
+      success: false,
+      requestId: 'req-2',
+      protocolVersion: background.PROTOCOL_VERSION,
+      error: expect.objectContaining({ code: background.ProtocolErrorCode.INVALID_PAYLOAD, details: [expect.stringContaining('payload.tabId')] })
+    });
+    await settle();
+    // 错误同时显示在发送消息的页面面板中
+    expect(sent).toContainEqual({ tabId: TAB, message: expect.objectContaining({ type: 'LOG', payload: expect.objectContaining({ logType: 'error' }) }) });
+  });
+
+  test('handler errors are answered with HANDLER_ERROR and the request id', async () => {
+    const { background, chrome } = await loadBackground();
+    // 参数类型正确，但定时任务时间已过
+    const payload = { runAt: Date.now() - 1000, url: 'https://shopee.tw/', startPayload: {} };
+    const { response, async } = await send(chrome, { type: 'SCHEDULE_JOB', payload, requestId: 'req-3' });
+
+    expect(async).toBe(true);
+    expect(response).toEqual({
+      success: false,
+      requestId: 'req-3',
+      protocolVersion: background.PROTOCOL_VERSION,
+      error: { code: background.ProtocolErrorCode.HANDLER_ERROR, message: '定时任务时间必须晚于当前时间' }
+    });
+  });
+
+  test('messages without a request id are answered with a null request id', async () => {
+    const { chrome } = await loadBackground();
+    expect((await send(chrome, { type: 'GET_RUNS' })).response.requestId).toBeNull();
+    expect((await send(chrome, null)).response.requestId).toBeNull();
+  });
+
+  test('concurrent requests each get the response carrying their own request id', async () => {
+    const { chrome } = await loadBackground();
+    await fc.assert(
+      fc.asyncProperty(
+        fc.uniqueArray(fc.string({ minLength: 1, maxLength: 12 }), { minLength: 1, maxLength: 8 }),
+        fc.array(fc.constantFrom('GET_STATE', 'GET_RUNS', 'GET_JOBS', 'NOPE', 'FOCUS_TAB'), { minLength: 8, maxLength: 8 }),
+        async (requestIds, types) => {
+          const results = await Promise.all(requestIds.map((requestId, i) => send(chrome, { type: types[i], payload: {}, requestId })));
+          expect(results.map(({ response }) => response.requestId)).toEqual(requestIds);
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+});
+
+// ============================================
+// 配置校验和迁移
+// ============================================
+
+describe('Config', () => {
+  test('validated integers always stay within the field range', async () => {
+    const { background } = await loadBackground();
+    const field = background.CONFIG_SCHEMA.maxCartsWithVariants;
+    fc.assert(
+      fc.property(fc.oneof(fc.integer(), fc.double(), fc.string(), fc.constant(null)), (value) => {
+        const { config, errors } = background.validateConfig({ maxCartsWithVariants: value });
+        expect(Number.isInteger(config.maxCartsWithVariants)).toBe(true);
+        expect(config.maxCartsWithVariants).toBeGreaterThanOrEqual(field.min);
+        expect(config.maxCartsWithVariants).toBeLessThanOrEqual(field.max);
+        if (errors.length === 0) {
+          expect(config.maxCartsWithVariants).toBe(Number(value));
+        }
+      })
+    );
+  });
+
+  test('missing keys get their defaults and unknown keys are dropped', async () => {
+    const { background } = await loadBackground();
+    const { config, errors } = background.validateConfig({ retryDelay: '500', unknown: 1 });
+    expect(errors).toEqual([]);
+    expect(config.retryDelay).toBe(500);
+    expect(config.maxCartsWithVariants).toBe(background.CONFIG_SCHEMA.maxCartsWithVariants.default);
+    expect(config).not.toHaveProperty('unknown');
+  });
+
+  test('invalid positions fall back to the default', async () => {
+    const { background } = await loadBackground();
+    expect(background.CONFIG_SCHEMA.uiPosition.default).toBeNull();
+    expect(background.validateConfig({ uiPosition: { x: 5, y: 8 } })).toMatchObject({ config: { uiPosition: { x: 5, y: 8 } }, errors: [] });
+    expect(background.validateConfig({ uiPosition: { x: '5', y: 8 } }).config.uiPosition).toBeNull();
+    expect(background.validateConfig({ uiPosition: { x: '5', y: 8 } }).errors).toHaveLength(1);
+    expect(background.validateConfig({ uiPosition: null })).toMatchObject({ config: { uiPosition: null }, errors: [] });
+  });
+
+  test('unversioned config drops the old conflicting defaults', async () => {
+    const { background } = await loadBackground();
+    expect(background.migrateConfig({ maxCartsPerProduct: 10, retryAttempts: 3, retryDelay: 2000, maxLogEntries: 100, uiPosition: { x: 1, y: 2 } }))
+      .toEqual({ retryAttempts: 3, retryDelay: 2000, uiPosition: { x: 1, y: 2 } });
+    expect(background.migrateConfig({ maxCartsPerProduct: 8, maxLogEntries: 300 }))
+      .toEqual({ maxCartsWithVariants: 8, maxLogEntries: 300 });
+  });
+
+  test('current version config is not migrated again', async () => {
+    const { background } = await loadBackground();
+    const values = { maxCartsWithVariants: 10, maxLogEntries: 100 };
+    expect(background.migrateConfig({ version: background.CONFIG_VERSION, ...values })).toEqual(values);
+  });
+
+  test('the old default panel position is dropped so the panel stays docked', async () => {
+    const { background } = await loadBackground();
+    expect(background.migrateConfig({ retryDelay: 2000, uiPosition: { x: 20, y: 20 } })).toEqual({ retryDelay: 2000 });
+    expect(background.migrateConfig({ uiPosition: { x: 300, y: 40 } })).toEqual({ uiPosition: { x: 300, y: 40 } });
+  });
+
+  test('the position saved under the old storage key moves into the config', async () => {
+    const store = {
+      extensionConfig: { retryDelay: 3000, uiPosition: { x: 20, y: 20 } },
+      shopee_auto_cart_ui_position: { x: 640, y: 120 }
+    };
+    const { background } = await loadBackground(store);
+    expect(background.getUIPosition()).toEqual({ x: 640, y: 120 });
+    expect(store.extensionConfig).toMatchObject({ version: background.CONFIG_VERSION, retryDelay: 3000, uiPosition: { x: 640, y: 120 } });
+    expect(store).not.toHaveProperty('shopee_auto_cart_ui_position');
+  });
+
+  test('an old position without a saved config still becomes the config value', async () => {
+    const store = { shopee_auto_cart_ui_position: { x: 15, y: 30 } };
+    const { background } = await loadBackground(store);
+    expect(store.extensionConfig).toMatchObject({ version: background.CONFIG_VERSION, uiPosition: { x: 15, y: 30 } });
+    expect(store).not.toHaveProperty('shopee_auto_cart_ui_position');
+  });
+
+  test('a dragged position is saved in the config and survives a reset', async () => {
+    const store = {};
+    const { background } = await loadBackground(store);
+    await background.saveUIPosition({ x: 200, y: 80 });
+    expect(store.extensionConfig.uiPosition).toEqual({ x: 200, y: 80 });
+    expect(background.getVersionedConfig().uiPosition).toEqual({ x: 200, y: 80 });
+    await background.handleResetConfig();
+    expect(store.extensionConfig.uiPosition).toEqual({ x: 200, y: 80 });
+  });
+});
+
+// ============================================
+// 运行流程状态机
+// ============================================
+
+describe('Workflow State Machine', () => {
+  /** 去掉进入时间，只比较步骤和商品 */
+  const stepOf = ({ enteredAt, ...workflow }) => workflow;
+
+  test('a search run walks through every step and back to searching', async () => {
+    const { background } = await loadBackground();
+    const { WorkflowStep } = background;
+    const state = { workflow: { step: WorkflowStep.SEARCHING, productId: null, url: null } };
+    const path = [
+      [WorkflowStep.SELECTING],
+      [WorkflowStep.OPENING_PRODUCT, { productId: '1_2', url: 'https://shopee.tw/a-i.1.2' }],
+      [WorkflowStep.SELECTING_VARIANTS],
+      [WorkflowStep.ADDING],
+      [WorkflowStep.SELECTING_VARIANTS],
+      [WorkflowStep.ADDING],
+      [WorkflowStep.RETURNING],
+      [WorkflowStep.SEARCHING]
+    ];
+    for (const [step, target] of path) {
+      expect(background.advanceWorkflow(state, step, target)).toBeNull();
+    }
+    expect(stepOf(state.workflow)).toEqual({ step: WorkflowStep.SEARCHING, productId: null, url: null });
+  });
+
+  test('product steps keep the product chosen when opening it', async () => {
+    const { background } = await loadBackground();
+    const { WorkflowStep } = background;
+    const state = { workflow: { step: WorkflowStep.OPENING_PRODUCT, productId: '1_2', url: 'u' } };
+    background.advanceWorkflow(state, WorkflowStep.SELECTING_VARIANTS);
+    background.advanceWorkflow(state, WorkflowStep.ADDING);
+    expect(stepOf(state.workflow)).toEqual({ step: WorkflowStep.ADDING, productId: '1_2', url: 'u' });
+    expect(state.workflow.enteredAt).toEqual(expect.any(Number));
+  });
+
+  test('duplicate or out-of-order steps are rejected and leave the state unchanged', async () => {
+    const { background } = await loadBackground();
+    const { WorkflowStep } = background;
+    const state = { workflow: { step: WorkflowStep.SELECTING, productId: null, url: null } };
+    expect(background.advanceWorkflow(state, WorkflowStep.SELECTING)).toBe('不能从 selecting 进入 selecting');
+    expect(background.advanceWorkflow(state, WorkflowStep.ADDING)).not.toBeNull();
+    expect(background.advanceWorkflow(state, 'unknown')).not.toBeNull();
+    expect(state.workflow).toEqual({ step: WorkflowStep.SELECTING, productId: null, url: null });
+  });
+
+  test('STATE_UPDATE cannot change the step, run status, mode or budget', async () => {
+    const TAB = 41;
+    const { background, store } = await loadBackground();
+    await background.dispatchMessage({ type: 'START', payload: { keyword: '手機殼', budget: { totalBudget: 500 } } }, TAB);
+    const before = structuredClone(background.sessions[TAB]);
+
+    await background.dispatchMessage({
+      type: 'STATE_UPDATE',
+      payload: {
+        workflow: { step: background.WorkflowStep.ADDING, productId: '1_2', url: 'u' },
+        isRunning: false,
+        mode: 'list',
+        budget: { ...before.budget, spent: 0, totalBudget: 1e9 },
+        cartCount: 2
+      }
+    }, TAB);
+
+    const saved = store.runSessions[TAB];
+    expect(saved.workflow).toEqual(before.workflow);
+    expect(saved.isRunning).toBe(true);
+    expect(saved.mode).toBe(before.mode);
+    expect(saved.budget).toEqual(before.budget);
+    expect(saved.cartCount).toBe(2);
+  });
+
+  test('runs without a workflow may enter any known step', async () => {
+    const { background } = await loadBackground();
+    for (const step of Object.values(background.WorkflowStep)) {
+      expect(background.canTransition(null, step)).toBe(true);
+    }
+    expect(background.canTransition(null, 'unknown')).toBe(false);
+  });
+
+  test('any sequence of requests only ever passes through allowed transitions', async () => {
+    const { background } = await loadBackground();
+    const steps = Object.values(background.WorkflowStep);
+    fc.assert(
+      fc.property(fc.array(fc.constantFrom(...steps), { maxLength: 30 }), (requests) => {
+        const state = { workflow: { step: background.WorkflowStep.SEARCHING, productId: null, url: null } };
+        for (const step of requests) {
+          const before = state.workflow.step;
+          const rejected = background.advanceWorkflow(state, step);
+          if (rejected) {
+            expect(state.workflow.step).toBe(before);
+          } else {
+            expect(background.WORKFLOW_TRANSITIONS[before]).toContain(state.workflow.step);
+          }
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 端口推送主题
+// ============================================
+
+describe('Port Topics', () => {
+  const TAB = 31;
+
+  /**
+   * 通过 background 注册的 onConnect 监听器连接一个标签页端口
+   */
+  function connect(chrome, name) {
+    const port = {
+      name,
+      sender: { tab: { id: TAB } },
+      postMessage: jest.fn(),
+      disconnect: jest.fn(),
+      onMessage: { addListener: jest.fn() },
+      onDisconnect: { addListener: jest.fn() }
+    };
+    chrome.runtime.onConnect.addListener.mock.calls[0][0](port);
+    return port;
+  }
+
+  test('only subscribed topics are delivered, messages without a topic always are', async () => {
+    const { chrome, background } = await loadBackground();
+    const port = connect(chrome, background.PORT_NAME);
+    port.onMessage.addListener.mock.calls[0][0]({
+      type: 'SUBSCRIBE', payload: { topics: ['runs'] }, protocolVersion: background.PROTOCOL_VERSION
+    });
+    await settle();
+    port.postMessage.mockClear();
+
+    for (const type of ['RUNS_UPDATE', 'LOG', 'STATE_UPDATE', 'RUN_ABORT']) {
+      expect(background.postToPort(TAB, { type, payload: {} })).toBe(true);
+    }
+    expect(port.postMessage.mock.calls.map(([message]) => message.type)).toEqual(['RUNS_UPDATE', 'RUN_ABORT']);
+    expect(port.postMessage.mock.calls[0][0].protocolVersion).toBe(background.PROTOCOL_VERSION);
+  });
+
+  test('ports with another name and tabs that are not connected receive nothing', async () => {
+    const { chrome, background } = await loadBackground();
+    const other = connect(chrome, 'other');
+    expect(background.postToPort(TAB, { type: 'RUN_ABORT', payload: {} })).toBe(false);
+    expect(other.postMessage).not.toHaveBeenCalled();
+  });
+});
@@ -8,10 +8,13 @@
 // 配置常量
 // ============================================
 
+// 运行参数以 background 的配置 (CONFIG_SCHEMA) 为准，初始化时由 loadRemoteConfig 覆盖；
+// 这里的值只在无法连接 background 时使用
 const CONFIG = {
   MAX_CARTS_WITH_VARIANTS: 5,    // 有规格时最多添加5个，然后换下一个商品
-  MAX_CARTS_NO_VARIANTS: 3,      // 无规格时最多添加3个
+  MAX_CARTS_NO_VARIANTS: 3,      // 无规格时默认加购3件 (通过数量输入框一次加入)
   MAX_LOG_ENTRIES: 200,          // 最多保存200条日志
+  MAX_VISIBLE_LOG_ENTRIES: 100,  // 面板最多显示100条日志
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 2000,
   OPERATION_DELAY: 1000,         // 操作间延迟 (ms)
@@ -20,7 +23,9 @@ const CONFIG = {
   PAGE_LOAD_DELAY: 3000,         // 商品页面加载等待时间 (ms)
   SEARCH_PAGE_DELAY: 5000,       // 搜索页面加载等待时间 (ms)
   VARIANT_SELECT_DELAY: 500,     // 规格选择后等待时间 (ms)
-  KEYWORD_CHANGE_INTERVAL: 240000 // 搜索词更换间隔 (ms) - 4分钟
+  KEYWORD_CHANGE_INTERVAL: 240000, // 搜索词更换间隔 (ms)
+  MAX_SEARCH_PAGES: 5,           // 搜索结果默认最多翻页数
+  UI_POSITION: null              // 面板左上角位置 (null 时停靠右上角)，拖动后由 background 保存
 };
 
 // ============================================
@@ -37,6 +42,18 @@ const PageType = {
   OTHER: 'other'
 };
 
+/**
+ * 运行模式枚举
+ * - SEARCH: 随机搜索关键词并从搜索结果中挑选商品
+ * - LIST: 按购物清单中的商品链接逐个处理
+ * - WATCH: 在指定商品页等待加入购物车按钮可用后立即加购 (抢购)
+ */
+const RunMode = {
+  SEARCH: 'search',
+  LIST: 'list',
+  WATCH: 'watch'
+};
+
 /**
  * 检测当前页面类型
  * @returns {string} PageType
@@ -112,41 +129,123 @@ function isShopPage() {
 // 4.1 基础框架 - 消息通信
 // ============================================
 
+/** 消息协议版本 (与 background 的 PROTOCOL_VERSION 一致) */
+const PROTOCOL_VERSION = 1;
+
+/** 等待 background 响应的默认超时时间 (ms) */
+const MESSAGE_TIMEOUT = 10000;
+
+/**
+ * @typedef {'START'|'STOP'|'PAUSE'|'RESUME'|'NAVIGATE'|'STATE_UPDATE'|'LIST_ITEM_DONE'|'NEXT_SEARCH_PAGE'|'WORKFLOW_TRANSITION'|'RECORD_SPEND'|'WATCH_DONE'|'RECORD_VISIT'|'RECORD_ATTEMPT'|'GET_RUN_HISTORY'|'SAVE_SNAPSHOT'|'GET_SNAPSHOT'|'GET_STATE'|'SCHEDULE_JOB'|'CANCEL_JOB'|'GET_JOBS'|'ADD_RESTOCK_WATCH'|'REMOVE_RESTOCK_WATCH'|'GET_RESTOCK_WATCHES'|'GET_RESTOCK_CHECK'|'RESTOCK_RESULT'|'ADD_PRICE_WATCH'|'REMOVE_PRICE_WATCH'|'GET_PRICE_WATCHES'|'GET_PRICE_HISTORY'|'GET_PRICE_CHECK'|'PRICE_RESULT'|'PRICE_CHECK_NOW'|'GET_RUNS'|'FOCUS_TAB'|'GET_CONFIG'|'OPEN_OPTIONS'|'ADD_PROCESSED'|'CHECK_PROCESSED'|'CLEAR_PROCESSED'} MessageType
+ * background 接收的消息类型 (参数类型见 background.js 的 MESSAGE_CATALOGUE)
+ */
+
+/**
+ * @typedef {Object} MessageResponse
+ * @property {boolean} success - 是否成功
+ * @property {string|null} requestId - 对应请求的ID
+ * @property {number} protocolVersion - background 的协议版本
+ * @property {*} [data] - 响应数据
+ * @property {{code: string, message: string, details?: string[]}} [error] - 协议错误
+ */
+
+/**
+ * 消息错误 - 带有 background 返回的错误码 (或 TIMEOUT / DISCONNECTED)
+ */
+class MessageError extends Error {
+  /**
+   * @param {string} code - 错误码
+   * @param {string} message - 错误说明
+   * @param {string[]} [details] - 参数校验失败的明细
+   */
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'MessageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+let messageSequence = 0;
+
+/**
+ * 生成请求ID
+ * @returns {string}
+ */
+function createRequestId() {
+  messageSequence++;
+  return `${Date.now().toString(36)}-${messageSequence.toString(36)}`;
+}
+
 /**
  * 发送消息到 background script
- * @param {Object} message - 消息对象
- * @returns {Promise<Object>} 响应
+ * 附加协议版本和请求ID；超时未响应时以 TIMEOUT 错误拒绝。background 返回的协议错误会记录到控制台，
+ * 响应原样返回 (需要在失败时抛出错误的调用使用 request)
+ * @param {{type: MessageType, payload?: Object}} message - 消息对象
+ * @param {Object} [options]
+ * @param {number} [options.timeout=MESSAGE_TIMEOUT] - 超时时间 (ms)
+ * @returns {Promise<MessageResponse>} 响应
  */
-async function sendMessage(message) {
+async function sendMessage(message, { timeout = MESSAGE_TIMEOUT } = {}) {
+  const envelope = {
+    type: message.type,
+    payload: message.payload ?? {},
+    requestId: createRequestId(),
+    protocolVersion: PROTOCOL_VERSION
+  };
+  
   return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new MessageError('TIMEOUT', `消息 ${message.type} 超过 ${timeout}ms 未响应`));
+    }, timeout);
+    
     try {
-      chrome.runtime.sendMessage(message, (response) => {
+      chrome.runtime.sendMessage(envelope, (response) => {
+        clearTimeout(timer);
         if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
+          reject(new MessageError('DISCONNECTED', chrome.runtime.lastError.message));
+          return;
+        }
+        if (response && !response.success && response.error) {
+          console.error('[Shopee Auto Cart] 消息错误:', { type: envelope.type, requestId: envelope.requestId, ...response.error });
         }
+        resolve(response);
       });
     } catch (error) {
+      clearTimeout(timer);
       reject(error);
     }
   });
 }
 
 /**
- * 发送日志消息
+ * 发送请求并返回响应数据，background 返回错误时抛出 MessageError
+ * @param {MessageType} type - 消息类型
+ * @param {Object} [payload={}] - 参数
+ * @param {Object} [options] - 同 sendMessage
+ * @returns {Promise<*>} 响应数据
+ */
+async function request(type, payload = {}, options) {
+  const response = await sendMessage({ type, payload }, options);
+  if (!response?.success) {
+    const error = response?.error || { code: 'NO_RESPONSE', message: `消息 ${type} 没有响应` };
+    throw new MessageError(error.code, error.message, error.details);
+  }
+  return response.data;
+}
+
+/**
+ * 记录日志 - 先放入队列，按间隔或条数批量写入面板
  * @param {string} message - 日志内容
  * @param {'info'|'success'|'error'|'warning'} logType - 日志类型
  */
 async function log(message, logType = 'info') {
   console.log(`[Shopee Auto Cart] [${logType}] ${message}`);
-  try {
-    await sendMessage({
-      type: 'LOG',
-      payload: { message, logType }
-    });
-  } catch (error) {
-    console.error('Failed to send log:', error);
+  pendingLogs.push({ message, logType, timestamp: new Date().toISOString() });
+  if (pendingLogs.length >= LOG_BATCH_SIZE) {
+    flushLogs();
+  } else if (!logFlushTimer) {
+    logFlushTimer = setTimeout(flushLogs, LOG_FLUSH_INTERVAL);
   }
 }
 
@@ -160,12 +259,44 @@ async function getState() {
 }
 
 /**
- * 获取扩展配置
- * @returns {Promise<Object>}
+ * 获取扩展配置 (带版本号，键名为 camelCase)
+ * @returns {Promise<Object|null>}
  */
 async function getConfig() {
-  const response = await sendMessage({ type: 'GET_CONFIG' });
-  return response?.data || CONFIG;
+  return request('GET_CONFIG');
+}
+
+/**
+ * 配置项名转为 CONFIG 常量名 (maxCartsWithVariants → MAX_CARTS_WITH_VARIANTS)
+ * @param {string} key - 配置项名
+ * @returns {string}
+ */
+function configKeyToConstant(key) {
+  return key.replace(/[A-Z]/g, ch => `_${ch}`).toUpperCase();
+}
+
+/**
+ * 用 background 的配置覆盖 CONFIG 中对应的常量
+ * @param {Object|null} values - 配置 (camelCase 键名)
+ */
+function applyConfigValues(values) {
+  for (const [key, value] of Object.entries(values || {})) {
+    const constant = configKeyToConstant(key);
+    if (constant in CONFIG) {
+      CONFIG[constant] = value;
+    }
+  }
+}
+
+/**
+ * 从 background 读取配置并覆盖 CONFIG (选项页修改后通过 CONFIG_UPDATE 再次覆盖)
+ */
+async function loadRemoteConfig() {
+  try {
+    applyConfigValues(await getConfig());
+  } catch (error) {
+    console.warn('[Shopee Auto Cart] 读取配置失败，使用默认值:', error);
+  }
 }
 
 /**
@@ -184,6 +315,7 @@ async function updateState(updates) {
  * @param {string} url - 目标 URL
  */
 async function navigateTo(url) {
+  flushLogs();
   await sendMessage({
     type: 'NAVIGATE',
     payload: { url }
@@ -202,23 +334,177 @@ async function markProductProcessed(productId) {
 }
 
 /**
- * 检查商品是否已处理
- * @param {string} productId - 商品 ID
- * @returns {Promise<boolean>}
+ * 批量检查商品是否已处理 (一次消息检查整页商品)
+ * @param {string[]} productIds - 商品 ID 列表
+ * @returns {Promise<Set<string>>} 已处理的商品 ID
  */
-async function isProductProcessed(productId) {
+async function getProcessedProductIds(productIds) {
   const response = await sendMessage({
-    type: 'IS_PROCESSED',
-    payload: { productId }
+    type: 'CHECK_PROCESSED',
+    payload: { productIds }
+  });
+  return new Set(response?.data || []);
+}
+
+// ============================================
+// 4.1 基础框架 - 长连接端口
+// ============================================
+
+/** 连接 background 的端口名 (与 background 的 PORT_NAME 一致) */
+const PORT_NAME = 'shopee-auto-cart';
+
+/** 端口断开后首次重连的等待时间 (ms)，之后每次翻倍 */
+const PORT_RECONNECT_DELAY = 1000;
+
+/** 端口重连的最长等待时间 (ms) */
+const PORT_RECONNECT_MAX_DELAY = 30000;
+
+/** @type {chrome.runtime.Port|null} 与 background 的端口 (service worker 重启时断开) */
+let backgroundPort = null;
+let portReconnectDelay = PORT_RECONNECT_DELAY;
+let portReconnectTimer = null;
+
+/** @type {Set<string>} 已订阅的推送主题，重连后重新订阅 */
+const portTopics = new Set();
+
+/** @type {((message: Object) => void)|null} 面板注册的推送消息处理函数 */
+let backgroundMessageHandler = null;
+
+/**
+ * 处理 background 推送的消息 (端口和 runtime 消息共用)
+ * 扩展更新后旧页面收到的新版本消息格式可能不同，忽略
+ * RUN_ABORT 直接中止页面处理，其他消息交给面板
+ * @param {Object} message
+ * @returns {boolean} 是否已处理
+ */
+function receiveBackgroundMessage(message) {
+  if (message?.protocolVersion !== PROTOCOL_VERSION) {
+    console.warn('[Shopee Auto Cart] 忽略协议版本不一致的消息:', message?.type, message?.protocolVersion);
+    return false;
+  }
+  if (message.type === 'RUN_ABORT') {
+    abortRun(message.payload);
+    return true;
+  }
+  backgroundMessageHandler?.(message);
+  return true;
+}
+
+/**
+ * 通过端口发送消息
+ * @param {{type: string, payload: Object}} message
+ * @returns {boolean} 端口未连接或已断开时返回 false
+ */
+function postToBackground(message) {
+  if (!backgroundPort) return false;
+  try {
+    backgroundPort.postMessage({ ...message, protocolVersion: PROTOCOL_VERSION });
+    return true;
+  } catch (error) {
+    backgroundPort = null;
+    scheduleReconnect();
+    return false;
+  }
+}
+
+/**
+ * 连接 background 并重新订阅
+ * 扩展被重新加载后旧页面已无法连接，此时不再重试
+ */
+function connectPort() {
+  clearTimeout(portReconnectTimer);
+  portReconnectTimer = null;
+  if (!chrome.runtime?.id) return;
+  
+  try {
+    backgroundPort = chrome.runtime.connect({ name: PORT_NAME });
+  } catch (error) {
+    console.warn('[Shopee Auto Cart] 无法连接 background:', error);
+    backgroundPort = null;
+    return;
+  }
+  
+  const port = backgroundPort;
+  port.onMessage.addListener((message) => {
+    portReconnectDelay = PORT_RECONNECT_DELAY;
+    receiveBackgroundMessage(message);
   });
-  return response?.data || false;
+  port.onDisconnect.addListener(() => {
+    void chrome.runtime.lastError;
+    if (backgroundPort !== port) return;
+    backgroundPort = null;
+    scheduleReconnect();
+  });
+  
+  if (portTopics.size > 0) {
+    postToBackground({ type: 'SUBSCRIBE', payload: { topics: [...portTopics] } });
+  }
+}
+
+/**
+ * 端口断开后 (service worker 重启) 延迟重连，连续失败时逐步拉长等待时间
+ */
+function scheduleReconnect() {
+  if (portReconnectTimer) return;
+  portReconnectTimer = setTimeout(connectPort, portReconnectDelay);
+  portReconnectDelay = Math.min(portReconnectDelay * 2, PORT_RECONNECT_MAX_DELAY);
+}
+
+/**
+ * 订阅推送主题 - background 订阅时先推送主题的当前内容
+ * @param {string[]} topics - 'log' | 'state' | 'runs' | 'jobs' | 'watches' | 'config'
+ */
+function subscribe(topics) {
+  const added = topics.filter(topic => !portTopics.has(topic));
+  added.forEach(topic => portTopics.add(topic));
+  if (added.length > 0) {
+    postToBackground({ type: 'SUBSCRIBE', payload: { topics: added } });
+  }
+}
+
+// ============================================
+// 4.1 基础框架 - 日志队列
+// ============================================
+
+/** 日志批量写入面板的间隔 (ms)，一批只保存一次 storage */
+const LOG_FLUSH_INTERVAL = 200;
+
+/** 积累到这么多条日志时立即写入 */
+const LOG_BATCH_SIZE = 50;
+
+/** 面板注入前最多缓存的日志条数，超过时丢弃最早的 */
+const MAX_PENDING_LOGS = 500;
+
+/** @type {Array<{message: string, logType: string, timestamp: string}>} 等待写入面板的日志 */
+const pendingLogs = [];
+let logFlushTimer = null;
+
+/** @type {((entries: Array<{message: string, logType: string, timestamp: string}>) => void)|null} 面板注册的日志写入函数 */
+let panelLogHandler = null;
+
+/** @type {((snapshot: ProductSnapshot) => void)|null} 面板注册的商品快照显示函数 */
+let panelSnapshotHandler = null;
+
+/**
+ * 把积累的日志写入面板 - 面板注入前保留，注入后再写入
+ */
+function flushLogs() {
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  if (pendingLogs.length === 0) return;
+  
+  if (panelLogHandler) {
+    panelLogHandler(pendingLogs.splice(0));
+  } else if (pendingLogs.length > MAX_PENDING_LOGS) {
+    pendingLogs.splice(0, pendingLogs.length - MAX_PENDING_LOGS);
+  }
 }
 
 // ============================================
 // 4.1 基础框架 - UI 注入
 // ============================================
 
-// 预设搜索关键词列表
+// 预设搜索关键词 - 没有保存的关键词列表时作为默认列表
 const PRESET_KEYWORDS = [
   '女裝',
   '美式女裝',
@@ -230,13 +516,146 @@ const PRESET_KEYWORDS = [
   '首飾'
 ];
 
+// ============================================
+// 关键词列表
+// ============================================
+
+/**
+ * 关键词轮换方式
+ * - FIXED: 固定使用列表中的第一个关键词
+ * - RANDOM: 每次更换时随机选择
+ * - ROUND_ROBIN: 按列表顺序依次轮换
+ */
+const KeywordRotation = {
+  FIXED: 'fixed',
+  RANDOM: 'random',
+  ROUND_ROBIN: 'round-robin'
+};
+
+/**
+ * 支持的 Shopee 站点 (域名最后一段)，空字符串表示适用于所有站点
+ */
+const SHOPEE_REGIONS = {
+  '': '全部站点',
+  tw: '台湾',
+  sg: '新加坡',
+  my: '马来西亚',
+  ph: '菲律宾',
+  th: '泰国',
+  vn: '越南',
+  id: '印尼',
+  br: '巴西'
+};
+
+/**
+ * @typedef {Object} KeywordList
+ * @property {string} id - 列表ID
+ * @property {string} name - 列表名称
+ * @property {string} region - 适用站点，空字符串表示所有站点
+ * @property {string[]} keywords - 关键词 (按顺序)
+ */
+
 /**
- * 从预设关键词中随机选择一个
+ * @typedef {Object} KeywordStore
+ * @property {KeywordList[]} lists - 所有关键词列表
+ * @property {Object<string, string>} activeListIds - 每个站点当前使用的列表ID
+ * @property {string} rotation - 轮换方式
+ */
+
+/**
+ * 根据域名获取 Shopee 站点代码，如 shopee.tw → tw, shopee.com.my → my
+ * @param {string} hostname - 域名
  * @returns {string}
  */
-function getRandomKeyword() {
-  const randomIndex = Math.floor(Math.random() * PRESET_KEYWORDS.length);
-  return PRESET_KEYWORDS[randomIndex];
+function getShopeeRegion(hostname) {
+  const region = String(hostname || '').toLowerCase().split('.').pop();
+  return Object.prototype.hasOwnProperty.call(SHOPEE_REGIONS, region) ? region : '';
+}
+
+/**
+ * 规范化存储中的关键词列表，缺失时使用预设关键词创建默认列表
+ * @param {KeywordStore} [stored] - chrome.storage 中保存的数据
+ * @returns {KeywordStore}
+ */
+function normalizeKeywordStore(stored) {
+  const lists = Array.isArray(stored?.lists) && stored.lists.length > 0
+    ? stored.lists.map(list => ({
+      id: String(list.id),
+      name: list.name || '未命名列表',
+      region: Object.prototype.hasOwnProperty.call(SHOPEE_REGIONS, list.region) ? list.region : '',
+      keywords: (list.keywords || []).map(k => String(k).trim()).filter(Boolean)
+    }))
+    : [{ id: 'default', name: '预设关键词', region: '', keywords: [...PRESET_KEYWORDS] }];
+  
+  return {
+    lists,
+    activeListIds: { ...(stored?.activeListIds || {}) },
+    rotation: Object.values(KeywordRotation).includes(stored?.rotation) ? stored.rotation : KeywordRotation.RANDOM
+  };
+}
+
+/**
+ * 获取当前站点可用的关键词列表 (站点专用列表和全部站点列表)
+ * @param {KeywordStore} store - 关键词列表数据
+ * @param {string} region - 站点代码
+ * @returns {KeywordList[]}
+ */
+function getRegionKeywordLists(store, region) {
+  return store.lists.filter(list => list.region === '' || list.region === region);
+}
+
+/**
+ * 获取当前站点正在使用的关键词列表
+ * @param {KeywordStore} store - 关键词列表数据
+ * @param {string} region - 站点代码
+ * @returns {KeywordList|null}
+ */
+function getActiveKeywordList(store, region) {
+  const lists = getRegionKeywordLists(store, region);
+  return lists.find(list => list.id === store.activeListIds[region]) || lists[0] || null;
+}
+
+/**
+ * 按轮换方式选择下一个关键词
+ * @param {string[]} keywords - 关键词列表
+ * @param {string} rotation - 轮换方式
+ * @param {number} currentIndex - 当前关键词索引，-1 表示尚未选择
+ * @param {function(): number} [random] - 随机数生成器
+ * @returns {{keyword: string, index: number}}
+ */
+function pickKeyword(keywords, rotation, currentIndex, random = Math.random) {
+  const list = keywords.length > 0 ? keywords : PRESET_KEYWORDS;
+  
+  if (rotation === KeywordRotation.FIXED) {
+    return { keyword: list[0], index: 0 };
+  }
+  
+  if (rotation === KeywordRotation.ROUND_ROBIN) {
+    const index = currentIndex < 0 ? 0 : (currentIndex + 1) % list.length;
+    return { keyword: list[index], index };
+  }
+  
+  // 随机 - 列表多于一个关键词时避免与当前关键词重复
+  let index = Math.floor(random() * list.length);
+  if (list.length > 1 && index === currentIndex) {
+    index = (index + 1 + Math.floor(random() * (list.length - 1))) % list.length;
+  }
+  return { keyword: list[index], index };
+}
+
+/**
+ * 移动数组中的元素，返回新数组
+ * @param {Array} items - 原数组
+ * @param {number} from - 原位置
+ * @param {number} to - 目标位置
+ * @returns {Array}
+ */
+function moveItem(items, from, to) {
+  if (to < 0 || to >= items.length || from === to) return [...items];
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
 }
 
 /**
@@ -260,6 +679,7 @@ function injectFloatingUI() {
       <div class="panel-header" id="panel-header">
         <span class="panel-title">🛒 Shopee Auto Cart</span>
         <div class="header-buttons">
+          <button id="settings-btn" class="icon-btn" title="设置">⚙</button>
           <button id="minimize-btn" class="icon-btn" title="最小化">−</button>
           <button id="expand-btn" class="icon-btn hidden" title="展开">+</button>
         </div>
@@ -272,13 +692,245 @@ function injectFloatingUI() {
           <span class="keyword-label">搜索关键词:</span>
           <span id="current-keyword" class="keyword-value">随机选择</span>
         </div>
+        <div class="keyword-display">
+          <span class="keyword-label">选择策略:</span>
+          <span id="current-strategy" class="keyword-value">随机</span>
+        </div>
+        <div class="keyword-display">
+          <span class="keyword-label">预算:</span>
+          <span id="current-budget" class="keyword-value">不限</span>
+        </div>
+
+        <!-- 关键词列表 -->
+        <details id="keyword-list-section" class="panel-details">
+          <summary>关键词</summary>
+          <div class="input-group">
+            <label for="keyword-input">指定关键词 (留空则按列表轮换)</label>
+            <input type="text" id="keyword-input" placeholder="输入商品关键词...">
+          </div>
+          <div class="list-toolbar">
+            <select id="keyword-list-select" class="panel-select"></select>
+            <button id="keyword-list-new-btn" class="btn-small">新建</button>
+            <button id="keyword-list-delete-btn" class="btn-small">删除</button>
+          </div>
+          <div class="filter-grid">
+            <label>列表名称<input type="text" id="keyword-list-name"></label>
+            <label>适用站点<select id="keyword-list-region" class="panel-select"></select></label>
+          </div>
+          <ul id="keyword-items" class="keyword-items"></ul>
+          <div class="list-toolbar">
+            <input type="text" id="keyword-add-input" placeholder="添加关键词 (回车)">
+            <button id="keyword-add-btn" class="btn-small">添加</button>
+          </div>
+          <div class="input-group">
+            <label for="keyword-rotation-select" id="keyword-rotation-label">轮换方式 (每 ${formatKeywordChangeInterval()})</label>
+            <select id="keyword-rotation-select" class="panel-select">
+              <option value="random">随机</option>
+              <option value="round-robin">按顺序轮换</option>
+              <option value="fixed">固定 (列表第一个)</option>
+            </select>
+          </div>
+        </details>
+
+        <!-- 当前商品快照 -->
+        <details id="product-snapshot-section" class="panel-details hidden">
+          <summary id="product-snapshot-title">当前商品</summary>
+          <dl id="product-snapshot" class="snapshot-view"></dl>
+        </details>
+
+        <!-- 运行模式 -->
+        <div class="input-group">
+          <label for="run-mode-select">运行模式</label>
+          <select id="run-mode-select" class="panel-select">
+            <option value="search">随机搜索</option>
+            <option value="list">购物清单</option>
+            <option value="watch">抢购监视</option>
+          </select>
+        </div>
+
+        <!-- 搜索排序 -->
+        <div class="input-group">
+          <label for="search-sort-select">搜索排序</label>
+          <select id="search-sort-select" class="panel-select">
+            <option value="relevancy">综合排序</option>
+            <option value="ctime">最新</option>
+            <option value="sales">最热销</option>
+            <option value="price:asc">价格: 低 → 高</option>
+            <option value="price:desc">价格: 高 → 低</option>
+          </select>
+        </div>
+
+        <!-- 最多翻页数 -->
+        <div class="input-group">
+          <label for="max-pages-input">最多翻页数</label>
+          <input type="number" id="max-pages-input" min="1" placeholder="默认 ${CONFIG.MAX_SEARCH_PAGES} 页">
+        </div>
+
+        <!-- 商品选择策略 -->
+        <div id="selection-section" class="input-group">
+          <label for="selection-strategy-select">商品选择策略</label>
+          <select id="selection-strategy-select" class="panel-select">
+            <option value="random">随机</option>
+            <option value="sequential">顺序 (前 N 个)</option>
+            <option value="cheapest">最便宜优先</option>
+            <option value="rating">评分最高优先</option>
+            <option value="sold">销量最高优先</option>
+          </select>
+          <input type="number" id="selection-seed-input" min="0" placeholder="随机种子 (留空自动生成，填写可重放)">
+        </div>
+
+        <!-- 加购数量 -->
+        <div class="input-group">
+          <label for="quantity-input">每次加购数量</label>
+          <input type="number" id="quantity-input" min="1" placeholder="默认: 无规格 ${CONFIG.MAX_CARTS_NO_VARIANTS} 件，有规格每种 1 件">
+        </div>
+
+        <!-- 规格规则 -->
+        <div class="input-group">
+          <label for="variant-rules-input">规格规则 (可选)</label>
+          <input type="text" id="variant-rules-input" placeholder="顏色~黑|Black; 尺寸=M|L">
+        </div>
+
+        <!-- 搜索结果筛选条件 -->
+        <details id="search-filter-section" class="panel-details">
+          <summary>筛选条件</summary>
+          <div class="filter-grid">
+            <label>最低价格<input type="number" id="filter-min-price" min="0"></label>
+            <label>最高价格<input type="number" id="filter-max-price" min="0"></label>
+            <label>最低评分<input type="number" id="filter-min-rating" min="0" max="5" step="0.1"></label>
+            <label>最少已售<input type="number" id="filter-min-sold" min="0"></label>
+          </div>
+          <div class="input-group">
+            <label for="filter-locations">店铺所在地 (逗号分隔)</label>
+            <input type="text" id="filter-locations" placeholder="臺北市, 新北市">
+          </div>
+          <div class="checkbox-row">
+            <label><input type="checkbox" id="filter-mall-only"> 只选商城</label>
+            <label><input type="checkbox" id="filter-preferred-only"> 只选优选卖家</label>
+          </div>
+        </details>
+
+        <!-- 预算限制 -->
+        <details id="budget-section" class="panel-details">
+          <summary>预算限制</summary>
+          <div class="filter-grid">
+            <label>单品价格上限<input type="number" id="budget-max-item-price" min="0"></label>
+            <label>本次运行总预算<input type="number" id="budget-total" min="0"></label>
+          </div>
+        </details>
+
+        <!-- 已处理商品去重 -->
+        <details id="processed-registry-section" class="panel-details">
+          <summary>去重设置</summary>
+          <div class="filter-grid">
+            <label>不重复访问范围
+              <select id="processed-scope-select" class="panel-select">
+                <option value="run">仅本次运行</option>
+                <option value="keyword">同一关键词</option>
+                <option value="region">同一站点</option>
+                <option value="global">所有运行</option>
+              </select>
+            </label>
+            <label>保留天数<input type="number" id="processed-expiry-input" min="1" placeholder="默认 7 天"></label>
+          </div>
+          <div class="list-toolbar">
+            <button id="processed-clear-btn" class="btn-small">清除已处理记录</button>
+          </div>
+        </details>
+
+        <!-- 购物清单 (每行一个商品链接) -->
+        <div id="shopping-list-section" class="input-group hidden">
+          <div class="log-header">
+            <span>商品链接 (每行一个)</span>
+            <div class="log-buttons">
+              <button id="import-list-btn" class="btn-small">导入</button>
+              <input type="file" id="import-list-file" accept=".txt,.csv" class="hidden">
+            </div>
+          </div>
+          <textarea id="shopping-list-input" class="panel-textarea" rows="4" placeholder="https://shopee.tw/xxx-i.123.456"></textarea>
+          <span id="shopping-list-count" class="keyword-label">共 0 个商品</span>
+        </div>
+
+        <!-- 抢购监视 (按上方规格规则选择规格) -->
+        <div id="flash-watch-section" class="input-group hidden">
+          <label for="watch-url-input">抢购商品链接</label>
+          <input type="text" id="watch-url-input" placeholder="https://shopee.tw/xxx-i.123.456">
+          <label for="watch-stop-input">截止时间</label>
+          <input type="datetime-local" id="watch-stop-input">
+          <span class="keyword-label">按规格规则选择规格，加入购物车按钮可用时立即加购，到截止时间仍不可用则结束</span>
+        </div>
+
+        <!-- 定时任务 -->
+        <details id="schedule-section" class="panel-details">
+          <summary>定时任务</summary>
+          <div class="list-toolbar">
+            <input type="datetime-local" id="schedule-time-input">
+            <button id="schedule-save-btn" class="btn-small">添加</button>
+            <button id="schedule-cancel-edit-btn" class="btn-small hidden">取消编辑</button>
+          </div>
+          <span class="keyword-label">到时按保存时的面板设置 (运行模式、关键词、筛选、预算等) 开始运行</span>
+          <ul id="scheduled-job-list" class="keyword-items"></ul>
+        </details>
+
+        <!-- 到货提醒 -->
+        <details id="restock-section" class="panel-details">
+          <summary>到货提醒</summary>
+          <div class="list-toolbar">
+            <input type="number" id="restock-interval-input" min="1" placeholder="检查间隔 (分钟，留空使用默认间隔)">
+            <button id="restock-add-btn" class="btn-small">提醒当前商品</button>
+          </div>
+          <div class="checkbox-row">
+            <label><input type="checkbox" id="restock-auto-add"> 到货后自动加入购物车</label>
+          </div>
+          <span class="keyword-label">按规格规则指定要等待的规格，定期在后台标签页中打开商品页检查</span>
+          <ul id="restock-watch-list" class="keyword-items"></ul>
+        </details>
+
+        <!-- 降价提醒 -->
+        <details id="price-watch-section" class="panel-details">
+          <summary>降价提醒</summary>
+          <div class="list-toolbar">
+            <input type="number" id="price-target-input" min="0" placeholder="目标价格">
+            <button id="price-watch-add-btn" class="btn-small">关注当前商品</button>
+            <button id="price-check-now-btn" class="btn-small">立即检查</button>
+          </div>
+          <span class="keyword-label">每小时在后台标签页中检查各规格价格，最低价不高于目标价格时通知</span>
+          <ul id="price-watch-list" class="keyword-items"></ul>
+        </details>
+
+        <!-- 运行记录 -->
+        <details id="history-section" class="panel-details">
+          <summary>运行记录</summary>
+          <div class="list-toolbar">
+            <button id="history-export-json-btn" class="btn-small">导出 JSON</button>
+            <button id="history-export-csv-btn" class="btn-small">导出 CSV</button>
+          </div>
+          <ul id="run-history-list" class="keyword-items"></ul>
+          <div id="run-report" class="hidden">
+            <div class="log-header">
+              <span id="run-report-title"></span>
+              <button id="run-report-close-btn" class="btn-small">返回列表</button>
+            </div>
+            <dl id="run-report-summary" class="snapshot-view"></dl>
+            <ul id="run-report-products" class="run-report-products"></ul>
+          </div>
+        </details>
 
         <!-- 控制按钮区域 -->
         <div class="button-group">
           <button id="start-btn" class="btn btn-primary">▶ 开始</button>
+          <button id="pause-btn" class="btn btn-warning" disabled>❚❚ 暂停</button>
           <button id="stop-btn" class="btn btn-danger" disabled>■ 停止</button>
         </div>
 
+        <!-- 其他标签页正在运行的任务 -->
+        <div id="other-run-bar" class="status-bar hidden">
+          <span id="other-run-text" class="status-label"></span>
+          <button id="other-run-focus-btn" class="btn-small">前往</button>
+          <button id="other-run-resume-btn" class="btn-small hidden">在此继续</button>
+          <button id="other-run-discard-btn" class="btn-small hidden">放弃</button>
+        </div>
+
         <!-- 状态显示 -->
         <div class="status-bar">
           <span class="status-label">状态:</span>
@@ -348,13 +1000,88 @@ function initUILogic() {
     expandBtn: document.getElementById('expand-btn'),
     minimizedIcon: document.getElementById('minimized-icon'),
     currentKeyword: document.getElementById('current-keyword'),
+    keywordInput: document.getElementById('keyword-input'),
+    keywordListSelect: document.getElementById('keyword-list-select'),
+    keywordListNewBtn: document.getElementById('keyword-list-new-btn'),
+    keywordListDeleteBtn: document.getElementById('keyword-list-delete-btn'),
+    keywordListName: document.getElementById('keyword-list-name'),
+    keywordListRegion: document.getElementById('keyword-list-region'),
+    keywordItems: document.getElementById('keyword-items'),
+    keywordAddInput: document.getElementById('keyword-add-input'),
+    keywordAddBtn: document.getElementById('keyword-add-btn'),
+    keywordRotationSelect: document.getElementById('keyword-rotation-select'),
+    keywordRotationLabel: document.getElementById('keyword-rotation-label'),
+    keywordListSection: document.getElementById('keyword-list-section'),
+    productSnapshotSection: document.getElementById('product-snapshot-section'),
+    otherRunBar: document.getElementById('other-run-bar'),
+    scheduleTimeInput: document.getElementById('schedule-time-input'),
+    scheduleSaveBtn: document.getElementById('schedule-save-btn'),
+    scheduleCancelEditBtn: document.getElementById('schedule-cancel-edit-btn'),
+    scheduledJobList: document.getElementById('scheduled-job-list'),
+    restockIntervalInput: document.getElementById('restock-interval-input'),
+    restockAddBtn: document.getElementById('restock-add-btn'),
+    restockAutoAdd: document.getElementById('restock-auto-add'),
+    restockWatchList: document.getElementById('restock-watch-list'),
+    priceTargetInput: document.getElementById('price-target-input'),
+    priceWatchAddBtn: document.getElementById('price-watch-add-btn'),
+    priceCheckNowBtn: document.getElementById('price-check-now-btn'),
+    priceWatchList: document.getElementById('price-watch-list'),
+    historySection: document.getElementById('history-section'),
+    historyExportJsonBtn: document.getElementById('history-export-json-btn'),
+    historyExportCsvBtn: document.getElementById('history-export-csv-btn'),
+    runHistoryList: document.getElementById('run-history-list'),
+    runReport: document.getElementById('run-report'),
+    runReportTitle: document.getElementById('run-report-title'),
+    runReportCloseBtn: document.getElementById('run-report-close-btn'),
+    runReportSummary: document.getElementById('run-report-summary'),
+    runReportProducts: document.getElementById('run-report-products'),
+    otherRunText: document.getElementById('other-run-text'),
+    otherRunFocusBtn: document.getElementById('other-run-focus-btn'),
+    otherRunResumeBtn: document.getElementById('other-run-resume-btn'),
+    otherRunDiscardBtn: document.getElementById('other-run-discard-btn'),
+    productSnapshotTitle: document.getElementById('product-snapshot-title'),
+    productSnapshot: document.getElementById('product-snapshot'),
+    currentStrategy: document.getElementById('current-strategy'),
+    currentBudget: document.getElementById('current-budget'),
+    budgetSection: document.getElementById('budget-section'),
+    budgetMaxItemPrice: document.getElementById('budget-max-item-price'),
+    processedRegistrySection: document.getElementById('processed-registry-section'),
+    processedScopeSelect: document.getElementById('processed-scope-select'),
+    processedExpiryInput: document.getElementById('processed-expiry-input'),
+    processedClearBtn: document.getElementById('processed-clear-btn'),
+    budgetTotal: document.getElementById('budget-total'),
+    selectionStrategySelect: document.getElementById('selection-strategy-select'),
+    selectionSeedInput: document.getElementById('selection-seed-input'),
+    searchSortSelect: document.getElementById('search-sort-select'),
+    maxPagesInput: document.getElementById('max-pages-input'),
+    quantityInput: document.getElementById('quantity-input'),
+    runModeSelect: document.getElementById('run-mode-select'),
+    shoppingListSection: document.getElementById('shopping-list-section'),
+    flashWatchSection: document.getElementById('flash-watch-section'),
+    watchUrlInput: document.getElementById('watch-url-input'),
+    watchStopInput: document.getElementById('watch-stop-input'),
+    shoppingListInput: document.getElementById('shopping-list-input'),
+    shoppingListCount: document.getElementById('shopping-list-count'),
+    importListBtn: document.getElementById('import-list-btn'),
+    importListFile: document.getElementById('import-list-file'),
+    variantRulesInput: document.getElementById('variant-rules-input'),
+    searchFilterSection: document.getElementById('search-filter-section'),
+    filterMinPrice: document.getElementById('filter-min-price'),
+    filterMaxPrice: document.getElementById('filter-max-price'),
+    filterMinRating: document.getElementById('filter-min-rating'),
+    filterMinSold: document.getElementById('filter-min-sold'),
+    filterLocations: document.getElementById('filter-locations'),
+    filterMallOnly: document.getElementById('filter-mall-only'),
+    filterPreferredOnly: document.getElementById('filter-preferred-only'),
     startBtn: document.getElementById('start-btn'),
+    pauseBtn: document.getElementById('pause-btn'),
     stopBtn: document.getElementById('stop-btn'),
     statusText: document.getElementById('status-text'),
     logArea: document.getElementById('log-area'),
     clearLogBtn: document.getElementById('clear-log-btn'),
     exportLogBtn: document.getElementById('export-log-btn'),
     aboutBtn: document.getElementById('about-btn'),
+    settingsBtn: document.getElementById('settings-btn'),
     aboutModal: document.getElementById('about-modal'),
     aboutCloseBtn: document.getElementById('about-close-btn')
   };
@@ -392,13 +1119,15 @@ function initUILogic() {
     if (isDragging) {
       isDragging = false;
       elements.panel.classList.remove('dragging');
-      // 保存位置
-      chrome.storage.local.set({
-        shopee_auto_cart_ui_position: {
-          x: parseInt(elements.panel.style.left),
-          y: parseInt(elements.panel.style.top)
-        }
-      });
+      // 位置保存在 background 的配置中 (只按下没有移动时面板仍停靠在原处)
+      const position = {
+        x: parseInt(elements.panel.style.left),
+        y: parseInt(elements.panel.style.top)
+      };
+      if (Number.isFinite(position.x) && Number.isFinite(position.y)) {
+        CONFIG.UI_POSITION = position;
+        sendMessage({ type: 'SAVE_UI_POSITION', payload: position }).catch(() => {});
+      }
     }
   });
   
@@ -416,2244 +1145,5182 @@ function initUILogic() {
     elements.minimizedIcon.classList.add('hidden');
   }
   
-  // 开始按钮 - 随机选择关键词
-  elements.startBtn.addEventListener('click', async () => {
-    // 随机选择一个预设关键词
-    const keyword = getRandomKeyword();
-    
-    // 显示选中的关键词
-    elements.currentKeyword.textContent = keyword;
+  // 关键词列表管理 - 列表按站点区分，编辑后立即保存
+  const region = getShopeeRegion(window.location.hostname);
+  let keywordStore = normalizeKeywordStore();
+  
+  for (const [code, label] of Object.entries(SHOPEE_REGIONS)) {
+    elements.keywordListRegion.add(new Option(code ? `${label} (${code})` : label, code));
+  }
+  
+  function saveKeywordStore() {
+    chrome.storage.local.set({ shopee_auto_cart_keyword_lists: keywordStore });
+  }
+  
+  function currentKeywordList() {
+    return getActiveKeywordList(keywordStore, region);
+  }
+  
+  function renderKeywordLists() {
+    const active = currentKeywordList();
     
-    elements.startBtn.disabled = true;
-    elements.stopBtn.disabled = false;
-    setStatusText('running');
+    elements.keywordListSelect.innerHTML = '';
+    for (const list of getRegionKeywordLists(keywordStore, region)) {
+      elements.keywordListSelect.add(new Option(`${list.name} (${list.keywords.length})`, list.id, false, list.id === active?.id));
+    }
     
-    await sendMessage({ type: 'START', payload: { keyword } });
-    addLogEntry(`开始搜索: "${keyword}"`, 'info');
+    elements.keywordListName.value = active?.name || '';
+    elements.keywordListRegion.value = active?.region || '';
+    elements.keywordRotationSelect.value = keywordStore.rotation;
+    elements.keywordListDeleteBtn.disabled = keywordStore.lists.length <= 1;
     
-    // 导航到搜索页面
-    const searchUrl = buildSearchUrl(keyword);
-    window.location.href = searchUrl;
+    elements.keywordItems.innerHTML = '';
+    (active?.keywords || []).forEach((keyword, index) => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = keyword;
+      item.appendChild(text);
+      
+      for (const [action, label, title] of [['up', '↑', '上移'], ['down', '↓', '下移'], ['remove', '×', '删除']]) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-small';
+        btn.textContent = label;
+        btn.title = title;
+        btn.dataset.action = action;
+        btn.dataset.index = String(index);
+        item.appendChild(btn);
+      }
+      elements.keywordItems.appendChild(item);
+    });
+  }
+  
+  function updateActiveKeywordList(changes) {
+    const active = currentKeywordList();
+    if (!active) return;
+    Object.assign(active, changes);
+    saveKeywordStore();
+    renderKeywordLists();
+  }
+  
+  elements.keywordListSelect.addEventListener('change', () => {
+    keywordStore.activeListIds[region] = elements.keywordListSelect.value;
+    saveKeywordStore();
+    renderKeywordLists();
   });
   
-  // 停止按钮
-  elements.stopBtn.addEventListener('click', async () => {
-    elements.startBtn.disabled = false;
-    elements.stopBtn.disabled = true;
-    setStatusText('idle');
-    elements.currentKeyword.textContent = '随机选择';
-    
-    await sendMessage({ type: 'STOP', payload: {} });
-    addLogEntry('已停止任务', 'warning');
+  elements.keywordListNewBtn.addEventListener('click', () => {
+    const list = { id: `list_${Date.now()}`, name: `新列表 ${keywordStore.lists.length + 1}`, region, keywords: [] };
+    keywordStore.lists.push(list);
+    keywordStore.activeListIds[region] = list.id;
+    saveKeywordStore();
+    renderKeywordLists();
+    elements.keywordListName.focus();
   });
   
-  // 清除日志
-  elements.clearLogBtn.addEventListener('click', () => {
-    elements.logArea.innerHTML = '';
-    logStorage = [];
-    saveLogsToStorage();
-    addLogEntry('日志已清除', 'info');
+  elements.keywordListDeleteBtn.addEventListener('click', () => {
+    const active = currentKeywordList();
+    if (!active || keywordStore.lists.length <= 1) return;
+    if (!confirm(`确定删除关键词列表 "${active.name}"？`)) return;
+    keywordStore.lists = keywordStore.lists.filter(list => list.id !== active.id);
+    delete keywordStore.activeListIds[region];
+    saveKeywordStore();
+    renderKeywordLists();
   });
   
-  // 导出日志
-  elements.exportLogBtn.addEventListener('click', () => {
-    exportLogs();
+  elements.keywordListName.addEventListener('change', () => {
+    updateActiveKeywordList({ name: elements.keywordListName.value.trim() || '未命名列表' });
   });
   
-  // 关于按钮 - 显示关于对话框
-  elements.aboutBtn.addEventListener('click', () => {
-    elements.aboutModal.classList.remove('hidden');
+  // 列表改为其他站点后当前站点不再显示该列表
+  elements.keywordListRegion.addEventListener('change', () => {
+    updateActiveKeywordList({ region: elements.keywordListRegion.value });
   });
   
-  // 关闭关于对话框
-  elements.aboutCloseBtn.addEventListener('click', () => {
-    elements.aboutModal.classList.add('hidden');
+  elements.keywordRotationSelect.addEventListener('change', () => {
+    keywordStore.rotation = elements.keywordRotationSelect.value;
+    saveKeywordStore();
   });
   
-  // 点击对话框外部关闭
-  elements.aboutModal.addEventListener('click', (e) => {
-    if (e.target === elements.aboutModal) {
-      elements.aboutModal.classList.add('hidden');
+  function addKeywordFromInput() {
+    const active = currentKeywordList();
+    const newKeywords = elements.keywordAddInput.value.split(/[,，\n]/).map(k => k.trim()).filter(Boolean);
+    if (!active || newKeywords.length === 0) return;
+    const keywords = [...active.keywords];
+    for (const keyword of newKeywords) {
+      if (!keywords.includes(keyword)) keywords.push(keyword);
     }
+    elements.keywordAddInput.value = '';
+    updateActiveKeywordList({ keywords });
+  }
+  
+  elements.keywordAddBtn.addEventListener('click', addKeywordFromInput);
+  elements.keywordAddInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addKeywordFromInput();
   });
   
-  // 导出日志函数
-  function exportLogs() {
-    if (logStorage.length === 0) {
-      addLogEntry('没有日志可导出', 'warning');
-      return;
-    }
-    
-    const logText = logStorage.map(entry => 
-      `[${entry.timestamp}] [${entry.type.toUpperCase()}] ${entry.message}`
-    ).join('\n');
-    
-    const blob = new Blob([logText], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `shopee-auto-cart-log-${new Date().toISOString().slice(0,10)}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  elements.keywordItems.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    const active = currentKeywordList();
+    if (!btn || !active) return;
     
-    addLogEntry(`已导出 ${logStorage.length} 条日志`, 'success');
-  }
+    const index = parseInt(btn.dataset.index, 10);
+    const keywords = btn.dataset.action === 'remove'
+      ? active.keywords.filter((_, i) => i !== index)
+      : moveItem(active.keywords, index, btn.dataset.action === 'up' ? index - 1 : index + 1);
+    updateActiveKeywordList({ keywords });
+  });
   
-  // 保存日志到 storage
-  function saveLogsToStorage() {
-    try {
-      chrome.storage.local.set({ shopee_auto_cart_logs: logStorage });
-    } catch (e) {
-      console.error('保存日志失败:', e);
+  // 生成本次运行的关键词轮换设置，手动输入的关键词固定使用
+  function readKeywordRotation() {
+    const manualKeyword = elements.keywordInput.value.trim();
+    if (manualKeyword) {
+      return { keywords: [manualKeyword], policy: KeywordRotation.FIXED };
     }
+    return { keywords: currentKeywordList()?.keywords || [], policy: keywordStore.rotation };
   }
   
-  // 从 storage 加载日志
-  function loadLogsFromStorage() {
-    try {
-      chrome.storage.local.get(['shopee_auto_cart_logs'], (result) => {
-        if (result.shopee_auto_cart_logs && Array.isArray(result.shopee_auto_cart_logs)) {
-          logStorage = result.shopee_auto_cart_logs;
-          // 恢复日志到 UI (只显示最近100条)
-          const displayLogs = logStorage.slice(-100);
-          displayLogs.forEach(entry => {
-            const logEntry = document.createElement('div');
-            logEntry.className = `log-entry log-${entry.type}`;
-            logEntry.innerHTML = `<span class="timestamp">[${entry.timestamp}]</span>${escapeHtml(entry.message)}`;
-            elements.logArea.appendChild(logEntry);
-          });
-          elements.logArea.scrollTop = elements.logArea.scrollHeight;
-        }
-      });
-    } catch (e) {
-      console.error('加载日志失败:', e);
+  chrome.storage.local.get(['shopee_auto_cart_keyword_lists'], (result) => {
+    keywordStore = normalizeKeywordStore(result.shopee_auto_cart_keyword_lists);
+    renderKeywordLists();
+  });
+  renderKeywordLists();
+  
+  // 商品快照 - 显示本次或上次在该商品页记录的内容
+  function renderProductSnapshot(snapshot, label = '当前商品') {
+    elements.productSnapshotSection.classList.toggle('hidden', !snapshot);
+    elements.productSnapshot.innerHTML = '';
+    if (!snapshot) return;
+    
+    elements.productSnapshotTitle.textContent = `${label} (${new Date(snapshot.capturedAt).toLocaleString('zh-CN')})`;
+    for (const [term, value] of describeProductSnapshot(snapshot)) {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = term;
+      dd.textContent = value;
+      elements.productSnapshot.append(dt, dd);
     }
   }
   
-  // 状态文本更新
-  function setStatusText(status) {
-    const statusMap = {
-      idle: { text: '空闲', class: 'status-idle' },
-      running: { text: '运行中', class: 'status-running' },
-      paused: { text: '已暂停', class: 'status-paused' },
-      error: { text: '错误', class: 'status-error' }
-    };
-    const info = statusMap[status] || statusMap.idle;
-    elements.statusText.textContent = info.text;
-    elements.statusText.className = 'status-text ' + info.class;
+  if (detectPageType() === PageType.PRODUCT) {
+    const productId = extractProductId(window.location.href);
+    sendMessage({ type: 'GET_SNAPSHOT', payload: { productId } })
+      .then(response => renderProductSnapshot(response?.data, '上次记录'))
+      .catch(() => {});
   }
   
-  // 添加日志条目
-  function addLogEntry(message, type = 'info') {
-    const timestamp = new Date();
-    const timeStr = `${String(timestamp.getHours()).padStart(2, '0')}:${String(timestamp.getMinutes()).padStart(2, '0')}:${String(timestamp.getSeconds()).padStart(2, '0')}`;
-    const fullTimeStr = `${timestamp.getFullYear()}-${String(timestamp.getMonth()+1).padStart(2,'0')}-${String(timestamp.getDate()).padStart(2,'0')} ${timeStr}`;
-    
-    // 添加到存储数组
-    logStorage.push({
-      timestamp: fullTimeStr,
-      type: type,
-      message: message
-    });
-    
-    // 限制存储日志数量为200条
-    while (logStorage.length > CONFIG.MAX_LOG_ENTRIES) {
-      logStorage.shift();
+  // 运行模式切换 - 只显示当前模式需要的设置
+  function updateRunModeSections() {
+    const mode = elements.runModeSelect.value;
+    elements.shoppingListSection.classList.toggle('hidden', mode !== RunMode.LIST);
+    elements.flashWatchSection.classList.toggle('hidden', mode !== RunMode.WATCH);
+  }
+  
+  elements.runModeSelect.addEventListener('change', () => {
+    updateRunModeSections();
+    chrome.storage.local.set({ shopee_auto_cart_run_mode: elements.runModeSelect.value });
+  });
+  
+  // 在商品页打开面板时默认监视当前商品
+  if (detectPageType() === PageType.PRODUCT) {
+    elements.watchUrlInput.value = `${window.location.origin}${window.location.pathname}`;
+  }
+
+  // 购物清单编辑 - 实时统计并保存
+  elements.shoppingListInput.addEventListener('input', () => {
+    updateShoppingListCount();
+    chrome.storage.local.set({ shopee_auto_cart_shopping_list: elements.shoppingListInput.value });
+  });
+
+  // 导入购物清单文件
+  elements.importListBtn.addEventListener('click', () => {
+    elements.importListFile.click();
+  });
+
+  elements.importListFile.addEventListener('change', async () => {
+    const file = elements.importListFile.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    const current = elements.shoppingListInput.value.trim();
+    elements.shoppingListInput.value = current ? `${current}\n${text}` : text;
+    elements.importListFile.value = '';
+    updateShoppingListCount();
+    chrome.storage.local.set({ shopee_auto_cart_shopping_list: elements.shoppingListInput.value });
+    addLogEntry(`已导入文件: ${file.name}`, 'info');
+  });
+
+  function updateShoppingListCount() {
+    const { items, invalid } = parseShoppingList(elements.shoppingListInput.value);
+    elements.shoppingListCount.textContent = invalid.length > 0
+      ? `共 ${items.length} 个商品，${invalid.length} 行无法识别`
+      : `共 ${items.length} 个商品`;
+  }
+
+  // 规格规则编辑 - 保存原始文本
+  elements.variantRulesInput.addEventListener('change', () => {
+    const { rules, invalid } = parseVariantRules(elements.variantRulesInput.value);
+    for (const part of invalid) {
+      addLogEntry(`无法识别的规格规则: ${part}`, 'warning');
     }
-    
-    // 保存到 storage
-    saveLogsToStorage();
-    
-    const entry = document.createElement('div');
-    entry.className = `log-entry log-${type}`;
-    entry.innerHTML = `<span class="timestamp">[${timeStr}]</span>${escapeHtml(message)}`;
-    elements.logArea.appendChild(entry);
-    
-    // 限制 UI 显示日志数量为100条
-    while (elements.logArea.children.length > 100) {
-      elements.logArea.firstChild.remove();
+    if (rules.length > 0) {
+      addLogEntry(`已设置 ${rules.length} 条规格规则`, 'info');
+    }
+    chrome.storage.local.set({ shopee_auto_cart_variant_rules: elements.variantRulesInput.value });
+  });
+
+  function getGlobalVariantRules() {
+    return parseVariantRules(elements.variantRulesInput.value).rules;
+  }
+
+  // 筛选条件 - 只保留已填写的项
+  function readSearchFilter() {
+    const filter = {};
+    const numberFields = {
+      minPrice: elements.filterMinPrice,
+      maxPrice: elements.filterMaxPrice,
+      minRating: elements.filterMinRating,
+      minSold: elements.filterMinSold
+    };
+    for (const [key, input] of Object.entries(numberFields)) {
+      const value = parseFloat(input.value);
+      if (!isNaN(value)) filter[key] = value;
     }
     
-    // 自动滚动
-    elements.logArea.scrollTop = elements.logArea.scrollHeight;
+    const locations = elements.filterLocations.value.split(/[,，]/).map(l => l.trim()).filter(Boolean);
+    if (locations.length > 0) filter.locations = locations;
+    if (elements.filterMallOnly.checked) filter.mallOnly = true;
+    if (elements.filterPreferredOnly.checked) filter.preferredOnly = true;
+    
+    return filter;
   }
   
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function restoreSearchFilter(filter) {
+    elements.filterMinPrice.value = filter.minPrice ?? '';
+    elements.filterMaxPrice.value = filter.maxPrice ?? '';
+    elements.filterMinRating.value = filter.minRating ?? '';
+    elements.filterMinSold.value = filter.minSold ?? '';
+    elements.filterLocations.value = (filter.locations || []).join(', ');
+    elements.filterMallOnly.checked = !!filter.mallOnly;
+    elements.filterPreferredOnly.checked = !!filter.preferredOnly;
   }
   
-  // 恢复保存的位置
-  chrome.storage.local.get(['shopee_auto_cart_ui_position'], (result) => {
-    if (result.shopee_auto_cart_ui_position) {
-      const pos = result.shopee_auto_cart_ui_position;
-      elements.panel.style.left = pos.x + 'px';
-      elements.panel.style.top = pos.y + 'px';
-      elements.panel.style.right = 'auto';
-      elements.minimizedIcon.style.left = pos.x + 'px';
-      elements.minimizedIcon.style.top = pos.y + 'px';
-    }
+  elements.searchFilterSection.addEventListener('change', () => {
+    chrome.storage.local.set({ shopee_auto_cart_search_filter: readSearchFilter() });
+  });
+
+  elements.searchSortSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ shopee_auto_cart_search_sort: elements.searchSortSelect.value });
   });
   
-  // 监听来自 background 的消息
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'LOG') {
-      addLogEntry(message.payload.message, message.payload.logType || 'info');
-    } else if (message.type === 'STATE_UPDATE') {
-      const state = message.payload;
-      if (state.isRunning) {
-        elements.startBtn.disabled = true;
-        elements.stopBtn.disabled = false;
-        if (state.keyword) {
-          elements.currentKeyword.textContent = state.keyword;
-        }
-        setStatusText('running');
-      } else {
-        elements.startBtn.disabled = false;
-        elements.stopBtn.disabled = true;
-        elements.currentKeyword.textContent = '随机选择';
-        setStatusText('idle');
-      }
-    }
-    sendResponse({ received: true });
+  elements.maxPagesInput.addEventListener('change', () => {
+    chrome.storage.local.set({ shopee_auto_cart_max_pages: elements.maxPagesInput.value });
   });
   
-  // 从 storage 加载历史日志
-  loadLogsFromStorage();
+  elements.quantityInput.addEventListener('change', () => {
+    chrome.storage.local.set({ shopee_auto_cart_quantity: elements.quantityInput.value });
+  });
   
-  // 初始日志
-  addLogEntry('扩展已加载，准备就绪', 'info');
+  // 留空时返回 null，由商品页按有无规格使用默认数量
+  function readQuantity() {
+    const quantity = parseInt(elements.quantityInput.value, 10);
+    return quantity >= 1 ? quantity : null;
+  }
   
-  // 存储 addLogEntry 供全局使用
-  window.shopeeAutoCartAddLog = addLogEntry;
-  window.shopeeAutoCartSetStatus = setStatusText;
-  window.shopeeAutoCartExportLogs = exportLogs;
+  function readMaxPages() {
+    const maxPages = parseInt(elements.maxPagesInput.value, 10);
+    return maxPages >= 1 ? maxPages : CONFIG.MAX_SEARCH_PAGES;
+  }
   
-  // 从 background 同步运行状态 (修复页面刷新后 UI 状态不同步的问题)
-  syncUIState();
+  // 组合搜索条件 - 价格、所在地、评分和商城/优选条件同时交给 Shopee 服务端筛选
+  function readSearchSpec(keyword) {
+    const [sortBy, order] = elements.searchSortSelect.value.split(':');
+    const filter = readSearchFilter();
+    const filters = {};
+    if (filter.locations) filters.locations = filter.locations;
+    if (filter.minRating >= 1) filters.ratingFilter = Math.min(5, Math.floor(filter.minRating));
+    if (filter.mallOnly) filters.officialMall = true;
+    if (filter.preferredOnly) filters.preferredSellers = true;
+    
+    return normalizeSearchSpec({
+      keyword,
+      sortBy,
+      order,
+      priceMin: filter.minPrice,
+      priceMax: filter.maxPrice,
+      filters
+    });
+  }
   
-  async function syncUIState() {
+  // 预算限制 - 留空表示不限制
+  function readBudget() {
+    const maxItemPrice = parseFloat(elements.budgetMaxItemPrice.value);
+    const totalBudget = parseFloat(elements.budgetTotal.value);
+    return {
+      maxItemPrice: isNaN(maxItemPrice) ? null : maxItemPrice,
+      totalBudget: isNaN(totalBudget) ? null : totalBudget,
+      spent: 0
+    };
+  }
+  
+  elements.budgetSection.addEventListener('change', () => {
+    const budget = readBudget();
+    elements.currentBudget.textContent = describeBudget(budget);
+    chrome.storage.local.set({ shopee_auto_cart_budget: budget });
+  });
+  
+  // 去重设置 - 跨运行保留记录时，保留天数内不再访问同一商品
+  function readProcessedRegistry() {
+    const expiryDays = parseInt(elements.processedExpiryInput.value, 10);
+    return {
+      scope: elements.processedScopeSelect.value,
+      expiryDays: isNaN(expiryDays) || expiryDays <= 0 ? null : expiryDays
+    };
+  }
+  
+  elements.processedRegistrySection.addEventListener('change', () => {
+    elements.processedExpiryInput.disabled = elements.processedScopeSelect.value === 'run';
+    chrome.storage.local.set({ shopee_auto_cart_processed_registry: readProcessedRegistry() });
+  });
+  
+  elements.processedClearBtn.addEventListener('click', async () => {
     try {
-      const response = await sendMessage({ type: 'GET_STATE' });
-      const state = response?.data || {};
-      console.log('[Shopee Auto Cart] 同步 UI 状态:', state);
-      
-      if (state.isRunning) {
-        elements.startBtn.disabled = true;
-        elements.stopBtn.disabled = false;
-        if (state.keyword) {
-          elements.currentKeyword.textContent = state.keyword;
-        }
-        setStatusText('running');
-        addLogEntry('检测到任务正在运行中...', 'info');
-      }
+      await request('CLEAR_PROCESSED', { all: true });
     } catch (error) {
-      console.error('[Shopee Auto Cart] 同步状态失败:', error);
+      addLogEntry(`清除已处理商品记录失败: ${error.message}`, 'error');
+      return;
+    }
+    addLogEntry('已清除所有已处理商品记录', 'warning');
+  });
+  
+  // 选择策略 - 只有随机策略需要种子
+  function updateSelectionInputs() {
+    const isRandom = elements.selectionStrategySelect.value === SelectionStrategy.RANDOM;
+    elements.selectionSeedInput.classList.toggle('hidden', !isRandom);
+    elements.currentStrategy.textContent = describeSelection({ strategy: elements.selectionStrategySelect.value });
+  }
+  
+  elements.selectionStrategySelect.addEventListener('change', () => {
+    updateSelectionInputs();
+    chrome.storage.local.set({ shopee_auto_cart_selection_strategy: elements.selectionStrategySelect.value });
+  });
+  
+  // 生成本次运行的选择策略，随机策略没有填写种子时自动生成，保证运行可以重放
+  function readSelection() {
+    const strategy = elements.selectionStrategySelect.value;
+    if (strategy !== SelectionStrategy.RANDOM) {
+      return { strategy, seed: null };
     }
+    const seed = parseInt(elements.selectionSeedInput.value, 10);
+    return { strategy, seed: isNaN(seed) ? generateSelectionSeed() : seed };
   }
-}
-
-/**
- * 构建搜索 URL
- * @param {string} keyword - 搜索关键词
- * @returns {string}
- */
-function buildSearchUrl(keyword) {
-  const baseUrl = window.location.origin;
-  return `${baseUrl}/search?keyword=${encodeURIComponent(keyword)}`;
-}
 
-// ============================================
-// 工具函数
-// ============================================
+  // 恢复运行模式、购物清单、规格规则、筛选条件和选择策略
+  chrome.storage.local.get(['shopee_auto_cart_run_mode', 'shopee_auto_cart_shopping_list', 'shopee_auto_cart_variant_rules', 'shopee_auto_cart_search_filter', 'shopee_auto_cart_selection_strategy', 'shopee_auto_cart_search_sort', 'shopee_auto_cart_max_pages', 'shopee_auto_cart_budget', 'shopee_auto_cart_quantity', 'shopee_auto_cart_processed_registry'], (result) => {
+    if (result.shopee_auto_cart_quantity) {
+      elements.quantityInput.value = result.shopee_auto_cart_quantity;
+    }
+    if (result.shopee_auto_cart_processed_registry) {
+      elements.processedScopeSelect.value = result.shopee_auto_cart_processed_registry.scope || 'run';
+      elements.processedExpiryInput.value = result.shopee_auto_cart_processed_registry.expiryDays ?? '';
+    }
+    elements.processedExpiryInput.disabled = elements.processedScopeSelect.value === 'run';
+    if (result.shopee_auto_cart_budget) {
+      elements.budgetMaxItemPrice.value = result.shopee_auto_cart_budget.maxItemPrice ?? '';
+      elements.budgetTotal.value = result.shopee_auto_cart_budget.totalBudget ?? '';
+      elements.currentBudget.textContent = describeBudget(result.shopee_auto_cart_budget);
+    }
+    if (result.shopee_auto_cart_max_pages) {
+      elements.maxPagesInput.value = result.shopee_auto_cart_max_pages;
+    }
+    if (result.shopee_auto_cart_search_sort) {
+      elements.searchSortSelect.value = result.shopee_auto_cart_search_sort;
+    }
+    if (result.shopee_auto_cart_selection_strategy) {
+      elements.selectionStrategySelect.value = result.shopee_auto_cart_selection_strategy;
+      updateSelectionInputs();
+    }
+    if (result.shopee_auto_cart_variant_rules) {
+      elements.variantRulesInput.value = result.shopee_auto_cart_variant_rules;
+    }
+    if (result.shopee_auto_cart_search_filter) {
+      restoreSearchFilter(result.shopee_auto_cart_search_filter);
+    }
+    if (result.shopee_auto_cart_shopping_list) {
+      elements.shoppingListInput.value = result.shopee_auto_cart_shopping_list;
+      updateShoppingListCount();
+    }
+    if (Object.values(RunMode).includes(result.shopee_auto_cart_run_mode)) {
+      elements.runModeSelect.value = result.shopee_auto_cart_run_mode;
+      updateRunModeSections();
+    }
+  });
 
-/**
- * 延迟执行
- * @param {number} ms - 毫秒数
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+  // 根据面板设置生成运行参数 - 开始按钮和定时任务共用
+  // 设置不完整时在日志中提示并返回 null
+  function buildRunSpec() {
+    if (elements.runModeSelect.value === RunMode.LIST) {
+      return buildShoppingListRunSpec();
+    }
+    if (elements.runModeSelect.value === RunMode.WATCH) {
+      return buildWatchRunSpec();
+    }
 
-/**
- * 等待元素出现 (带重试机制)
- * Requirements: 7.1 - 元素未找到时重试3次，间隔2秒
- * @param {string} selector - CSS 选择器
- * @param {Object} options - 配置选项
- * @param {number} options.timeout - 单次等待超时时间 (ms)，默认 5000
- * @param {number} options.retries - 重试次数，默认 3
- * @param {number} options.retryDelay - 重试间隔 (ms)，默认 2000
- * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
- * @returns {Promise<Element>}
- */
-async function waitForElement(selector, options = {}) {
-  const {
-    timeout = 5000,
-    retries = CONFIG.RETRY_ATTEMPTS,
-    retryDelay = CONFIG.RETRY_DELAY,
-    silent = false
-  } = options;
-  
-  let lastError;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeout) {
-      const element = document.querySelector(selector);
-      if (element) {
-        return element;
-      }
-      await sleep(100);
+    // 按轮换方式从当前关键词列表中选择第一个关键词
+    const { keywords, policy } = readKeywordRotation();
+    if (keywords.length === 0) {
+      addLogEntry('当前关键词列表为空，请先添加关键词', 'warning');
+      elements.keywordListSection.open = true;
+      elements.keywordAddInput.focus();
+      return null;
     }
+    const { keyword, index } = pickKeyword(keywords, policy, -1);
+    const keywordRotation = { keywords, policy, index };
+    const searchSpec = readSearchSpec(keyword);
+    const selection = readSelection();
     
-    lastError = new Error(`Element not found: ${selector}`);
-    
-    if (attempt < retries) {
-      if (!silent) {
-        await log(`元素未找到 "${selector}"，${retryDelay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
-      }
-      await sleep(retryDelay);
-    }
+    return {
+      payload: { searchSpec, variantRules: getGlobalVariantRules(), searchFilter: readSearchFilter(), selection, maxPages: readMaxPages(), budget: readBudget(), quantity: readQuantity(), keywordRotation, processedRegistry: readProcessedRegistry(), region: getShopeeRegion(window.location.hostname) },
+      url: buildSearchUrl(searchSpec),
+      label: keyword,
+      logMessage: `开始搜索: "${keyword}"，选择策略: ${describeSelection(selection)}`
+    };
   }
-  
-  if (!silent) {
-    await log(`元素查找失败: ${selector} (已重试${retries}次)`, 'error');
+
+  // 购物清单模式 - 解析清单后从第一个商品开始
+  function buildShoppingListRunSpec() {
+    const { items, invalid } = parseShoppingList(elements.shoppingListInput.value);
+
+    for (const line of invalid) {
+      addLogEntry(`无法识别的商品链接，已忽略: ${line.substring(0, 60)}`, 'warning');
+    }
+
+    if (items.length === 0) {
+      addLogEntry('购物清单为空，请粘贴或导入商品链接', 'warning');
+      elements.shoppingListInput.focus();
+      return null;
+    }
+
+    return {
+      payload: { mode: RunMode.LIST, shoppingList: items, variantRules: getGlobalVariantRules(), budget: readBudget(), quantity: readQuantity() },
+      url: items[0].url,
+      label: `购物清单 1/${items.length}`,
+      logMessage: `开始处理购物清单，共 ${items.length} 个商品`
+    };
   }
-  throw lastError;
-}
 
-/**
- * 等待多个元素出现 (带重试机制)
- * Requirements: 7.1 - 元素未找到时重试3次，间隔2秒
- * @param {string} selector - CSS 选择器
- * @param {Object} options - 配置选项
- * @param {number} options.timeout - 单次等待超时时间 (ms)，默认 5000
- * @param {number} options.retries - 重试次数，默认 3
- * @param {number} options.retryDelay - 重试间隔 (ms)，默认 2000
- * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
- * @returns {Promise<NodeList>}
- */
-async function waitForElements(selector, options = {}) {
-  const {
-    timeout = 5000,
-    retries = CONFIG.RETRY_ATTEMPTS,
-    retryDelay = CONFIG.RETRY_DELAY,
-    silent = false
-  } = options;
-  
-  let lastError;
-  
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    const startTime = Date.now();
+  // 抢购监视模式 - 需要商品链接和截止时间
+  function buildWatchRunSpec() {
+    const url = elements.watchUrlInput.value.trim();
+    const productId = extractProductId(url);
+    if (!productId) {
+      addLogEntry('请填写有效的抢购商品链接', 'warning');
+      elements.watchUrlInput.focus();
+      return null;
+    }
+
+    const stopAt = new Date(elements.watchStopInput.value).getTime();
+    if (isNaN(stopAt) || stopAt <= Date.now()) {
+      addLogEntry('请设置晚于当前时间的抢购截止时间', 'warning');
+      elements.watchStopInput.focus();
+      return null;
+    }
+
+    return {
+      payload: { mode: RunMode.WATCH, watch: { url, productId, stopAt }, variantRules: getGlobalVariantRules(), budget: readBudget(), quantity: readQuantity() },
+      url,
+      label: `抢购监视 ${productId}`,
+      logMessage: `开始抢购监视，截止时间: ${new Date(stopAt).toLocaleString('zh-CN')}`
+    };
+  }
+
+  // 开始按钮 - 购物清单模式按清单逐个处理，否则按关键词列表搜索
+  elements.startBtn.addEventListener('click', async () => {
+    const run = buildRunSpec();
+    if (!run) return;
     
-    while (Date.now() - startTime < timeout) {
-      const elements = document.querySelectorAll(selector);
-      if (elements.length > 0) {
-        return elements;
-      }
-      await sleep(100);
+    // 显示运行目标和选择策略
+    elements.currentKeyword.textContent = run.label;
+    if (run.payload.selection) {
+      elements.currentStrategy.textContent = describeSelection(run.payload.selection);
     }
     
-    lastError = new Error(`Elements not found: ${selector}`);
+    setRunControls('running');
     
-    if (attempt < retries) {
-      if (!silent) {
-        await log(`元素列表未找到 "${selector}"，${retryDelay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
-      }
-      await sleep(retryDelay);
+    // background 拒绝或没有响应时留在当前页面
+    try {
+      await request('START', run.payload);
+    } catch (error) {
+      setRunControls('idle');
+      elements.currentKeyword.textContent = '随机选择';
+      addLogEntry(`开始运行失败: ${error.message}`, 'error');
+      return;
     }
+    addLogEntry(run.logMessage, 'info');
+    
+    // 导航到搜索页面或清单第一个商品
+    window.location.href = run.url;
+  });
+
+  // 定时任务 - 按当前面板设置在指定时间开始运行
+  let editingJobId = null;
+  
+  function resetScheduleEditing() {
+    editingJobId = null;
+    elements.scheduleSaveBtn.textContent = '添加';
+    elements.scheduleCancelEditBtn.classList.add('hidden');
   }
   
-  if (!silent) {
-    await log(`元素列表查找失败: ${selector} (已重试${retries}次)`, 'error');
+  function renderScheduledJobs(jobs) {
+    elements.scheduledJobList.innerHTML = '';
+    for (const job of jobs || []) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${new Date(job.runAt).toLocaleString('zh-CN')} ${job.label}`;
+      item.appendChild(text);
+      
+      for (const [action, label] of [['edit', '编辑'], ['cancel', '取消']]) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-small';
+        btn.textContent = label;
+        btn.dataset.action = action;
+        btn.dataset.jobId = job.id;
+        btn.dataset.runAt = String(job.runAt);
+        item.appendChild(btn);
+      }
+      elements.scheduledJobList.appendChild(item);
+    }
+    if (editingJobId && !(jobs || []).some(job => job.id === editingJobId)) {
+      resetScheduleEditing();
+    }
   }
-  throw lastError;
-}
+  
+  elements.scheduleSaveBtn.addEventListener('click', async () => {
+    const runAt = new Date(elements.scheduleTimeInput.value).getTime();
+    if (isNaN(runAt) || runAt <= Date.now()) {
+      addLogEntry('请选择晚于当前时间的运行时间', 'warning');
+      elements.scheduleTimeInput.focus();
+      return;
+    }
+    
+    const run = buildRunSpec();
+    if (!run) return;
+    
+    try {
+      await request('SCHEDULE_JOB', { id: editingJobId, runAt, label: run.label, url: run.url, startPayload: run.payload });
+    } catch (error) {
+      addLogEntry(`保存定时任务失败: ${error.message}`, 'error');
+      return;
+    }
+    
+    addLogEntry(`${editingJobId ? '已更新' : '已添加'}定时任务: ${new Date(runAt).toLocaleString('zh-CN')} ${run.label}`, 'success');
+    resetScheduleEditing();
+  });
+  
+  elements.scheduleCancelEditBtn.addEventListener('click', resetScheduleEditing);
+  
+  elements.scheduledJobList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    
+    if (btn.dataset.action === 'cancel') {
+      try {
+        await request('CANCEL_JOB', { id: btn.dataset.jobId });
+      } catch (error) {
+        addLogEntry(`取消定时任务失败: ${error.message}`, 'error');
+        return;
+      }
+      addLogEntry('已取消定时任务', 'warning');
+      return;
+    }
+    
+    // 编辑 - 载入原定时间，保存时使用当前面板设置覆盖该任务
+    const runAt = new Date(parseInt(btn.dataset.runAt, 10));
+    runAt.setMinutes(runAt.getMinutes() - runAt.getTimezoneOffset());
+    elements.scheduleTimeInput.value = runAt.toISOString().slice(0, 16);
+    editingJobId = btn.dataset.jobId;
+    elements.scheduleSaveBtn.textContent = '保存';
+    elements.scheduleCancelEditBtn.classList.remove('hidden');
+  });
 
-/**
- * 带重试的操作执行
- * Requirements: 7.1 - 操作失败时重试3次，间隔2秒
- * @param {Function} operation - 要执行的操作
- * @param {Object} options - 配置选项
- * @param {number} options.retries - 重试次数，默认 3
- * @param {number} options.delay - 重试延迟 (ms)，默认 2000
- * @param {string} options.operationName - 操作名称（用于日志）
- * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
- * @returns {Promise<*>}
- */
-async function withRetry(operation, options = {}) {
-  // 支持旧的调用方式 withRetry(fn, retries, delay)
-  if (typeof options === 'number') {
-    options = { retries: options, delay: arguments[2] || CONFIG.RETRY_DELAY };
-  }
+  // 到货提醒 - 为当前商品和规格规则指定的规格登记提醒
+  const restockStatusText = {
+    watching: '等待到货',
+    available: '已到货',
+    added: '已加入购物车'
+  };
   
-  const {
-    retries = CONFIG.RETRY_ATTEMPTS,
-    delay = CONFIG.RETRY_DELAY,
-    operationName = '操作',
-    silent = false
-  } = options;
+  function renderRestockWatches(watches) {
+    elements.restockWatchList.innerHTML = '';
+    for (const watch of watches || []) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = `${watch.variantLabel || '任意规格'} · ${watch.productId} · ${restockStatusText[watch.status] || watch.status}`;
+      text.title = watch.lastError ? `上次检查失败: ${watch.lastError}` : watch.url;
+      item.appendChild(text);
+      
+      const btn = document.createElement('button');
+      btn.className = 'btn-small';
+      btn.textContent = '×';
+      btn.title = '删除';
+      btn.dataset.watchId = watch.id;
+      item.appendChild(btn);
+      elements.restockWatchList.appendChild(item);
+    }
+  }
   
-  let lastError;
+  elements.restockAddBtn.addEventListener('click', async () => {
+    const productId = extractProductId(window.location.href);
+    if (detectPageType() !== PageType.PRODUCT || !productId) {
+      addLogEntry('请在商品详情页添加到货提醒', 'warning');
+      return;
+    }
+    
+    const variantRules = getGlobalVariantRules();
+    let watch;
+    try {
+      watch = await request('ADD_RESTOCK_WATCH', {
+        url: `${window.location.origin}${window.location.pathname}`,
+        productId,
+        variantRules,
+        variantLabel: variantRules.map(rule => rule.raw).join('; '),
+        intervalMinutes: parseRestockInterval(elements.restockIntervalInput.value),
+        autoAddToCart: elements.restockAutoAdd.checked,
+        quantity: readQuantity()
+      });
+    } catch (error) {
+      addLogEntry(`添加到货提醒失败: ${error.message}`, 'error');
+      return;
+    }
+    
+    addLogEntry(`已添加到货提醒，每 ${watch.intervalMinutes} 分钟检查一次`, 'success');
+  });
   
-  for (let attempt = 1; attempt <= retries; attempt++) {
+  elements.restockWatchList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-watch-id]');
+    if (!btn) return;
     try {
-      return await operation();
+      await request('REMOVE_RESTOCK_WATCH', { id: btn.dataset.watchId });
     } catch (error) {
-      lastError = error;
-      if (attempt < retries) {
-        if (!silent) {
-          await log(`${operationName}失败: ${error.message}，${delay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
-        }
-        await sleep(delay);
-      }
+      addLogEntry(`删除到货提醒失败: ${error.message}`, 'error');
+      return;
+    }
+    addLogEntry('已删除到货提醒', 'warning');
+  });
+
+  // 降价提醒 - 关注商品价格，显示上次价格、最低价格和检查时间
+  function renderPriceWatches(watches) {
+    elements.priceWatchList.innerHTML = '';
+    for (const watch of watches || []) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      const checkedAt = watch.lastCheckedAt ? new Date(watch.lastCheckedAt).toLocaleString('zh-CN') : '尚未检查';
+      text.textContent = `${watch.title || watch.productId} · 目标 ${watch.targetPrice} · 当前 ${watch.lastPrice ?? '-'} · 最低 ${watch.lowestPrice ?? '-'} · ${checkedAt}`;
+      text.title = watch.lastError ? `上次检查失败: ${watch.lastError}` : watch.url;
+      item.appendChild(text);
+      
+      const btn = document.createElement('button');
+      btn.className = 'btn-small';
+      btn.textContent = '×';
+      btn.title = '取消关注';
+      btn.dataset.watchId = watch.id;
+      item.appendChild(btn);
+      elements.priceWatchList.appendChild(item);
     }
   }
   
-  if (!silent) {
-    await log(`${operationName}最终失败: ${lastError.message} (已重试${retries}次)`, 'error');
-  }
-  throw lastError;
-}
-
-/**
- * 带超时的操作执行
- * Requirements: 7.4 - 导航超时处理
- * @param {Function} operation - 要执行的操作
- * @param {number} timeout - 超时时间 (ms)
- * @param {string} operationName - 操作名称（用于日志）
- * @returns {Promise<*>}
- */
-async function withTimeout(operation, timeout = 30000, operationName = '操作') {
-  return new Promise(async (resolve, reject) => {
-    const timeoutId = setTimeout(() => {
-      reject(new Error(`${operationName}超时 (${timeout/1000}秒)`));
-    }, timeout);
+  elements.priceWatchAddBtn.addEventListener('click', async () => {
+    const productId = extractProductId(window.location.href);
+    if (detectPageType() !== PageType.PRODUCT || !productId) {
+      addLogEntry('请在商品详情页添加降价提醒', 'warning');
+      return;
+    }
+    
+    const targetPrice = parseFloat(elements.priceTargetInput.value);
+    if (!(targetPrice > 0)) {
+      addLogEntry('请填写目标价格', 'warning');
+      elements.priceTargetInput.focus();
+      return;
+    }
     
     try {
-      const result = await operation();
-      clearTimeout(timeoutId);
-      resolve(result);
+      await request('ADD_PRICE_WATCH', {
+        url: `${window.location.origin}${window.location.pathname}`,
+        productId,
+        title: readPageText(ProductSelectors.PRODUCT_NAME).substring(0, 100),
+        targetPrice
+      });
     } catch (error) {
-      clearTimeout(timeoutId);
-      reject(error);
+      addLogEntry(`添加降价提醒失败: ${error.message}`, 'error');
+      return;
     }
+    
+    addLogEntry(`已关注商品价格，目标价格 ${targetPrice}`, 'success');
+  });
+  
+  elements.priceCheckNowBtn.addEventListener('click', async () => {
+    try {
+      await request('PRICE_CHECK_NOW', {});
+    } catch (error) {
+      addLogEntry(`开始检查价格失败: ${error.message}`, 'error');
+      return;
+    }
+    addLogEntry('已开始检查关注商品的价格', 'info');
+  });
+  
+  elements.priceWatchList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-watch-id]');
+    if (!btn) return;
+    try {
+      await request('REMOVE_PRICE_WATCH', { id: btn.dataset.watchId });
+    } catch (error) {
+      addLogEntry(`取消关注商品价格失败: ${error.message}`, 'error');
+      return;
+    }
+    addLogEntry('已取消关注商品价格', 'warning');
   });
-}
 
-/**
- * 从 URL 提取商品 ID
- * @param {string} url - 商品 URL
- * @returns {string|null}
- */
-function extractProductId(url) {
-  // 格式1: /product/shopId/productId
-  const match1 = url.match(/\/product\/(\d+)\/(\d+)/);
-  if (match1) {
-    return `${match1[1]}_${match1[2]}`;
+  // 运行记录 - 展开时读取列表，点击查看单次运行的详细报告
+  let runHistory = [];
+  
+  async function refreshRunHistory() {
+    runHistory = await request('GET_RUN_HISTORY', {}) || [];
+    renderRunHistory();
   }
   
-  // 格式2: /-i.shopId.productId
-  const match2 = url.match(/-i\.(\d+)\.(\d+)/);
-  if (match2) {
-    return `${match2[1]}_${match2[2]}`;
+  function renderRunHistory() {
+    elements.runHistoryList.innerHTML = '';
+    for (const run of runHistory) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      const totals = run.totals || {};
+      text.textContent = `${new Date(run.startedAt).toLocaleString('zh-CN')} ${run.target || '-'} · 成功 ${totals.succeeded ?? 0} / 失败 ${totals.failed ?? 0}${run.stoppedAt ? '' : ' (运行中)'}`;
+      item.appendChild(text);
+      
+      const btn = document.createElement('button');
+      btn.className = 'btn-small';
+      btn.textContent = '报告';
+      btn.dataset.sessionId = run.sessionId;
+      item.appendChild(btn);
+      elements.runHistoryList.appendChild(item);
+    }
   }
   
-  return null;
-}
-
-/**
- * 从 URL 提取店铺 ID
- * @param {string} url - URL
- * @returns {string|null}
- */
-function extractShopId(url) {
-  const match = url.match(/\/shop\/(\d+)/);
-  return match ? match[1] : null;
-}
-
-
-// ============================================
-// 4.2 搜索页面操作
-// Requirements: 1.2, 1.3, 4.1, 4.2
-// ============================================
-
-/**
- * Shopee 搜索页面选择器
- */
-const SearchSelectors = {
-  // 商品列表容器
-  PRODUCT_LIST: '.shopee-search-item-result__items, [class*="search-item-result"]',
-  // 单个商品卡片
-  PRODUCT_CARD: '.shopee-search-item-result__item, [class*="search-item-result__item"], [data-sqe="item"]',
-  // 商品链接
-  PRODUCT_LINK: 'a[href*="/product/"], a[href*="-i."]',
-  // 加载更多
-  LOAD_MORE: '.shopee-search-item-result__loading, [class*="loading"]'
-};
-
-/**
- * 获取搜索结果中的商品列表
- * @returns {Promise<Element[]>}
- */
-async function getProductList() {
-  try {
-    // 等待商品列表加载
-    await waitForElement(SearchSelectors.PRODUCT_LIST, 15000);
-    await sleep(1000); // 等待商品完全渲染
-    
-    const products = document.querySelectorAll(SearchSelectors.PRODUCT_CARD);
-    await log(`找到 ${products.length} 个商品`, 'info');
-    
-    // 将 NodeList 转换为数组，并按 DOM 位置排序（从上到下，从左到右）
-    const productArray = Array.from(products);
+  function showRunReport(run) {
+    elements.runHistoryList.classList.add('hidden');
+    elements.runReport.classList.remove('hidden');
+    elements.runReportTitle.textContent = `运行报告 ${run.sessionId}`;
     
-    // 先滚动到页面顶部，确保从第一个商品开始
-    window.scrollTo({ top: 0, behavior: 'instant' });
-    await sleep(300);
+    elements.runReportSummary.innerHTML = '';
+    for (const [term, value] of describeRunRecord(run)) {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = term;
+      dd.textContent = value;
+      elements.runReportSummary.append(dt, dd);
+    }
     
-    // 按元素在页面中的绝对位置排序（先按 Y 坐标，再按 X 坐标）
-    // 使用 offsetTop 获取相对于文档的位置，而不是视口位置
-    productArray.sort((a, b) => {
-      // 获取元素相对于文档的绝对位置
-      const getAbsolutePosition = (el) => {
-        let top = 0;
-        let left = 0;
-        let current = el;
-        while (current) {
-          top += current.offsetTop || 0;
-          left += current.offsetLeft || 0;
-          current = current.offsetParent;
-        }
-        return { top, left };
-      };
-      
-      const posA = getAbsolutePosition(a);
-      const posB = getAbsolutePosition(b);
+    elements.runReportProducts.innerHTML = '';
+    for (const product of run.products || []) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = product.url;
+      link.target = '_blank';
+      link.textContent = product.title || product.productId || product.url;
+      item.appendChild(link);
       
-      // 先按行排序（Y 坐标差距大于 50px 认为是不同行）
-      if (Math.abs(posA.top - posB.top) > 50) {
-        return posA.top - posB.top;
+      const lines = (product.attempts || []).map(attempt => {
+        const detail = [attempt.quantity != null ? `×${attempt.quantity}` : '', attempt.price != null ? `@${attempt.price}` : ''].filter(Boolean).join(' ');
+        return `${attempt.success ? '✓' : '✗'} ${attempt.variant || '无规格'} ${detail}${attempt.success ? '' : ` - ${attempt.reason}`}`;
+      });
+      if (product.error) {
+        lines.push(`✗ ${product.error}`);
       }
-      // 同一行按列排序
-      return posA.left - posB.left;
-    });
-    
-    // 输出调试信息
-    if (productArray.length > 0) {
-      const firstProduct = getProductInfo(productArray[0]);
-      if (firstProduct) {
-        await log(`第一个商品: ${firstProduct.name.substring(0, 30)}...`, 'info');
+      if (lines.length === 0) {
+        lines.push('未尝试加入购物车');
       }
+      for (const line of lines) {
+        const div = document.createElement('div');
+        div.textContent = line;
+        item.appendChild(div);
+      }
+      elements.runReportProducts.appendChild(item);
+    }
+  }
+  
+  function downloadTextFile(filename, text, type) {
+    const blob = new Blob([text], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+  
+  async function exportRunHistory(format) {
+    await refreshRunHistory();
+    if (runHistory.length === 0) {
+      addLogEntry('没有运行记录可导出', 'warning');
+      return;
     }
     
-    return productArray;
-  } catch (error) {
-    await log(`获取商品列表失败: ${error.message}`, 'error');
-    return [];
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      // 加 BOM 以便 Excel 正确识别中文
+      downloadTextFile(`shopee-auto-cart-runs-${date}.csv`, `\uFEFF${runHistoryToCsv(runHistory)}`, 'text/csv');
+    } else {
+      downloadTextFile(`shopee-auto-cart-runs-${date}.json`, JSON.stringify(runHistory, null, 2), 'application/json');
+    }
+    addLogEntry(`已导出 ${runHistory.length} 次运行记录`, 'success');
   }
-}
-
-/**
- * 从商品卡片获取商品信息
- * @param {Element} productCard - 商品卡片元素
- * @returns {Object|null}
- */
-function getProductInfo(productCard) {
-  const link = productCard.querySelector(SearchSelectors.PRODUCT_LINK);
-  if (!link) return null;
   
-  const href = link.getAttribute('href');
-  const productId = extractProductId(href);
+  elements.historySection.addEventListener('toggle', () => {
+    if (elements.historySection.open) {
+      refreshRunHistory().catch(() => {});
+    }
+  });
   
-  if (!productId) return null;
+  elements.runHistoryList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-session-id]');
+    if (!btn) return;
+    const run = runHistory.find(item => item.sessionId === btn.dataset.sessionId);
+    if (run) showRunReport(run);
+  });
   
-  // 尝试获取商品名称
-  const nameEl = productCard.querySelector('[class*="name"], [class*="title"], .shopee-search-item-result__item-name');
-  const name = nameEl ? nameEl.textContent.trim() : '未知商品';
+  elements.runReportCloseBtn.addEventListener('click', () => {
+    elements.runReport.classList.add('hidden');
+    elements.runHistoryList.classList.remove('hidden');
+  });
   
-  return {
-    id: productId,
-    name: name,
-    url: link.href,
-    element: productCard
+  const exportRunHistoryOrLog = (format) => {
+    exportRunHistory(format).catch(error => addLogEntry(`导出失败: ${error.message}`, 'error'));
   };
-}
+  elements.historyExportJsonBtn.addEventListener('click', () => exportRunHistoryOrLog('json'));
+  elements.historyExportCsvBtn.addEventListener('click', () => exportRunHistoryOrLog('csv'));
 
-/**
- * 获取下一个未处理的商品
- * @param {Element[]} products - 商品列表
- * @returns {Promise<Object|null>}
- */
-async function getNextUnprocessedProduct(products) {
-  for (const product of products) {
-    const info = getProductInfo(product);
-    if (!info) continue;
-    
-    const processed = await isProductProcessed(info.id);
-    if (!processed) {
-      return info;
+  // 暂停/继续按钮 - 暂停时在后台记录断点，继续时从断点接着运行 (浏览器重启后也可继续)
+  // background 确认后才切换按钮，等待期间禁用按钮避免重复点击
+  elements.pauseBtn.addEventListener('click', async () => {
+    const resuming = runStatus === 'paused';
+    elements.pauseBtn.disabled = true;
+    try {
+      if (resuming) {
+        if (!await request('RESUME', {})) {
+          setRunControls(runStatus);
+          addLogEntry('没有可继续的暂停任务', 'warning');
+          return;
+        }
+        setRunControls('running');
+      } else {
+        await request('PAUSE', { url: window.location.href });
+        setRunControls('paused');
+      }
+    } catch (error) {
+      setRunControls(runStatus);
+      addLogEntry(`${resuming ? '继续' : '暂停'}失败: ${error.message}`, 'error');
     }
-  }
-  
-  return null;
-}
-
-/**
- * 点击商品进入详情页
- * @param {Object} productInfo - 商品信息
- */
-async function clickProduct(productInfo) {
-  await log(`点击商品: ${productInfo.name}`, 'info');
-
-  // 标记为已处理
-  await markProductProcessed(productInfo.id);
-
-  // 滚动到商品位置
-  productInfo.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  await sleep(300);
-
-  // 点击商品链接
-  const link = productInfo.element.querySelector(SearchSelectors.PRODUCT_LINK);
-  if (link) {
-    link.click();
-  } else {
-    // 直接导航
-    window.location.href = productInfo.url;
-  }
-}
-
-/**
- * 滚动加载更多商品
- * @returns {Promise<boolean>} 是否成功加载更多
- */
-async function scrollToLoadMore() {
-  const beforeCount = document.querySelectorAll(SearchSelectors.PRODUCT_CARD).length;
+  });
   
-  // 滚动到页面底部
-  window.scrollTo({
-    top: document.body.scrollHeight,
-    behavior: 'smooth'
+  // 停止按钮
+  elements.stopBtn.addEventListener('click', async () => {
+    elements.stopBtn.disabled = true;
+    try {
+      await request('STOP', { reason: '手动停止' });
+    } catch (error) {
+      setRunControls(runStatus);
+      addLogEntry(`停止失败: ${error.message}`, 'error');
+      return;
+    }
+    setRunControls('idle');
+    elements.currentKeyword.textContent = '随机选择';
+    addLogEntry('已停止任务', 'warning');
   });
   
-  await sleep(2000);
+  // 清除日志
+  elements.clearLogBtn.addEventListener('click', () => {
+    elements.logArea.innerHTML = '';
+    logStorage = [];
+    saveLogsToStorage();
+    addLogEntry('日志已清除', 'info');
+  });
   
-  const afterCount = document.querySelectorAll(SearchSelectors.PRODUCT_CARD).length;
+  // 导出日志
+  elements.exportLogBtn.addEventListener('click', () => {
+    exportLogs();
+  });
   
-  if (afterCount > beforeCount) {
-    await log(`加载了 ${afterCount - beforeCount} 个新商品`, 'info');
-    return true;
-  }
+  // 设置按钮 - content script 不能直接打开选项页，由 background 打开
+  elements.settingsBtn.addEventListener('click', () => {
+    sendMessage({ type: 'OPEN_OPTIONS', payload: {} })
+      .catch(error => addLogEntry(`打开设置页失败: ${error.message}`, 'error'));
+  });
   
-  return false;
-}
-
-/**
- * 处理搜索页面
- * 如果商品数量<=1，等待15秒后刷新页面继续（不停止扩展）
- */
-async function handleSearchPage() {
-  const state = await getState();
+  // 关于按钮 - 显示关于对话框
+  elements.aboutBtn.addEventListener('click', () => {
+    elements.aboutModal.classList.remove('hidden');
+  });
   
-  if (!state.isRunning) {
-    return;
-  }
+  // 关闭关于对话框
+  elements.aboutCloseBtn.addEventListener('click', () => {
+    elements.aboutModal.classList.add('hidden');
+  });
   
-  await log('正在搜索页面，开始处理商品列表...', 'info');
+  // 点击对话框外部关闭
+  elements.aboutModal.addEventListener('click', (e) => {
+    if (e.target === elements.aboutModal) {
+      elements.aboutModal.classList.add('hidden');
+    }
+  });
   
-  // 等待搜索页面加载 (10秒)
-  await log(`等待页面加载 (${CONFIG.SEARCH_PAGE_DELAY / 1000}秒)...`, 'info');
-  await sleep(CONFIG.SEARCH_PAGE_DELAY);
+  // 导出日志函数
+  function exportLogs() {
+    if (logStorage.length === 0) {
+      addLogEntry('没有日志可导出', 'warning');
+      return;
+    }
+    
+    const logText = logStorage.map(entry => 
+      `[${entry.timestamp}] [${entry.type.toUpperCase()}] ${entry.message}`
+    ).join('\n');
+    
+    const blob = new Blob([logText], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `shopee-auto-cart-log-${new Date().toISOString().slice(0,10)}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    addLogEntry(`已导出 ${logStorage.length} 条日志`, 'success');
+  }
   
-  // 获取商品列表
-  let products = await getProductList();
+  // 保存日志到 storage
+  function saveLogsToStorage() {
+    try {
+      chrome.storage.local.set({ shopee_auto_cart_logs: logStorage });
+    } catch (e) {
+      console.error('保存日志失败:', e);
+    }
+  }
   
-  // 如果商品数量<=1，说明页面可能没加载完，等待15秒后刷新页面继续
-  if (products.length <= 1) {
-    await log(`只找到 ${products.length} 个商品，页面可能未加载完，等待15秒后刷新...`, 'warning');
-    await sleep(15000);
-    
-    // 刷新页面继续，刷新后会自动重新执行 handleSearchPage
-    await log('刷新页面...', 'info');
-    window.location.reload();
-    return;
+  // 从 storage 加载日志，完成后调用 onLoaded
+  function loadLogsFromStorage(onLoaded) {
+    try {
+      chrome.storage.local.get(['shopee_auto_cart_logs'], (result) => {
+        if (result.shopee_auto_cart_logs && Array.isArray(result.shopee_auto_cart_logs)) {
+          logStorage = result.shopee_auto_cart_logs;
+          // 恢复日志到 UI (只显示最近的几条)
+          const displayLogs = logStorage.slice(-CONFIG.MAX_VISIBLE_LOG_ENTRIES);
+          displayLogs.forEach(entry => {
+            const logEntry = document.createElement('div');
+            logEntry.className = `log-entry log-${entry.type}`;
+            logEntry.innerHTML = `<span class="timestamp">[${entry.timestamp}]</span>${escapeHtml(entry.message)}`;
+            elements.logArea.appendChild(logEntry);
+          });
+          elements.logArea.scrollTop = elements.logArea.scrollHeight;
+        }
+        onLoaded();
+      });
+    } catch (e) {
+      console.error('加载日志失败:', e);
+      onLoaded();
+    }
   }
   
-  // 随机选择商品（0-60范围内，但不超过实际商品数量）
-  const maxRandomIndex = Math.min(60, products.length);
-  const randomIndex = Math.floor(Math.random() * maxRandomIndex);
+  // 运行控制按钮 - 空闲时只能开始，运行时可暂停和停止，暂停时可继续和停止
+  let runStatus = 'idle';
   
-  await log(`共 ${products.length} 个商品，随机选择第 ${randomIndex + 1} 个`, 'info');
+  function setRunControls(status) {
+    runStatus = status;
+    elements.startBtn.disabled = status !== 'idle';
+    elements.pauseBtn.disabled = status === 'idle';
+    elements.pauseBtn.textContent = status === 'paused' ? '▶ 继续' : '❚❚ 暂停';
+    elements.stopBtn.disabled = status === 'idle';
+    setStatusText(status);
+  }
   
-  // 从随机位置开始查找未处理的商品
-  let selectedProduct = null;
+  // 状态文本更新
+  function setStatusText(status) {
+    const statusMap = {
+      idle: { text: '空闲', class: 'status-idle' },
+      running: { text: '运行中', class: 'status-running' },
+      paused: { text: '已暂停', class: 'status-paused' },
+      error: { text: '错误', class: 'status-error' }
+    };
+    const info = statusMap[status] || statusMap.idle;
+    elements.statusText.textContent = info.text;
+    elements.statusText.className = 'status-text ' + info.class;
+  }
   
-  // 先从随机位置向后查找
-  for (let i = randomIndex; i < products.length; i++) {
-    const info = getProductInfo(products[i]);
-    if (!info) continue;
-    
-    const processed = await isProductProcessed(info.id);
-    if (!processed) {
-      selectedProduct = info;
-      await log(`选择第 ${i + 1} 个商品: ${info.name.substring(0, 30)}...`, 'info');
-      break;
-    }
+  // 添加日志条目
+  function addLogEntry(message, type = 'info') {
+    appendLogEntry(message, type, new Date());
+    saveLogsToStorage();
   }
   
-  // 如果后面没找到，从随机位置向前查找
-  if (!selectedProduct) {
-    for (let i = randomIndex - 1; i >= 0; i--) {
-      const info = getProductInfo(products[i]);
-      if (!info) continue;
-      
-      const processed = await isProductProcessed(info.id);
-      if (!processed) {
-        selectedProduct = info;
-        await log(`选择第 ${i + 1} 个商品: ${info.name.substring(0, 30)}...`, 'info');
-        break;
-      }
+  // 批量添加日志队列中的日志，只保存一次
+  function addLogEntries(entries) {
+    for (const entry of entries) {
+      appendLogEntry(entry.message, entry.logType || 'info', entry.timestamp ? new Date(entry.timestamp) : new Date());
     }
+    saveLogsToStorage();
   }
   
-  if (selectedProduct) {
-    await clickProduct(selectedProduct);
-  } else {
-    // 尝试加载更多
-    const loaded = await scrollToLoadMore();
+  function appendLogEntry(message, type, timestamp) {
+    const timeStr = `${String(timestamp.getHours()).padStart(2, '0')}:${String(timestamp.getMinutes()).padStart(2, '0')}:${String(timestamp.getSeconds()).padStart(2, '0')}`;
+    const fullTimeStr = `${timestamp.getFullYear()}-${String(timestamp.getMonth()+1).padStart(2,'0')}-${String(timestamp.getDate()).padStart(2,'0')} ${timeStr}`;
     
-    if (loaded) {
-      // 重新获取商品列表
-      const newProducts = await getProductList();
-      const newMaxIndex = Math.min(60, newProducts.length);
-      const newRandomIndex = Math.floor(Math.random() * newMaxIndex);
-      
-      // 从新的随机位置查找
-      for (let i = newRandomIndex; i < newProducts.length; i++) {
-        const info = getProductInfo(newProducts[i]);
-        if (!info) continue;
-        
-        const processed = await isProductProcessed(info.id);
-        if (!processed) {
-          selectedProduct = info;
-          await log(`选择第 ${i + 1} 个商品: ${info.name.substring(0, 30)}...`, 'info');
-          break;
-        }
-      }
-      
-      if (selectedProduct) {
-        await clickProduct(selectedProduct);
-      } else {
-        await log('所有可见商品已处理完成', 'success');
-        await sendMessage({ type: 'STOP', payload: {} });
-      }
-    } else {
-      await log('所有商品已处理完成', 'success');
-      await sendMessage({ type: 'STOP', payload: {} });
+    // 添加到存储数组
+    logStorage.push({
+      timestamp: fullTimeStr,
+      type: type,
+      message: message
+    });
+    
+    // 限制存储日志数量
+    while (logStorage.length > CONFIG.MAX_LOG_ENTRIES) {
+      logStorage.shift();
+    }
+    
+    const entry = document.createElement('div');
+    entry.className = `log-entry log-${type}`;
+    entry.innerHTML = `<span class="timestamp">[${timeStr}]</span>${escapeHtml(message)}`;
+    elements.logArea.appendChild(entry);
+    
+    // 限制 UI 显示日志数量
+    while (elements.logArea.children.length > CONFIG.MAX_VISIBLE_LOG_ENTRIES) {
+      elements.logArea.firstChild.remove();
     }
+    
+    // 自动滚动
+    elements.logArea.scrollTop = elements.logArea.scrollHeight;
   }
-}
-
-
-// ============================================
-// 4.3 商品详情页操作
-// Requirements: 2.1, 2.2, 2.3, 2.4, 2.5
-// ============================================
-
-/**
- * 商品详情页选择器 - 适配 Shopee 多种页面结构
- */
-const ProductSelectors = {
-  // 规格选择器 - Shopee 使用 flex 容器包含规格按钮
-  VARIANT_CONTAINER: '.product-variation, [class*="variation"], [class*="tier-variation"], [class*="flex"][class*="items-center"]',
-  VARIANT_OPTION: '.product-variation button, [class*="variation"] button, [class*="tier-variation"] button, button[class*="product-variation"], [class*="flex"] button[aria-label]',
-  VARIANT_OPTION_ACTIVE: '.product-variation button.active, [class*="variation"] button[class*="active"], button[class*="product-variation"][class*="active"]',
-  // 添加购物车按钮 - 多种可能的选择器
-  ADD_TO_CART_BTN: 'button[class*="add-to-cart"], button[class*="btn-solid-primary"], [class*="add-to-cart"] button',
-  // 店铺链接
-  SHOP_LINK: 'a[href*="/shop/"], [class*="shop"] a[href*="/shop/"], [class*="seller"] a',
-  // 商品名称 - Shopee 商品标题通常在 h1 或特定 class 中
-  PRODUCT_NAME: 'h1, [class*="product-name"], [class*="title"], [class*="attM6y"], span[class*="VCxVFf"]',
-  // 数量输入
-  QUANTITY_INPUT: 'input[type="number"], [class*="quantity"] input, input[class*="qty"]',
-  // 购物车成功提示
-  CART_SUCCESS: '[class*="toast"], [class*="success"], [class*="notification"], [class*="shopee-modal"]'
-};
-
-/**
- * 检测商品是否有多规格
- * @returns {Promise<boolean>}
- */
-async function hasVariants() {
-  try {
-    const variants = findVariantButtons();
-    console.log('[Shopee Auto Cart] 检测到规格数量:', variants.length);
-    return variants.length > 0;
-  } catch (error) {
-    console.error('[Shopee Auto Cart] 检测规格失败:', error);
-    return false;
+  
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
-}
-
-/**
- * 查找规格容器 - Shopee 商品通常有多层规格（如颜色、尺码）
- * @returns {Element[]} 规格容器列表
- */
-function findVariantContainers() {
-  const containers = [];
   
-  // 查找所有规格容器
-  const selectors = [
-    '[class*="product-variation"]',
-    '[class*="tier-variation"]',
-    '[class*="variation"]'
-  ];
+  // 恢复保存的位置 (loadRemoteConfig 已在注入面板前读取配置)
+  if (CONFIG.UI_POSITION) {
+    const pos = CONFIG.UI_POSITION;
+    elements.panel.style.left = pos.x + 'px';
+    elements.panel.style.top = pos.y + 'px';
+    elements.panel.style.right = 'auto';
+    elements.minimizedIcon.style.left = pos.x + 'px';
+    elements.minimizedIcon.style.top = pos.y + 'px';
+  }
   
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    elements.forEach(el => {
-      // 确保容器内有按钮
-      const buttons = el.querySelectorAll('button');
-      if (buttons.length > 0 && !containers.includes(el)) {
-        // 避免添加嵌套的容器
-        let isNested = false;
-        for (const existing of containers) {
-          if (existing.contains(el) || el.contains(existing)) {
-            isNested = true;
-            break;
-          }
-        }
-        if (!isNested) {
-          containers.push(el);
-        }
-      }
-    });
+  // 其他标签页的运行 - 运行只属于开始它的标签页，这里只显示提示和跳转按钮
+  // 已暂停的任务 (包括标签页已关闭或浏览器重启后留下的) 可以转到当前标签页继续
+  let currentTabId = null;
+  let otherRuns = [];
+  
+  function renderActiveRuns(runs) {
+    otherRuns = (runs || [])
+      .filter(run => run.tabId !== currentTabId)
+      .sort((a, b) => Number(b.paused) - Number(a.paused));
+    elements.otherRunBar.classList.toggle('hidden', otherRuns.length === 0);
+    if (otherRuns.length === 0) return;
+    
+    const [first] = otherRuns;
+    const target = first.mode === RunMode.LIST ? '购物清单'
+      : first.mode === RunMode.WATCH ? '抢购监视'
+      : `关键词: ${first.keyword || '-'}`;
+    elements.otherRunText.textContent = otherRuns.length > 1
+      ? `${otherRuns.length} 个任务正在其他标签页中运行或已暂停`
+      : first.paused
+      ? `任务已暂停 (${target})${first.tabId != null ? `，位于标签页 ${first.tabId}` : ''}`
+      : `任务正在标签页 ${first.tabId} 中运行 (${target})`;
+    elements.otherRunFocusBtn.classList.toggle('hidden', first.tabId == null);
+    elements.otherRunResumeBtn.classList.toggle('hidden', !first.paused);
+    elements.otherRunDiscardBtn.classList.toggle('hidden', !first.paused);
   }
   
-  console.log('[Shopee Auto Cart] 找到规格容器数量:', containers.length);
-  return containers;
-}
-
-/**
- * 从容器中获取可用的规格按钮
- * @param {Element} container - 规格容器
- * @returns {Element[]} 可用的规格按钮
- */
-function getButtonsFromContainer(container) {
-  const buttons = container.querySelectorAll('button');
-  return Array.from(buttons).filter(btn => {
-    const isDisabled = btn.disabled || 
-                       btn.classList.contains('disabled') || 
-                       btn.classList.contains('shopee-button-disabled') ||
-                       btn.getAttribute('aria-disabled') === 'true' ||
-                       btn.style.opacity === '0.5';
-    return !isDisabled;
+  elements.otherRunFocusBtn.addEventListener('click', async () => {
+    if (otherRuns.length === 0) return;
+    try {
+      await request('FOCUS_TAB', { tabId: otherRuns[0].tabId });
+    } catch (error) {
+      addLogEntry(`切换到运行中的标签页失败: ${error.message}`, 'error');
+    }
   });
-}
-
-/**
- * 查找规格按钮 - 适配 Shopee 多种页面结构
- * @returns {Element[]}
- */
-function findVariantButtons() {
-  const allButtons = [];
   
-  // 方法1: 查找包含 "variation" 的容器中的按钮
-  const variationContainers = document.querySelectorAll('[class*="variation"], [class*="tier-variation"], [class*="product-variation"]');
-  variationContainers.forEach(container => {
-    const buttons = container.querySelectorAll('button');
-    buttons.forEach(btn => {
-      if (!allButtons.includes(btn)) {
-        allButtons.push(btn);
+  elements.otherRunResumeBtn.addEventListener('click', async () => {
+    if (!otherRuns[0]?.paused) return;
+    try {
+      if (!await request('RESUME', { sessionId: otherRuns[0].sessionId })) {
+        addLogEntry('当前标签页已有任务，请先停止后再继续暂停的任务', 'warning');
       }
-    });
+    } catch (error) {
+      addLogEntry(`继续暂停的任务失败: ${error.message}`, 'error');
+    }
   });
   
-  // 方法2: 查找带有 aria-label 的规格按钮
-  const ariaButtons = document.querySelectorAll('button[aria-label]');
-  ariaButtons.forEach(btn => {
-    const parent = btn.closest('[class*="flex"]');
-    if (parent && !allButtons.includes(btn)) {
-      // 检查是否是规格按钮（通常在商品详情区域）
-      const isInProductArea = btn.closest('[class*="product"]') || btn.closest('[class*="item"]');
-      if (isInProductArea) {
-        allButtons.push(btn);
-      }
+  elements.otherRunDiscardBtn.addEventListener('click', async () => {
+    if (!otherRuns[0]?.paused) return;
+    try {
+      await request('STOP', { sessionId: otherRuns[0].sessionId, reason: '放弃已暂停的任务' });
+    } catch (error) {
+      addLogEntry(`放弃暂停的任务失败: ${error.message}`, 'error');
+      return;
     }
+    addLogEntry('已放弃暂停的任务', 'warning');
   });
   
-  // 方法3: 查找特定样式的规格按钮
-  const styledButtons = document.querySelectorAll('button[class*="product-variation"], button[class*="tier"]');
-  styledButtons.forEach(btn => {
-    if (!allButtons.includes(btn)) {
-      allButtons.push(btn);
+  sendMessage({ type: 'GET_RUNS', payload: {} })
+    .then(response => {
+      currentTabId = response?.data?.tabId ?? null;
+      renderActiveRuns(response?.data?.runs);
+    })
+    .catch(() => {});
+  
+  // 处理 background 推送的消息 - 定时任务、到货/降价提醒列表在订阅时推送当前内容
+  backgroundMessageHandler = (message) => {
+    if (message.type === 'RUNS_UPDATE') {
+      renderActiveRuns(message.payload.runs);
+    } else if (message.type === 'JOBS_UPDATE') {
+      renderScheduledJobs(message.payload.jobs);
+    } else if (message.type === 'RESTOCK_WATCHES_UPDATE') {
+      renderRestockWatches(message.payload.watches);
+    } else if (message.type === 'PRICE_WATCHES_UPDATE') {
+      renderPriceWatches(message.payload.watches);
+    } else if (message.type === 'CONFIG_UPDATE') {
+      applyConfigValues(message.payload.config);
+      elements.keywordRotationLabel.textContent = `轮换方式 (每 ${formatKeywordChangeInterval()})`;
+      elements.maxPagesInput.placeholder = `默认 ${CONFIG.MAX_SEARCH_PAGES} 页`;
+      elements.quantityInput.placeholder = `默认: 无规格 ${CONFIG.MAX_CARTS_NO_VARIANTS} 件，有规格每种 1 件`;
+      addLogEntry('设置已更新', 'info');
+    } else if (message.type === 'LOG') {
+      addLogEntry(message.payload.message, message.payload.logType || 'info');
+    } else if (message.type === 'STATE_UPDATE') {
+      const state = message.payload;
+      if (state.isRunning) {
+        if (state.searchSpec?.keyword || state.mode !== RunMode.SEARCH) {
+          elements.currentKeyword.textContent = describeRunTarget(state);
+        }
+        if (state.selection) {
+          elements.currentStrategy.textContent = describeSelection(state.selection);
+        }
+        if (state.budget) {
+          elements.currentBudget.textContent = describeBudget(state.budget);
+        }
+        setRunControls('running');
+      } else if (state.isPaused) {
+        setRunControls('paused');
+      } else {
+        elements.currentKeyword.textContent = '随机选择';
+        setRunControls('idle');
+      }
     }
+  };
+  subscribe(['log', 'state', 'runs', 'jobs', 'watches', 'config']);
+  
+  // 端口未连接时 background 改用 runtime 消息发送
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    sendResponse({ received: receiveBackgroundMessage(message) });
   });
   
-  console.log('[Shopee Auto Cart] 找到规格按钮数量:', allButtons.length);
-  return allButtons;
+  // 从 storage 加载历史日志，恢复后再写入日志队列，新日志排在历史之后
+  loadLogsFromStorage(() => {
+    panelLogHandler = addLogEntries;
+    flushLogs();
+  });
+  panelSnapshotHandler = renderProductSnapshot;
+  
+  // 初始日志
+  addLogEntry('扩展已加载，准备就绪', 'info');
+  
+  // 存储 addLogEntry 供全局使用
+  window.shopeeAutoCartAddLog = addLogEntry;
+  window.shopeeAutoCartSetStatus = setStatusText;
+  window.shopeeAutoCartExportLogs = exportLogs;
+  
+  // 从 background 同步运行状态 (修复页面刷新后 UI 状态不同步的问题)
+  syncUIState();
+  
+  async function syncUIState() {
+    try {
+      const response = await sendMessage({ type: 'GET_STATE' });
+      const state = response?.data || {};
+      console.log('[Shopee Auto Cart] 同步 UI 状态:', state);
+      
+      if (state.isRunning) {
+        if (state.searchSpec?.keyword || state.mode !== RunMode.SEARCH) {
+          elements.currentKeyword.textContent = describeRunTarget(state);
+        }
+        if (state.selection) {
+          elements.currentStrategy.textContent = describeSelection(state.selection);
+        }
+        if (state.budget) {
+          elements.currentBudget.textContent = describeBudget(state.budget);
+        }
+        setRunControls('running');
+        addLogEntry('检测到任务正在运行中...', 'info');
+      } else if (state.isPaused) {
+        if (state.searchSpec?.keyword || state.mode !== RunMode.SEARCH) {
+          elements.currentKeyword.textContent = describeRunTarget(state);
+        }
+        setRunControls('paused');
+        addLogEntry('检测到已暂停的任务，点击继续从断点运行', 'info');
+      }
+    } catch (error) {
+      console.error('[Shopee Auto Cart] 同步状态失败:', error);
+    }
+  }
 }
 
 /**
- * 获取所有规格选项
- * @returns {Element[]}
+ * 搜索排序方式
  */
-function getVariantOptions() {
-  const options = findVariantButtons();
-  // 过滤掉禁用的选项
-  const filtered = options.filter(opt => {
-    const isDisabled = opt.disabled || 
-                       opt.classList.contains('disabled') || 
-                       opt.classList.contains('shopee-button-disabled') ||
-                       opt.getAttribute('aria-disabled') === 'true';
-    return !isDisabled;
-  });
-  console.log('[Shopee Auto Cart] 可用规格选项数量:', filtered.length);
-  return filtered;
-}
+const SearchSortBy = {
+  RELEVANCY: 'relevancy',
+  LATEST: 'ctime',
+  SALES: 'sales',
+  PRICE: 'price'
+};
 
 /**
- * 选择规格
- * @param {Element} variantButton - 规格按钮
+ * @typedef {Object} SearchSpec
+ * @property {string} keyword - 搜索关键词
+ * @property {string} [sortBy] - 排序方式 (relevancy / ctime / sales / price)
+ * @property {'asc'|'desc'} [order] - 排序方向 (价格排序时有效)
+ * @property {number} [priceMin] - 最低价格
+ * @property {number} [priceMax] - 最高价格
+ * @property {Object} [filters] - 服务端筛选条件
+ * @property {string[]} [filters.locations] - 店铺所在地
+ * @property {number} [filters.ratingFilter] - 最低星级 (1-5)
+ * @property {boolean} [filters.officialMall] - 只显示商城
+ * @property {boolean} [filters.preferredSellers] - 只显示优选卖家
+ * @property {number} [page] - 页码 (从 0 开始)
  */
-async function selectVariant(variantButton) {
-  variantButton.click();
-  await sleep(CONFIG.VARIANT_SELECT_DELAY);
+
+/**
+ * 规范化搜索条件 - 兼容只传关键词字符串的旧调用方式
+ * @param {SearchSpec|string} spec - 搜索条件或关键词
+ * @returns {SearchSpec}
+ */
+function normalizeSearchSpec(spec) {
+  const source = typeof spec === 'string' ? { keyword: spec } : (spec || {});
+  return {
+    keyword: source.keyword || '',
+    sortBy: source.sortBy || SearchSortBy.RELEVANCY,
+    order: source.order === 'asc' ? 'asc' : 'desc',
+    priceMin: source.priceMin ?? null,
+    priceMax: source.priceMax ?? null,
+    filters: { ...(source.filters || {}) },
+    page: Math.max(0, parseInt(source.page, 10) || 0)
+  };
 }
 
 /**
- * 查找添加购物车按钮
- * @returns {Element|null}
+ * 构建搜索 URL - 排序、价格区间和筛选条件交给 Shopee 服务端处理
+ * @param {SearchSpec|string} spec - 搜索条件或关键词
+ * @returns {string}
  */
-function findAddToCartButton() {
-  console.log('[Shopee Auto Cart] 开始查找添加购物车按钮...');
+function buildSearchUrl(spec) {
+  const baseUrl = window.location.origin;
+  const { keyword, sortBy, order, priceMin, priceMax, filters, page } = normalizeSearchSpec(spec);
   
-  // 通过文本内容查找 - 这是最可靠的方法
-  const allButtons = document.querySelectorAll('button');
-  for (const btn of allButtons) {
-    const text = btn.textContent || '';
-    // 检查各种语言的"加入购物车"文本
-    if (text.includes('加入購物車') || 
-        text.includes('加入购物车') || 
-        text.includes('Add to Cart') ||
-        text.includes('ADD TO CART') ||
-        text.includes('加入购物车')) {
-      console.log('[Shopee Auto Cart] 找到添加购物车按钮 (通过文本):', text);
-      return btn;
-    }
+  const params = new URLSearchParams({ keyword });
+  if (page > 0) params.set('page', String(page));
+  if (sortBy !== SearchSortBy.RELEVANCY) {
+    params.set('sortBy', sortBy);
+    params.set('order', order);
   }
-  
-  // 尝试通过 class 选择器查找
-  const selectors = [
-    'button[class*="add-to-cart"]',
-    'button[class*="btn-solid-primary"]',
-    '[class*="product-briefing"] button',
-    '[class*="flex"] button[class*="bg-primary"]',
-    'button[class*="shopee-button-solid"]'
-  ];
-  
-  for (const selector of selectors) {
-    try {
-      const buttons = document.querySelectorAll(selector);
-      for (const btn of buttons) {
-        const text = btn.textContent || '';
-        // 排除"立即购买"按钮
-        if (!text.includes('立即') && !text.includes('Buy Now') && !text.includes('buy now')) {
-          // 检查是否包含购物车相关文本
-          if (text.includes('購物車') || text.includes('购物车') || text.toLowerCase().includes('cart')) {
-            console.log('[Shopee Auto Cart] 找到添加购物车按钮 (通过选择器):', selector, text);
-            return btn;
-          }
-        }
-      }
-    } catch (e) {
-      // 继续尝试下一个选择器
-    }
-  }
-  
-  console.log('[Shopee Auto Cart] 未找到添加购物车按钮');
-  return null;
+  if (priceMin != null) params.set('minPrice', String(priceMin));
+  if (priceMax != null) params.set('maxPrice', String(priceMax));
+  if (filters.locations?.length > 0) params.set('locations', filters.locations.join(','));
+  if (filters.ratingFilter) params.set('ratingFilter', String(filters.ratingFilter));
+  if (filters.officialMall) params.set('officialMall', '1');
+  if (filters.preferredSellers) params.set('preferredSellers', '1');
+  
+  return `${baseUrl}/search?${params.toString()}`;
 }
 
+// ============================================
+// 工具函数
+// ============================================
+
 /**
- * 检测页面是否显示"请先选择商品规格"错误提示
- * @returns {boolean}
+ * 延迟执行 - 传入 signal 时中止后立即以 signal.reason 拒绝，不等延迟结束
+ * @param {number} ms - 毫秒数
+ * @param {AbortSignal} [signal] - 中止信号
+ * @returns {Promise<void>}
  */
-function hasVariantSelectionError() {
-  const errorTexts = ['請先選擇商品規格', '请先选择商品规格', 'Please select product variation', '請選擇商品規格'];
-  
-  // 检查页面文本
-  const pageText = document.body.innerText;
-  for (const errorText of errorTexts) {
-    if (pageText.includes(errorText)) {
-      console.log('[Shopee Auto Cart] 检测到规格选择错误提示:', errorText);
-      return true;
-    }
-  }
-  
-  // 检查红色错误提示元素 (Shopee 通常用红色显示错误)
-  const errorSelectors = [
-    '[class*="error"]',
-    '[class*="warning"]', 
-    '[style*="color: red"]',
-    '[style*="color:red"]',
-    '[style*="color: rgb(255"]',
-    '.shopee-toast',
-    '[class*="toast"]'
-  ];
-  
-  for (const selector of errorSelectors) {
-    try {
-      const elements = document.querySelectorAll(selector);
-      for (const el of elements) {
-        const text = el.textContent || '';
-        for (const errorText of errorTexts) {
-          if (text.includes(errorText)) {
-            console.log('[Shopee Auto Cart] 检测到规格选择错误元素:', text);
-            return true;
-          }
-        }
-      }
-    } catch (e) {
-      // 继续检查
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
     }
-  }
-  
-  return false;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
- * 检测规格层信息 - 获取每一层规格的名称和按钮
- * Shopee 台湾站的规格区域通常结构为:
- * - 一个包含规格名称的 label/div (如 "顏色", "尺寸")
- * - 一组规格按钮
- * @returns {Promise<Array<{name: string, container: Element, buttons: Element[]}>>}
+ * 等待元素出现 (带重试机制)
+ * Requirements: 7.1 - 元素未找到时重试3次，间隔2秒
+ * @param {string} selector - CSS 选择器
+ * @param {Object} options - 配置选项
+ * @param {number} options.timeout - 单次等待超时时间 (ms)，默认 CONFIG.ELEMENT_TIMEOUT (可在设置页修改)
+ * @param {number} options.retries - 重试次数，默认 3
+ * @param {number} options.retryDelay - 重试间隔 (ms)，默认 2000
+ * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再等待
+ * @returns {Promise<Element>}
  */
-async function detectVariantLayers() {
-  const layers = [];
-  const processedButtons = new Set();
-  
-  await log('[调试] 开始检测规格层...', 'info');
-  
-  // 检测真正的商品规格关键词 - 支持各种商品类型
-  const validVariantLabels = [
-    // 颜色相关
-    '顏色', '颜色', 'Color', '顏色分類', '颜色分类', '色系', '配色',
-    // 尺寸相关
-    '尺寸', '尺碼', 'Size', '尺寸分類', '尺码分类', '大小', '號碼', '号码',
-    // 款式相关
-    '款式', '樣式', '样式', 'Style', '款', '類型', '类型', 'Type',
-    // 电子产品相关
-    '容量', '版本', 'Version', '型號', '型号', 'Model', '規格', '规格', 'Spec',
-    '內存', '内存', 'RAM', '存儲', '存储', 'Storage', '配置', '處理器', '处理器',
-    // 食品相关
-    '口味', '味道', 'Flavor', '份量', '重量', 'Weight', '包裝', '包装',
-    // 套餐组合
-    '套餐', '組合', '组合', 'Bundle', 'Set', '方案', '選項', '选项', 'Option',
-    // 其他常见规格
-    '材質', '材质', '長度', '长度', '寬度', '宽度', '厚度', '電壓', '电压',
-    '功率', '瓦數', '瓦数', '插頭', '插头', '接口', '尺吋', '吋'
-  ];
-  
-  // 需要排除的标签 - 这些不是可选择的商品规格
-  const excludeLabels = [
-    '數量', '数量', 'Quantity', '庫存', '库存', 'Stock', '尚有庫存',
-    '評價', '评价', 'Rating', '評分', '评分',
-    '付款', '物流', '運費', '运费', '配送',
-    '商品數量', '商品数量', '購買數量', '购买数量'
-  ];
-  
-  // 统计页面按钮
-  const allPageButtons = document.querySelectorAll('button');
-  await log(`[调试] 页面共有 ${allPageButtons.length} 个按钮`, 'info');
-  
-  // ========== 方法1: 查找 Shopee 的规格行容器 (最可靠) ==========
-  // Shopee 的规格通常在 class 包含 "flex" 的行容器中，每行一个规格类型
-  await log('[调试] 方法1: 查找规格行容器...', 'info');
+async function waitForElement(selector, options = {}) {
+  const {
+    timeout = CONFIG.ELEMENT_TIMEOUT,
+    retries = CONFIG.RETRY_ATTEMPTS,
+    retryDelay = CONFIG.RETRY_DELAY,
+    silent = false,
+    signal
+  } = options;
   
-  // 查找所有可能的规格行（通常是 flex 布局的 div）
-  const allDivs = document.querySelectorAll('div');
-  const variantRows = [];
+  let lastError;
   
-  for (const div of allDivs) {
-    // 检查这个 div 是否包含规格标签文本
-    const children = div.children;
-    if (children.length < 2) continue; // 规格行至少有标签和按钮区域
-    
-    // 获取第一个子元素的文本（通常是标签）
-    const firstChild = children[0];
-    const labelText = firstChild?.textContent?.trim() || '';
-    
-    if (labelText.length === 0 || labelText.length > 30) continue;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const startTime = Date.now();
     
-    // 检查是否包含规格关键词
-    let matchedLabel = '';
-    for (const validLabel of validVariantLabels) {
-      if (labelText.includes(validLabel)) {
-        matchedLabel = validLabel;
-        break;
+    while (Date.now() - startTime < timeout) {
+      const element = document.querySelector(selector);
+      if (element) {
+        return element;
       }
+      await sleep(100, signal);
     }
     
-    if (!matchedLabel) continue;
+    lastError = new Error(`Element not found: ${selector}`);
     
-    // 排除非规格项
-    let isExcluded = false;
-    for (const excludeLabel of excludeLabels) {
-      if (labelText.includes(excludeLabel)) {
-        isExcluded = true;
-        break;
+    if (attempt < retries) {
+      if (!silent) {
+        await log(`元素未找到 "${selector}"，${retryDelay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
       }
+      await sleep(retryDelay, signal);
     }
-    if (isExcluded) continue;
-    
-    // 检查这个 div 是否包含按钮
-    const buttons = div.querySelectorAll('button');
-    if (buttons.length === 0) continue;
-    
-    // 检查按钮是否是规格按钮（不是功能按钮）
-    const variantButtons = findVariantButtonsInContainer(div, processedButtons);
-    if (variantButtons.length === 0) continue;
-    
-    variantRows.push({
-      container: div,
-      label: matchedLabel,
-      labelText: labelText,
-      buttons: variantButtons,
-      rect: div.getBoundingClientRect()
-    });
   }
   
-  // 按 Y 坐标排序（从上到下）
-  variantRows.sort((a, b) => a.rect.top - b.rect.top);
+  if (!silent) {
+    await log(`元素查找失败: ${selector} (已重试${retries}次)`, 'error');
+  }
+  throw lastError;
+}
+
+/**
+ * 等待多个元素出现 (带重试机制)
+ * Requirements: 7.1 - 元素未找到时重试3次，间隔2秒
+ * @param {string} selector - CSS 选择器
+ * @param {Object} options - 配置选项
+ * @param {number} options.timeout - 单次等待超时时间 (ms)，默认 CONFIG.ELEMENT_TIMEOUT (可在设置页修改)
+ * @param {number} options.retries - 重试次数，默认 3
+ * @param {number} options.retryDelay - 重试间隔 (ms)，默认 2000
+ * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再等待
+ * @returns {Promise<NodeList>}
+ */
+async function waitForElements(selector, options = {}) {
+  const {
+    timeout = CONFIG.ELEMENT_TIMEOUT,
+    retries = CONFIG.RETRY_ATTEMPTS,
+    retryDelay = CONFIG.RETRY_DELAY,
+    silent = false,
+    signal
+  } = options;
   
-  // 去重：如果多个行包含相同的按钮，只保留最小的容器
-  const uniqueRows = [];
-  for (const row of variantRows) {
-    let isDuplicate = false;
+  let lastError;
+  
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const startTime = Date.now();
     
-    for (const existing of uniqueRows) {
-      // 检查是否有按钮重叠
-      const overlap = row.buttons.some(btn => existing.buttons.includes(btn));
-      if (overlap) {
-        // 如果当前行的按钮数量更少，说明是更精确的容器
-        if (row.buttons.length < existing.buttons.length) {
-          // 替换
-          const idx = uniqueRows.indexOf(existing);
-          uniqueRows[idx] = row;
-        }
-        isDuplicate = true;
-        break;
+    while (Date.now() - startTime < timeout) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length > 0) {
+        return elements;
       }
+      await sleep(100, signal);
     }
     
-    if (!isDuplicate) {
-      uniqueRows.push(row);
+    lastError = new Error(`Elements not found: ${selector}`);
+    
+    if (attempt < retries) {
+      if (!silent) {
+        await log(`元素列表未找到 "${selector}"，${retryDelay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
+      }
+      await sleep(retryDelay, signal);
     }
   }
   
-  await log(`[调试] 方法1找到 ${uniqueRows.length} 个规格行`, 'info');
-  
-  // 将找到的行添加到 layers
-  for (const row of uniqueRows) {
-    const btnTexts = row.buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
-    await log(`[调试] 规格 "${row.label}": ${row.buttons.length} 个选项 [${btnTexts}]`, 'success');
-    
-    layers.push({
-      name: row.label,
-      container: row.container,
-      buttons: row.buttons
-    });
-    row.buttons.forEach(b => processedButtons.add(b));
-  }
+  if (!silent) {
+    await log(`元素列表查找失败: ${selector} (已重试${retries}次)`, 'error');
+  }
+  throw lastError;
+}
+
+/**
+ * 带重试的操作执行
+ * Requirements: 7.1 - 操作失败时重试3次，间隔2秒
+ * @param {Function} operation - 要执行的操作
+ * @param {Object} options - 配置选项
+ * @param {number} options.retries - 重试次数，默认 3
+ * @param {number} options.delay - 重试延迟 (ms)，默认 2000
+ * @param {string} options.operationName - 操作名称（用于日志）
+ * @param {boolean} options.silent - 是否静默模式（不输出日志），默认 false
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再重试，直接抛出 signal.reason
+ * @returns {Promise<*>}
+ */
+async function withRetry(operation, options = {}) {
+  // 支持旧的调用方式 withRetry(fn, retries, delay)
+  if (typeof options === 'number') {
+    options = { retries: options, delay: arguments[2] || CONFIG.RETRY_DELAY };
+  }
+  
+  const {
+    retries = CONFIG.RETRY_ATTEMPTS,
+    delay = CONFIG.RETRY_DELAY,
+    operationName = '操作',
+    silent = false,
+    signal
+  } = options;
+  
+  let lastError;
+  
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await operation();
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      lastError = error;
+      if (attempt < retries) {
+        if (!silent) {
+          await log(`${operationName}失败: ${error.message}，${delay/1000}秒后重试 (${attempt}/${retries})`, 'warning');
+        }
+        await sleep(delay, signal);
+      }
+    }
+  }
+  
+  if (!silent) {
+    await log(`${operationName}最终失败: ${lastError.message} (已重试${retries}次)`, 'error');
+  }
+  throw lastError;
+}
+
+/**
+ * 带超时的操作执行
+ * Requirements: 7.4 - 导航超时处理
+ * @param {Function} operation - 要执行的操作
+ * @param {number} timeout - 超时时间 (ms)
+ * @param {string} operationName - 操作名称（用于日志）
+ * @param {AbortSignal} [signal] - 中止信号，中止时立即以 signal.reason 拒绝
+ * @returns {Promise<*>}
+ */
+async function withTimeout(operation, timeout = 30000, operationName = '操作', signal) {
+  return new Promise(async (resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(new Error(`${operationName}超时 (${timeout/1000}秒)`));
+    }, timeout);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      const result = await operation();
+      resolve(result);
+    } catch (error) {
+      reject(error);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * 从 URL 提取商品 ID
+ * @param {string} url - 商品 URL
+ * @returns {string|null}
+ */
+function extractProductId(url) {
+  // 格式1: /product/shopId/productId
+  const match1 = url.match(/\/product\/(\d+)\/(\d+)/);
+  if (match1) {
+    return `${match1[1]}_${match1[2]}`;
+  }
+  
+  // 格式2: /-i.shopId.productId
+  const match2 = url.match(/-i\.(\d+)\.(\d+)/);
+  if (match2) {
+    return `${match2[1]}_${match2[2]}`;
+  }
+  
+  return null;
+}
+
+/**
+ * 从 URL 提取店铺 ID
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function extractShopId(url) {
+  const match = url.match(/\/shop\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+
+// ============================================
+// 4.2 搜索页面操作
+// Requirements: 1.2, 1.3, 4.1, 4.2
+// ============================================
+
+/**
+ * Shopee 搜索页面选择器
+ */
+const SearchSelectors = {
+  // 商品列表容器
+  PRODUCT_LIST: '.shopee-search-item-result__items, [class*="search-item-result"]',
+  // 单个商品卡片
+  PRODUCT_CARD: '.shopee-search-item-result__item, [class*="search-item-result__item"], [data-sqe="item"]',
+  // 商品链接
+  PRODUCT_LINK: 'a[href*="/product/"], a[href*="-i."]',
+  // 商品名称
+  PRODUCT_NAME: '[class*="name"], [class*="title"], .shopee-search-item-result__item-name',
+  // 卡片价格 (可能是区间 "$100 - $200")
+  PRODUCT_PRICE: '[class*="price"]',
+  // 星级评分
+  PRODUCT_RATING: '[class*="rating"], [aria-label*="rating" i]',
+  // 已售出数量
+  PRODUCT_SOLD: '[class*="sold"], [class*="sales"]',
+  // 店铺所在地
+  PRODUCT_LOCATION: '[class*="location"], [aria-label*="location" i]',
+  // 卖家标识 (商城 / 优选)
+  PRODUCT_BADGE: '[class*="badge"], [class*="flag"], [class*="label"]',
+  // 加载更多
+  LOAD_MORE: '.shopee-search-item-result__loading, [class*="loading"]',
+  // 下一页按钮 (最后一页时为禁用状态)
+  NEXT_PAGE_BTN: '.shopee-icon-button--right, [class*="page-controller"] button:last-child'
+};
+
+/**
+ * 获取搜索结果中的商品列表
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<Element[]>}
+ */
+async function getProductList(signal) {
+  try {
+    // 等待商品列表加载
+    await waitForElement(SearchSelectors.PRODUCT_LIST, { timeout: 15000, signal });
+    await sleep(1000, signal); // 等待商品完全渲染
+    
+    const products = document.querySelectorAll(SearchSelectors.PRODUCT_CARD);
+    await log(`找到 ${products.length} 个商品`, 'info');
+    
+    // 将 NodeList 转换为数组，并按 DOM 位置排序（从上到下，从左到右）
+    const productArray = Array.from(products);
+    
+    // 先滚动到页面顶部，确保从第一个商品开始
+    window.scrollTo({ top: 0, behavior: 'instant' });
+    await sleep(300, signal);
+    
+    // 按元素在页面中的绝对位置排序（先按 Y 坐标，再按 X 坐标）
+    // 使用 offsetTop 获取相对于文档的位置，而不是视口位置
+    productArray.sort((a, b) => {
+      // 获取元素相对于文档的绝对位置
+      const getAbsolutePosition = (el) => {
+        let top = 0;
+        let left = 0;
+        let current = el;
+        while (current) {
+          top += current.offsetTop || 0;
+          left += current.offsetLeft || 0;
+          current = current.offsetParent;
+        }
+        return { top, left };
+      };
+      
+      const posA = getAbsolutePosition(a);
+      const posB = getAbsolutePosition(b);
+      
+      // 先按行排序（Y 坐标差距大于 50px 认为是不同行）
+      if (Math.abs(posA.top - posB.top) > 50) {
+        return posA.top - posB.top;
+      }
+      // 同一行按列排序
+      return posA.left - posB.left;
+    });
+    
+    // 输出调试信息
+    if (productArray.length > 0) {
+      const firstProduct = getProductInfo(productArray[0]);
+      if (firstProduct) {
+        await log(`第一个商品: ${firstProduct.name.substring(0, 30)}...`, 'info');
+      }
+    }
+    
+    return productArray;
+  } catch (error) {
+    if (signal.aborted) throw signal.reason;
+    await log(`获取商品列表失败: ${error.message}`, 'error');
+    return [];
+  }
+}
+
+/**
+ * 解析带单位的数字 - 支持千分位、"萬/万" 和 "k" 缩写
+ * 如 "1,234" → 1234, "1.2萬" → 12000, "3.4k" → 3400, "₫123.000" → 123000
+ * @param {string} text - 数字文本
+ * @returns {number|null}
+ */
+function parseCompactNumber(text) {
+  const match = String(text || '').match(/(\d[\d.,]*)\s*([萬万kK])?/);
+  if (!match) return null;
+  
+  let digits = match[1];
+  if (/^\d{1,3}(\.\d{3})+$/.test(digits)) {
+    // 越南盾、印尼盾等使用 "." 作为千分位
+    digits = digits.replace(/\./g, '');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+  
+  const value = parseFloat(digits);
+  if (isNaN(value)) return null;
+  
+  const unit = match[2];
+  if (unit === '萬' || unit === '万') return Math.round(value * 10000);
+  if (unit === 'k' || unit === 'K') return Math.round(value * 1000);
+  return value;
+}
+
+/**
+ * 解析价格文本，支持区间价格
+ * 如 "$199" → {min: 199, max: 199}, "$100 - $250" → {min: 100, max: 250}
+ * @param {string} text - 价格文本
+ * @returns {{min: number, max: number}|null}
+ */
+function parsePriceText(text) {
+  const source = String(text || '');
+  const pricePattern = /(?:NT\$|S\$|R\$|RM|Rp|\$|₫|฿|₱)\s*(\d[\d.,]*)|(\d[\d.,]*)\s*(?:₫|đ)/g;
+  const values = [];
+  
+  let match;
+  while ((match = pricePattern.exec(source)) !== null) {
+    const value = parseCompactNumber(match[1] || match[2]);
+    if (value !== null) values.push(value);
+  }
+  
+  if (values.length === 0) return null;
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * 解析 "已售出" 数量
+ * 如 "已售出 1.2萬" → 12000, "1.2k sold" → 1200
+ * @param {string} text - 卡片文本
+ * @returns {number|null}
+ */
+function parseSoldCount(text) {
+  const source = String(text || '');
+  const match = source.match(/(?:已售出?|月銷量|月销量|销量|銷量)\s*(\d[\d.,]*\s*[萬万kK]?)/) ||
+                source.match(/(\d[\d.,]*\s*[萬万kK]?)\+?\s*(?:sold|terjual|vendido|đã bán|ขายแล้ว)/i);
+  return match ? parseCompactNumber(match[1]) : null;
+}
+
+/**
+ * 解析星级评分 (0-5)
+ * @param {string} text - 评分文本
+ * @returns {number|null}
+ */
+function parseRating(text) {
+  const match = String(text || '').match(/([0-5](?:\.\d+)?)/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return value >= 0 && value <= 5 ? value : null;
+}
+
+/** 商城卖家标识文字 (整个标识匹配) */
+const MALL_BADGE_PATTERN = /^(?:shopee\s*)?(?:商城|mall)$/i;
+
+/** 优选卖家标识文字 (整个标识匹配) */
+const PREFERRED_BADGE_PATTERN = /^(?:蝦皮|虾皮|shopee\s*)?(?:優選|优选|preferred)\s*(?:\+|plus)?$/i;
+
+/**
+ * 读取商品卡片上的卖家标识 - 标识通常是图片标签 (alt)，也可能是文字
+ * 只读取标识元素，不读取商品名称，避免名称里的 "Mall" 等字样被当成标识
+ * @param {Element} productCard - 商品卡片元素
+ * @param {Element|null} nameEl - 商品名称元素
+ * @returns {string[]} 标识文字
+ */
+function getBadgeLabels(productCard, nameEl) {
+  const outsideName = (el) => !nameEl || !(nameEl === el || nameEl.contains(el) || el.contains(nameEl));
+  const texts = Array.from(productCard.querySelectorAll(SearchSelectors.PRODUCT_BADGE))
+    .filter(outsideName)
+    .map(el => el.textContent);
+  const alts = Array.from(productCard.querySelectorAll('img[alt]'))
+    .filter(outsideName)
+    .map(img => img.getAttribute('alt'));
+  return [...texts, ...alts].map(label => (label || '').trim()).filter(Boolean);
+}
+
+/**
+ * 从商品卡片获取商品信息
+ * @param {Element} productCard - 商品卡片元素
+ * @returns {Object|null}
+ */
+function getProductInfo(productCard) {
+  const link = productCard.querySelector(SearchSelectors.PRODUCT_LINK);
+  if (!link) return null;
+  
+  const href = link.getAttribute('href');
+  const productId = extractProductId(href);
+  
+  if (!productId) return null;
+  
+  // 尝试获取商品名称
+  const nameEl = productCard.querySelector(SearchSelectors.PRODUCT_NAME);
+  const name = nameEl ? nameEl.textContent.trim() : '未知商品';
+  
+  const cardText = productCard.innerText || productCard.textContent || '';
+  
+  // 价格: 优先读取价格元素，找不到时从整张卡片文本中匹配
+  const priceEl = productCard.querySelector(SearchSelectors.PRODUCT_PRICE);
+  const price = parsePriceText(priceEl?.textContent) || parsePriceText(cardText);
+  
+  // 评分: 评分元素的文本或 aria-label
+  const ratingEl = productCard.querySelector(SearchSelectors.PRODUCT_RATING);
+  const rating = ratingEl ? parseRating(ratingEl.textContent || ratingEl.getAttribute('aria-label')) : null;
+  
+  const soldEl = productCard.querySelector(SearchSelectors.PRODUCT_SOLD);
+  const soldCount = parseSoldCount(soldEl?.textContent) ?? parseSoldCount(cardText);
+  
+  const locationEl = productCard.querySelector(SearchSelectors.PRODUCT_LOCATION);
+  const location = locationEl ? locationEl.textContent.trim() : null;
+  
+  const badges = getBadgeLabels(productCard, nameEl);
+  const isMall = badges.some(label => MALL_BADGE_PATTERN.test(label));
+  const isPreferred = badges.some(label => PREFERRED_BADGE_PATTERN.test(label));
+  
+  return {
+    id: productId,
+    name: name,
+    url: link.href,
+    price,
+    rating,
+    soldCount,
+    location,
+    isMall,
+    isPreferred,
+    element: productCard
+  };
+}
+
+/**
+ * @typedef {Object} SearchFilter
+ * @property {number} [minPrice] - 最低价格
+ * @property {number} [maxPrice] - 最高价格
+ * @property {number} [minRating] - 最低评分
+ * @property {number} [minSold] - 最少已售出数量
+ * @property {string[]} [locations] - 允许的店铺所在地 (包含匹配)
+ * @property {boolean} [mallOnly] - 只选商城商品
+ * @property {boolean} [preferredOnly] - 只选优选卖家商品
+ */
+
+/**
+ * 检查商品是否满足筛选条件
+ * 区间价格只要与 [minPrice, maxPrice] 有交集即视为满足 (部分规格在范围内)
+ * @param {Object} info - getProductInfo 的返回值
+ * @param {SearchFilter} filter - 筛选条件
+ * @returns {string|null} 不满足时返回原因，满足时返回 null
+ */
+function checkSearchFilter(info, filter) {
+  if (!filter) return null;
+  
+  const hasPriceFilter = filter.minPrice != null || filter.maxPrice != null;
+  if (hasPriceFilter && !info.price) {
+    return '无法读取价格';
+  }
+  if (filter.minPrice != null && info.price.max < filter.minPrice) {
+    return `价格 ${info.price.max} 低于 ${filter.minPrice}`;
+  }
+  if (filter.maxPrice != null && info.price.min > filter.maxPrice) {
+    return `价格 ${info.price.min} 高于 ${filter.maxPrice}`;
+  }
+  
+  if (filter.minRating != null) {
+    if (info.rating == null) return '无法读取评分';
+    if (info.rating < filter.minRating) return `评分 ${info.rating} 低于 ${filter.minRating}`;
+  }
+  
+  if (filter.minSold != null) {
+    if (info.soldCount == null) return '无法读取已售出数量';
+    if (info.soldCount < filter.minSold) return `已售出 ${info.soldCount} 少于 ${filter.minSold}`;
+  }
+  
+  if (filter.locations?.length > 0) {
+    if (!info.location) return '无法读取店铺所在地';
+    if (!filter.locations.some(location => info.location.includes(location))) {
+      return `所在地 "${info.location}" 不在范围内`;
+    }
+  }
+  
+  if (filter.mallOnly && !info.isMall) return '不是商城商品';
+  if (filter.preferredOnly && !info.isPreferred) return '不是优选卖家';
+  
+  return null;
+}
+
+/**
+ * 按筛选条件过滤商品卡片，并记录每个被过滤商品的原因
+ * @param {Element[]} products - 商品卡片列表
+ * @param {SearchFilter} filter - 筛选条件
+ * @returns {Promise<Element[]>} 满足条件的商品卡片
+ */
+async function filterProductCards(products, filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return products;
+  }
+  
+  const eligible = [];
+  for (const product of products) {
+    const info = getProductInfo(product);
+    if (!info) continue;
+    
+    const reason = checkSearchFilter(info, filter);
+    if (reason) {
+      await log(`[筛选] 跳过 "${info.name.substring(0, 20)}": ${reason}`, 'info');
+    } else {
+      eligible.push(product);
+    }
+  }
+  
+  await log(`[筛选] ${products.length} 个商品中 ${eligible.length} 个满足筛选条件`, 'info');
+  return eligible;
+}
+
+/**
+ * 获取下一个未处理的商品
+ * @param {Element[]} products - 商品列表
+ * @returns {Promise<Object|null>}
+ */
+async function getNextUnprocessedProduct(products) {
+  const infos = products.map(getProductInfo).filter(Boolean);
+  const processed = await getProcessedProductIds(infos.map(info => info.id));
+  return infos.find(info => !processed.has(info.id)) || null;
+}
+
+/**
+ * 点击商品进入详情页
+ * @param {Object} productInfo - 商品信息
+ * @param {AbortSignal} signal - 运行中止信号
+ */
+async function clickProduct(productInfo, signal) {
+  if (!await transitionTo(WorkflowStep.OPENING_PRODUCT, { productId: productInfo.id, url: productInfo.url }, signal)) {
+    return;
+  }
+  await log(`点击商品: ${productInfo.name}`, 'info');
+
+  // 标记为已处理
+  await markProductProcessed(productInfo.id);
+
+  // 滚动到商品位置
+  productInfo.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(300, signal);
+
+  // 点击商品链接
+  const link = productInfo.element.querySelector(SearchSelectors.PRODUCT_LINK);
+  if (link) {
+    link.click();
+  } else {
+    // 直接导航
+    window.location.href = productInfo.url;
+  }
+}
+
+/**
+ * 滚动加载更多商品
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<boolean>} 是否成功加载更多
+ */
+async function scrollToLoadMore(signal) {
+  const beforeCount = document.querySelectorAll(SearchSelectors.PRODUCT_CARD).length;
+  
+  // 滚动到页面底部
+  window.scrollTo({
+    top: document.body.scrollHeight,
+    behavior: 'smooth'
+  });
+  
+  await sleep(2000, signal);
+  
+  const afterCount = document.querySelectorAll(SearchSelectors.PRODUCT_CARD).length;
+  
+  if (afterCount > beforeCount) {
+    await log(`加载了 ${afterCount - beforeCount} 个新商品`, 'info');
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * 检查当前是否已是搜索结果最后一页 - 下一页按钮禁用即为最后一页
+ * @returns {boolean}
+ */
+function isLastSearchPage() {
+  const nextBtn = document.querySelector(SearchSelectors.NEXT_PAGE_BTN);
+  return !!nextBtn && (nextBtn.disabled || nextBtn.getAttribute('aria-disabled') === 'true');
+}
+
+/**
+ * 翻到下一页搜索结果 - 由后台推进页码，确保从商品页返回时仍停留在当前页
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<boolean>} 是否已跳转到下一页
+ */
+async function goToNextSearchPage(signal) {
+  if (isLastSearchPage()) {
+    await log('已到达搜索结果最后一页', 'info');
+    return false;
+  }
+  
+  const response = await sendMessage({ type: 'NEXT_SEARCH_PAGE', payload: {} });
+  const next = response?.data;
+  
+  if (!next?.hasNext) {
+    await log(`已达到最多翻页数 (${next?.maxPages ?? CONFIG.MAX_SEARCH_PAGES} 页)`, 'info');
+    return false;
+  }
+  
+  await log(`当前页商品已处理完，翻到第 ${next.searchSpec.page + 1}/${next.maxPages} 页`, 'info');
+  signal.throwIfAborted();
+  window.location.href = buildSearchUrl(next.searchSpec);
+  return true;
+}
+
+// ============================================
+// 商品选择策略
+// ============================================
+
+/**
+ * 商品选择策略枚举
+ * - SEQUENTIAL: 按页面顺序依次选择前 N 个
+ * - CHEAPEST: 价格最低优先
+ * - HIGHEST_RATED: 评分最高优先
+ * - MOST_SOLD: 已售出最多优先
+ * - RANDOM: 在前 N 个中随机选择起点 (可指定种子以便重放)
+ */
+const SelectionStrategy = {
+  SEQUENTIAL: 'sequential',
+  CHEAPEST: 'cheapest',
+  HIGHEST_RATED: 'rating',
+  MOST_SOLD: 'sold',
+  RANDOM: 'random'
+};
+
+/**
+ * 选择策略的显示名称
+ */
+const SELECTION_STRATEGY_LABELS = {
+  [SelectionStrategy.SEQUENTIAL]: '顺序',
+  [SelectionStrategy.CHEAPEST]: '最便宜',
+  [SelectionStrategy.HIGHEST_RATED]: '评分最高',
+  [SelectionStrategy.MOST_SOLD]: '销量最高',
+  [SelectionStrategy.RANDOM]: '随机'
+};
+
+// 随机策略的候选范围 (只在前 60 个商品中选择起点)
+const SELECTION_TOP_N = 60;
+
+/**
+ * 创建带种子的伪随机数生成器 (mulberry32)，相同种子产生相同序列
+ * @param {number} seed - 种子
+ * @returns {function(): number} 返回 [0, 1) 的随机数
+ */
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 生成新的随机种子
+ * @returns {number}
+ */
+function generateSelectionSeed() {
+  return Math.floor(Math.random() * 2147483647);
+}
+
+/**
+ * 生成面板上显示的选择策略文本
+ * @param {{strategy: string, seed: number|null}} selection - 选择策略设置
+ * @returns {string}
+ */
+function describeSelection(selection) {
+  const strategy = selection?.strategy || SelectionStrategy.RANDOM;
+  const label = SELECTION_STRATEGY_LABELS[strategy] || strategy;
+  if (strategy === SelectionStrategy.RANDOM && selection?.seed != null) {
+    return `${label} (种子 ${selection.seed})`;
+  }
+  return label;
+}
+
+/**
+ * 按策略排列候选商品，返回尝试的先后顺序
+ * 排序时数值相同或缺失的商品保持页面顺序，缺失值排在最后
+ * @param {Object[]} infos - 商品信息列表 (页面顺序)
+ * @param {string} strategy - 选择策略
+ * @param {function(): number} random - 随机数生成器 (仅随机策略使用)
+ * @returns {Object[]}
+ */
+function orderCandidates(infos, strategy, random = Math.random) {
+  const byMetric = (getValue, descending) => infos
+    .map((info, position) => ({ info, position, value: getValue(info) }))
+    .sort((a, b) => {
+      if (a.value == null && b.value == null) return a.position - b.position;
+      if (a.value == null) return 1;
+      if (b.value == null) return -1;
+      if (a.value !== b.value) return descending ? b.value - a.value : a.value - b.value;
+      return a.position - b.position;
+    })
+    .map(entry => entry.info);
+  
+  switch (strategy) {
+    case SelectionStrategy.SEQUENTIAL:
+      return [...infos];
+    case SelectionStrategy.CHEAPEST:
+      return byMetric(info => info.price?.min, false);
+    case SelectionStrategy.HIGHEST_RATED:
+      return byMetric(info => info.rating, true);
+    case SelectionStrategy.MOST_SOLD:
+      return byMetric(info => info.soldCount, true);
+    case SelectionStrategy.RANDOM:
+    default: {
+      // 从随机起点向后查找，后面没有再从起点向前查找
+      const start = Math.floor(random() * Math.min(SELECTION_TOP_N, infos.length));
+      return [...infos.slice(start), ...infos.slice(0, start).reverse()];
+    }
+  }
+}
+
+/**
+ * 按运行的选择策略挑选第一个未处理的商品
+ * 随机策略使用 "种子 + 选择次数" 作为本次的种子，相同种子的运行可以完整重放
+ * @param {Element[]} products - 商品卡片列表
+ * @param {Object} state - 扩展状态
+ * @returns {Promise<Object|null>} 选中的商品信息
+ */
+async function selectProductByStrategy(products, state) {
+  const infos = products.map(getProductInfo).filter(Boolean);
+  if (infos.length === 0) return null;
+  
+  const strategy = state.selection?.strategy || SelectionStrategy.RANDOM;
+  const step = state.selectionStep || 0;
+  const random = state.selection?.seed != null
+    ? createSeededRandom(state.selection.seed + step)
+    : Math.random;
+  
+  const ordered = orderCandidates(infos, strategy, random);
+  await log(`共 ${infos.length} 个商品，选择策略: ${describeSelection(state.selection)}，第 ${step + 1} 次选择`, 'info');
+  
+  const processed = await getProcessedProductIds(infos.map(info => info.id));
+  for (const info of ordered) {
+    if (!processed.has(info.id)) {
+      const position = infos.indexOf(info) + 1;
+      await log(`选择第 ${position} 个商品: ${info.name.substring(0, 30)}...`, 'info');
+      await updateState({ selectionStep: step + 1 });
+      return info;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 处理搜索页面
+ * 如果商品数量<=1，等待15秒后刷新页面继续（不停止扩展）
+ * @param {AbortSignal} signal - 运行中止信号
+ */
+async function handleSearchPage(signal) {
+  const state = await getState();
+  
+  if (!state.isRunning || !await transitionTo(WorkflowStep.SEARCHING, {}, signal)) {
+    return;
+  }
+  
+  await log('正在搜索页面，开始处理商品列表...', 'info');
+  
+  // 等待搜索页面加载 (10秒)
+  await log(`等待页面加载 (${CONFIG.SEARCH_PAGE_DELAY / 1000}秒)...`, 'info');
+  await sleep(CONFIG.SEARCH_PAGE_DELAY, signal);
+  
+  // 获取商品列表
+  let products = await getProductList(signal);
+  
+  // 翻页后没有任何商品，说明已超过搜索结果的最后一页
+  if (products.length === 0 && state.searchSpec?.page > 0) {
+    await log(`第 ${state.searchSpec.page + 1} 页没有商品，搜索结果已全部处理`, 'success');
+    await sendMessage({ type: 'STOP', payload: { reason: '搜索结果已全部处理' } });
+    return;
+  }
+  
+  // 如果商品数量<=1，说明页面可能没加载完，等待15秒后刷新页面继续
+  if (products.length <= 1) {
+    await log(`只找到 ${products.length} 个商品，页面可能未加载完，等待15秒后刷新...`, 'warning');
+    await sleep(15000, signal);
+    
+    // 刷新页面继续，刷新后会自动重新执行 handleSearchPage
+    await log('刷新页面...', 'info');
+    signal.throwIfAborted();
+    window.location.reload();
+    return;
+  }
+  
+  // 同一页面的重复处理 (SPA 导航事件和初始化同时触发) 通常在这里被拒绝
+  if (!await transitionTo(WorkflowStep.SELECTING, {}, signal)) {
+    return;
+  }
+  
+  // 按筛选条件过滤商品 (价格、评分、销量、所在地、商城/优选)
+  products = await filterProductCards(products, state.searchFilter);
+  
+  // 按选择策略挑选未处理的商品
+  let selectedProduct = await selectProductByStrategy(products, state);
+  
+  if (selectedProduct) {
+    await clickProduct(selectedProduct, signal);
+  } else {
+    // 尝试加载更多
+    const loaded = await scrollToLoadMore(signal);
+    
+    if (loaded) {
+      // 重新获取商品列表
+      const newProducts = await filterProductCards(await getProductList(signal), state.searchFilter);
+      selectedProduct = await selectProductByStrategy(newProducts, state);
+      
+      if (selectedProduct) {
+        await clickProduct(selectedProduct, signal);
+      } else if (!(await goToNextSearchPage(signal))) {
+        await log('所有可见商品已处理完成', 'success');
+        await sendMessage({ type: 'STOP', payload: { reason: '所有商品已处理完成' } });
+      }
+    } else if (!(await goToNextSearchPage(signal))) {
+      await log('所有商品已处理完成', 'success');
+      await sendMessage({ type: 'STOP', payload: { reason: '所有商品已处理完成' } });
+    }
+  }
+}
+
+
+// ============================================
+// 4.3 商品详情页操作
+// Requirements: 2.1, 2.2, 2.3, 2.4, 2.5
+// ============================================
+
+/**
+ * 商品详情页选择器 - 适配 Shopee 多种页面结构
+ */
+const ProductSelectors = {
+  // 规格选择器 - Shopee 使用 flex 容器包含规格按钮
+  VARIANT_CONTAINER: '.product-variation, [class*="variation"], [class*="tier-variation"], [class*="flex"][class*="items-center"]',
+  VARIANT_OPTION: '.product-variation button, [class*="variation"] button, [class*="tier-variation"] button, button[class*="product-variation"], [class*="flex"] button[aria-label]',
+  VARIANT_OPTION_ACTIVE: '.product-variation button.active, [class*="variation"] button[class*="active"], button[class*="product-variation"][class*="active"]',
+  // 添加购物车按钮 - 多种可能的选择器
+  ADD_TO_CART_BTN: 'button[class*="add-to-cart"], button[class*="btn-solid-primary"], [class*="add-to-cart"] button',
+  // 店铺链接
+  SHOP_LINK: 'a[href*="/shop/"], [class*="shop"] a[href*="/shop/"], [class*="seller"] a',
+  // 商品名称 - Shopee 商品标题通常在 h1 或特定 class 中
+  PRODUCT_NAME: 'h1, [class*="product-name"], [class*="title"], [class*="attM6y"], span[class*="VCxVFf"]',
+  // 店铺名称
+  SHOP_NAME: '[class*="shop-name"], [class*="seller-name"], [class*="page-product__shop"] [class*="name"]',
+  // 原价 (划线价)
+  ORIGINAL_PRICE: '[class*="original-price"], [class*="price-before"], del, s',
+  // 折扣标签 (如 "-20%" 或 "8折")
+  DISCOUNT: '[class*="discount"], [class*="percent"]',
+  // 评分
+  RATING: '[class*="rating"] [class*="score"], [class*="product-rating"], [aria-label*="rating" i]',
+  // 已售出数量
+  SOLD: '[class*="sold"], [class*="sales"]',
+  // 当前价格 (选择完整规格后显示该规格的单价，否则为价格区间)
+  // 只在商品价格区内查找，页面其他位置 (推荐商品、运费、优惠券) 的价格不能当作商品价格
+  PRODUCT_PRICE: '[class*="product-price"], section[aria-live="polite"] [class*="price"]',
+  // 数量输入
+  QUANTITY_INPUT: 'input[type="number"], [class*="quantity"] input, input[class*="qty"]',
+  // 购物车成功提示
+  CART_SUCCESS: '[class*="toast"], [class*="success"], [class*="notification"], [class*="shopee-modal"]'
+};
+
+/**
+ * 检测商品是否有多规格
+ * @returns {Promise<boolean>}
+ */
+async function hasVariants() {
+  try {
+    const variants = findVariantButtons();
+    console.log('[Shopee Auto Cart] 检测到规格数量:', variants.length);
+    return variants.length > 0;
+  } catch (error) {
+    console.error('[Shopee Auto Cart] 检测规格失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 查找规格容器 - Shopee 商品通常有多层规格（如颜色、尺码）
+ * @returns {Element[]} 规格容器列表
+ */
+function findVariantContainers() {
+  const containers = [];
+  
+  // 查找所有规格容器
+  const selectors = [
+    '[class*="product-variation"]',
+    '[class*="tier-variation"]',
+    '[class*="variation"]'
+  ];
+  
+  for (const selector of selectors) {
+    const elements = document.querySelectorAll(selector);
+    elements.forEach(el => {
+      // 确保容器内有按钮
+      const buttons = el.querySelectorAll('button');
+      if (buttons.length > 0 && !containers.includes(el)) {
+        // 避免添加嵌套的容器
+        let isNested = false;
+        for (const existing of containers) {
+          if (existing.contains(el) || el.contains(existing)) {
+            isNested = true;
+            break;
+          }
+        }
+        if (!isNested) {
+          containers.push(el);
+        }
+      }
+    });
+  }
+  
+  console.log('[Shopee Auto Cart] 找到规格容器数量:', containers.length);
+  return containers;
+}
+
+/**
+ * 从容器中获取可用的规格按钮
+ * @param {Element} container - 规格容器
+ * @returns {Element[]} 可用的规格按钮
+ */
+function getButtonsFromContainer(container) {
+  const buttons = container.querySelectorAll('button');
+  return Array.from(buttons).filter(btn => {
+    const isDisabled = btn.disabled || 
+                       btn.classList.contains('disabled') || 
+                       btn.classList.contains('shopee-button-disabled') ||
+                       btn.getAttribute('aria-disabled') === 'true' ||
+                       btn.style.opacity === '0.5';
+    return !isDisabled;
+  });
+}
+
+/**
+ * 查找规格按钮 - 适配 Shopee 多种页面结构
+ * @returns {Element[]}
+ */
+function findVariantButtons() {
+  const allButtons = [];
+  
+  // 方法1: 查找包含 "variation" 的容器中的按钮
+  const variationContainers = document.querySelectorAll('[class*="variation"], [class*="tier-variation"], [class*="product-variation"]');
+  variationContainers.forEach(container => {
+    const buttons = container.querySelectorAll('button');
+    buttons.forEach(btn => {
+      if (!allButtons.includes(btn)) {
+        allButtons.push(btn);
+      }
+    });
+  });
+  
+  // 方法2: 查找带有 aria-label 的规格按钮
+  const ariaButtons = document.querySelectorAll('button[aria-label]');
+  ariaButtons.forEach(btn => {
+    const parent = btn.closest('[class*="flex"]');
+    if (parent && !allButtons.includes(btn)) {
+      // 检查是否是规格按钮（通常在商品详情区域）
+      const isInProductArea = btn.closest('[class*="product"]') || btn.closest('[class*="item"]');
+      if (isInProductArea) {
+        allButtons.push(btn);
+      }
+    }
+  });
+  
+  // 方法3: 查找特定样式的规格按钮
+  const styledButtons = document.querySelectorAll('button[class*="product-variation"], button[class*="tier"]');
+  styledButtons.forEach(btn => {
+    if (!allButtons.includes(btn)) {
+      allButtons.push(btn);
+    }
+  });
+  
+  console.log('[Shopee Auto Cart] 找到规格按钮数量:', allButtons.length);
+  return allButtons;
+}
+
+/**
+ * 获取所有规格选项
+ * @returns {Element[]}
+ */
+function getVariantOptions() {
+  const options = findVariantButtons();
+  // 过滤掉禁用的选项
+  const filtered = options.filter(opt => {
+    const isDisabled = opt.disabled || 
+                       opt.classList.contains('disabled') || 
+                       opt.classList.contains('shopee-button-disabled') ||
+                       opt.getAttribute('aria-disabled') === 'true';
+    return !isDisabled;
+  });
+  console.log('[Shopee Auto Cart] 可用规格选项数量:', filtered.length);
+  return filtered;
+}
+
+/**
+ * 选择规格
+ * @param {Element} variantButton - 规格按钮
+ */
+async function selectVariant(variantButton) {
+  variantButton.click();
+  await sleep(CONFIG.VARIANT_SELECT_DELAY);
+}
+
+/**
+ * 查找添加购物车按钮
+ * @returns {Element|null}
+ */
+function findAddToCartButton() {
+  console.log('[Shopee Auto Cart] 开始查找添加购物车按钮...');
+  
+  // 通过文本内容查找 - 这是最可靠的方法
+  const allButtons = document.querySelectorAll('button');
+  for (const btn of allButtons) {
+    const text = btn.textContent || '';
+    // 检查各种语言的"加入购物车"文本
+    if (text.includes('加入購物車') || 
+        text.includes('加入购物车') || 
+        text.includes('Add to Cart') ||
+        text.includes('ADD TO CART') ||
+        text.includes('加入购物车')) {
+      console.log('[Shopee Auto Cart] 找到添加购物车按钮 (通过文本):', text);
+      return btn;
+    }
+  }
+  
+  // 尝试通过 class 选择器查找
+  const selectors = [
+    'button[class*="add-to-cart"]',
+    'button[class*="btn-solid-primary"]',
+    '[class*="product-briefing"] button',
+    '[class*="flex"] button[class*="bg-primary"]',
+    'button[class*="shopee-button-solid"]'
+  ];
+  
+  for (const selector of selectors) {
+    try {
+      const buttons = document.querySelectorAll(selector);
+      for (const btn of buttons) {
+        const text = btn.textContent || '';
+        // 排除"立即购买"按钮
+        if (!text.includes('立即') && !text.includes('Buy Now') && !text.includes('buy now')) {
+          // 检查是否包含购物车相关文本
+          if (text.includes('購物車') || text.includes('购物车') || text.toLowerCase().includes('cart')) {
+            console.log('[Shopee Auto Cart] 找到添加购物车按钮 (通过选择器):', selector, text);
+            return btn;
+          }
+        }
+      }
+    } catch (e) {
+      // 继续尝试下一个选择器
+    }
+  }
+  
+  console.log('[Shopee Auto Cart] 未找到添加购物车按钮');
+  return null;
+}
+
+/**
+ * 检测页面是否显示"请先选择商品规格"错误提示
+ * @returns {boolean}
+ */
+function hasVariantSelectionError() {
+  const errorTexts = ['請先選擇商品規格', '请先选择商品规格', 'Please select product variation', '請選擇商品規格'];
+  
+  // 检查页面文本
+  const pageText = document.body.innerText;
+  for (const errorText of errorTexts) {
+    if (pageText.includes(errorText)) {
+      console.log('[Shopee Auto Cart] 检测到规格选择错误提示:', errorText);
+      return true;
+    }
+  }
+  
+  // 检查红色错误提示元素 (Shopee 通常用红色显示错误)
+  const errorSelectors = [
+    '[class*="error"]',
+    '[class*="warning"]', 
+    '[style*="color: red"]',
+    '[style*="color:red"]',
+    '[style*="color: rgb(255"]',
+    '.shopee-toast',
+    '[class*="toast"]'
+  ];
+  
+  for (const selector of errorSelectors) {
+    try {
+      const elements = document.querySelectorAll(selector);
+      for (const el of elements) {
+        const text = el.textContent || '';
+        for (const errorText of errorTexts) {
+          if (text.includes(errorText)) {
+            console.log('[Shopee Auto Cart] 检测到规格选择错误元素:', text);
+            return true;
+          }
+        }
+      }
+    } catch (e) {
+      // 继续检查
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * 检测规格层信息 - 获取每一层规格的名称和按钮
+ * Shopee 台湾站的规格区域通常结构为:
+ * - 一个包含规格名称的 label/div (如 "顏色", "尺寸")
+ * - 一组规格按钮
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnavailable=false] - 是否包含缺货/禁用的规格按钮 (到货提醒和抢购时使用)
+ * @returns {Promise<Array<{name: string, labelText: string, container: Element, buttons: Element[]}>>}
+ */
+async function detectVariantLayers({ includeUnavailable = false } = {}) {
+  const layers = [];
+  const processedButtons = new Set();
+  
+  await log('[调试] 开始检测规格层...', 'info');
+  
+  // 检测真正的商品规格关键词 - 支持各种商品类型
+  const validVariantLabels = [
+    // 颜色相关
+    '顏色', '颜色', 'Color', '顏色分類', '颜色分类', '色系', '配色',
+    // 尺寸相关
+    '尺寸', '尺碼', 'Size', '尺寸分類', '尺码分类', '大小', '號碼', '号码',
+    // 款式相关
+    '款式', '樣式', '样式', 'Style', '款', '類型', '类型', 'Type',
+    // 电子产品相关
+    '容量', '版本', 'Version', '型號', '型号', 'Model', '規格', '规格', 'Spec',
+    '內存', '内存', 'RAM', '存儲', '存储', 'Storage', '配置', '處理器', '处理器',
+    // 食品相关
+    '口味', '味道', 'Flavor', '份量', '重量', 'Weight', '包裝', '包装',
+    // 套餐组合
+    '套餐', '組合', '组合', 'Bundle', 'Set', '方案', '選項', '选项', 'Option',
+    // 其他常见规格
+    '材質', '材质', '長度', '长度', '寬度', '宽度', '厚度', '電壓', '电压',
+    '功率', '瓦數', '瓦数', '插頭', '插头', '接口', '尺吋', '吋'
+  ];
+  
+  // 需要排除的标签 - 这些不是可选择的商品规格
+  const excludeLabels = [
+    '數量', '数量', 'Quantity', '庫存', '库存', 'Stock', '尚有庫存',
+    '評價', '评价', 'Rating', '評分', '评分',
+    '付款', '物流', '運費', '运费', '配送',
+    '商品數量', '商品数量', '購買數量', '购买数量'
+  ];
+  
+  // 统计页面按钮
+  const allPageButtons = document.querySelectorAll('button');
+  await log(`[调试] 页面共有 ${allPageButtons.length} 个按钮`, 'info');
+  
+  // ========== 方法1: 查找 Shopee 的规格行容器 (最可靠) ==========
+  // Shopee 的规格通常在 class 包含 "flex" 的行容器中，每行一个规格类型
+  await log('[调试] 方法1: 查找规格行容器...', 'info');
+  
+  // 查找所有可能的规格行（通常是 flex 布局的 div）
+  const allDivs = document.querySelectorAll('div');
+  const variantRows = [];
+  
+  for (const div of allDivs) {
+    // 检查这个 div 是否包含规格标签文本
+    const children = div.children;
+    if (children.length < 2) continue; // 规格行至少有标签和按钮区域
+    
+    // 获取第一个子元素的文本（通常是标签）
+    const firstChild = children[0];
+    const labelText = firstChild?.textContent?.trim() || '';
+    
+    if (labelText.length === 0 || labelText.length > 30) continue;
+    
+    // 检查是否包含规格关键词
+    let matchedLabel = '';
+    for (const validLabel of validVariantLabels) {
+      if (labelText.includes(validLabel)) {
+        matchedLabel = validLabel;
+        break;
+      }
+    }
+    
+    if (!matchedLabel) continue;
+    
+    // 排除非规格项
+    let isExcluded = false;
+    for (const excludeLabel of excludeLabels) {
+      if (labelText.includes(excludeLabel)) {
+        isExcluded = true;
+        break;
+      }
+    }
+    if (isExcluded) continue;
+    
+    // 检查这个 div 是否包含按钮
+    const buttons = div.querySelectorAll('button');
+    if (buttons.length === 0) continue;
+    
+    // 检查按钮是否是规格按钮（不是功能按钮）
+    const variantButtons = findVariantButtonsInContainer(div, processedButtons, includeUnavailable);
+    if (variantButtons.length === 0) continue;
+    
+    variantRows.push({
+      container: div,
+      label: matchedLabel,
+      labelText: labelText,
+      buttons: variantButtons,
+      rect: div.getBoundingClientRect()
+    });
+  }
+  
+  // 按 Y 坐标排序（从上到下）
+  variantRows.sort((a, b) => a.rect.top - b.rect.top);
+  
+  // 去重：如果多个行包含相同的按钮，只保留最小的容器
+  const uniqueRows = [];
+  for (const row of variantRows) {
+    let isDuplicate = false;
+    
+    for (const existing of uniqueRows) {
+      // 检查是否有按钮重叠
+      const overlap = row.buttons.some(btn => existing.buttons.includes(btn));
+      if (overlap) {
+        // 如果当前行的按钮数量更少，说明是更精确的容器
+        if (row.buttons.length < existing.buttons.length) {
+          // 替换
+          const idx = uniqueRows.indexOf(existing);
+          uniqueRows[idx] = row;
+        }
+        isDuplicate = true;
+        break;
+      }
+    }
+    
+    if (!isDuplicate) {
+      uniqueRows.push(row);
+    }
+  }
+  
+  await log(`[调试] 方法1找到 ${uniqueRows.length} 个规格行`, 'info');
+  
+  // 将找到的行添加到 layers
+  for (const row of uniqueRows) {
+    const btnTexts = row.buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
+    await log(`[调试] 规格 "${row.label}": ${row.buttons.length} 个选项 [${btnTexts}]`, 'success');
+    
+    layers.push({
+      name: row.label,
+      labelText: row.labelText,
+      container: row.container,
+      buttons: row.buttons
+    });
+    row.buttons.forEach(b => processedButtons.add(b));
+  }
+  
+  // ========== 方法2: 如果方法1没找到，尝试按标签文本查找 ==========
+  if (layers.length === 0) {
+    await log('[调试] 方法2: 按规格标签文本查找...', 'info');
+    
+    // 查找所有包含规格标签文本的元素
+    const allElements = document.querySelectorAll('*');
+    const labelElements = [];
+    
+    for (const el of allElements) {
+      // 获取元素的直接文本内容（不包括子元素）
+      let directText = '';
+      for (const node of el.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          directText += node.textContent?.trim() || '';
+        }
+      }
+      
+      if (!directText) {
+        if (el.children.length === 0 || (el.children.length <= 2 && el.textContent.length <= 20)) {
+          directText = el.textContent?.trim() || '';
+        }
+      }
+      
+      if (!directText || directText.length > 25) continue;
+      
+      for (const validLabel of validVariantLabels) {
+        if (directText.includes(validLabel)) {
+          let isExcluded = false;
+          for (const excludeLabel of excludeLabels) {
+            if (directText.includes(excludeLabel)) {
+              isExcluded = true;
+              break;
+            }
+          }
+          
+          if (!isExcluded) {
+            labelElements.push({
+              element: el,
+              text: directText,
+              name: validLabel,
+              rect: el.getBoundingClientRect()
+            });
+          }
+          break;
+        }
+      }
+    }
+    
+    // 去重
+    const uniqueLabels = [];
+    for (const label of labelElements) {
+      let isDuplicate = false;
+      for (let i = 0; i < uniqueLabels.length; i++) {
+        const existing = uniqueLabels[i];
+        if (existing.name === label.name) {
+          const rectDiff = Math.abs(existing.rect.top - label.rect.top) + Math.abs(existing.rect.left - label.rect.left);
+          if (rectDiff < 50) {
+            if (label.text.length < existing.text.length) {
+              uniqueLabels[i] = label;
+            }
+            isDuplicate = true;
+            break;
+          }
+        }
+      }
+      if (!isDuplicate) {
+        uniqueLabels.push(label);
+      }
+    }
+    
+    await log(`[调试] 方法2找到 ${uniqueLabels.length} 个规格标签: ${uniqueLabels.map(l => l.name).join(', ')}`, 'info');
+    
+    for (const labelInfo of uniqueLabels) {
+      const { element, name } = labelInfo;
+      let buttons = [];
+      
+      // 查找兄弟元素中的按钮
+      let sibling = element.nextElementSibling;
+      while (sibling && buttons.length === 0) {
+        const siblingButtons = findVariantButtonsInContainer(sibling, processedButtons, includeUnavailable);
+        if (siblingButtons.length > 0) {
+          buttons = siblingButtons;
+          break;
+        }
+        sibling = sibling.nextElementSibling;
+      }
+      
+      // 查找父元素中的按钮
+      if (buttons.length === 0) {
+        const parent = element.parentElement;
+        if (parent) {
+          buttons = findVariantButtonsInContainer(parent, processedButtons, includeUnavailable);
+          
+          if (buttons.length > 0) {
+            const labelRect = element.getBoundingClientRect();
+            const filteredButtons = buttons.filter(btn => {
+              const btnRect = btn.getBoundingClientRect();
+              const yDiff = Math.abs(btnRect.top - labelRect.top);
+              return yDiff < 100;
+            });
+            
+            if (filteredButtons.length > 0) {
+              buttons = filteredButtons;
+            }
+          }
+        }
+      }
+      
+      if (buttons.length > 0) {
+        const btnTexts = buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
+        await log(`[调试] 方法2找到规格 "${name}": ${buttons.length} 个选项 [${btnTexts}]`, 'success');
+        
+        layers.push({
+          name: name,
+          labelText: labelInfo.text,
+          container: element.parentElement,
+          buttons: buttons
+        });
+        buttons.forEach(b => processedButtons.add(b));
+      }
+    }
+  }
+  
+  // ========== 方法3: 备用方法 - 查找 Shopee 特定的规格容器 ==========
+  if (layers.length === 0) {
+    await log('[调试] 方法3: 查找 Shopee 规格容器...', 'info');
+    
+    const variationContainers = document.querySelectorAll('[class*="product-variation"], [class*="tier-variation"]');
+    
+    for (const container of variationContainers) {
+      const labelEl = container.querySelector('label, [class*="label"]');
+      const labelText = labelEl?.textContent?.trim() || '';
+      
+      let variantName = '';
+      for (const validLabel of validVariantLabels) {
+        if (labelText.includes(validLabel)) {
+          variantName = validLabel;
+          break;
+        }
+      }
+      
+      if (!variantName) continue;
+      
+      const buttons = findVariantButtonsInContainer(container, processedButtons, includeUnavailable);
+      if (buttons.length > 0) {
+        const btnTexts = buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
+        await log(`[调试] 方法3找到规格 "${variantName}": ${buttons.length} 个选项 [${btnTexts}]`, 'success');
+        
+        layers.push({
+          name: variantName,
+          labelText: labelText,
+          container: container,
+          buttons: buttons
+        });
+        buttons.forEach(b => processedButtons.add(b));
+      }
+    }
+  }
+  
+  // 输出调试信息
+  if (layers.length === 0) {
+    await log('[调试] 未找到规格，可能是无规格商品', 'warning');
+  }
+  
+  await log(`[调试] 规格检测完成，共找到 ${layers.length} 层规格`, layers.length > 0 ? 'success' : 'warning');
+  return layers;
+}
+
+/**
+ * 在容器中查找规格按钮
+ * @param {Element} container - 容器元素
+ * @param {Set} processedButtons - 已处理的按钮集合
+ * @param {boolean} [includeUnavailable=false] - 是否包含缺货/禁用的规格按钮
+ * @returns {Element[]} 按钮数组
+ */
+function findVariantButtonsInContainer(container, processedButtons, includeUnavailable = false) {
+  const buttons = [];
+  const allButtons = container.querySelectorAll('button');
+  
+  for (const btn of allButtons) {
+    if (processedButtons.has(btn)) continue;
+    if (btn.disabled && !includeUnavailable) continue;
+    
+    const text = btn.textContent?.trim() || '';
+    
+    // 排除空文本或过长文本
+    if (text.length === 0 || text.length > 50) continue;
+    
+    // 排除纯数字按钮 (通常是数量选择器 1,2,3,4,5...)
+    if (/^\d+$/.test(text)) continue;
+    
+    // 排除评分按钮 (如 4.8, 4.9 等)
+    if (/^\d+\.\d+$/.test(text)) continue;
+    
+    // 排除包含"評價"、"评价"的按钮
+    if (/\d+評價/.test(text) || /\d+评价/.test(text)) continue;
+    
+    // 排除省略号按钮
+    if (text === '...' || text === '…') continue;
+    
+    // 排除明显不是规格的按钮 - 包括各种功能按钮
+    if (text.includes('購物車') || text.includes('购物车') || text.includes('Cart') ||
+        text.includes('立即') || text.includes('Buy') || text.includes('關注') ||
+        text.includes('分享') || text.includes('收藏') || text.includes('加入') ||
+        text.includes('檢舉') || text.includes('检举') || text.includes('Report') ||
+        text.includes('匿名') || text.includes('舉報') || text.includes('举报') ||
+        text.includes('聊聊') || text.includes('客服') || text.includes('Chat') ||
+        text.includes('優惠券') || text.includes('优惠券') || text.includes('Coupon') ||
+        text.includes('領取') || text.includes('领取') || text.includes('Claim') ||
+        text.includes('查看') || text.includes('更多') || text.includes('展開') ||
+        text.includes('收起') || text.includes('喜歡') || text.includes('喜欢') ||
+        text.includes('直接購買') || text.includes('直接购买') || text.includes('Buy Now') ||
+        text.includes('庫存') || text.includes('库存') || text.includes('Stock') ||
+        // 排除尺寸表、尺码表等参考信息按钮
+        text.includes('尺寸表') || text.includes('尺碼表') || text.includes('Size Chart') ||
+        text.includes('Size Guide') || text.includes('尺码表') || text.includes('測量') ||
+        text.includes('测量') || text.includes('如何測量') || text.includes('如何测量') ||
+        text.includes('參考') || text.includes('参考') || text.includes('Guide') ||
+        text.includes('說明') || text.includes('说明') || text.includes('幫助') ||
+        text.includes('帮助') || text.includes('Help')) {
+      continue;
+    }
+    
+    // 检查按钮是否被禁用（通过 class 或样式）
+    const classList = btn.className || '';
+    if (!includeUnavailable && (classList.includes('disabled') || classList.includes('shopee-button-disabled'))) {
+      continue;
+    }
+    
+    // 检查按钮是否可点击（不是灰色/半透明状态）
+    if (!includeUnavailable && !isButtonClickable(btn)) {
+      continue;
+    }
+    
+    buttons.push(btn);
+  }
+  
+  return buttons;
+}
+
+/**
+ * 检查按钮是否可点击（不是禁用/灰色状态）
+ * @param {Element} btn - 按钮元素
+ * @returns {boolean}
+ */
+function isButtonClickable(btn) {
+  // 检查 disabled 属性
+  if (btn.disabled) return false;
+  
+  // 检查 aria-disabled 属性
+  if (btn.getAttribute('aria-disabled') === 'true') return false;
+  
+  // 检查 class 中是否包含禁用相关的词
+  const classList = btn.className || '';
+  if (classList.includes('disabled') || 
+      classList.includes('unavailable') ||
+      classList.includes('sold-out') ||
+      classList.includes('out-of-stock')) {
+    return false;
+  }
+  
+  // 检查样式 - 半透明通常表示不可点击
+  const style = window.getComputedStyle(btn);
+  const opacity = parseFloat(style.opacity);
+  if (opacity < 0.5) return false;
+  
+  // 检查 pointer-events
+  if (style.pointerEvents === 'none') return false;
+  
+  // 检查 cursor
+  if (style.cursor === 'not-allowed') return false;
+  
+  return true;
+}
+
+/**
+ * 检查按钮是否被选中
+ * @param {Element} btn - 按钮元素
+ * @returns {boolean}
+ */
+function isButtonSelected(btn) {
+  const classList = btn.className || '';
+  
+  // 检查 class 中的选中状态
+  if (classList.includes('active') || 
+      classList.includes('selected') || 
+      classList.includes('--selected') ||
+      classList.includes('product-variation--selected')) {
+    return true;
+  }
+  
+  // 检查 aria 属性
+  if (btn.getAttribute('aria-pressed') === 'true' ||
+      btn.getAttribute('aria-selected') === 'true') {
+    return true;
+  }
+  
+  // 使用 getComputedStyle 检查实际渲染的边框颜色
+  // Shopee 选中状态通常是橙红色边框 #ee4d2d = rgb(238, 77, 45)
+  try {
+    const computedStyle = window.getComputedStyle(btn);
+    const borderColor = computedStyle.borderColor;
+    
+    // 检查是否是 Shopee 的橙红色
+    if (borderColor === 'rgb(238, 77, 45)' || 
+        borderColor === '#ee4d2d' ||
+        borderColor.includes('238, 77, 45')) {
+      return true;
+    }
+    
+    // 也检查 outline 颜色（有些按钮用 outline 表示选中）
+    const outlineColor = computedStyle.outlineColor;
+    if (outlineColor === 'rgb(238, 77, 45)' || 
+        outlineColor === '#ee4d2d' ||
+        outlineColor.includes('238, 77, 45')) {
+      return true;
+    }
+  } catch (e) {
+    // 忽略样式检查错误
+  }
+  
+  return false;
+}
+
+/**
+ * 检查所有规格层是否都已选择
+ * @param {Array} layers - 规格层数组
+ * @returns {boolean}
+ */
+function areAllLayersSelected(layers) {
+  for (const layer of layers) {
+    let hasSelected = false;
+    for (const btn of layer.buttons) {
+      if (isButtonSelected(btn)) {
+        hasSelected = true;
+        break;
+      }
+    }
+    if (!hasSelected) {
+      console.log(`[Shopee Auto Cart] 规格层 "${layer.name}" 未选择`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 选择指定的规格按钮并等待生效
+ * @param {Element} btn - 规格按钮
+ * @param {AbortSignal} [signal] - 运行中止信号
+ * @returns {Promise<boolean>} 是否选择成功
+ */
+async function selectVariantButton(btn, signal) {
+  signal?.throwIfAborted();
+  const btnName = btn.textContent?.trim() || btn.getAttribute('aria-label') || '未知';
+  await log(`[调试] 点击规格按钮: "${btnName}"`, 'info');
+  
+  // 滚动到按钮位置确保可见
+  btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(200, signal);
+  
+  btn.click();
+  await sleep(CONFIG.VARIANT_SELECT_DELAY, signal);
+  
+  // 验证是否选中
+  const selected = isButtonSelected(btn);
+  if (selected) {
+    await log(`[调试] 规格 "${btnName}" 选择成功 ✓`, 'success');
+    return true;
+  }
+  
+  // 再次尝试
+  await log(`[调试] 规格 "${btnName}" 首次点击未选中，重试...`, 'warning');
+  btn.click();
+  await sleep(CONFIG.VARIANT_SELECT_DELAY + 300, signal);
+  
+  const selectedRetry = isButtonSelected(btn);
+  if (selectedRetry) {
+    await log(`[调试] 规格 "${btnName}" 重试选择成功 ✓`, 'success');
+  } else {
+    await log(`[调试] 规格 "${btnName}" 选择状态不确定，继续执行`, 'warning');
+  }
+  
+  return selectedRetry;
+}
+
+// ============================================
+// 商品快照
+// ============================================
+
+/**
+ * @typedef {Object} ProductSnapshot
+ * @property {string} productId - 商品ID (shopId_itemId)
+ * @property {string} url - 商品链接
+ * @property {number} capturedAt - 记录时间
+ * @property {string} title - 商品标题
+ * @property {string} shopName - 店铺名称
+ * @property {string|null} shopId - 店铺ID
+ * @property {{min: number, max: number}|null} price - 页面显示的价格 (可能是区间)
+ * @property {{min: number, max: number}|null} originalPrice - 原价
+ * @property {number|null} discount - 折扣百分比
+ * @property {number|null} rating - 评分
+ * @property {number|null} soldCount - 已售出数量
+ * @property {number|null} stock - 库存
+ * @property {Array<{name: string, options: Array<{text: string, available: boolean}>}>} variants - 规格层和选项
+ */
+
+/**
+ * 读取第一个不属于悬浮面板的匹配元素的文字
+ * @param {string} selector - CSS 选择器
+ * @returns {string}
+ */
+function readPageText(selector) {
+  for (const el of document.querySelectorAll(selector)) {
+    if (el.closest('#shopee-auto-cart-container')) continue;
+    const text = el.textContent?.trim();
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * 解析折扣文字，如 "-20%"、"20% off"、"8折"
+ * @param {string} text - 折扣文字
+ * @returns {number|null} 折扣百分比
+ */
+function parseDiscount(text) {
+  const source = String(text || '');
+  const percentMatch = source.match(/(\d{1,2})\s*%/);
+  if (percentMatch) return parseInt(percentMatch[1], 10);
+  
+  // "8折" 表示 20% off, "75折" 表示 25% off
+  const foldMatch = source.match(/(\d{1,2}(?:\.\d)?)\s*折/);
+  if (foldMatch) {
+    const fold = parseFloat(foldMatch[1]);
+    const ratio = fold >= 10 ? fold / 100 : fold / 10;
+    return Math.round((1 - ratio) * 100);
+  }
+  return null;
+}
+
+/**
+ * 提取商品页快照 - 记录执行操作时页面上的商品信息
+ * @param {Array} layers - detectVariantLayers 检测到的规格层
+ * @returns {ProductSnapshot}
+ */
+function extractProductSnapshot(layers) {
+  const productId = extractProductId(window.location.href);
+  
+  const shopLink = [...document.querySelectorAll(ProductSelectors.SHOP_LINK)]
+    .find(link => !link.closest('#shopee-auto-cart-container'));
+  const shopIdMatch = shopLink?.getAttribute('href')?.match(/\/shop\/(\d+)/);
+  
+  const price = readDisplayedPrice();
+  const originalPrice = parsePriceText(readPageText(ProductSelectors.ORIGINAL_PRICE));
+  let discount = parseDiscount(readPageText(ProductSelectors.DISCOUNT));
+  if (discount == null && price && originalPrice && originalPrice.min > price.min) {
+    discount = Math.round((1 - price.min / originalPrice.min) * 100);
+  }
+  
+  const quantityInput = findQuantityInput();
+  
+  return {
+    productId,
+    url: window.location.href,
+    capturedAt: Date.now(),
+    title: readPageText(ProductSelectors.PRODUCT_NAME),
+    shopName: readPageText(ProductSelectors.SHOP_NAME) || shopLink?.textContent?.trim() || '',
+    shopId: shopIdMatch ? shopIdMatch[1] : (productId ? productId.split('_')[0] : null),
+    price,
+    originalPrice,
+    discount,
+    rating: parseRating(readPageText(ProductSelectors.RATING)),
+    soldCount: parseSoldCount(readPageText(ProductSelectors.SOLD)),
+    stock: quantityInput ? readQuantityLimits(quantityInput).stock : null,
+    variants: layers.map(layer => ({
+      name: layer.labelText || layer.name,
+      options: layer.buttons.map(btn => ({
+        text: getVariantButtonText(btn),
+        available: isButtonClickable(btn)
+      }))
+    }))
+  };
+}
+
+/**
+ * 生成快照在面板上显示的条目
+ * @param {ProductSnapshot} snapshot - 商品快照
+ * @returns {Array<[string, string]>}
+ */
+function describeProductSnapshot(snapshot) {
+  const formatPrice = (price) => {
+    if (!price) return '-';
+    return price.min === price.max ? String(price.min) : `${price.min} - ${price.max}`;
+  };
+  const formatValue = (value) => (value == null || value === '' ? '-' : String(value));
+  
+  return [
+    ['商品', formatValue(snapshot.title)],
+    ['店铺', snapshot.shopName ? `${snapshot.shopName} (${formatValue(snapshot.shopId)})` : formatValue(snapshot.shopId)],
+    ['价格', formatPrice(snapshot.price)],
+    ['原价', formatPrice(snapshot.originalPrice)],
+    ['折扣', snapshot.discount != null ? `${snapshot.discount}%` : '-'],
+    ['评分', formatValue(snapshot.rating)],
+    ['已售', formatValue(snapshot.soldCount)],
+    ['库存', formatValue(snapshot.stock)],
+    ['规格', snapshot.variants.length > 0
+      ? snapshot.variants.map(layer => `${layer.name}: ${layer.options.map(option => option.available ? option.text : `${option.text}(缺货)`).join(' / ')}`).join('；')
+      : '无']
+  ];
+}
+
+/**
+ * 记录商品快照 - 保存到 background 并显示在面板上
+ * @param {Array} layers - 检测到的规格层
+ * @returns {Promise<ProductSnapshot>}
+ */
+async function captureProductSnapshot(layers) {
+  const snapshot = extractProductSnapshot(layers);
+  
+  if (snapshot.productId) {
+    await sendMessage({ type: 'SAVE_SNAPSHOT', payload: snapshot });
+  }
+  if (panelSnapshotHandler) {
+    panelSnapshotHandler(snapshot);
+  }
+  
+  return snapshot;
+}
+
+// ============================================
+// 预算控制
+// ============================================
+
+/**
+ * @typedef {Object} Budget
+ * @property {number|null} maxItemPrice - 单品价格上限 (null 表示不限)
+ * @property {number|null} totalBudget - 本次运行总预算 (null 表示不限)
+ * @property {number} spent - 本次运行已成功加入购物车的金额
+ */
+
+/**
+ * 读取商品页当前显示的价格 (规格未选完整时为价格区间)
+ * 找不到商品价格区时返回 null (价格未知)，由预算检查跳过该商品
+ * @returns {{min: number, max: number}|null}
+ */
+function readDisplayedPrice() {
+  for (const el of document.querySelectorAll(ProductSelectors.PRODUCT_PRICE)) {
+    // 跳过面板自身和划线原价
+    if (el.closest('#shopee-auto-cart-container') || el.closest(ProductSelectors.ORIGINAL_PRICE)) continue;
+    const price = parsePriceText(el.textContent);
+    if (price) return price;
+  }
+  return null;
+}
+
+/**
+ * 读取当前已选规格组合的价格
+ * 规格未选完整时页面显示价格区间，按区间上限计算，避免低估
+ * @returns {number|null}
+ */
+function readSelectedVariantPrice() {
+  return readDisplayedPrice()?.max ?? null;
+}
+
+/**
+ * 检查价格是否符合预算限制 - 单品上限按单价比较，剩余预算按总价比较
+ * @param {number|null} price - 当前规格单价
+ * @param {Budget} [budget] - 预算限制
+ * @param {number} [quantity=1] - 加购数量
+ * @returns {string|null} 不符合时返回原因，符合返回 null
+ */
+function checkBudget(price, budget, quantity = 1) {
+  if (!budget || (budget.maxItemPrice == null && budget.totalBudget == null)) {
+    return null;
+  }
+  if (price == null) {
+    return '无法读取当前规格价格';
+  }
+  if (budget.maxItemPrice != null && price > budget.maxItemPrice) {
+    return `价格 ${price} 超过单品上限 ${budget.maxItemPrice}`;
+  }
+  if (budget.totalBudget != null) {
+    const remaining = budget.totalBudget - (budget.spent || 0);
+    if (price * quantity > remaining) {
+      return `总价 ${price * quantity} 超过剩余预算 ${remaining}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成预算显示文本
+ * @param {Budget} [budget] - 预算限制
+ * @returns {string}
+ */
+function describeBudget(budget) {
+  if (!budget || (budget.maxItemPrice == null && budget.totalBudget == null)) {
+    return '不限';
+  }
+  const parts = [];
+  if (budget.totalBudget != null) parts.push(`${budget.spent || 0} / ${budget.totalBudget}`);
+  if (budget.maxItemPrice != null) parts.push(`单品 ≤ ${budget.maxItemPrice}`);
+  return parts.join('，');
+}
+
+// ============================================
+// 加购数量
+// ============================================
+
+// 最近一次成功加入购物车的数量
+let lastAddedQuantity = 0;
+
+/**
+ * 从数量区域的文字中解析库存和限购数量
+ * 例如 "還剩 12 件"、"库存 12"、"12 pieces available"、"限購 2 件"
+ * @param {string} text - 数量区域文字
+ * @returns {{stock: number|null, purchaseLimit: number|null}}
+ */
+function parseQuantityLimits(text) {
+  const source = String(text || '').replace(/,/g, '');
+  const stockMatch = source.match(/(?:還剩|还剩|庫存|库存|剩餘|剩余)\s*(\d+)/) ||
+                     source.match(/(\d+)\s*(?:件|個|个)?\s*(?:可購買|可购买|pieces? available|available)/i);
+  const limitMatch = source.match(/(?:限購|限购|每人限|最多可購買|最多可购买)\s*(\d+)/) ||
+                     source.match(/limit(?:ed to)?\s*(\d+)/i);
+  return {
+    stock: stockMatch ? parseInt(stockMatch[1], 10) : null,
+    purchaseLimit: limitMatch ? parseInt(limitMatch[1], 10) : null
+  };
+}
+
+/**
+ * 按库存、限购和输入框上限截取期望数量
+ * @param {number} desired - 期望数量
+ * @param {{stock?: number|null, purchaseLimit?: number|null, inputMax?: number|null}} limits
+ * @returns {number} 可加购数量，0 表示无库存
+ */
+function clampQuantity(desired, limits = {}) {
+  let quantity = Math.max(1, Math.floor(desired) || 1);
+  for (const limit of [limits.stock, limits.purchaseLimit, limits.inputMax]) {
+    if (limit != null && limit >= 0) quantity = Math.min(quantity, limit);
+  }
+  return quantity;
+}
+
+/**
+ * 查找商品页的数量输入框 (排除悬浮面板中的输入框)
+ * @returns {HTMLInputElement|null}
+ */
+function findQuantityInput() {
+  for (const input of document.querySelectorAll(ProductSelectors.QUANTITY_INPUT)) {
+    if (!input.closest('#shopee-auto-cart-container')) {
+      return input;
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取数量输入框附近的库存、限购和输入上限
+ * @param {HTMLInputElement} input - 数量输入框
+ * @returns {{stock: number|null, purchaseLimit: number|null, inputMax: number|null}}
+ */
+function readQuantityLimits(input) {
+  // 库存和限购文字通常和数量输入框在同一区域
+  const area = input.closest('section') || input.parentElement?.parentElement?.parentElement || input.parentElement;
+  const inputMax = parseInt(input.getAttribute('max'), 10);
+  return { ...parseQuantityLimits(area?.textContent), inputMax: isNaN(inputMax) ? null : inputMax };
+}
+
+/**
+ * 获取本次加购的期望数量 - 清单商品自带数量优先，其次是运行设置，最后使用默认值
+ * @param {Object} state - 扩展状态
+ * @param {number} fallback - 未设置时的默认数量
+ * @returns {number}
+ */
+function getDesiredQuantity(state, fallback) {
+  const item = state.mode === RunMode.LIST ? getCurrentListItem(state) : null;
+  return item?.quantity || state.quantity || fallback;
+}
+
+/**
+ * 通过数量输入框设置加购数量，不生效时改用 +/- 步进按钮
+ * @param {number} desired - 期望数量
+ * @param {AbortSignal} [signal] - 运行中止信号
+ * @returns {Promise<number>} 实际设置的数量，0 表示无库存
+ */
+async function setQuantity(desired, signal) {
+  const input = findQuantityInput();
+  if (!input) {
+    if (desired > 1) {
+      await log('[数量] 未找到数量输入框，按 1 件加入购物车', 'warning');
+    }
+    return 1;
+  }
+  
+  const limits = readQuantityLimits(input);
+  const quantity = clampQuantity(desired, limits);
+  
+  if (quantity === 0) {
+    return 0;
+  }
+  if (quantity < desired) {
+    await log(`[数量] 期望 ${desired} 件，受库存/限购限制改为 ${quantity} 件`, 'warning');
+  }
+  
+  const readValue = () => parseInt(input.value, 10) || 0;
+  
+  if (readValue() !== quantity) {
+    // Shopee 使用 React 受控组件，需要通过原生 setter 赋值并触发 input 事件
+    const valueSetter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    valueSetter.call(input, String(quantity));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    input.dispatchEvent(new Event('blur', { bubbles: true }));
+    await sleep(300, signal);
+  }
+  
+  if (readValue() !== quantity) {
+    // 输入框赋值未生效，使用步进按钮 (第一个是 -，最后一个是 +)
+    const stepButtons = input.parentElement ? [...input.parentElement.querySelectorAll('button')] : [];
+    const minusBtn = stepButtons[0];
+    const plusBtn = stepButtons[stepButtons.length - 1];
+    
+    for (let i = 0; i < 200 && readValue() !== quantity; i++) {
+      const btn = readValue() < quantity ? plusBtn : minusBtn;
+      if (!btn || btn.disabled) break;
+      btn.click();
+      await sleep(100, signal);
+    }
+  }
+  
+  const actual = readValue() || 1;
+  if (actual !== quantity) {
+    await log(`[数量] 无法设置为 ${quantity} 件，当前为 ${actual} 件`, 'warning');
+  }
+  return actual;
+}
+
+/**
+ * 点击加入购物车按钮并等待页面反馈
+ * 已点击后不再响应中止，否则暂停后继续时会重复加购同一规格
+ * @param {Element} addBtn - 加入购物车按钮
+ * @returns {Promise<string|null>} 失败原因，成功时为 null
+ */
+async function clickAddToCartButton(addBtn) {
+  addBtn.click();
+  await sleep(1500);
+  
+  // 检查是否出现规格未选择错误
+  if (hasVariantSelectionError()) {
+    await log('[调试] 检测到错误提示: 请先选择商品规格', 'error');
+    return '页面提示规格未选择完整';
+  }
+  return null;
+}
+
+/**
+ * 记录一次成功的加购 - 先记入运行记录再计入花费 (预算用完时 background 会结束运行)
+ * 商品已经在购物车中，计入花费失败只记录日志，不改变加购结果
+ * @param {{variant: string, quantity: number, price: number|null}} attempt - 加购的规格、数量和单价
+ */
+async function recordCartSuccess({ variant, quantity, price }) {
+  lastAddedQuantity = quantity;
+  await recordCartAttempt({ variant, success: true, reason: '', quantity, price });
+  if (price != null) {
+    try {
+      await request('RECORD_SPEND', { amount: price * quantity });
+    } catch (error) {
+      await log(`[预算] 计入花费失败: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * 添加商品到购物车 (不重试，失败直接返回)
+ * 点击前先设置加购数量并按当前规格价格检查预算，成功后计入本次运行的花费
+ * 每次尝试的结果和失败原因都会记入运行记录；遍历规格时进入 ADDING 流程步骤
+ * @param {number} [defaultQuantity=1] - 未设置加购数量时的默认数量
+ * @param {Object} [options]
+ * @param {string} [options.variant=''] - 当前规格组合名称 (用于运行记录)
+ * @param {AbortSignal} [options.signal] - 运行中止信号 (点击按钮之后不再中止，保证结果记入运行记录)
+ * @returns {Promise<boolean>}
+ */
+async function addToCart(defaultQuantity = 1, { variant = '', signal } = {}) {
+  signal?.throwIfAborted();
+  if (workflowStep === WorkflowStep.SELECTING_VARIANTS) {
+    await transitionTo(WorkflowStep.ADDING, {}, signal);
+  }
+  lastAddedQuantity = 0;
+  let quantity = null;
+  let price = null;
+
+  const fail = async (reason) => {
+    await recordCartAttempt({ variant, success: false, reason, quantity, price });
+    return false;
+  };
+
+  try {
+    await log('[调试] 查找加入购物车按钮...', 'info');
+    const addBtn = findAddToCartButton();
+
+    if (!addBtn) {
+      await log('[调试] 错误: 未找到加入购物车按钮', 'error');
+      return fail('未找到加入购物车按钮');
+    }
+
+    await log(`[调试] 找到按钮: "${addBtn.textContent?.trim().substring(0, 20)}"`, 'info');
+
+    if (addBtn.disabled) {
+      await log('[调试] 错误: 加入购物车按钮已禁用 (可能缺货)', 'error');
+      return fail('加入购物车按钮已禁用');
+    }
+
+    // 设置加购数量 (受库存和限购限制)
+    const state = await getState();
+    quantity = await setQuantity(getDesiredQuantity(state, defaultQuantity), signal);
+    if (quantity === 0) {
+      await log('[数量] 当前规格无库存，跳过', 'warning');
+      return fail('无库存');
+    }
+
+    // 预算检查 - 超过单品上限或剩余预算的规格不加入购物车
+    price = readSelectedVariantPrice();
+    const budgetReason = checkBudget(price, state.budget, quantity);
+    if (budgetReason) {
+      await log(`[预算] 跳过: ${budgetReason}`, 'warning');
+      return fail(budgetReason);
+    }
+
+    // 滚动到按钮位置
+    addBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    await sleep(300, signal);
+
+    signal?.throwIfAborted();
+    await log('[调试] 点击加入购物车按钮...', 'info');
+    const failure = await clickAddToCartButton(addBtn);
+    if (failure) {
+      return fail(failure);
+    }
+
+    await recordCartSuccess({ variant, quantity, price });
+    return true;
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    await log(`[调试] 添加购物车异常: ${error.message}`, 'error');
+    return fail(`异常: ${error.message}`);
+  }
+}
+
+// 记录上一次选择的索引，用于优化只选择变化的层
+let lastSelectedIndices = null;
+
+/**
+ * 强制点击规格按钮（不检查是否已选中）
+ * @param {Element} btn - 规格按钮
+ * @param {AbortSignal} [signal] - 运行中止信号
+ * @returns {Promise<void>}
+ */
+async function forceClickVariantButton(btn, signal) {
+  signal?.throwIfAborted();
+  const btnName = btn.textContent?.trim() || btn.getAttribute('aria-label') || '未知';
+
+  // 滚动到按钮位置
+  btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(200, signal);
+
+  // 点击按钮
+  btn.click();
+
+  // 等待规格选择生效
+  await sleep(CONFIG.VARIANT_SELECT_DELAY, signal);
+
+  await log(`[调试] 已点击规格: "${btnName}"`, 'info');
+}
+
+/**
+ * 选择所有规格层并添加到购物车
+ * 关键修复: 每次都强制点击所有规格按钮，不依赖 isButtonSelected() 判断
+ * @param {Array} layers - 规格层数组
+ * @param {Array<number>} indices - 每层选择的索引
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<boolean>}
+ */
+async function selectAllLayersAndAddToCart(layers, indices, signal) {
+  await log(`[调试] 开始选择 ${layers.length} 层规格...`, 'info');
+  
+  // 依次选择每一层规格
+  // 关键修复: 每次都强制点击按钮，不依赖 isButtonSelected() 判断
+  // 因为 isButtonSelected() 可能误判，导致按钮没有被真正点击
+  for (let layerIdx = 0; layerIdx < layers.length; layerIdx++) {
+    const layer = layers[layerIdx];
+    const btnIdx = indices[layerIdx];
+    
+    if (btnIdx >= layer.buttons.length) {
+      await log(`[调试] 错误: 规格层 ${layerIdx} 索引 ${btnIdx} 越界 (共 ${layer.buttons.length} 个)`, 'error');
+      return false;
+    }
+    
+    const btn = layer.buttons[btnIdx];
+    const btnName = btn.textContent?.trim() || `选项${btnIdx + 1}`;
+    
+    // 检查这一层的索引是否变化
+    const indexChanged = !lastSelectedIndices || 
+                         lastSelectedIndices.length !== indices.length ||
+                         lastSelectedIndices[layerIdx] !== btnIdx;
+    
+    // 关键修复: 当索引变化时，强制点击按钮
+    if (indexChanged) {
+      await log(`[调试] 点击第 ${layerIdx + 1} 层 "${layer.name}": ${btnName}`, 'info');
+      await forceClickVariantButton(btn, signal);
+      // 等待页面更新（动态规格可能需要时间加载）
+      await sleep(600, signal);
+    } else {
+      // 索引没变，跳过点击（避免取消选中）
+      await log(`[调试] 第 ${layerIdx + 1} 层 "${layer.name}" 保持: ${btnName}`, 'info');
+    }
+  }
+  
+  // 更新上次选择的索引
+  lastSelectedIndices = [...indices];
+  
+  await log('[调试] 所有规格已选择，准备加入购物车...', 'info');
+  await sleep(500, signal);
+  
+  // 尝试添加到购物车
+  const success = await addToCart(1, { variant: getVariantCombinationName(layers, indices), signal });
+  
+  if (!success) {
+    if (hasVariantSelectionError()) {
+      await log('[调试] 添加失败: 页面提示规格未选择完整', 'error');
+    } else {
+      await log('[调试] 添加失败: 未知原因', 'error');
+    }
+    return false;
+  }
+  
+  await log('[调试] 加入购物车成功 ✓', 'success');
+  return true;
+}
+
+/**
+ * 生成规格名称字符串
+ * @param {Array} layers - 规格层数组
+ * @param {Array<number>} indices - 每层选择的索引
+ * @returns {string}
+ */
+function getVariantCombinationName(layers, indices) {
+  const names = [];
+  for (let i = 0; i < layers.length; i++) {
+    const btn = layers[i].buttons[indices[i]];
+    const name = btn?.textContent?.trim() || btn?.getAttribute('aria-label') || `选项${indices[i] + 1}`;
+    names.push(name);
+  }
+  return names.join(' + ');
+}
+
+/**
+ * 判断按钮文本是否像尺寸选项
+ * @param {string} text - 按钮文本
+ * @returns {boolean}
+ */
+function isSizeOption(text) {
+  // 先排除"尺寸表"、"尺碼表"等非规格按钮
+  const excludePatterns = [
+    /尺寸表/,
+    /尺碼表/,
+    /尺码表/,
+    /Size Chart/i,
+    /Size Guide/i,
+    /測量/,
+    /测量/,
+    /參考/,
+    /参考/,
+    /說明/,
+    /说明/,
+    /幫助/,
+    /帮助/,
+    /Guide/i,
+    /Help/i
+  ];
   
-  // ========== 方法2: 如果方法1没找到，尝试按标签文本查找 ==========
-  if (layers.length === 0) {
-    await log('[调试] 方法2: 按规格标签文本查找...', 'info');
+  // 如果匹配排除模式，直接返回 false
+  if (excludePatterns.some(pattern => pattern.test(text))) {
+    return false;
+  }
+  
+  // 尺寸通常包含: XS, S, M, L, XL, XXL, 或者包含"公斤"、"kg"、"cm"等
+  const sizePatterns = [
+    // 标准尺码 (开头匹配)
+    /^(XXS|XS|S|M|L|XL|XXL|XXXL|2XL|3XL|4XL|5XL)/i,
+    // 数字尺码 (如 36, 38, 40, 165/88A)
+    /^\d{2,3}(\/\d+)?[A-Z]?$/i,
+    /^\d{2,3}码/,
+    /^\d{2,3}碼/,
+    // 包含体重/身高建议的尺寸 (如 "XS【建議35-40kg】")
+    /建議.*kg/i,
+    /建议.*kg/i,
+    /適合.*kg/i,
+    /适合.*kg/i,
+    /\d+-\d+kg/i,
+    /\d+-\d+公斤/,
+    // 单位关键词
+    /公斤/,
+    /kg/i,
+    /cm/i,
+    /公分/,
+    /厘米/,
+    // 尺寸相关词 - 但要排除"尺寸表"等
+    /^\d+尺$/,      // 如 "2尺"
+    /^\d+码$/,      // 如 "28码"
+    /^\d+碼$/,      // 如 "28碼"
+    /^\d+號$/,      // 如 "38號"
+    /^\d+号$/,      // 如 "38号"
+    /^\d+寸$/,      // 如 "29寸"
+    // 纯数字（如 36, 38, 40）- 但排除太大的数字
+    /^\d{1,3}$/,
+    // 数字范围（如 35-40）
+    /^\d+-\d+$/,
+    // 均码/FREE SIZE
+    /均码/,
+    /均碼/,
+    /FREE/i,
+    /ONE SIZE/i,
+  ];
+  
+  return sizePatterns.some(pattern => pattern.test(text));
+}
+
+/**
+ * 将混合的规格按钮分离为颜色组和尺寸组
+ * @param {Element[]} buttons - 所有按钮
+ * @returns {{colorButtons: Element[], sizeButtons: Element[]}}
+ */
+function separateColorAndSizeButtons(buttons) {
+  const colorButtons = [];
+  const sizeButtons = [];
+  
+  for (const btn of buttons) {
+    const text = btn.textContent?.trim() || '';
+    if (isSizeOption(text)) {
+      sizeButtons.push(btn);
+    } else {
+      colorButtons.push(btn);
+    }
+  }
+  
+  return { colorButtons, sizeButtons };
+}
+
+// ============================================
+// 规格筛选规则
+// ============================================
+
+/**
+ * 规格层名称的同义词组 - 规则写 "Color" 时也能匹配 "顏色" 层
+ */
+const VARIANT_LAYER_ALIASES = [
+  ['顏色', '颜色', 'Color', '顏色分類', '颜色分类', '色系', '配色'],
+  ['尺寸', '尺碼', '尺码', 'Size', '大小', '號碼', '号码', '尺吋'],
+  ['款式', '樣式', '样式', 'Style', '類型', '类型', 'Type'],
+  ['容量', '版本', 'Version', '型號', '型号', 'Model', '規格', '规格', 'Spec'],
+  ['口味', '味道', 'Flavor']
+];
+
+/**
+ * @typedef {Object} VariantRule
+ * @property {string} layer - 规格层名称 (如 "顏色"、"Size")
+ * @property {'contains'|'equals'} op - 匹配方式: contains 包含 / equals 完全相等
+ * @property {string[]} values - 候选值，满足任意一个即可
+ * @property {string} raw - 原始规则文本 (用于日志)
+ */
+
+/**
+ * 解析规格规则文本
+ * 格式: "顏色~黑|Black; 尺寸=M|L"，"~" 表示包含，"=" 表示完全相等，"|" 分隔候选值
+ * @param {string} text - 规则文本
+ * @returns {{rules: VariantRule[], invalid: string[]}}
+ */
+function parseVariantRules(text) {
+  const rules = [];
+  const invalid = [];
+
+  const parts = String(text || '').split(/[;；\n]+/).map(part => part.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    const match = part.match(/^([^~=]+?)\s*([~=])\s*(.+)$/);
+    if (!match) {
+      invalid.push(part);
+      continue;
+    }
+
+    const values = match[3].split('|').map(value => value.trim()).filter(Boolean);
+    if (values.length === 0) {
+      invalid.push(part);
+      continue;
+    }
+
+    rules.push({
+      layer: match[1].trim(),
+      op: match[2] === '=' ? 'equals' : 'contains',
+      values,
+      raw: part
+    });
+  }
+
+  return { rules, invalid };
+}
+
+/**
+ * 判断规格层是否是规则指定的层 (比较层名称、标签文本和同义词)
+ * @param {{name: string, labelText?: string}} layer - 规格层
+ * @param {VariantRule} rule - 规格规则
+ * @returns {boolean}
+ */
+function layerMatchesRule(layer, rule) {
+  const target = rule.layer.toLowerCase();
+  const layerNames = [layer.name, layer.labelText].filter(Boolean).map(name => name.toLowerCase());
+
+  if (layerNames.some(name => name.includes(target))) {
+    return true;
+  }
+
+  const aliasGroup = VARIANT_LAYER_ALIASES.find(group => group.some(alias => alias.toLowerCase() === target));
+  if (!aliasGroup) return false;
+
+  return aliasGroup.some(alias => layerNames.some(name => name.includes(alias.toLowerCase())));
+}
+
+/**
+ * 判断规格选项文本是否满足规则
+ * @param {string} optionText - 规格按钮文本
+ * @param {VariantRule} rule - 规格规则
+ * @returns {boolean}
+ */
+function optionMatchesRule(optionText, rule) {
+  const text = optionText.trim().toLowerCase();
+  return rule.values.some(value => {
+    const expected = value.toLowerCase();
+    return rule.op === 'equals' ? text === expected : text.includes(expected);
+  });
+}
+
+/**
+ * 获取规格按钮的显示文本
+ * @param {Element} btn - 规格按钮
+ * @returns {string}
+ */
+function getVariantButtonText(btn) {
+  return btn.textContent?.trim() || btn.getAttribute('aria-label') || '';
+}
+
+/**
+ * 按规则筛选规格层中的按钮
+ * 没有规则约束的层保留全部按钮；找不到对应层或没有符合条件的选项的规则会被列为未匹配，
+ * 而不是回退到第一个选项
+ * @param {Array} layers - 规格层数组 (detectVariantLayers 的返回值)
+ * @param {VariantRule[]} rules - 规格规则
+ * @returns {{layers: Array, unmatched: Array<{rule: VariantRule, reason: string}>}}
+ */
+function applyVariantRules(layers, rules) {
+  const unmatched = [];
+  const filteredLayers = layers.map(layer => ({ ...layer, buttons: [...layer.buttons] }));
+
+  for (const rule of rules) {
+    const targetLayers = filteredLayers.filter(layer => layerMatchesRule(layer, rule));
+
+    if (targetLayers.length === 0) {
+      unmatched.push({ rule, reason: `找不到规格层 "${rule.layer}"` });
+      continue;
+    }
+
+    for (const layer of targetLayers) {
+      layer.buttons = layer.buttons.filter(btn => optionMatchesRule(getVariantButtonText(btn), rule));
+      if (layer.buttons.length === 0) {
+        unmatched.push({ rule, reason: `规格 "${layer.name}" 中没有符合条件的选项` });
+      }
+    }
+  }
+
+  return { layers: filteredLayers, unmatched };
+}
+
+// 当前商品未匹配的规格规则 (随清单结果一起上报)
+let unmatchedVariantRules = [];
+
+/**
+ * 记录并输出未匹配的规格规则
+ * @param {Array<{rule: VariantRule, reason: string}>} unmatched
+ */
+async function reportUnmatchedRules(unmatched) {
+  for (const { rule, reason } of unmatched) {
+    const description = `${rule.raw}: ${reason}`;
+    if (!unmatchedVariantRules.includes(description)) {
+      unmatchedVariantRules.push(description);
+    }
+    await log(`[规格规则] 未匹配 ${description}`, 'warning');
+  }
+}
+
+/**
+ * 获取当前商品适用的规格规则 - 清单商品自带的规则优先于全局规则
+ * @param {Object} state - 扩展状态
+ * @returns {VariantRule[]}
+ */
+function getActiveVariantRules(state) {
+  if (state.mode === RunMode.LIST) {
+    const item = getCurrentListItem(state);
+    if (item?.variantRules?.length > 0) {
+      return item.variantRules;
+    }
+  }
+  return state.variantRules || [];
+}
+
+/**
+ * 处理动态规格商品 - 选择第一层后检测第二层
+ * 有些商品的第二层规格（如尺寸）只有在选择第一层（如颜色）后才会出现
+ * 或者颜色和尺寸混在同一层，需要智能分离
+ * 断点为 [第一层索引, 第二层索引]，第二层在选中第一层后才出现，第二层索引在找到第二层后再校验
+ * @param {Array} firstLayer - 第一层规格
+ * @param {number} maxCarts - 最大购物车数量
+ * @param {number} alreadySelectedIdx - 已经选中的第一个选项索引（避免重复点击），-1 表示尚未选中
+ * @param {VariantRule[]} secondLayerRules - 作用于动态出现的第二层规格的规则
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
+ */
+async function handleDynamicVariants(firstLayer, maxCarts, alreadySelectedIdx = 0, secondLayerRules = [], signal) {
+  const checkpoint = resumeCheckpoint;
+  let cartCount = 0;
+  resumeCheckpoint = null;
+  
+  await log('[动态规格] 检测到可能是动态规格商品，尝试智能分离颜色和尺寸...', 'info');
+  
+  // 尝试分离颜色和尺寸按钮
+  const { colorButtons, sizeButtons } = separateColorAndSizeButtons(firstLayer.buttons);
+  
+  await log(`[动态规格] 分析结果: ${colorButtons.length} 个颜色选项, ${sizeButtons.length} 个尺寸选项`, 'info');
+  
+  if (colorButtons.length > 0 && sizeButtons.length > 0) {
+    // 成功分离！颜色和尺寸混在一起，需要分别选择
+    await log('[动态规格] 颜色和尺寸混合在一层，开始分别选择...', 'info');
     
-    // 查找所有包含规格标签文本的元素
-    const allElements = document.querySelectorAll('*');
-    const labelElements = [];
+    const resumed = resolveCheckpointIndices(checkpoint, [colorButtons.length, sizeButtons.length]);
+    if (resumed) {
+      cartCount = checkpoint.cartCount;
+      await log(`[断点] 从第 ${resumed[0] + 1} 个颜色的第 ${resumed[1] + 1} 个尺寸继续`, 'info');
+    }
     
-    for (const el of allElements) {
-      // 获取元素的直接文本内容（不包括子元素）
-      let directText = '';
-      for (const node of el.childNodes) {
-        if (node.nodeType === Node.TEXT_NODE) {
-          directText += node.textContent?.trim() || '';
+    // 记录当前选中的颜色索引
+    let currentColorIdx = -1;
+    
+    // 遍历颜色
+    for (let colorIdx = resumed ? resumed[0] : 0; colorIdx < colorButtons.length && cartCount < maxCarts; colorIdx++) {
+      signal.throwIfAborted();
+      
+      const colorBtn = colorButtons[colorIdx];
+      const colorName = colorBtn.textContent?.trim() || `颜色${colorIdx + 1}`;
+      
+      // 当切换到新颜色时，强制点击
+      if (currentColorIdx !== colorIdx) {
+        await log(`[动态规格] 点击颜色: ${colorName}`, 'info');
+        await forceClickVariantButton(colorBtn, signal);
+        await sleep(500, signal);
+        currentColorIdx = colorIdx;
+      }
+      
+      // 遍历尺寸 (从断点继续时，断点所在颜色从断点尺寸开始)
+      const firstSizeIdx = resumed && colorIdx === resumed[0] ? resumed[1] : 0;
+      for (let sizeIdx = firstSizeIdx; sizeIdx < sizeButtons.length && cartCount < maxCarts; sizeIdx++) {
+        await checkpointVariantStep([colorIdx, sizeIdx], cartCount, signal);
+        
+        const sizeBtn = sizeButtons[sizeIdx];
+        const sizeName = sizeBtn.textContent?.trim() || `尺寸${sizeIdx + 1}`;
+        
+        await log(`[动态规格] 选择尺寸: ${sizeName}`, 'info');
+        await forceClickVariantButton(sizeBtn, signal);
+        await sleep(500, signal);
+        
+        // 尝试加入购物车
+        const success = await addToCart(1, { variant: `${colorName} + ${sizeName}`, signal });
+        if (success) {
+          cartCount++;
+          await checkpointAddedVariant(nextVariantIndices([colorIdx, sizeIdx], [colorButtons.length, sizeButtons.length]), cartCount, maxCarts);
+          await log(`✓ 已添加 "${colorName} + ${sizeName}" (${cartCount}/${maxCarts})`, 'success');
+        } else {
+          await log(`✗ 添加 "${colorName} + ${sizeName}" 失败`, 'warning');
         }
+        
+        await sleep(CONFIG.OPERATION_DELAY, signal);
+        
+        // 注意：不要在这里重新点击颜色！
+        // Shopee 的按钮是切换式的，重复点击会取消选中
+      }
+    }
+  } else {
+    // 无法分离，说明可能是动态规格：选择颜色后尺寸才会出现
+    await log('[动态规格] 无法分离颜色和尺寸，尝试动态检测第二层规格...', 'info');
+    
+    // 第二层的选项数量要选中第一层后才知道，这里先只校验第一层索引
+    const resumed = resolveCheckpointIndices(checkpoint, [firstLayer.buttons.length, Infinity]);
+    if (resumed) {
+      cartCount = checkpoint.cartCount;
+      await log(`[断点] 从第 ${resumed[0] + 1} 个选项的第 ${resumed[1] + 1} 个第二层选项继续`, 'info');
+    }
+    
+    // 遍历所有选项（颜色）
+    // 注意：如果 alreadySelectedIdx >= 0，说明该选项已经被点击过了，不需要重新点击
+    for (let idx = resumed ? resumed[0] : 0; idx < firstLayer.buttons.length && cartCount < maxCarts; idx++) {
+      const resumedSecondIdx = resumed && idx === resumed[0] ? resumed[1] : 0;
+      await checkpointVariantStep([idx, resumedSecondIdx], cartCount, signal);
+      
+      const btn = firstLayer.buttons[idx];
+      const btnName = btn.textContent?.trim() || `选项${idx + 1}`;
+      
+      // 如果是已经选中的选项，不需要重新点击（避免取消选中）
+      if (idx === alreadySelectedIdx) {
+        await log(`[动态规格] 选项 "${btnName}" 已选中，跳过点击`, 'info');
+      } else {
+        // 点击新的颜色选项
+        await log(`[动态规格] 点击颜色: ${btnName}`, 'info');
+        await forceClickVariantButton(btn, signal);
       }
+      await sleep(1000, signal); // 等待页面更新，尺寸按钮可能需要时间加载
       
-      if (!directText) {
-        if (el.children.length === 0 || (el.children.length <= 2 && el.textContent.length <= 20)) {
-          directText = el.textContent?.trim() || '';
-        }
-      }
+      // 重新检测规格层
+      const newLayers = await detectVariantLayers();
+      await log(`[动态规格] 选择颜色后检测到 ${newLayers.length} 层规格`, 'info');
       
-      if (!directText || directText.length > 25) continue;
+      // 查找第二层规格（尺寸）
+      let secondLayer = null;
       
-      for (const validLabel of validVariantLabels) {
-        if (directText.includes(validLabel)) {
-          let isExcluded = false;
-          for (const excludeLabel of excludeLabels) {
-            if (directText.includes(excludeLabel)) {
-              isExcluded = true;
-              break;
-            }
-          }
-          
-          if (!isExcluded) {
-            labelElements.push({
-              element: el,
-              text: directText,
-              name: validLabel,
-              rect: el.getBoundingClientRect()
-            });
-          }
-          break;
-        }
+      if (newLayers.length > 1) {
+        // 找到与第一层不同的规格层
+        secondLayer = newLayers.find(layer => {
+          const firstLayerBtnTexts = firstLayer.buttons.map(b => b.textContent?.trim());
+          const layerBtnTexts = layer.buttons.map(b => b.textContent?.trim());
+          // 如果这一层的按钮文本与第一层不完全相同，就是第二层
+          return !layerBtnTexts.every(t => firstLayerBtnTexts.includes(t));
+        });
       }
-    }
-    
-    // 去重
-    const uniqueLabels = [];
-    for (const label of labelElements) {
-      let isDuplicate = false;
-      for (let i = 0; i < uniqueLabels.length; i++) {
-        const existing = uniqueLabels[i];
-        if (existing.name === label.name) {
-          const rectDiff = Math.abs(existing.rect.top - label.rect.top) + Math.abs(existing.rect.left - label.rect.left);
-          if (rectDiff < 50) {
-            if (label.text.length < existing.text.length) {
-              uniqueLabels[i] = label;
+      
+      // 如果没找到第二层，尝试直接在页面上查找尺寸按钮
+      if (!secondLayer) {
+        await log('[动态规格] 尝试直接查找页面上的尺寸按钮...', 'info');
+        const allButtons = document.querySelectorAll('button');
+        const sizeButtonsOnPage = [];
+        
+        for (const pageBtn of allButtons) {
+          if (pageBtn.disabled) continue;
+          const text = pageBtn.textContent?.trim() || '';
+          if (text.length === 0 || text.length > 50) continue;
+          
+          // 检查是否是尺寸按钮
+          if (isSizeOption(text)) {
+            // 排除已经在第一层的按钮
+            const isInFirstLayer = firstLayer.buttons.some(b => b === pageBtn);
+            if (!isInFirstLayer && isButtonClickable(pageBtn)) {
+              sizeButtonsOnPage.push(pageBtn);
             }
-            isDuplicate = true;
-            break;
           }
         }
+        
+        if (sizeButtonsOnPage.length > 0) {
+          await log(`[动态规格] 在页面上找到 ${sizeButtonsOnPage.length} 个尺寸按钮`, 'success');
+          secondLayer = { name: '尺寸', buttons: sizeButtonsOnPage };
+        }
       }
-      if (!isDuplicate) {
-        uniqueLabels.push(label);
-      }
-    }
-    
-    await log(`[调试] 方法2找到 ${uniqueLabels.length} 个规格标签: ${uniqueLabels.map(l => l.name).join(', ')}`, 'info');
-    
-    for (const labelInfo of uniqueLabels) {
-      const { element, name } = labelInfo;
-      let buttons = [];
       
-      // 查找兄弟元素中的按钮
-      let sibling = element.nextElementSibling;
-      while (sibling && buttons.length === 0) {
-        const siblingButtons = findVariantButtonsInContainer(sibling, processedButtons);
-        if (siblingButtons.length > 0) {
-          buttons = siblingButtons;
-          break;
+      // 按规则筛选第二层规格，不满足时跳过当前颜色而不是随便选一个
+      if (secondLayerRules.length > 0) {
+        if (!secondLayer) {
+          await reportUnmatchedRules(secondLayerRules.map(rule => ({ rule, reason: `选择 "${btnName}" 后未出现对应规格层` })));
+          continue;
         }
-        sibling = sibling.nextElementSibling;
+        const { layers: [ruledLayer], unmatched } = applyVariantRules([secondLayer], secondLayerRules);
+        if (unmatched.length > 0) {
+          await reportUnmatchedRules(unmatched);
+          continue;
+        }
+        secondLayer = ruledLayer;
       }
       
-      // 查找父元素中的按钮
-      if (buttons.length === 0) {
-        const parent = element.parentElement;
-        if (parent) {
-          buttons = findVariantButtonsInContainer(parent, processedButtons);
+      if (secondLayer && secondLayer.buttons.length > 0) {
+        // 找到了第二层规格！遍历所有尺寸 (断点的第二层索引超出范围时从头开始)
+        await log(`[动态规格] 发现第二层规格: ${secondLayer.buttons.length} 个选项`, 'success');
+        const firstSecondIdx = resumedSecondIdx < secondLayer.buttons.length ? resumedSecondIdx : 0;
+        
+        for (let secondIdx = firstSecondIdx; secondIdx < secondLayer.buttons.length && cartCount < maxCarts; secondIdx++) {
+          await checkpointVariantStep([idx, secondIdx], cartCount, signal);
           
-          if (buttons.length > 0) {
-            const labelRect = element.getBoundingClientRect();
-            const filteredButtons = buttons.filter(btn => {
-              const btnRect = btn.getBoundingClientRect();
-              const yDiff = Math.abs(btnRect.top - labelRect.top);
-              return yDiff < 100;
-            });
-            
-            if (filteredButtons.length > 0) {
-              buttons = filteredButtons;
-            }
+          const secondBtn = secondLayer.buttons[secondIdx];
+          const secondName = secondBtn.textContent?.trim() || `选项${secondIdx + 1}`;
+          
+          // 检查按钮是否可点击
+          if (!isButtonClickable(secondBtn)) {
+            await log(`[动态规格] 尺寸 "${secondName}" 不可选，跳过`, 'warning');
+            continue;
+          }
+          
+          await log(`[动态规格] 点击尺寸: ${secondName}`, 'info');
+          await forceClickVariantButton(secondBtn, signal);
+          await sleep(500, signal);
+          
+          const success = await addToCart(1, { variant: `${btnName} + ${secondName}`, signal });
+          if (success) {
+            cartCount++;
+            await checkpointAddedVariant(nextVariantIndices([idx, secondIdx], [firstLayer.buttons.length, secondLayer.buttons.length]), cartCount, maxCarts);
+            await log(`✓ 已添加 "${btnName} + ${secondName}" (${cartCount}/${maxCarts})`, 'success');
+          } else {
+            await log(`✗ 添加 "${btnName} + ${secondName}" 失败`, 'warning');
           }
+          
+          await sleep(CONFIG.OPERATION_DELAY, signal);
+          
+          // 注意：不要在这里重新点击颜色！
+          // Shopee 的按钮是切换式的，重复点击会取消选中
+        }
+      } else {
+        // 还是没找到第二层，尝试直接加入购物车
+        await log(`[动态规格] 未找到第二层规格，尝试直接加入购物车`, 'info');
+        const success = await addToCart(1, { variant: btnName, signal });
+        if (success) {
+          cartCount++;
+          await checkpointAddedVariant(nextVariantIndices([idx, 0], [firstLayer.buttons.length, 1]), cartCount, maxCarts);
+          await log(`✓ 已添加 "${btnName}" (${cartCount}/${maxCarts})`, 'success');
+        } else {
+          await log(`✗ 添加 "${btnName}" 失败，可能需要选择更多规格`, 'warning');
         }
-      }
-      
-      if (buttons.length > 0) {
-        const btnTexts = buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
-        await log(`[调试] 方法2找到规格 "${name}": ${buttons.length} 个选项 [${btnTexts}]`, 'success');
         
-        layers.push({
-          name: name,
-          container: element.parentElement,
-          buttons: buttons
-        });
-        buttons.forEach(b => processedButtons.add(b));
+        await sleep(CONFIG.OPERATION_DELAY, signal);
       }
     }
   }
   
-  // ========== 方法3: 备用方法 - 查找 Shopee 特定的规格容器 ==========
+  return cartCount;
+}
+
+/**
+ * 处理商品详情页 - 添加所有规格组合到购物车
+ * 智能检测页面上的规格层，确保每层都选择后再加入购物车
+ * 有规格时最多添加15个组合，无规格时设置数量后一次加入 (默认3件)
+ * 失败不重试，直接跳到下一个组合
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
+ */
+async function addAllVariantsToCart(signal) {
+  let cartCount = 0;
+  
+  // 重置上次选择的索引（新商品需要重新选择所有规格）
+  lastSelectedIndices = null;
+  unmatchedVariantRules = [];
+  
+  console.log('[Shopee Auto Cart] addAllVariantsToCart 开始执行');
+  
+  const rules = getActiveVariantRules(await getState());
+  
+  // 获取商品名称
+  const nameEl = document.querySelector(ProductSelectors.PRODUCT_NAME);
+  const productName = nameEl ? nameEl.textContent.trim().substring(0, 50) : '未知商品';
+  
+  await log(`处理商品: ${productName}`, 'info');
+  
+  // 等待页面完全加载 (使用配置的延迟时间)
+  await log(`等待页面加载 (${CONFIG.PAGE_LOAD_DELAY / 1000}秒)...`, 'info');
+  await sleep(CONFIG.PAGE_LOAD_DELAY, signal);
+  
+  // 智能检测规格层
+  await log('开始检测商品规格...', 'info');
+  let layers = await detectVariantLayers();
+  
+  // 如果第一次没检测到，等待后再试一次
   if (layers.length === 0) {
-    await log('[调试] 方法3: 查找 Shopee 规格容器...', 'info');
+    await log('首次未检测到规格，等待后重试...', 'info');
+    await sleep(2000, signal);
+    layers = await detectVariantLayers();
+  }
+  
+  console.log('[Shopee Auto Cart] 最终检测到规格层数:', layers.length);
+  
+  // 记录操作前页面上的商品信息
+  try {
+    await captureProductSnapshot(layers);
+  } catch (error) {
+    await log(`[快照] 记录商品信息失败: ${error.message}`, 'warning');
+  }
+  
+  // 根据是否有规格决定最大购物车数量
+  const hasVariantOptions = layers.length > 0;
+  const maxCarts = hasVariantOptions ? CONFIG.MAX_CARTS_WITH_VARIANTS : CONFIG.MAX_CARTS_NO_VARIANTS;
+  
+  if (layers.length === 0 && rules.length > 0) {
+    // 指定了规格规则但商品没有规格，无法满足规则
+    await reportUnmatchedRules(rules.map(rule => ({ rule, reason: '商品没有可选规格' })));
+    await log('规格规则无法满足，跳过该商品', 'warning');
+  } else if (layers.length === 0) {
+    // 检测不到规格，设置数量后直接加入购物车 (一次点击)
+    await log('未检测到规格选项，尝试直接加入购物车...', 'info');
     
-    const variationContainers = document.querySelectorAll('[class*="product-variation"], [class*="tier-variation"]');
+    const firstTry = await addToCart(maxCarts, { signal });
     
-    for (const container of variationContainers) {
-      const labelEl = container.querySelector('label, [class*="label"]');
-      const labelText = labelEl?.textContent?.trim() || '';
+    if (firstTry) {
+      // 成功，说明确实没有规格
+      cartCount = lastAddedQuantity;
+      await log(`已添加商品到购物车 (数量 ${cartCount})`, 'success');
+    } else if (hasVariantSelectionError()) {
+      // 出现规格未选择错误，说明有规格但没检测到
+      await log('检测到需要选择规格，但未能自动识别规格选项', 'error');
+      await log('请检查页面结构或手动选择规格', 'warning');
+    } else {
+      await log('添加购物车失败', 'warning');
+    }
+  } else {
+    // 有规格商品
+    await log(`检测到 ${layers.length} 层规格`, 'info');
+    for (const layer of layers) {
+      const buttonNames = layer.buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
+      await log(`  - ${layer.name}: ${layer.buttons.length} 个选项 [${buttonNames}${layer.buttons.length > 5 ? '...' : ''}]`, 'info');
+    }
+    
+    if (rules.length > 0) {
+      await log(`[规格规则] 应用 ${rules.length} 条规则: ${rules.map(rule => rule.raw).join('; ')}`, 'info');
+    }
+    
+    // 先检查是否是颜色和尺寸混合的情况（1层规格但包含颜色和尺寸）
+    if (layers.length === 1) {
+      const { colorButtons, sizeButtons } = separateColorAndSizeButtons(layers[0].buttons);
+      await log(`[分析] 颜色选项: ${colorButtons.length} 个, 尺寸选项: ${sizeButtons.length} 个`, 'info');
       
-      let variantName = '';
-      for (const validLabel of validVariantLabels) {
-        if (labelText.includes(validLabel)) {
-          variantName = validLabel;
-          break;
+      if (colorButtons.length > 0 && sizeButtons.length > 0) {
+        // 颜色和尺寸混合在一层！直接使用混合规格处理，不尝试单层逻辑
+        await log('[混合规格] 检测到颜色和尺寸混合，直接使用双层选择逻辑...', 'info');
+        const { layers: [colorLayer, sizeLayer], unmatched } = applyVariantRules([
+          { name: '顏色', buttons: colorButtons },
+          { name: '尺寸', buttons: sizeButtons }
+        ], rules);
+        if (unmatched.length > 0) {
+          await reportUnmatchedRules(unmatched);
+        } else {
+          cartCount = await handleMixedColorSizeVariants(colorLayer.buttons, sizeLayer.buttons, maxCarts, signal);
         }
-      }
-      
-      if (!variantName) continue;
-      
-      const buttons = findVariantButtonsInContainer(container, processedButtons);
-      if (buttons.length > 0) {
-        const btnTexts = buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
-        await log(`[调试] 方法3找到规格 "${variantName}": ${buttons.length} 个选项 [${btnTexts}]`, 'success');
-        
-        layers.push({
-          name: variantName,
-          container: container,
-          buttons: buttons
-        });
-        buttons.forEach(b => processedButtons.add(b));
+      } else if (sizeButtons.length === 0 && colorButtons.length > 0) {
+        // 只有颜色，没有尺寸，尝试单层逻辑
+        await log('[单层规格] 只检测到颜色选项，尝试单层逻辑...', 'info');
+        cartCount = await handleRuledSingleLayer(layers[0], maxCarts, rules, signal);
+      } else {
+        // 只有尺寸或其他选项，尝试单层逻辑
+        await log('[单层规格] 尝试单层逻辑...', 'info');
+        cartCount = await handleRuledSingleLayer(layers[0], maxCarts, rules, signal);
+      }
+    } else {
+      // 多层规格商品 - 直接使用多层逻辑
+      await log('[多层规格] 使用多层规格组合逻辑...', 'info');
+      const { layers: ruledLayers, unmatched } = applyVariantRules(layers, rules);
+      if (unmatched.length > 0) {
+        await reportUnmatchedRules(unmatched);
+      } else {
+        cartCount = await handleMultiLayerVariants(ruledLayers, maxCarts, signal);
       }
     }
   }
   
-  // 输出调试信息
-  if (layers.length === 0) {
-    await log('[调试] 未找到规格，可能是无规格商品', 'warning');
+  await log(`商品处理完成，共添加 ${cartCount} 个到购物车`, 'success');
+  return cartCount;
+}
+
+// ============================================
+// 暂停与断点
+// ============================================
+
+// 从暂停或中断中继续时的断点 (handleProductPage 设置，规格遍历开始时读取并清除)
+let resumeCheckpoint = null;
+
+/**
+ * 读取当前商品的断点 - 刚从暂停中继续，或规格遍历被页面刷新打断 (流程步骤停在选择规格或加购)，
+ * 且断点属于当前商品时有效
+ * @param {Object} state - 运行状态
+ * @param {string|null} productId - 当前商品ID
+ * @returns {Object|null}
+ */
+function getResumeCheckpoint(state, productId) {
+  const checkpoint = state?.checkpoint;
+  const interrupted = [WorkflowStep.SELECTING_VARIANTS, WorkflowStep.ADDING].includes(state?.workflow?.step);
+  if (!(checkpoint?.resumed || interrupted) || !productId || checkpoint?.productId !== productId) return null;
+  return checkpoint;
+}
+
+/**
+ * 从断点恢复规格组合索引 - 断点的层数或索引与当前页面的规格不一致时返回 null (从头开始)
+ * @param {Object|null} checkpoint - 运行断点
+ * @param {number[]} layerSizes - 每层的选项数量
+ * @returns {number[]|null}
+ */
+function resolveCheckpointIndices(checkpoint, layerSizes) {
+  const indices = checkpoint?.variantIndices;
+  if (!Array.isArray(indices) || indices.length !== layerSizes.length) return null;
+  const valid = indices.every((index, i) => Number.isInteger(index) && index >= 0 && index < layerSizes[i]);
+  return valid ? [...indices] : null;
+}
+
+/**
+ * 规格组合在遍历顺序中的序号 (从 0 开始，最后一层变化最快)
+ * @param {number[]} indices - 规格组合索引
+ * @param {number[]} layerSizes - 每层的选项数量
+ * @returns {number}
+ */
+function variantCombinationOrdinal(indices, layerSizes) {
+  return indices.reduce((acc, index, i) => acc * layerSizes[i] + index, 0);
+}
+
+/**
+ * 遍历顺序中的下一个规格组合 (最后一层变化最快)
+ * @param {number[]} indices - 当前规格组合索引
+ * @param {number[]} layerSizes - 每层的选项数量
+ * @returns {number[]|null} 已是最后一个组合时返回 null
+ */
+function nextVariantIndices(indices, layerSizes) {
+  const next = [...indices];
+  for (let i = next.length - 1; i >= 0; i--) {
+    next[i]++;
+    if (next[i] < layerSizes[i]) return next;
+    next[i] = 0;
   }
-  
-  await log(`[调试] 规格检测完成，共找到 ${layers.length} 层规格`, layers.length > 0 ? 'success' : 'warning');
-  return layers;
+  return null;
 }
 
 /**
- * 在容器中查找规格按钮
- * @param {Element} container - 容器元素
- * @param {Set} processedButtons - 已处理的按钮集合
- * @returns {Element[]} 按钮数组
+ * 记录规格遍历断点 - 每次尝试组合前和加购成功后写入下一个要尝试的组合，暂停后从这里继续
+ * @param {number[]|null} indices - 下一个要尝试的规格组合 (null 表示没有进行中的遍历)
+ * @param {number} cartCount - 该商品已添加购物车数量
+ * @param {boolean} [completed=false] - 该商品的规格是否已全部处理完
  */
-function findVariantButtonsInContainer(container, processedButtons) {
-  const buttons = [];
-  const allButtons = container.querySelectorAll('button');
-  
-  for (const btn of allButtons) {
-    if (processedButtons.has(btn)) continue;
-    if (btn.disabled) continue;
-    
-    const text = btn.textContent?.trim() || '';
-    
-    // 排除空文本或过长文本
-    if (text.length === 0 || text.length > 50) continue;
-    
-    // 排除纯数字按钮 (通常是数量选择器 1,2,3,4,5...)
-    if (/^\d+$/.test(text)) continue;
-    
-    // 排除评分按钮 (如 4.8, 4.9 等)
-    if (/^\d+\.\d+$/.test(text)) continue;
-    
-    // 排除包含"評價"、"评价"的按钮
-    if (/\d+評價/.test(text) || /\d+评价/.test(text)) continue;
-    
-    // 排除省略号按钮
-    if (text === '...' || text === '…') continue;
-    
-    // 排除明显不是规格的按钮 - 包括各种功能按钮
-    if (text.includes('購物車') || text.includes('购物车') || text.includes('Cart') ||
-        text.includes('立即') || text.includes('Buy') || text.includes('關注') ||
-        text.includes('分享') || text.includes('收藏') || text.includes('加入') ||
-        text.includes('檢舉') || text.includes('检举') || text.includes('Report') ||
-        text.includes('匿名') || text.includes('舉報') || text.includes('举报') ||
-        text.includes('聊聊') || text.includes('客服') || text.includes('Chat') ||
-        text.includes('優惠券') || text.includes('优惠券') || text.includes('Coupon') ||
-        text.includes('領取') || text.includes('领取') || text.includes('Claim') ||
-        text.includes('查看') || text.includes('更多') || text.includes('展開') ||
-        text.includes('收起') || text.includes('喜歡') || text.includes('喜欢') ||
-        text.includes('直接購買') || text.includes('直接购买') || text.includes('Buy Now') ||
-        text.includes('庫存') || text.includes('库存') || text.includes('Stock') ||
-        // 排除尺寸表、尺码表等参考信息按钮
-        text.includes('尺寸表') || text.includes('尺碼表') || text.includes('Size Chart') ||
-        text.includes('Size Guide') || text.includes('尺码表') || text.includes('測量') ||
-        text.includes('测量') || text.includes('如何測量') || text.includes('如何测量') ||
-        text.includes('參考') || text.includes('参考') || text.includes('Guide') ||
-        text.includes('說明') || text.includes('说明') || text.includes('幫助') ||
-        text.includes('帮助') || text.includes('Help')) {
-      continue;
-    }
-    
-    // 检查按钮是否被禁用（通过 class 或样式）
-    const classList = btn.className || '';
-    if (classList.includes('disabled') || classList.includes('shopee-button-disabled')) {
-      continue;
-    }
-    
-    // 检查按钮是否可点击（不是灰色/半透明状态）
-    if (!isButtonClickable(btn)) {
-      continue;
+async function saveVariantCheckpoint(indices, cartCount, completed = false) {
+  await updateState({
+    checkpoint: {
+      url: window.location.href,
+      productId: extractProductId(window.location.href),
+      variantIndices: indices ? [...indices] : null,
+      cartCount,
+      completed
     }
-    
-    buttons.push(btn);
+  });
+}
+
+/**
+ * 规格遍历每一步开始前写入断点并回到 SELECTING_VARIANTS 流程步骤
+ * 停止或暂停时 signal 被中止，遍历在下一个等待处退出，暂停后继续时从这里写入的组合开始
+ * @param {number[]} indices - 下一个要尝试的规格组合
+ * @param {number} cartCount - 该商品已添加购物车数量
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<void>}
+ */
+async function checkpointVariantStep(indices, cartCount, signal) {
+  signal.throwIfAborted();
+  await saveVariantCheckpoint(indices, cartCount);
+  if (workflowStep === WorkflowStep.ADDING) {
+    await transitionTo(WorkflowStep.SELECTING_VARIANTS, {}, signal);
   }
-  
-  return buttons;
 }
 
 /**
- * 检查按钮是否可点击（不是禁用/灰色状态）
- * @param {Element} btn - 按钮元素
- * @returns {boolean}
+ * 加购成功后的断点内容 - 已全部遍历或达到最大数量时标记该商品已完成
+ * @param {number[]|null} next - 下一个要尝试的规格组合 (null 表示已全部遍历)
+ * @param {number} cartCount - 该商品已添加购物车数量 (含刚加入的组合)
+ * @param {number} maxCarts - 最大购物车数量
+ * @returns {{variantIndices: number[]|null, cartCount: number, completed: boolean}}
  */
-function isButtonClickable(btn) {
-  // 检查 disabled 属性
-  if (btn.disabled) return false;
-  
-  // 检查 aria-disabled 属性
-  if (btn.getAttribute('aria-disabled') === 'true') return false;
-  
-  // 检查 class 中是否包含禁用相关的词
-  const classList = btn.className || '';
-  if (classList.includes('disabled') || 
-      classList.includes('unavailable') ||
-      classList.includes('sold-out') ||
-      classList.includes('out-of-stock')) {
-    return false;
+function addedVariantCheckpoint(next, cartCount, maxCarts) {
+  const completed = !next || cartCount >= maxCarts;
+  return { variantIndices: completed ? null : [...next], cartCount, completed };
+}
+
+/**
+ * 加购成功后立即写入断点 - 指向下一个组合并带上新的加购数量
+ * 不检查中止信号: 加购后的等待中暂停时，继续时不会重复添加刚加入的组合
+ * @param {number[]|null} next - 下一个要尝试的规格组合 (null 表示已全部遍历)
+ * @param {number} cartCount - 该商品已添加购物车数量 (含刚加入的组合)
+ * @param {number} maxCarts - 最大购物车数量
+ * @returns {Promise<void>}
+ */
+async function checkpointAddedVariant(next, cartCount, maxCarts) {
+  const { variantIndices, completed } = addedVariantCheckpoint(next, cartCount, maxCarts);
+  await saveVariantCheckpoint(variantIndices, cartCount, completed);
+}
+
+/**
+ * 按规则处理单层规格商品
+ * 规则中指向页面上尚未出现的规格层（如选择颜色后才出现的尺寸）时，改用动态规格逻辑
+ * @param {Object} layer - 规格层对象
+ * @param {number} maxCarts - 最大购物车数量
+ * @param {VariantRule[]} rules - 规格规则
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
+ */
+async function handleRuledSingleLayer(layer, maxCarts, rules, signal) {
+  const layerRules = rules.filter(rule => layerMatchesRule(layer, rule));
+  const deferredRules = rules.filter(rule => !layerMatchesRule(layer, rule));
+  
+  const { layers: [ruledLayer], unmatched } = applyVariantRules([layer], layerRules);
+  if (unmatched.length > 0) {
+    await reportUnmatchedRules(unmatched);
+    return 0;
   }
   
-  // 检查样式 - 半透明通常表示不可点击
-  const style = window.getComputedStyle(btn);
-  const opacity = parseFloat(style.opacity);
-  if (opacity < 0.5) return false;
-  
-  // 检查 pointer-events
-  if (style.pointerEvents === 'none') return false;
-  
-  // 检查 cursor
-  if (style.cursor === 'not-allowed') return false;
+  if (deferredRules.length > 0) {
+    await log('[规格规则] 规则涉及尚未显示的规格层，按动态规格处理...', 'info');
+    return handleDynamicVariants(ruledLayer, maxCarts, -1, deferredRules, signal);
+  }
   
-  return true;
+  return handleSingleLayerVariants(ruledLayer, maxCarts, signal);
 }
 
 /**
- * 检查按钮是否被选中
- * @param {Element} btn - 按钮元素
- * @returns {boolean}
+ * 处理单层规格商品
+ * @param {Object} layer - 规格层对象
+ * @param {number} maxCarts - 最大购物车数量
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
  */
-function isButtonSelected(btn) {
-  const classList = btn.className || '';
-  
-  // 检查 class 中的选中状态
-  if (classList.includes('active') || 
-      classList.includes('selected') || 
-      classList.includes('--selected') ||
-      classList.includes('product-variation--selected')) {
-    return true;
+async function handleSingleLayerVariants(layer, maxCarts, signal) {
+  // 断点是切换到动态规格处理后写入的 (两层索引)，直接从断点继续动态规格处理
+  if (resolveCheckpointIndices(resumeCheckpoint, [layer.buttons.length, Infinity])) {
+    await log('[动态规格] 从断点继续动态规格处理...', 'info');
+    return handleDynamicVariants(layer, maxCarts, -1, [], signal);
   }
   
-  // 检查 aria 属性
-  if (btn.getAttribute('aria-pressed') === 'true' ||
-      btn.getAttribute('aria-selected') === 'true') {
-    return true;
+  const resumed = resolveCheckpointIndices(resumeCheckpoint, [layer.buttons.length]);
+  let cartCount = resumed ? resumeCheckpoint.cartCount : 0;
+  resumeCheckpoint = null;
+  if (resumed) {
+    await log(`[断点] 从第 ${resumed[0] + 1} 个选项继续`, 'info');
   }
   
-  // 使用 getComputedStyle 检查实际渲染的边框颜色
-  // Shopee 选中状态通常是橙红色边框 #ee4d2d = rgb(238, 77, 45)
-  try {
-    const computedStyle = window.getComputedStyle(btn);
-    const borderColor = computedStyle.borderColor;
+  for (let i = resumed ? resumed[0] : 0; i < layer.buttons.length && cartCount < maxCarts; i++) {
+    await checkpointVariantStep([i], cartCount, signal);
     
-    // 检查是否是 Shopee 的橙红色
-    if (borderColor === 'rgb(238, 77, 45)' || 
-        borderColor === '#ee4d2d' ||
-        borderColor.includes('238, 77, 45')) {
-      return true;
+    const btn = layer.buttons[i];
+    const btnName = btn.textContent?.trim() || `选项${i + 1}`;
+    
+    if (!isButtonClickable(btn)) {
+      await log(`选项 "${btnName}" 不可选，跳过`, 'warning');
+      continue;
     }
     
-    // 也检查 outline 颜色（有些按钮用 outline 表示选中）
-    const outlineColor = computedStyle.outlineColor;
-    if (outlineColor === 'rgb(238, 77, 45)' || 
-        outlineColor === '#ee4d2d' ||
-        outlineColor.includes('238, 77, 45')) {
-      return true;
+    await log(`点击: ${btnName}`, 'info');
+    await forceClickVariantButton(btn, signal);
+    await sleep(500, signal);
+    
+    const success = await addToCart(1, { variant: btnName, signal });
+    if (success) {
+      cartCount++;
+      await checkpointAddedVariant(nextVariantIndices([i], [layer.buttons.length]), cartCount, maxCarts);
+      await log(`✓ 已添加 "${btnName}" (${cartCount}/${maxCarts})`, 'success');
+    } else if (hasVariantSelectionError()) {
+      // 单层逻辑失败，可能需要动态规格处理
+      // 注意：当前选项已经被点击了，传递当前索引给 handleDynamicVariants
+      // 让它从当前选项开始处理，而不是重新点击
+      await log(`[动态规格] 检测到需要更多规格，尝试动态处理...`, 'warning');
+      cartCount = await handleDynamicVariants(layer, maxCarts, i, [], signal);
+      break; // 切换到动态规格处理后退出循环
+    } else {
+      await log(`✗ 添加 "${btnName}" 失败`, 'warning');
     }
-  } catch (e) {
-    // 忽略样式检查错误
+    
+    await sleep(CONFIG.OPERATION_DELAY, signal);
   }
   
-  return false;
+  return cartCount;
 }
 
 /**
- * 检查所有规格层是否都已选择
- * @param {Array} layers - 规格层数组
- * @returns {boolean}
+ * 处理颜色和尺寸混合的规格
+ * 关键修复 v19: 不要重复点击已选中的颜色，否则会取消选中
+ * @param {Element[]} colorButtons - 颜色按钮数组
+ * @param {Element[]} sizeButtons - 尺寸按钮数组
+ * @param {number} maxCarts - 最大购物车数量
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
  */
-function areAllLayersSelected(layers) {
-  for (const layer of layers) {
-    let hasSelected = false;
-    for (const btn of layer.buttons) {
-      if (isButtonSelected(btn)) {
-        hasSelected = true;
-        break;
+async function handleMixedColorSizeVariants(colorButtons, sizeButtons, maxCarts, signal) {
+  const resumed = resolveCheckpointIndices(resumeCheckpoint, [colorButtons.length, sizeButtons.length]);
+  let cartCount = resumed ? resumeCheckpoint.cartCount : 0;
+  resumeCheckpoint = null;
+  if (resumed) {
+    await log(`[断点] 从第 ${resumed[0] + 1} 个颜色的第 ${resumed[1] + 1} 个尺寸继续`, 'info');
+  }
+  
+  // 记录当前选中的颜色索引
+  let currentSelectedColorIdx = -1;
+  
+  // 遍历颜色
+  for (let colorIdx = resumed ? resumed[0] : 0; colorIdx < colorButtons.length && cartCount < maxCarts; colorIdx++) {
+    signal.throwIfAborted();
+    
+    const colorBtn = colorButtons[colorIdx];
+    const colorName = colorBtn.textContent?.trim() || `颜色${colorIdx + 1}`;
+    
+    // 只有切换到新颜色时才点击（避免重复点击导致取消选中）
+    if (currentSelectedColorIdx !== colorIdx) {
+      await log(`[混合规格] 选择颜色: ${colorName}`, 'info');
+      await forceClickVariantButton(colorBtn, signal);
+      await sleep(600, signal);
+      currentSelectedColorIdx = colorIdx;
+    }
+    
+    // 遍历尺寸 (从断点继续时，断点所在颜色从断点尺寸开始)
+    const firstSizeIdx = resumed && colorIdx === resumed[0] ? resumed[1] : 0;
+    for (let sizeIdx = firstSizeIdx; sizeIdx < sizeButtons.length && cartCount < maxCarts; sizeIdx++) {
+      await checkpointVariantStep([colorIdx, sizeIdx], cartCount, signal);
+      
+      const sizeBtn = sizeButtons[sizeIdx];
+      const sizeName = sizeBtn.textContent?.trim() || `尺寸${sizeIdx + 1}`;
+      
+      // 检查尺寸按钮是否可点击
+      if (!isButtonClickable(sizeBtn)) {
+        await log(`[混合规格] 尺寸 "${sizeName}" 不可选，跳过`, 'warning');
+        continue;
+      }
+      
+      // 点击尺寸按钮（尺寸每次都需要点击，因为要切换不同尺寸）
+      await log(`[混合规格] 选择尺寸: ${sizeName}`, 'info');
+      await forceClickVariantButton(sizeBtn, signal);
+      await sleep(500, signal);
+      
+      // 尝试加入购物车
+      const success = await addToCart(1, { variant: `${colorName} + ${sizeName}`, signal });
+      if (success) {
+        cartCount++;
+        await checkpointAddedVariant(nextVariantIndices([colorIdx, sizeIdx], [colorButtons.length, sizeButtons.length]), cartCount, maxCarts);
+        await log(`✓ 已添加 "${colorName} + ${sizeName}" (${cartCount}/${maxCarts})`, 'success');
+      } else {
+        await log(`✗ 添加 "${colorName} + ${sizeName}" 失败`, 'warning');
       }
-    }
-    if (!hasSelected) {
-      console.log(`[Shopee Auto Cart] 规格层 "${layer.name}" 未选择`);
-      return false;
+      
+      await sleep(CONFIG.OPERATION_DELAY, signal);
+      
+      // 注意：不要在这里重新点击颜色！
+      // Shopee 的按钮是切换式的，重复点击会取消选中
+      // 颜色在同一个循环内应该保持选中状态
     }
   }
-  return true;
+  
+  return cartCount;
 }
 
 /**
- * 选择指定的规格按钮并等待生效
- * @param {Element} btn - 规格按钮
- * @returns {Promise<boolean>} 是否选择成功
+ * 处理多层规格商品
+ * @param {Array} layers - 规格层数组
+ * @param {number} maxCarts - 最大购物车数量
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<number>} 添加到购物车的数量
  */
-async function selectVariantButton(btn) {
-  const btnName = btn.textContent?.trim() || btn.getAttribute('aria-label') || '未知';
-  await log(`[调试] 点击规格按钮: "${btnName}"`, 'info');
-  
-  // 滚动到按钮位置确保可见
-  btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  await sleep(200);
-  
-  btn.click();
-  await sleep(CONFIG.VARIANT_SELECT_DELAY);
+async function handleMultiLayerVariants(layers, maxCarts, signal) {
+  // 生成所有规格组合的索引
+  const layerSizes = layers.map(layer => layer.buttons.length);
+  const totalCombinations = layerSizes.reduce((acc, size) => acc * size, 1);
+  await log(`共 ${totalCombinations} 种规格组合，最多添加 ${maxCarts} 个`, 'info');
   
-  // 验证是否选中
-  const selected = isButtonSelected(btn);
-  if (selected) {
-    await log(`[调试] 规格 "${btnName}" 选择成功 ✓`, 'success');
-    return true;
+  // 使用迭代方式遍历所有组合 (从暂停中继续时从断点组合开始)
+  const resumed = resolveCheckpointIndices(resumeCheckpoint, layerSizes);
+  let indices = resumed || new Array(layers.length).fill(0);
+  let cartCount = resumed ? resumeCheckpoint.cartCount : 0;
+  let combinationIndex = variantCombinationOrdinal(indices, layerSizes);
+  resumeCheckpoint = null;
+  if (resumed) {
+    await log(`[断点] 从第 ${combinationIndex + 1} 个规格组合继续`, 'info');
   }
   
-  // 再次尝试
-  await log(`[调试] 规格 "${btnName}" 首次点击未选中，重试...`, 'warning');
-  btn.click();
-  await sleep(CONFIG.VARIANT_SELECT_DELAY + 300);
-  
-  const selectedRetry = isButtonSelected(btn);
-  if (selectedRetry) {
-    await log(`[调试] 规格 "${btnName}" 重试选择成功 ✓`, 'success');
-  } else {
-    await log(`[调试] 规格 "${btnName}" 选择状态不确定，继续执行`, 'warning');
+  while (cartCount < maxCarts) {
+    // 写入断点 (已停止或暂停时抛出中止原因)
+    await checkpointVariantStep(indices, cartCount, signal);
+    
+    combinationIndex++;
+    
+    // 获取当前组合的名称
+    const combinationName = getVariantCombinationName(layers, indices);
+    await log(`[${combinationIndex}/${totalCombinations}] 选择: ${combinationName}`, 'info');
+    
+    // 选择所有规格层并尝试添加到购物车
+    const success = await selectAllLayersAndAddToCart(layers, indices, signal);
+    const next = nextVariantIndices(indices, layerSizes);
+    
+    if (success) {
+      cartCount++;
+      await checkpointAddedVariant(next, cartCount, maxCarts);
+      await log(`✓ 已添加 "${combinationName}" (${cartCount}/${maxCarts})`, 'success');
+    } else {
+      await log(`✗ 添加 "${combinationName}" 失败，跳过`, 'warning');
+    }
+    
+    await sleep(CONFIG.OPERATION_DELAY, signal);
+    
+    // 如果所有组合都已遍历完成
+    if (!next) {
+      await log('所有规格组合已处理完成', 'info');
+      break;
+    }
+    
+    // 移动到下一个组合
+    indices = next;
   }
   
-  return selectedRetry;
+  return cartCount;
 }
 
+
+
 /**
- * 添加商品到购物车 (不重试，失败直接返回)
- * @returns {Promise<boolean>}
+ * 处理商品详情页
+ * 处理完成后直接返回搜索页继续下一个商品
+ * @param {AbortSignal} signal - 运行中止信号
  */
-async function addToCart() {
+async function handleProductPage(signal) {
+  const state = await getState();
+
+  console.log('[Shopee Auto Cart] handleProductPage 被调用, state:', state);
+
+  if (!state.isRunning) {
+    console.log('[Shopee Auto Cart] 扩展未运行，跳过处理');
+    return;
+  }
+  
+  const productId = extractProductId(window.location.href);
+  if (!await transitionTo(WorkflowStep.SELECTING_VARIANTS, { productId, url: window.location.href }, signal)) {
+    return;
+  }
+
+  await log('正在商品详情页，开始处理...', 'info');
+
   try {
-    await log('[调试] 查找加入购物车按钮...', 'info');
-    const addBtn = findAddToCartButton();
+    // 等待页面加载
+    await log(`等待页面加载 (${CONFIG.PAGE_LOAD_DELAY / 1000}秒)...`, 'info');
+    await sleep(CONFIG.PAGE_LOAD_DELAY, signal);
 
-    if (!addBtn) {
-      await log('[调试] 错误: 未找到加入购物车按钮', 'error');
-      return false;
+    // 检查页面是否正确加载
+    const pageContent = document.body.innerText;
+    if (pageContent.length < 100) {
+      await log('页面内容过少，额外等待2秒...', 'warning');
+      await sleep(2000, signal);
     }
 
-    await log(`[调试] 找到按钮: "${addBtn.textContent?.trim().substring(0, 20)}"`, 'info');
+    await recordProductVisit();
 
-    if (addBtn.disabled) {
-      await log('[调试] 错误: 加入购物车按钮已禁用 (可能缺货)', 'error');
-      return false;
+    // 从暂停中继续时按断点处理: 已处理完的商品直接进入下一步，否则从断点规格组合继续
+    resumeCheckpoint = getResumeCheckpoint(state, productId);
+    let cartCount;
+    if (resumeCheckpoint?.completed) {
+      cartCount = resumeCheckpoint.cartCount;
+      resumeCheckpoint = null;
+      await log('[断点] 该商品的规格已处理完，继续下一步', 'info');
+    } else {
+      // 添加所有规格到购物车
+      cartCount = await addAllVariantsToCart(signal);
     }
 
-    // 滚动到按钮位置
-    addBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    await sleep(300);
+    // 暂停时停留在当前商品页，继续时从断点接着处理
+    signal.throwIfAborted();
 
-    await log('[调试] 点击加入购物车按钮...', 'info');
-    addBtn.click();
+    // 更新状态
+    await updateState({ cartCount });
+    await saveVariantCheckpoint(null, cartCount, true);
+
+    await log(`商品处理完成，添加了 ${cartCount} 个到购物车`, 'success');
 
     // 等待操作完成
-    await sleep(1500);
+    await sleep(1000, signal);
 
-    // 检查是否出现规格未选择错误
-    if (hasVariantSelectionError()) {
-      await log('[调试] 检测到错误提示: 请先选择商品规格', 'error');
-      return false;
+    // 购物清单模式由 background 切换到下一个商品，否则返回搜索页继续处理下一个商品
+    if (state.mode === RunMode.LIST) {
+      await finishListItem({ cartCount, ...listItemResult(cartCount, unmatchedVariantRules), unmatchedRules: unmatchedVariantRules });
+    } else if (await transitionTo(WorkflowStep.RETURNING, {}, signal)) {
+      await returnToSearch(false, signal);
     }
 
-    return true;
   } catch (error) {
-    await log(`[调试] 添加购物车异常: ${error.message}`, 'error');
-    return false;
+    // 被新的页面处理取代或运行被停止、暂停时直接退出
+    if (signal.aborted) throw signal.reason;
+    await log(`处理商品详情页失败: ${error.message}`, 'error');
+    await recordProductVisit(error.message);
+    // 出错后也要等待一下再返回
+    await sleep(2000, signal);
+    if (state.mode === RunMode.LIST) {
+      await finishListItem({ cartCount: 0, status: 'failed', error: error.message });
+    } else if (await transitionTo(WorkflowStep.RETURNING, {}, signal)) {
+      await returnToSearch(false, signal);
+    }
   }
 }
 
-// 记录上一次选择的索引，用于优化只选择变化的层
-let lastSelectedIndices = null;
-
-/**
- * 强制点击规格按钮（不检查是否已选中）
- * @param {Element} btn - 规格按钮
- * @returns {Promise<void>}
- */
-async function forceClickVariantButton(btn) {
-  const btnName = btn.textContent?.trim() || btn.getAttribute('aria-label') || '未知';
 
-  // 滚动到按钮位置
-  btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  await sleep(200);
 
-  // 点击按钮
-  btn.click();
 
-  // 等待规格选择生效
-  await sleep(CONFIG.VARIANT_SELECT_DELAY);
+/**
+ * 搜索词更换间隔的显示文本 - 整分钟显示分钟数，否则显示秒数
+ * @param {number} [interval=CONFIG.KEYWORD_CHANGE_INTERVAL] - 间隔 (ms)
+ * @returns {string}
+ */
+function formatKeywordChangeInterval(interval = CONFIG.KEYWORD_CHANGE_INTERVAL) {
+  return interval % 60000 === 0 ? `${interval / 60000} 分钟` : `${Math.round(interval / 1000)} 秒`;
+}
 
-  await log(`[调试] 已点击规格: "${btnName}"`, 'info');
+/**
+ * 检查是否需要更换搜索词 - 固定关键词不更换，其他方式每隔 CONFIG.KEYWORD_CHANGE_INTERVAL 更换一次
+ * 更换时间记录在后台状态中，页面跳转后仍然有效
+ * @param {Object} [rotation] - 关键词轮换状态
+ * @returns {boolean}
+ */
+function shouldChangeKeyword(rotation) {
+  if (!rotation || rotation.policy === KeywordRotation.FIXED || rotation.keywords.length <= 1) {
+    return false;
+  }
+  const elapsed = Date.now() - (rotation.changedAt || 0);
+  return elapsed >= CONFIG.KEYWORD_CHANGE_INTERVAL;
 }
 
 /**
- * 选择所有规格层并添加到购物车
- * 关键修复: 每次都强制点击所有规格按钮，不依赖 isButtonSelected() 判断
- * @param {Array} layers - 规格层数组
- * @param {Array<number>} indices - 每层选择的索引
- * @returns {Promise<boolean>}
+ * 返回搜索结果页
+ * @param {boolean} forceKeepKeyword - 是否强制保持当前关键词（不切换）
+ * @param {AbortSignal} signal - 运行中止信号
+ * Requirements: 7.4 - 导航超时时记录错误并尝试返回搜索结果
  */
-async function selectAllLayersAndAddToCart(layers, indices) {
-  await log(`[调试] 开始选择 ${layers.length} 层规格...`, 'info');
+async function returnToSearch(forceKeepKeyword, signal) {
+  const state = await getState();
+  let searchSpec = normalizeSearchSpec(state.searchSpec);
+  const keyword = searchSpec.keyword;
+  const rotation = state.keywordRotation;
   
-  // 依次选择每一层规格
-  // 关键修复: 每次都强制点击按钮，不依赖 isButtonSelected() 判断
-  // 因为 isButtonSelected() 可能误判，导致按钮没有被真正点击
-  for (let layerIdx = 0; layerIdx < layers.length; layerIdx++) {
-    const layer = layers[layerIdx];
-    const btnIdx = indices[layerIdx];
-    
-    if (btnIdx >= layer.buttons.length) {
-      await log(`[调试] 错误: 规格层 ${layerIdx} 索引 ${btnIdx} 越界 (共 ${layer.buttons.length} 个)`, 'error');
-      return false;
-    }
-    
-    const btn = layer.buttons[btnIdx];
-    const btnName = btn.textContent?.trim() || `选项${btnIdx + 1}`;
+  // 只有在不强制保持关键词且时间到了才更换搜索词
+  if (!forceKeepKeyword && shouldChangeKeyword(rotation)) {
+    // 按轮换方式选择下一个关键词
+    const { keyword: newKeyword, index } = pickKeyword(rotation.keywords, rotation.policy, rotation.index);
     
-    // 检查这一层的索引是否变化
-    const indexChanged = !lastSelectedIndices || 
-                         lastSelectedIndices.length !== indices.length ||
-                         lastSelectedIndices[layerIdx] !== btnIdx;
+    await log(`[每 ${formatKeywordChangeInterval()}] 更换搜索词: "${keyword}" → "${newKeyword}"`, 'info');
     
-    // 关键修复: 当索引变化时，强制点击按钮
-    if (indexChanged) {
-      await log(`[调试] 点击第 ${layerIdx + 1} 层 "${layer.name}": ${btnName}`, 'info');
-      await forceClickVariantButton(btn);
-      // 等待页面更新（动态规格可能需要时间加载）
-      await sleep(600);
-    } else {
-      // 索引没变，跳过点击（避免取消选中）
-      await log(`[调试] 第 ${layerIdx + 1} 层 "${layer.name}" 保持: ${btnName}`, 'info');
-    }
+    // 更新状态中的搜索条件和轮换位置 (排序和筛选条件保持不变，从第一页开始)
+    searchSpec = { ...searchSpec, keyword: newKeyword, page: 0 };
+    await updateState({ searchSpec, keywordRotation: { ...rotation, index, changedAt: Date.now() } });
+  } else {
+    // 保持当前关键词，继续在同一搜索结果页面选择其他商品
+    await log(`返回搜索页，继续搜索: ${keyword}`, 'info');
   }
   
-  // 更新上次选择的索引
-  lastSelectedIndices = [...indices];
-  
-  await log('[调试] 所有规格已选择，准备加入购物车...', 'info');
-  await sleep(500);
-  
-  // 尝试添加到购物车
-  const success = await addToCart();
+  const searchUrl = buildSearchUrl(searchSpec);
+  signal.throwIfAborted();
   
-  if (!success) {
-    if (hasVariantSelectionError()) {
-      await log('[调试] 添加失败: 页面提示规格未选择完整', 'error');
-    } else {
-      await log('[调试] 添加失败: 未知原因', 'error');
-    }
+  try {
+    // 设置导航超时检测
+    const navigationTimeout = setTimeout(async () => {
+      await log('导航超时，正在重试...', 'warning');
+    }, CONFIG.NAVIGATION_TIMEOUT || 30000);
+    
+    window.location.href = searchUrl;
+    clearTimeout(navigationTimeout);
+  } catch (error) {
+    await log(`导航失败: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * 安全导航到指定 URL (带超时和重试)
+ * Requirements: 7.4 - 导航超时处理
+ * @param {string} url - 目标 URL
+ * @param {string} description - 导航描述（用于日志）
+ * @returns {Promise<boolean>}
+ */
+async function safeNavigate(url, description = '页面') {
+  try {
+    await log(`正在导航到${description}...`, 'info');
+    window.location.href = url;
+    return true;
+  } catch (error) {
+    await log(`导航到${description}失败: ${error.message}`, 'error');
     return false;
   }
-  
-  await log('[调试] 加入购物车成功 ✓', 'success');
-  return true;
+}
+
+
+
+// ============================================
+// 购物清单模式
+// ============================================
+
+/**
+ * 解析购物清单文本 - 每行一个商品链接，支持 extractProductId 能识别的所有格式
+ * 链接后可以跟该商品专用的加购数量和规格规则，如 "https://shopee.tw/xxx-i.1.2 x2 顏色~黑; 尺寸=M|L"
+ * 同一商品重复出现时只保留第一次
+ * @param {string} text - 粘贴或导入的清单文本
+ * @returns {{items: Array<{url: string, productId: string, quantity?: number, variantRules?: VariantRule[]}>, invalid: string[]}}
+ */
+function parseShoppingList(text) {
+  const items = [];
+  const invalid = [];
+  const seen = new Set();
+
+  const lines = String(text || '').split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    // 允许 CSV 等格式中链接之后带有其他列，只取第一个链接
+    const rawUrl = line.split(/[\s,]+/)[0];
+    const productId = extractProductId(rawUrl);
+
+    if (!productId) {
+      invalid.push(line);
+      continue;
+    }
+
+    if (seen.has(productId)) continue;
+    seen.add(productId);
+
+    let url = rawUrl;
+    if (url.startsWith('/')) {
+      url = `${window.location.origin}${url}`;
+    } else if (!/^https?:\/\//i.test(url)) {
+      url = `https://${url}`;
+    }
+
+    const item = { url, productId };
+
+    let rest = line.slice(rawUrl.length).replace(/^[\s,]+/, '');
+
+    // "x2" / "×2" / "*2" 表示该商品的加购数量
+    const quantityMatch = rest.match(/(?:^|[\s,])[x×*](\d+)(?=$|[\s,;])/i);
+    if (quantityMatch && parseInt(quantityMatch[1], 10) > 0) {
+      item.quantity = parseInt(quantityMatch[1], 10);
+      rest = rest.replace(quantityMatch[0], ' ').trim();
+    }
+
+    // 其余部分若是规格规则 (包含 "~" 或 "=")，作为该商品的规则
+    if (/[~=]/.test(rest)) {
+      const { rules } = parseVariantRules(rest);
+      if (rules.length > 0) {
+        item.variantRules = rules;
+      }
+    }
+
+    items.push(item);
+  }
+
+  return { items, invalid };
 }
 
 /**
- * 生成规格名称字符串
- * @param {Array} layers - 规格层数组
- * @param {Array<number>} indices - 每层选择的索引
+ * 生成面板上显示的运行目标文本
+ * @param {Object} state - 扩展状态
  * @returns {string}
  */
-function getVariantCombinationName(layers, indices) {
-  const names = [];
-  for (let i = 0; i < layers.length; i++) {
-    const btn = layers[i].buttons[indices[i]];
-    const name = btn?.textContent?.trim() || btn?.getAttribute('aria-label') || `选项${indices[i] + 1}`;
-    names.push(name);
+function describeRunTarget(state) {
+  if (state.mode === RunMode.LIST) {
+    const total = state.shoppingList?.length || 0;
+    const current = Math.min((state.listIndex || 0) + 1, total);
+    return `购物清单 ${current}/${total}`;
   }
-  return names.join(' + ');
+  if (state.mode === RunMode.WATCH) {
+    return `抢购监视 ${state.watch?.productId || ''}`;
+  }
+  const keyword = state.searchSpec?.keyword || '随机选择';
+  return state.searchSpec?.page > 0 ? `${keyword} (第 ${state.searchSpec.page + 1} 页)` : keyword;
 }
 
 /**
- * 判断按钮文本是否像尺寸选项
- * @param {string} text - 按钮文本
- * @returns {boolean}
+ * 获取购物清单中当前要处理的商品
+ * @param {Object} state - 扩展状态
+ * @returns {{url: string, productId: string}|null}
  */
-function isSizeOption(text) {
-  // 先排除"尺寸表"、"尺碼表"等非规格按钮
-  const excludePatterns = [
-    /尺寸表/,
-    /尺碼表/,
-    /尺码表/,
-    /Size Chart/i,
-    /Size Guide/i,
-    /測量/,
-    /测量/,
-    /參考/,
-    /参考/,
-    /說明/,
-    /说明/,
-    /幫助/,
-    /帮助/,
-    /Guide/i,
-    /Help/i
-  ];
-  
-  // 如果匹配排除模式，直接返回 false
-  if (excludePatterns.some(pattern => pattern.test(text))) {
-    return false;
+function getCurrentListItem(state) {
+  const list = state.shoppingList || [];
+  return list[state.listIndex || 0] || null;
+}
+
+/**
+ * 导航到购物清单中当前要处理的商品
+ * @param {Object} state - 扩展状态
+ * @param {AbortSignal} signal - 运行中止信号
+ */
+async function goToCurrentListItem(state, signal) {
+  const item = getCurrentListItem(state);
+  if (!item) {
+    await log('购物清单已处理完毕', 'success');
+    await sendMessage({ type: 'STOP', payload: { reason: '购物清单处理完毕' } });
+    return;
   }
-  
-  // 尺寸通常包含: XS, S, M, L, XL, XXL, 或者包含"公斤"、"kg"、"cm"等
-  const sizePatterns = [
-    // 标准尺码 (开头匹配)
-    /^(XXS|XS|S|M|L|XL|XXL|XXXL|2XL|3XL|4XL|5XL)/i,
-    // 数字尺码 (如 36, 38, 40, 165/88A)
-    /^\d{2,3}(\/\d+)?[A-Z]?$/i,
-    /^\d{2,3}码/,
-    /^\d{2,3}碼/,
-    // 包含体重/身高建议的尺寸 (如 "XS【建議35-40kg】")
-    /建議.*kg/i,
-    /建议.*kg/i,
-    /適合.*kg/i,
-    /适合.*kg/i,
-    /\d+-\d+kg/i,
-    /\d+-\d+公斤/,
-    // 单位关键词
-    /公斤/,
-    /kg/i,
-    /cm/i,
-    /公分/,
-    /厘米/,
-    // 尺寸相关词 - 但要排除"尺寸表"等
-    /^\d+尺$/,      // 如 "2尺"
-    /^\d+码$/,      // 如 "28码"
-    /^\d+碼$/,      // 如 "28碼"
-    /^\d+號$/,      // 如 "38號"
-    /^\d+号$/,      // 如 "38号"
-    /^\d+寸$/,      // 如 "29寸"
-    // 纯数字（如 36, 38, 40）- 但排除太大的数字
-    /^\d{1,3}$/,
-    // 数字范围（如 35-40）
-    /^\d+-\d+$/,
-    // 均码/FREE SIZE
-    /均码/,
-    /均碼/,
-    /FREE/i,
-    /ONE SIZE/i,
-  ];
-  
-  return sizePatterns.some(pattern => pattern.test(text));
+
+  await log(`前往清单商品 ${(state.listIndex || 0) + 1}/${state.shoppingList.length}: ${item.url}`, 'info');
+  signal.throwIfAborted();
+  window.location.href = item.url;
 }
 
 /**
- * 将混合的规格按钮分离为颜色组和尺寸组
- * @param {Element[]} buttons - 所有按钮
- * @returns {{colorButtons: Element[], sizeButtons: Element[]}}
+ * 根据加购数量得出清单商品的处理结果 - 没有加入任何商品时记为跳过并说明原因，不算成功
+ * @param {number} cartCount - 添加到购物车的数量
+ * @param {string[]} [unmatchedRules] - 未匹配的规格规则
+ * @returns {{status: 'done'|'skipped', error?: string}}
  */
-function separateColorAndSizeButtons(buttons) {
-  const colorButtons = [];
-  const sizeButtons = [];
-  
-  for (const btn of buttons) {
-    const text = btn.textContent?.trim() || '';
-    if (isSizeOption(text)) {
-      sizeButtons.push(btn);
-    } else {
-      colorButtons.push(btn);
-    }
+function listItemResult(cartCount, unmatchedRules = []) {
+  if (cartCount > 0) {
+    return { status: 'done' };
   }
-  
-  return { colorButtons, sizeButtons };
+  if (unmatchedRules.length > 0) {
+    return { status: 'skipped', error: `规格规则无法满足: ${unmatchedRules.join('; ')}` };
+  }
+  return { status: 'skipped', error: '没有加入任何商品' };
 }
 
 /**
- * 处理动态规格商品 - 选择第一层后检测第二层
- * 有些商品的第二层规格（如尺寸）只有在选择第一层（如颜色）后才会出现
- * 或者颜色和尺寸混在同一层，需要智能分离
- * @param {Array} firstLayer - 第一层规格
- * @param {number} maxCarts - 最大购物车数量
- * @param {number} alreadySelectedIdx - 已经选中的第一个选项索引（避免重复点击）
- * @returns {Promise<number>} 添加到购物车的数量
+ * 上报当前清单商品的处理结果，由 background 记录并切换到下一个商品
+ * @param {Object} result
+ * @param {number} result.cartCount - 添加到购物车的数量
+ * @param {'done'|'skipped'|'failed'} result.status - 处理结果
+ * @param {string} [result.error] - 失败或跳过的原因
+ * @param {string[]} [result.unmatchedRules] - 未匹配的规格规则
  */
-async function handleDynamicVariants(firstLayer, maxCarts, alreadySelectedIdx = 0) {
-  let cartCount = 0;
-  
-  await log('[动态规格] 检测到可能是动态规格商品，尝试智能分离颜色和尺寸...', 'info');
-  
-  // 尝试分离颜色和尺寸按钮
-  const { colorButtons, sizeButtons } = separateColorAndSizeButtons(firstLayer.buttons);
-  
-  await log(`[动态规格] 分析结果: ${colorButtons.length} 个颜色选项, ${sizeButtons.length} 个尺寸选项`, 'info');
-  
-  if (colorButtons.length > 0 && sizeButtons.length > 0) {
-    // 成功分离！颜色和尺寸混在一起，需要分别选择
-    await log('[动态规格] 颜色和尺寸混合在一层，开始分别选择...', 'info');
-    
-    // 记录当前选中的颜色索引
-    let currentColorIdx = -1;
-    
-    // 遍历颜色
-    for (let colorIdx = 0; colorIdx < colorButtons.length && cartCount < maxCarts; colorIdx++) {
-      const currentState = await getState();
-      if (!currentState.isRunning) break;
-      
-      const colorBtn = colorButtons[colorIdx];
-      const colorName = colorBtn.textContent?.trim() || `颜色${colorIdx + 1}`;
-      
-      // 当切换到新颜色时，强制点击
-      if (currentColorIdx !== colorIdx) {
-        await log(`[动态规格] 点击颜色: ${colorName}`, 'info');
-        await forceClickVariantButton(colorBtn);
-        await sleep(500);
-        currentColorIdx = colorIdx;
-      }
-      
-      // 遍历尺寸
-      for (let sizeIdx = 0; sizeIdx < sizeButtons.length && cartCount < maxCarts; sizeIdx++) {
-        const currentState2 = await getState();
-        if (!currentState2.isRunning) break;
-        
-        const sizeBtn = sizeButtons[sizeIdx];
-        const sizeName = sizeBtn.textContent?.trim() || `尺寸${sizeIdx + 1}`;
-        
-        await log(`[动态规格] 选择尺寸: ${sizeName}`, 'info');
-        await forceClickVariantButton(sizeBtn);
-        await sleep(500);
-        
-        // 尝试加入购物车
-        const success = await addToCart();
-        if (success) {
-          cartCount++;
-          await log(`✓ 已添加 "${colorName} + ${sizeName}" (${cartCount}/${maxCarts})`, 'success');
-        } else {
-          await log(`✗ 添加 "${colorName} + ${sizeName}" 失败`, 'warning');
-        }
-        
-        await sleep(CONFIG.OPERATION_DELAY);
-        
-        // 注意：不要在这里重新点击颜色！
-        // Shopee 的按钮是切换式的，重复点击会取消选中
-      }
-    }
-  } else {
-    // 无法分离，说明可能是动态规格：选择颜色后尺寸才会出现
-    await log('[动态规格] 无法分离颜色和尺寸，尝试动态检测第二层规格...', 'info');
-    
-    // 遍历所有选项（颜色）
-    // 注意：如果 alreadySelectedIdx >= 0，说明该选项已经被点击过了，不需要重新点击
-    for (let idx = 0; idx < firstLayer.buttons.length && cartCount < maxCarts; idx++) {
-      const currentState = await getState();
-      if (!currentState.isRunning) break;
-      
-      const btn = firstLayer.buttons[idx];
-      const btnName = btn.textContent?.trim() || `选项${idx + 1}`;
-      
-      // 如果是已经选中的选项，不需要重新点击（避免取消选中）
-      if (idx === alreadySelectedIdx) {
-        await log(`[动态规格] 选项 "${btnName}" 已选中，跳过点击`, 'info');
-      } else {
-        // 点击新的颜色选项
-        await log(`[动态规格] 点击颜色: ${btnName}`, 'info');
-        await forceClickVariantButton(btn);
-      }
-      await sleep(1000); // 等待页面更新，尺寸按钮可能需要时间加载
-      
-      // 重新检测规格层
-      const newLayers = await detectVariantLayers();
-      await log(`[动态规格] 选择颜色后检测到 ${newLayers.length} 层规格`, 'info');
-      
-      // 查找第二层规格（尺寸）
-      let secondLayer = null;
-      
-      if (newLayers.length > 1) {
-        // 找到与第一层不同的规格层
-        secondLayer = newLayers.find(layer => {
-          const firstLayerBtnTexts = firstLayer.buttons.map(b => b.textContent?.trim());
-          const layerBtnTexts = layer.buttons.map(b => b.textContent?.trim());
-          // 如果这一层的按钮文本与第一层不完全相同，就是第二层
-          return !layerBtnTexts.every(t => firstLayerBtnTexts.includes(t));
-        });
-      }
-      
-      // 如果没找到第二层，尝试直接在页面上查找尺寸按钮
-      if (!secondLayer) {
-        await log('[动态规格] 尝试直接查找页面上的尺寸按钮...', 'info');
-        const allButtons = document.querySelectorAll('button');
-        const sizeButtonsOnPage = [];
-        
-        for (const pageBtn of allButtons) {
-          if (pageBtn.disabled) continue;
-          const text = pageBtn.textContent?.trim() || '';
-          if (text.length === 0 || text.length > 50) continue;
-          
-          // 检查是否是尺寸按钮
-          if (isSizeOption(text)) {
-            // 排除已经在第一层的按钮
-            const isInFirstLayer = firstLayer.buttons.some(b => b === pageBtn);
-            if (!isInFirstLayer && isButtonClickable(pageBtn)) {
-              sizeButtonsOnPage.push(pageBtn);
-            }
-          }
-        }
-        
-        if (sizeButtonsOnPage.length > 0) {
-          await log(`[动态规格] 在页面上找到 ${sizeButtonsOnPage.length} 个尺寸按钮`, 'success');
-          secondLayer = { name: '尺寸', buttons: sizeButtonsOnPage };
-        }
-      }
-      
-      if (secondLayer && secondLayer.buttons.length > 0) {
-        // 找到了第二层规格！遍历所有尺寸
-        await log(`[动态规格] 发现第二层规格: ${secondLayer.buttons.length} 个选项`, 'success');
-        
-        for (let secondIdx = 0; secondIdx < secondLayer.buttons.length && cartCount < maxCarts; secondIdx++) {
-          const currentState2 = await getState();
-          if (!currentState2.isRunning) break;
-          
-          const secondBtn = secondLayer.buttons[secondIdx];
-          const secondName = secondBtn.textContent?.trim() || `选项${secondIdx + 1}`;
-          
-          // 检查按钮是否可点击
-          if (!isButtonClickable(secondBtn)) {
-            await log(`[动态规格] 尺寸 "${secondName}" 不可选，跳过`, 'warning');
-            continue;
-          }
-          
-          await log(`[动态规格] 点击尺寸: ${secondName}`, 'info');
-          await forceClickVariantButton(secondBtn);
-          await sleep(500);
-          
-          const success = await addToCart();
-          if (success) {
-            cartCount++;
-            await log(`✓ 已添加 "${btnName} + ${secondName}" (${cartCount}/${maxCarts})`, 'success');
-          } else {
-            await log(`✗ 添加 "${btnName} + ${secondName}" 失败`, 'warning');
-          }
-          
-          await sleep(CONFIG.OPERATION_DELAY);
-          
-          // 注意：不要在这里重新点击颜色！
-          // Shopee 的按钮是切换式的，重复点击会取消选中
-        }
-      } else {
-        // 还是没找到第二层，尝试直接加入购物车
-        await log(`[动态规格] 未找到第二层规格，尝试直接加入购物车`, 'info');
-        const success = await addToCart();
-        if (success) {
-          cartCount++;
-          await log(`✓ 已添加 "${btnName}" (${cartCount}/${maxCarts})`, 'success');
-        } else {
-          await log(`✗ 添加 "${btnName}" 失败，可能需要选择更多规格`, 'warning');
-        }
-        
-        await sleep(CONFIG.OPERATION_DELAY);
-      }
+async function finishListItem(result) {
+  await sendMessage({
+    type: 'LIST_ITEM_DONE',
+    payload: {
+      productId: extractProductId(window.location.href),
+      ...result
     }
-  }
-  
-  return cartCount;
+  });
 }
 
+// ============================================
+// 抢购监视模式
+// ============================================
+
+/** 抢购监视的兜底检查间隔 (ms) - 按钮区域整体重新渲染时 MutationObserver 可能观察不到 */
+const FLASH_WATCH_POLL_INTERVAL = 1000;
+
+// 当前页面是否已在监视，避免 SPA 导航事件重复启动
+let flashWatchActive = false;
+
 /**
- * 处理商品详情页 - 添加所有规格组合到购物车
- * 智能检测页面上的规格层，确保每层都选择后再加入购物车
- * 有规格时最多添加15个，无规格时最多添加3个
- * 失败不重试，直接跳到下一个组合
- * @returns {Promise<number>} 添加到购物车的数量
+ * 按规格规则选择要抢购的规格 - 每层选择第一个符合规则的选项
+ * 抢购开始前规格按钮可能显示为不可选，因此直接点击而不检查可点击状态
+ * @param {VariantRule[]} rules - 规格规则
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<string|null>} 选中的规格名称 (无规格时为空字符串)，规则无法满足时返回 null
  */
-async function addAllVariantsToCart() {
-  let cartCount = 0;
-  
-  // 重置上次选择的索引（新商品需要重新选择所有规格）
-  lastSelectedIndices = null;
-  
-  console.log('[Shopee Auto Cart] addAllVariantsToCart 开始执行');
-  
-  // 获取商品名称
-  const nameEl = document.querySelector(ProductSelectors.PRODUCT_NAME);
-  const productName = nameEl ? nameEl.textContent.trim().substring(0, 50) : '未知商品';
-  
-  await log(`处理商品: ${productName}`, 'info');
-  
-  // 等待页面完全加载 (使用配置的延迟时间)
-  await log(`等待页面加载 (${CONFIG.PAGE_LOAD_DELAY / 1000}秒)...`, 'info');
-  await sleep(CONFIG.PAGE_LOAD_DELAY);
-  
-  // 智能检测规格层
-  await log('开始检测商品规格...', 'info');
-  let layers = await detectVariantLayers();
-  
-  // 如果第一次没检测到，等待后再试一次
+async function selectWatchVariant(rules, signal) {
+  const layers = await detectVariantLayers({ includeUnavailable: true });
   if (layers.length === 0) {
-    await log('首次未检测到规格，等待后重试...', 'info');
-    await sleep(2000);
-    layers = await detectVariantLayers();
+    if (rules.length > 0) {
+      await reportUnmatchedRules(rules.map(rule => ({ rule, reason: '商品没有可选规格' })));
+      return null;
+    }
+    return '';
   }
-  
-  console.log('[Shopee Auto Cart] 最终检测到规格层数:', layers.length);
-  
-  // 根据是否有规格决定最大购物车数量
-  const hasVariantOptions = layers.length > 0;
-  const maxCarts = hasVariantOptions ? CONFIG.MAX_CARTS_WITH_VARIANTS : CONFIG.MAX_CARTS_NO_VARIANTS;
-  
-  if (layers.length === 0) {
-    // 检测不到规格，先尝试直接加入购物车
-    await log('未检测到规格选项，尝试直接加入购物车...', 'info');
-    
-    const firstTry = await addToCart();
-    
-    if (firstTry) {
-      // 成功，说明确实没有规格
-      cartCount++;
-      await log(`已添加商品到购物车 (${cartCount}/${maxCarts})`, 'success');
-      
-      // 继续添加
-      for (let i = 1; i < maxCarts; i++) {
-        // 检查是否已停止运行
-        const currentState = await getState();
-        if (!currentState.isRunning) {
-          await log('检测到停止信号，终止操作', 'warning');
-          break;
-        }
-        
-        await sleep(CONFIG.OPERATION_DELAY);
-        const success = await addToCart();
-        if (success) {
-          cartCount++;
-          await log(`已添加商品到购物车 (${cartCount}/${maxCarts})`, 'success');
-        }
+
+  const { layers: ruledLayers, unmatched } = applyVariantRules(layers, rules);
+  if (unmatched.length > 0) {
+    await reportUnmatchedRules(unmatched);
+    return null;
+  }
+
+  for (const layer of ruledLayers) {
+    await forceClickVariantButton(layer.buttons[0], signal);
+  }
+  return ruledLayers.map(layer => getVariantButtonText(layer.buttons[0])).join(' + ');
+}
+
+/**
+ * 等待加入购物车按钮变为可用
+ * 用 MutationObserver 观察按钮和价格区域的变化，定时检查作为兜底；到截止时间或运行被停止 (signal 中止) 时结束等待
+ * @param {number} stopAt - 截止时间戳
+ * @param {AbortSignal} signal - 运行中止信号
+ * @returns {Promise<'ready'|'timeout'|'stopped'>}
+ */
+function waitForAddToCartReady(stopAt, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) {
+      resolve('stopped');
+      return;
+    }
+    let settled = false;
+    let button = findAddToCartButton();
+    const observers = [];
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      observers.forEach(observer => observer.disconnect());
+      clearInterval(pollTimer);
+      clearTimeout(stopTimer);
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+    const onAbort = () => finish('stopped');
+
+    const check = () => {
+      // 按钮被重新渲染时重新查找
+      if (!button || !button.isConnected) {
+        button = findAddToCartButton();
       }
-    } else if (hasVariantSelectionError()) {
-      // 出现规格未选择错误，说明有规格但没检测到
-      await log('检测到需要选择规格，但未能自动识别规格选项', 'error');
-      await log('请检查页面结构或手动选择规格', 'warning');
-    } else {
-      await log('添加购物车失败', 'warning');
+      if (button && isButtonClickable(button)) {
+        finish('ready');
+      }
+    };
+
+    const pollTimer = setInterval(check, FLASH_WATCH_POLL_INTERVAL);
+    const stopTimer = setTimeout(() => finish('timeout'), Math.max(0, stopAt - Date.now()));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    // 观察按钮和价格所在区域 (开售时价格和按钮状态通常同时变化)
+    const targets = new Set();
+    const priceEl = [...document.querySelectorAll(ProductSelectors.PRODUCT_PRICE)]
+      .find(el => !el.closest('#shopee-auto-cart-container'));
+    for (const el of [button, priceEl]) {
+      if (el) targets.add(el.closest('section') || el.parentElement || el);
     }
-  } else {
-    // 有规格商品
-    await log(`检测到 ${layers.length} 层规格`, 'info');
-    for (const layer of layers) {
-      const buttonNames = layer.buttons.slice(0, 5).map(b => b.textContent?.trim().substring(0, 15)).join(', ');
-      await log(`  - ${layer.name}: ${layer.buttons.length} 个选项 [${buttonNames}${layer.buttons.length > 5 ? '...' : ''}]`, 'info');
+    if (targets.size === 0) {
+      targets.add(document.body);
     }
-    
-    // 先检查是否是颜色和尺寸混合的情况（1层规格但包含颜色和尺寸）
-    if (layers.length === 1) {
-      const { colorButtons, sizeButtons } = separateColorAndSizeButtons(layers[0].buttons);
-      await log(`[分析] 颜色选项: ${colorButtons.length} 个, 尺寸选项: ${sizeButtons.length} 个`, 'info');
-      
-      if (colorButtons.length > 0 && sizeButtons.length > 0) {
-        // 颜色和尺寸混合在一层！直接使用混合规格处理，不尝试单层逻辑
-        await log('[混合规格] 检测到颜色和尺寸混合，直接使用双层选择逻辑...', 'info');
-        cartCount = await handleMixedColorSizeVariants(colorButtons, sizeButtons, maxCarts);
-      } else if (sizeButtons.length === 0 && colorButtons.length > 0) {
-        // 只有颜色，没有尺寸，尝试单层逻辑
-        await log('[单层规格] 只检测到颜色选项，尝试单层逻辑...', 'info');
-        cartCount = await handleSingleLayerVariants(layers[0], maxCarts);
-      } else {
-        // 只有尺寸或其他选项，尝试单层逻辑
-        await log('[单层规格] 尝试单层逻辑...', 'info');
-        cartCount = await handleSingleLayerVariants(layers[0], maxCarts);
+    for (const target of targets) {
+      const observer = new MutationObserver(check);
+      observer.observe(target, { attributes: true, childList: true, subtree: true, characterData: true });
+      observers.push(observer);
+    }
+
+    check();
+  });
+}
+
+/**
+ * 上报抢购监视结果，由 background 结束运行并发送系统通知
+ * @param {'success'|'failed'|'timeout'} status - 监视结果
+ * @param {string} message - 结果说明
+ */
+async function finishFlashSaleWatch(status, message) {
+  await log(`[抢购] ${message}`, status === 'success' ? 'success' : 'warning');
+  await sendMessage({ type: 'WATCH_DONE', payload: { status, message } });
+}
+
+/**
+ * 处理抢购监视 - 先选好规格、设置数量并检查预算，加入购物车按钮可用时立即点击
+ * 开售后价格可能变化，花费按点击后显示的价格计入
+ * @param {AbortSignal} signal - 运行中止信号
+ */
+async function handleFlashSaleWatch(signal) {
+  if (flashWatchActive) return;
+  flashWatchActive = true;
+
+  try {
+    const state = await getState();
+    const { stopAt } = state.watch;
+
+    if (Date.now() >= stopAt) {
+      await finishFlashSaleWatch('timeout', '已过截止时间，未开始监视');
+      return;
+    }
+
+    unmatchedVariantRules = [];
+    const variantName = await selectWatchVariant(getActiveVariantRules(state), signal);
+    if (variantName === null) {
+      await finishFlashSaleWatch('failed', `规格规则无法满足: ${unmatchedVariantRules.join('; ')}`);
+      return;
+    }
+    if (variantName) {
+      await log(`[抢购] 已选择规格: ${variantName}`, 'info');
+    }
+
+    // 开售前库存可能显示为 0，此时按页面默认数量加购
+    const quantity = await setQuantity(getDesiredQuantity(state, 1), signal) || 1;
+    const budgetReason = checkBudget(readSelectedVariantPrice(), state.budget, quantity);
+    if (budgetReason) {
+      await recordCartAttempt({ variant: variantName, success: false, reason: budgetReason, quantity, price: readSelectedVariantPrice() });
+      await finishFlashSaleWatch('failed', `超出预算: ${budgetReason}`);
+      return;
+    }
+
+    let button = findAddToCartButton();
+    if (!button || !isButtonClickable(button)) {
+      await log(`[抢购] 等待加入购物车按钮可用，截止时间: ${new Date(stopAt).toLocaleString('zh-CN')}`, 'info');
+      const result = await waitForAddToCartReady(stopAt, signal);
+      if (result === 'stopped') signal.throwIfAborted();
+      if (result === 'timeout') {
+        await finishFlashSaleWatch('timeout', '到截止时间按钮仍不可用');
+        return;
       }
-    } else {
-      // 多层规格商品 - 直接使用多层逻辑
-      await log('[多层规格] 使用多层规格组合逻辑...', 'info');
-      cartCount = await handleMultiLayerVariants(layers, maxCarts);
+      button = findAddToCartButton();
+    }
+
+    const failure = await clickAddToCartButton(button);
+    const price = readSelectedVariantPrice();
+    if (failure) {
+      await recordCartAttempt({ variant: variantName, success: false, reason: failure, quantity, price });
+      await finishFlashSaleWatch('failed', `按钮可用后加入购物车失败: ${failure}`);
+      return;
     }
+    await recordCartSuccess({ variant: variantName, quantity, price });
+    await updateState({ cartCount: quantity });
+    await finishFlashSaleWatch('success', `已加入购物车 ${quantity} 件${variantName ? ` (${variantName})` : ''}`);
+  } catch (error) {
+    if (signal.aborted) throw signal.reason;
+    await finishFlashSaleWatch('failed', `抢购监视异常: ${error.message}`);
+  } finally {
+    flashWatchActive = false;
   }
-  
-  await log(`商品处理完成，共添加 ${cartCount} 个到购物车`, 'success');
-  return cartCount;
 }
 
+// ============================================
+// 到货提醒
+// ============================================
+
 /**
- * 处理单层规格商品
- * @param {Object} layer - 规格层对象
- * @param {number} maxCarts - 最大购物车数量
- * @returns {Promise<number>} 添加到购物车的数量
+ * 解析到货检查间隔 - 留空或无效时不传，由 background 使用默认间隔
+ * @param {string} text - 输入框内容 (分钟)
+ * @returns {number|undefined}
  */
-async function handleSingleLayerVariants(layer, maxCarts) {
-  let cartCount = 0;
-  
-  for (let i = 0; i < layer.buttons.length && cartCount < maxCarts; i++) {
-    const currentState = await getState();
-    if (!currentState.isRunning) break;
-    
-    const btn = layer.buttons[i];
-    const btnName = btn.textContent?.trim() || `选项${i + 1}`;
-    
-    if (!isButtonClickable(btn)) {
-      await log(`选项 "${btnName}" 不可选，跳过`, 'warning');
-      continue;
+function parseRestockInterval(text) {
+  const minutes = parseInt(text, 10);
+  if (isNaN(minutes) || minutes <= 0) {
+    return undefined;
+  }
+  return minutes;
+}
+
+/**
+ * 检查指定规格是否有货 - 逐层选择第一个可选的符合规则的选项
+ * 前一层的选择会改变后一层选项的库存状态，因此每层在点击前一层之后才判断
+ * @param {VariantRule[]} rules - 要等待的规格
+ * @returns {Promise<{available: boolean, variantName: string, error?: string}>}
+ */
+async function checkRestockAvailability(rules) {
+  const layers = await detectVariantLayers({ includeUnavailable: true });
+  if (layers.length === 0 && rules.length > 0) {
+    return { available: false, variantName: '', error: '商品没有可选规格' };
+  }
+
+  const { layers: ruledLayers, unmatched } = applyVariantRules(layers, rules);
+  if (unmatched.length > 0) {
+    return {
+      available: false,
+      variantName: '',
+      error: unmatched.map(({ rule, reason }) => `${rule.raw}: ${reason}`).join('; ')
+    };
+  }
+
+  const names = [];
+  for (const layer of ruledLayers) {
+    const btn = layer.buttons.find(isButtonClickable);
+    if (!btn) {
+      await log(`[到货提醒] 规格 "${layer.name}" 暂无可选的选项`, 'info');
+      return { available: false, variantName: names.join(' + ') };
     }
-    
-    await log(`点击: ${btnName}`, 'info');
     await forceClickVariantButton(btn);
-    await sleep(500);
-    
-    const success = await addToCart();
-    if (success) {
-      cartCount++;
-      await log(`✓ 已添加 "${btnName}" (${cartCount}/${maxCarts})`, 'success');
-    } else if (hasVariantSelectionError()) {
-      // 单层逻辑失败，可能需要动态规格处理
-      // 注意：当前选项已经被点击了，传递当前索引给 handleDynamicVariants
-      // 让它从当前选项开始处理，而不是重新点击
-      await log(`[动态规格] 检测到需要更多规格，尝试动态处理...`, 'warning');
-      cartCount = await handleDynamicVariants(layer, maxCarts, i);
-      break; // 切换到动态规格处理后退出循环
-    } else {
-      await log(`✗ 添加 "${btnName}" 失败`, 'warning');
-    }
-    
-    await sleep(CONFIG.OPERATION_DELAY);
+    names.push(getVariantButtonText(btn));
   }
-  
-  return cartCount;
+
+  const addBtn = findAddToCartButton();
+  const quantityInput = findQuantityInput();
+  const stock = quantityInput ? readQuantityLimits(quantityInput).stock : null;
+  const available = !!addBtn && isButtonClickable(addBtn) && stock !== 0;
+  return { available, variantName: names.join(' + ') };
 }
 
 /**
- * 处理颜色和尺寸混合的规格
- * 关键修复 v19: 不要重复点击已选中的颜色，否则会取消选中
- * @param {Element[]} colorButtons - 颜色按钮数组
- * @param {Element[]} sizeButtons - 尺寸按钮数组
- * @param {number} maxCarts - 最大购物车数量
- * @returns {Promise<number>} 添加到购物车的数量
+ * 到货后自动加入购物车 - 检查标签页不属于任何运行，不读取运行状态和预算，也不记入运行记录和花费
+ * @param {Object} watch - 到货提醒 (background 的 RestockWatch)
+ * @returns {Promise<boolean>} 是否已加入购物车
  */
-async function handleMixedColorSizeVariants(colorButtons, sizeButtons, maxCarts) {
-  let cartCount = 0;
-  
-  // 记录当前选中的颜色索引
-  let currentSelectedColorIdx = -1;
-  
-  // 遍历颜色
-  for (let colorIdx = 0; colorIdx < colorButtons.length && cartCount < maxCarts; colorIdx++) {
-    const currentState = await getState();
-    if (!currentState.isRunning) break;
-    
-    const colorBtn = colorButtons[colorIdx];
-    const colorName = colorBtn.textContent?.trim() || `颜色${colorIdx + 1}`;
-    
-    // 只有切换到新颜色时才点击（避免重复点击导致取消选中）
-    if (currentSelectedColorIdx !== colorIdx) {
-      await log(`[混合规格] 选择颜色: ${colorName}`, 'info');
-      await forceClickVariantButton(colorBtn);
-      await sleep(600);
-      currentSelectedColorIdx = colorIdx;
-    }
-    
-    // 遍历尺寸
-    for (let sizeIdx = 0; sizeIdx < sizeButtons.length && cartCount < maxCarts; sizeIdx++) {
-      const currentState2 = await getState();
-      if (!currentState2.isRunning) break;
-      
-      const sizeBtn = sizeButtons[sizeIdx];
-      const sizeName = sizeBtn.textContent?.trim() || `尺寸${sizeIdx + 1}`;
-      
-      // 检查尺寸按钮是否可点击
-      if (!isButtonClickable(sizeBtn)) {
-        await log(`[混合规格] 尺寸 "${sizeName}" 不可选，跳过`, 'warning');
-        continue;
-      }
-      
-      // 点击尺寸按钮（尺寸每次都需要点击，因为要切换不同尺寸）
-      await log(`[混合规格] 选择尺寸: ${sizeName}`, 'info');
-      await forceClickVariantButton(sizeBtn);
-      await sleep(500);
-      
-      // 尝试加入购物车
-      const success = await addToCart();
-      if (success) {
-        cartCount++;
-        await log(`✓ 已添加 "${colorName} + ${sizeName}" (${cartCount}/${maxCarts})`, 'success');
-      } else {
-        await log(`✗ 添加 "${colorName} + ${sizeName}" 失败`, 'warning');
-      }
-      
-      await sleep(CONFIG.OPERATION_DELAY);
-      
-      // 注意：不要在这里重新点击颜色！
-      // Shopee 的按钮是切换式的，重复点击会取消选中
-      // 颜色在同一个循环内应该保持选中状态
+async function addRestockToCart(watch) {
+  const addBtn = findAddToCartButton();
+  if (!addBtn || !isButtonClickable(addBtn)) {
+    await log('[到货提醒] 加入购物车按钮不可用', 'warning');
+    return false;
+  }
+
+  const quantity = await setQuantity(watch.quantity || 1);
+  if (quantity === 0) {
+    await log('[到货提醒] 当前规格无库存', 'warning');
+    return false;
+  }
+
+  const failure = await clickAddToCartButton(addBtn);
+  if (failure) {
+    await log(`[到货提醒] 加入购物车失败: ${failure}`, 'warning');
+    return false;
+  }
+  await log(`[到货提醒] 已加入购物车 ${quantity} 件`, 'success');
+  return true;
+}
+
+/**
+ * 处理到货检查标签页 - 检查规格库存，需要时加入购物车，然后上报结果由 background 关闭标签页
+ * @param {Object} watch - 到货提醒 (background 的 RestockWatch)
+ */
+async function handleRestockCheck(watch) {
+  let result;
+  try {
+    await log(`[到货提醒] 检查商品 ${watch.productId} ${watch.variantLabel || ''}`, 'info');
+    result = await checkRestockAvailability(watch.variantRules || []);
+
+    if (result.available && watch.autoAddToCart) {
+      result.added = await addRestockToCart(watch);
     }
+  } catch (error) {
+    result = { available: false, variantName: '', error: error.message };
   }
-  
-  return cartCount;
+
+  if (result.error) {
+    await log(`[到货提醒] 检查失败: ${result.error}`, 'warning');
+  } else {
+    await log(`[到货提醒] ${result.available ? '已到货' : '仍无库存'}${result.variantName ? `: ${result.variantName}` : ''}`, result.available ? 'success' : 'info');
+  }
+  await sendMessage({ type: 'RESTOCK_RESULT', payload: result });
+}
+
+// ============================================
+// 降价提醒
+// ============================================
+
+/** 每次检查最多读取的规格组合数 */
+const MAX_PRICE_CHECK_VARIANTS = 20;
+
+/**
+ * 汇总各规格价格
+ * @param {Object<string, number>} prices - 规格名称 -> 价格
+ * @returns {{min: number, max: number, count: number}|null} 没有价格时返回 null
+ */
+function summarizeVariantPrices(prices) {
+  const values = Object.values(prices || {}).filter(value => typeof value === 'number' && !isNaN(value));
+  if (values.length === 0) return null;
+  return { min: Math.min(...values), max: Math.max(...values), count: values.length };
 }
 
 /**
- * 处理多层规格商品
- * @param {Array} layers - 规格层数组
- * @param {number} maxCarts - 最大购物车数量
- * @returns {Promise<number>} 添加到购物车的数量
+ * 读取各规格的价格 - 依次选择规格组合并读取选中后显示的单价
+ * 只重新点击索引变化的层，组合过多时只读取前 MAX_PRICE_CHECK_VARIANTS 个
+ * @returns {Promise<Object<string, number>>} 规格名称 -> 价格
  */
-async function handleMultiLayerVariants(layers, maxCarts) {
-  let cartCount = 0;
-  
-  // 生成所有规格组合的索引
-  const totalCombinations = layers.reduce((acc, layer) => acc * layer.buttons.length, 1);
-  await log(`共 ${totalCombinations} 种规格组合，最多添加 ${maxCarts} 个`, 'info');
-  
-  // 使用迭代方式遍历所有组合
+async function readVariantPrices() {
+  const layers = await detectVariantLayers();
+  const prices = {};
+
+  if (layers.length === 0) {
+    const price = readDisplayedPrice();
+    if (price) prices['默认'] = price.min;
+    return prices;
+  }
+
   const indices = new Array(layers.length).fill(0);
-  let combinationIndex = 0;
-  
-  while (cartCount < maxCarts) {
-    // 检查是否已停止运行
-    const currentState = await getState();
-    if (!currentState.isRunning) {
-      await log('检测到停止信号，终止操作', 'warning');
-      break;
+  let previous = null;
+
+  for (let count = 0; count < MAX_PRICE_CHECK_VARIANTS; count++) {
+    for (let i = 0; i < layers.length; i++) {
+      if (!previous || previous[i] !== indices[i]) {
+        await forceClickVariantButton(layers[i].buttons[indices[i]]);
+      }
     }
-    
-    combinationIndex++;
-    
-    // 获取当前组合的名称
-    const combinationName = getVariantCombinationName(layers, indices);
-    await log(`[${combinationIndex}/${totalCombinations}] 选择: ${combinationName}`, 'info');
-    
-    // 选择所有规格层并尝试添加到购物车
-    const success = await selectAllLayersAndAddToCart(layers, indices);
-    
-    if (success) {
-      cartCount++;
-      await log(`✓ 已添加 "${combinationName}" (${cartCount}/${maxCarts})`, 'success');
-    } else {
-      await log(`✗ 添加 "${combinationName}" 失败，跳过`, 'warning');
+    previous = [...indices];
+
+    const price = readSelectedVariantPrice();
+    if (price != null) {
+      prices[getVariantCombinationName(layers, indices)] = price;
     }
-    
-    await sleep(CONFIG.OPERATION_DELAY);
-    
+
     // 移动到下一个组合
     let carry = true;
     for (let i = layers.length - 1; i >= 0 && carry; i--) {
@@ -2664,158 +6331,463 @@ async function handleMultiLayerVariants(layers, maxCarts) {
         carry = false;
       }
     }
-    
-    // 如果所有组合都已遍历完成
-    if (carry) {
-      await log('所有规格组合已处理完成', 'info');
-      break;
-    }
+    if (carry) break;
   }
-  
-  return cartCount;
+
+  return prices;
 }
 
+/**
+ * 处理降价检查标签页 - 读取各规格价格后上报，由 background 记录并关闭标签页
+ * @param {Object} watch - 降价关注 (background 的 PriceWatch)
+ */
+async function handlePriceCheck(watch) {
+  let result;
+  try {
+    await log(`[降价提醒] 检查商品 ${watch.title || watch.productId}`, 'info');
+    const prices = await readVariantPrices();
+    result = { prices, title: readPageText(ProductSelectors.PRODUCT_NAME).substring(0, 100) };
+
+    const summary = summarizeVariantPrices(prices);
+    if (summary) {
+      await log(`[降价提醒] ${summary.count} 个规格，最低 ${summary.min}，目标 ${watch.targetPrice}`, summary.min <= watch.targetPrice ? 'success' : 'info');
+    } else {
+      result.error = '未读取到价格';
+      await log('[降价提醒] 未读取到价格', 'warning');
+    }
+  } catch (error) {
+    result = { prices: {}, error: error.message };
+    await log(`[降价提醒] 检查失败: ${error.message}`, 'warning');
+  }
+  await sendMessage({ type: 'PRICE_RESULT', payload: result });
+}
 
+// ============================================
+// 运行记录
+// ============================================
 
 /**
- * 处理商品详情页
- * 处理完成后直接返回搜索页继续下一个商品
+ * 上报一次加入购物车尝试，由 background 记入当前运行的记录
+ * @param {Object} attempt
+ * @param {string} attempt.variant - 规格组合名称 (无规格时为空)
+ * @param {boolean} attempt.success - 是否成功
+ * @param {string} attempt.reason - 失败原因
+ * @param {number|null} attempt.quantity - 加购数量
+ * @param {number|null} attempt.price - 单价
  */
-async function handleProductPage() {
-  const state = await getState();
+async function recordCartAttempt(attempt) {
+  try {
+    await sendMessage({
+      type: 'RECORD_ATTEMPT',
+      payload: {
+        productId: extractProductId(window.location.href),
+        url: `${window.location.origin}${window.location.pathname}`,
+        title: readPageText(ProductSelectors.PRODUCT_NAME).substring(0, 100),
+        ...attempt
+      }
+    });
+  } catch (error) {
+    console.error('[Shopee Auto Cart] 记录加购结果失败:', error);
+  }
+}
 
-  console.log('[Shopee Auto Cart] handleProductPage 被调用, state:', state);
+/**
+ * 上报访问的商品 (处理失败时附带原因)，由 background 记入当前运行的记录
+ * @param {string} [error] - 处理商品失败的原因
+ */
+async function recordProductVisit(error) {
+  try {
+    await sendMessage({
+      type: 'RECORD_VISIT',
+      payload: {
+        productId: extractProductId(window.location.href),
+        url: `${window.location.origin}${window.location.pathname}`,
+        title: readPageText(ProductSelectors.PRODUCT_NAME).substring(0, 100),
+        error: error || null
+      }
+    });
+  } catch (e) {
+    console.error('[Shopee Auto Cart] 记录商品访问失败:', e);
+  }
+}
 
-  if (!state.isRunning) {
-    console.log('[Shopee Auto Cart] 扩展未运行，跳过处理');
-    return;
+/**
+ * 转义 CSV 字段 - 包含逗号、引号或换行时加引号
+ * 以 = + - @ 制表符或回车开头的文本 (商品名称、规格等来自网页) 前加 ' ，避免表格软件当作公式执行
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
   }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  await log('正在商品详情页，开始处理...', 'info');
+/** 运行记录 CSV 列名 */
+const RUN_HISTORY_CSV_COLUMNS = [
+  'run_id', 'started_at', 'stopped_at', 'mode', 'target', 'stop_reason',
+  'product_id', 'product_url', 'product_title', 'variant', 'success', 'reason', 'quantity', 'price'
+];
 
-  try {
-    // 等待页面加载
-    await log(`等待页面加载 (${CONFIG.PAGE_LOAD_DELAY / 1000}秒)...`, 'info');
-    await sleep(CONFIG.PAGE_LOAD_DELAY);
+/**
+ * 将运行记录导出为 CSV - 每次加购尝试一行，没有尝试的商品单独占一行
+ * @param {Object[]} runs - 运行记录 (background 的 RunRecord)
+ * @returns {string}
+ */
+function runHistoryToCsv(runs) {
+  const rows = [RUN_HISTORY_CSV_COLUMNS];
+  const time = (value) => value ? new Date(value).toISOString() : '';
 
-    // 检查页面是否正确加载
-    const pageContent = document.body.innerText;
-    if (pageContent.length < 100) {
-      await log('页面内容过少，额外等待2秒...', 'warning');
-      await sleep(2000);
+  for (const run of runs || []) {
+    const runFields = [run.sessionId, time(run.startedAt), time(run.stoppedAt), run.mode, run.target, run.stopReason || ''];
+    for (const product of run.products || []) {
+      const productFields = [product.productId, product.url, product.title];
+      if (!product.attempts?.length) {
+        rows.push([...runFields, ...productFields, '', '', product.error || '', '', '']);
+        continue;
+      }
+      for (const attempt of product.attempts) {
+        rows.push([...runFields, ...productFields, attempt.variant, attempt.success ? 'yes' : 'no', attempt.reason, attempt.quantity ?? '', attempt.price ?? '']);
+      }
     }
+  }
 
-    // 添加所有规格到购物车
-    const cartCount = await addAllVariantsToCart();
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
 
-    // 更新状态
-    await updateState({ cartCount });
+/** 搜索排序的显示名称 (与面板的搜索排序选项一致) */
+const SEARCH_SORT_LABELS = {
+  [SearchSortBy.RELEVANCY]: '综合排序',
+  [SearchSortBy.LATEST]: '最新',
+  [SearchSortBy.SALES]: '最热销'
+};
 
-    await log(`商品处理完成，添加了 ${cartCount} 个到购物车`, 'success');
+/**
+ * 生成运行报告中的搜索条件 - 排序、价格区间和最多翻页数
+ * @param {SearchSpec} spec - 搜索条件
+ * @param {number|null} maxPages - 最多翻页数
+ * @returns {string}
+ */
+function describeSearchSpec(spec, maxPages) {
+  const { sortBy, order, priceMin, priceMax } = normalizeSearchSpec(spec);
+  const parts = [
+    sortBy === SearchSortBy.PRICE ? `价格: ${order === 'asc' ? '低 → 高' : '高 → 低'}` : SEARCH_SORT_LABELS[sortBy] || sortBy
+  ];
+  if (priceMin != null || priceMax != null) {
+    parts.push(`价格区间 ${priceMin ?? ''}-${priceMax ?? ''}`);
+  }
+  if (maxPages) {
+    parts.push(`最多 ${maxPages} 页`);
+  }
+  return parts.join('，');
+}
 
-    // 等待操作完成
-    await sleep(1000);
+/**
+ * 生成运行报告中的筛选条件 (价格区间已在搜索条件中)
+ * @param {Object|null} filter - 搜索结果筛选条件
+ * @returns {string}
+ */
+function describeSearchFilter(filter) {
+  const parts = [];
+  if (filter?.minRating != null) parts.push(`最低评分 ${filter.minRating}`);
+  if (filter?.minSold != null) parts.push(`最少已售 ${filter.minSold}`);
+  if (filter?.locations?.length) parts.push(`店铺所在地 ${filter.locations.join(', ')}`);
+  if (filter?.mallOnly) parts.push('只选商城');
+  if (filter?.preferredOnly) parts.push('只选优选卖家');
+  return parts.join('，') || '无';
+}
 
-    // 返回搜索页继续处理下一个商品
-    await returnToSearch();
+/**
+ * 生成运行报告中的购物清单商品
+ * @param {{url: string, quantity: number|null, variantRules: VariantRule[]}} item - 清单商品
+ * @returns {string}
+ */
+function describeShoppingListItem(item) {
+  const rules = (item.variantRules || []).map(rule => rule.raw).join('; ');
+  return `${item.url}${item.quantity ? ` ×${item.quantity}` : ''}${rules ? ` (规格: ${rules})` : ''}`;
+}
 
-  } catch (error) {
-    await log(`处理商品详情页失败: ${error.message}`, 'error');
-    // 出错后也要等待一下再返回
-    await sleep(2000);
-    await returnToSearch();
+/**
+ * 生成运行报告的汇总项 (用于面板显示)
+ * 旧版本的记录没有搜索条件和购物清单，这些项不显示
+ * @param {Object} run - 运行记录 (background 的 RunRecord)
+ * @returns {Array<[string, string]>}
+ */
+function describeRunRecord(run) {
+  const time = (value) => value ? new Date(value).toLocaleString('zh-CN') : '运行中';
+  const modeNames = { [RunMode.SEARCH]: '随机搜索', [RunMode.LIST]: '购物清单', [RunMode.WATCH]: '抢购监视' };
+  const totals = run.totals || {};
+  const runSettings = [];
+  if (run.searchSpec) {
+    runSettings.push(['搜索条件', describeSearchSpec(run.searchSpec, run.maxPages)]);
+    runSettings.push(['筛选条件', describeSearchFilter(run.searchFilter)]);
   }
-}
+  if (run.selection) {
+    runSettings.push(['选择策略', describeSelection(run.selection)]);
+  }
+  (run.shoppingList || []).forEach((item, index) => {
+    runSettings.push([`清单 ${index + 1}`, describeShoppingListItem(item)]);
+  });
 
+  return [
+    ['开始', time(run.startedAt)],
+    ['结束', time(run.stoppedAt)],
+    ['模式', modeNames[run.mode] || run.mode],
+    ['目标', run.target || '-'],
+    ...runSettings,
+    ['结束原因', run.stopReason || '-'],
+    ['商品', String(totals.products ?? 0)],
+    ['加购尝试', `${totals.attempts ?? 0} (成功 ${totals.succeeded ?? 0} / 失败 ${totals.failed ?? 0})`],
+    ['加购件数', String(totals.cartCount ?? 0)],
+    ['花费', String(totals.spent ?? 0)]
+  ];
+}
 
+// ============================================
+// 运行流程
+// ============================================
 
+/**
+ * 运行流程步骤 (与 background 的 WorkflowStep 一致)
+ * 步骤由 background 保存并校验转换，页面刷新或 SPA 导航后按保存的步骤继续
+ */
+const WorkflowStep = {
+  SEARCHING: 'searching',
+  SELECTING: 'selecting',
+  OPENING_PRODUCT: 'opening_product',
+  SELECTING_VARIANTS: 'selecting_variants',
+  ADDING: 'adding',
+  RETURNING: 'returning'
+};
 
-// 记录上次更换搜索词的时间
-let lastKeywordChangeTime = 0;
+// 本页面最近一次确认的流程步骤 (抢购监视、到货/降价检查时为 null，不发送转换)
+let workflowStep = null;
 
 /**
- * 检查是否需要更换搜索词（每2分钟更换一次）
- * @returns {boolean}
+ * 进入下一个流程步骤 - background 拒绝时 (如同一页面的重复处理已先一步进入该步骤) 记录原因并返回 false，
+ * 调用方应停止当前处理
+ * @param {string} step - 目标步骤 (WorkflowStep)
+ * @param {{productId?: string|null, url?: string|null}} [target] - 步骤对应的商品
+ * @param {AbortSignal} [signal] - 运行中止信号，已中止时不再转换
+ * @returns {Promise<boolean>} 是否已进入该步骤
  */
-function shouldChangeKeyword() {
-  const now = Date.now();
-  const elapsed = now - lastKeywordChangeTime;
-  return elapsed >= CONFIG.KEYWORD_CHANGE_INTERVAL;
+async function transitionTo(step, target = {}, signal) {
+  signal?.throwIfAborted();
+  let result;
+  try {
+    result = await request('WORKFLOW_TRANSITION', { step, ...target });
+  } catch (error) {
+    await log(`[流程] 无法进入 ${step}: ${error.message}`, 'error');
+    return false;
+  }
+  
+  if (!result.accepted) {
+    console.warn('[Shopee Auto Cart] 流程转换被拒绝:', result.reason, result.workflow);
+    await log(`[流程] ${result.reason}，停止本次处理`, 'warning');
+    return false;
+  }
+  
+  workflowStep = step;
+  return true;
 }
 
 /**
- * 返回搜索结果页
- * @param {boolean} forceKeepKeyword - 是否强制保持当前关键词（不切换）
- * Requirements: 7.4 - 导航超时时记录错误并尝试返回搜索结果
+ * 按保存的流程步骤继续运行 - 页面类型只决定这一步能否在当前页面执行，不决定下一步做什么
+ * 旧版本开始的运行没有流程步骤，按运行开始时的步骤处理
+ * @param {Object} state - 运行状态
+ * @param {string} pageType - 当前页面类型
+ * @param {AbortSignal} signal - 运行中止信号
  */
-async function returnToSearch(forceKeepKeyword = true) {
-  const state = await getState();
-  let keyword = state.keyword;
-  
-  // 只有在不强制保持关键词且时间到了才更换搜索词
-  if (!forceKeepKeyword && shouldChangeKeyword()) {
-    // 随机选择一个新的搜索词（排除当前关键词，增加多样性）
-    let newKeyword = getRandomKeyword();
-    let attempts = 0;
-    while (newKeyword === state.keyword && attempts < 5) {
-      newKeyword = getRandomKeyword();
-      attempts++;
-    }
-    
-    await log(`[4分钟] 更换搜索词: "${state.keyword}" → "${newKeyword}"`, 'info');
-    
-    // 更新状态中的关键词和时间
-    keyword = newKeyword;
-    await updateState({ keyword: newKeyword });
-    lastKeywordChangeTime = Date.now();
-  } else {
-    // 保持当前关键词，继续在同一搜索结果页面选择其他商品
-    await log(`返回搜索页，继续搜索: ${keyword}`, 'info');
+async function resumeWorkflow(state, pageType, signal) {
+  const workflow = state.workflow || {
+    step: state.mode === RunMode.LIST ? WorkflowStep.OPENING_PRODUCT : WorkflowStep.SEARCHING,
+    productId: null,
+    url: null
+  };
+  workflowStep = workflow.step;
+  const productId = pageType === PageType.PRODUCT ? extractProductId(window.location.href) : null;
+  
+  switch (workflow.step) {
+    case WorkflowStep.SEARCHING:
+    case WorkflowStep.SELECTING:
+      if (pageType === PageType.SEARCH) {
+        await handleSearchPage(signal);
+      } else if (await transitionTo(WorkflowStep.SEARCHING, {}, signal)) {
+        await log('[流程] 当前不在搜索页，返回搜索页继续挑选商品', 'info');
+        await returnToSearch(true, signal);
+      }
+      break;
+      
+    case WorkflowStep.OPENING_PRODUCT:
+      if (pageType === PageType.PRODUCT) {
+        if (workflow.productId && productId !== workflow.productId) {
+          await log(`[流程] 打开的商品 (${productId}) 与选定的商品 (${workflow.productId}) 不一致，按当前商品处理`, 'warning');
+        }
+        await handleProductPage(signal);
+      } else if (state.mode === RunMode.LIST) {
+        await goToCurrentListItem(state, signal);
+      } else if (workflow.url) {
+        await log('[流程] 继续打开选定的商品', 'info');
+        signal.throwIfAborted();
+        window.location.href = workflow.url;
+      } else if (await transitionTo(WorkflowStep.RETURNING, {}, signal)) {
+        await returnToSearch(true, signal);
+      }
+      break;
+      
+    case WorkflowStep.SELECTING_VARIANTS:
+    case WorkflowStep.ADDING:
+      if (pageType === PageType.PRODUCT && (!workflow.productId || productId === workflow.productId)) {
+        await handleProductPage(signal);
+      } else if (workflow.url) {
+        await log('[流程] 商品规格尚未处理完，回到商品页继续', 'info');
+        signal.throwIfAborted();
+        window.location.href = workflow.url;
+      } else if (await transitionTo(WorkflowStep.RETURNING, {}, signal)) {
+        await returnToSearch(true, signal);
+      }
+      break;
+      
+    case WorkflowStep.RETURNING:
+      if (state.mode === RunMode.LIST) {
+        const item = getCurrentListItem(state);
+        if (!item || await transitionTo(WorkflowStep.OPENING_PRODUCT, { productId: item.productId, url: item.url }, signal)) {
+          await goToCurrentListItem(state, signal);
+        }
+      } else if (pageType === PageType.SEARCH) {
+        await handleSearchPage(signal);
+      } else {
+        await returnToSearch(false, signal);
+      }
+      break;
   }
-  
-  const searchUrl = buildSearchUrl(keyword);
-  
-  try {
-    // 设置导航超时检测
-    const navigationTimeout = setTimeout(async () => {
-      await log('导航超时，正在重试...', 'warning');
-    }, CONFIG.NAVIGATION_TIMEOUT || 30000);
-    
-    window.location.href = searchUrl;
-    clearTimeout(navigationTimeout);
-  } catch (error) {
-    await log(`导航失败: ${error.message}`, 'error');
+}
+
+// ============================================
+// 页面处理互斥
+// ============================================
+
+/**
+ * 页面处理被取代 - URL 变化后旧的处理在正在进行的等待或下一次点击、加购、流程转换前中止
+ */
+class HandlerSupersededError extends Error {
+  /**
+   * @param {string} url - 取代它的处理所在的页面
+   */
+  constructor(url) {
+    super(`页面已切换到 ${url}，中止旧页面的处理`);
+    this.name = 'HandlerSupersededError';
   }
 }
 
 /**
- * 安全导航到指定 URL (带超时和重试)
- * Requirements: 7.4 - 导航超时处理
- * @param {string} url - 目标 URL
- * @param {string} description - 导航描述（用于日志）
- * @returns {Promise<boolean>}
+ * 运行被停止或暂停 - background 发送 RUN_ABORT 后正在进行的等待立即以此拒绝
  */
-async function safeNavigate(url, description = '页面') {
-  try {
-    await log(`正在导航到${description}...`, 'info');
-    window.location.href = url;
-    return true;
-  } catch (error) {
-    await log(`导航到${description}失败: ${error.message}`, 'error');
-    return false;
+class RunAbortedError extends Error {
+  /**
+   * @param {string} reason - 中止原因
+   * @param {boolean} paused - 是否为暂停 (断点保留，继续时从断点开始)
+   */
+  constructor(reason, paused) {
+    super(paused ? '运行已暂停，停在断点处' : `运行已结束 (${reason})，中止当前操作`);
+    this.name = 'RunAbortedError';
+    this.paused = paused;
   }
 }
 
+/**
+ * @typedef {Object} PageHandlerRun
+ * @property {number} id - 序号
+ * @property {string} url - 开始处理时的页面
+ * @property {string} trigger - 触发来源 (init / url-change / popstate / hashchange)
+ * @property {AbortController} controller - 被取代或运行被停止、暂停时中止，signal 传给处理中的每一步
+ * @property {Promise<void>} done - 处理结束 (包括被中止后退出)
+ */
+
+/** @type {PageHandlerRun|null} 最近一次请求的页面处理 (可能还在等待上一个处理退出) */
+let activePageHandler = null;
+
+/** @type {PageHandlerRun|null} 正在执行的页面处理 - 同一时刻最多一个 */
+let runningPageHandler = null;
+
+let pageHandlerSequence = 0;
+
+/**
+ * 收到 background 的 RUN_ABORT 后中止页面处理 (包括正在等待上一个处理退出的)
+ * 正在进行的 sleep / 等待元素立即抛出 RunAbortedError，不必等下一步再查询运行状态
+ * @param {{reason: string, paused: boolean}} payload
+ */
+function abortRun({ reason, paused }) {
+  const error = new RunAbortedError(reason, paused);
+  runningPageHandler?.controller.abort(error);
+  activePageHandler?.controller.abort(error);
+}
+
+/**
+ * URL 变化时立即中止旧页面的处理，不必等新页面加载完、新的处理开始
+ */
+function cancelStalePageHandler() {
+  const url = window.location.href;
+  if (activePageHandler && activePageHandler.url !== url) {
+    activePageHandler.controller.abort(new HandlerSupersededError(url));
+  }
+}
 
+/**
+ * 执行当前页面的处理 - 每个标签页同一时刻只有一个处理在执行
+ * 初始化、SPA 导航和 popstate 可能同时触发: 同一 URL 的处理已在进行时忽略重复触发；
+ * URL 变化时新的处理取代旧的，旧的在下一个检查点中止，新的等它退出后再开始
+ * @param {string} trigger - 触发来源 (用于日志)
+ * @returns {Promise<void>}
+ */
+function runPageHandler(trigger) {
+  const url = window.location.href;
+  const previous = activePageHandler;
+  if (previous && previous.url === url && !previous.controller.signal.aborted) {
+    console.log(`[Shopee Auto Cart] 页面处理 #${previous.id} 正在进行，忽略重复触发 (${trigger})`);
+    return previous.done;
+  }
+  
+  previous?.controller.abort(new HandlerSupersededError(url));
+  
+  /** @type {PageHandlerRun} */
+  const run = { id: ++pageHandlerSequence, url, trigger, controller: new AbortController(), done: null };
+  activePageHandler = run;
+  
+  run.done = (async () => {
+    if (previous) {
+      await previous.done.catch(() => {});
+    }
+    if (run.controller.signal.aborted) return;
+    
+    runningPageHandler = run;
+    try {
+      await handleCurrentPage(run.controller.signal);
+    } catch (error) {
+      if (!(error instanceof HandlerSupersededError || error instanceof RunAbortedError)) throw error;
+      console.log(`[Shopee Auto Cart] 页面处理 #${run.id} 已中止:`, error.message);
+      await log(`[页面处理] ${error.message}`, 'info');
+    } finally {
+      runningPageHandler = null;
+      if (activePageHandler === run) {
+        activePageHandler = null;
+      }
+    }
+  })();
+  return run.done;
+}
 
 // ============================================
 // 主入口和初始化
 // ============================================
 
 /**
- * 根据页面类型执行相应操作
+ * 继续当前页面的运行 - 抢购监视按页面处理，其他模式按保存的流程步骤继续
+ * @param {AbortSignal} signal - 运行中止信号
  */
-async function handleCurrentPage() {
+async function handleCurrentPage(signal) {
   const state = await getState();
   
   if (!state.isRunning) {
@@ -2824,17 +6796,23 @@ async function handleCurrentPage() {
   
   const pageType = detectPageType();
   
-  switch (pageType) {
-    case PageType.SEARCH:
-      await handleSearchPage();
-      break;
-    case PageType.PRODUCT:
-      await handleProductPage();
-      break;
-    default:
-      await log('当前页面类型不支持自动化操作，返回搜索页', 'warning');
-      await returnToSearch();
+  // 抢购监视模式: 在目标商品页等待按钮可用，其他页面直接前往目标商品
+  if (state.mode === RunMode.WATCH) {
+    if (!state.watch?.url) {
+      await sendMessage({ type: 'STOP', payload: { reason: '抢购监视缺少商品链接' } });
+      return;
+    }
+    if (pageType === PageType.PRODUCT && extractProductId(window.location.href) === state.watch?.productId) {
+      await handleFlashSaleWatch(signal);
+    } else {
+      await log(`前往抢购商品: ${state.watch.url}`, 'info');
+      signal.throwIfAborted();
+      window.location.href = state.watch.url;
+    }
+    return;
   }
+  
+  await resumeWorkflow(state, pageType, signal);
 }
 
 /**
@@ -2845,22 +6823,41 @@ async function init() {
   console.log('[Shopee Auto Cart] Content Script 初始化开始');
   console.log('[Shopee Auto Cart] 当前 URL:', window.location.href);
   
+  // 先读取配置，后面的等待时间、加购数量等都以配置为准
+  await loadRemoteConfig();
+  
   // 注入悬浮 UI
   injectFloatingUI();
   
+  // 面板订阅主题后再连接，订阅时的快照才有处理函数接收；页面卸载前写入剩余日志
+  connectPort();
+  window.addEventListener('pagehide', flushLogs);
+  
   // 等待一段时间让页面完全加载
   await sleep(CONFIG.PAGE_LOAD_DELAY);
   
   // 检查是否正在运行，如果是则继续处理
   try {
+    // 到货/降价检查标签页只做检查，不参与运行流程
+    const restockCheck = await sendMessage({ type: 'GET_RESTOCK_CHECK', payload: {} });
+    if (restockCheck?.data) {
+      await handleRestockCheck(restockCheck.data);
+      return;
+    }
+    const priceCheck = await sendMessage({ type: 'GET_PRICE_CHECK', payload: {} });
+    if (priceCheck?.data) {
+      await handlePriceCheck(priceCheck.data);
+      return;
+    }
+    
     const state = await getState();
     console.log('[Shopee Auto Cart] 获取到状态:', state);
     
     if (state.isRunning) {
       const pageType = detectPageType();
-      await log(`继续自动化流程，关键词: ${state.keyword}，页面类型: ${pageType}`, 'info');
+      await log(`继续自动化流程，${state.mode !== RunMode.SEARCH ? describeRunTarget(state) : `关键词: ${state.searchSpec?.keyword}`}，页面类型: ${pageType}，流程步骤: ${state.workflow?.step ?? '-'}`, 'info');
       console.log('[Shopee Auto Cart] 开始处理页面，类型:', pageType);
-      await handleCurrentPage();
+      await runPageHandler('init');
     } else {
       console.log('[Shopee Auto Cart] 扩展未运行，等待用户启动');
     }
@@ -2892,6 +6889,7 @@ function setupUrlChangeListener() {
     if (window.location.href !== lastUrl) {
       console.log('[Shopee Auto Cart] 检测到 URL 变化:', lastUrl, '->', window.location.href);
       lastUrl = window.location.href;
+      cancelStalePageHandler();
       
       // 等待页面内容加载
       await sleep(CONFIG.PAGE_LOAD_DELAY);
@@ -2903,7 +6901,7 @@ function setupUrlChangeListener() {
           const pageType = detectPageType();
           console.log('[Shopee Auto Cart] SPA 导航后处理页面，类型:', pageType);
           await log(`页面切换，继续处理，页面类型: ${pageType}`, 'info');
-          await handleCurrentPage();
+          await runPageHandler('url-change');
         }
       } catch (error) {
         console.error('[Shopee Auto Cart] SPA 导航处理错误:', error);
@@ -2916,13 +6914,14 @@ function setupUrlChangeListener() {
   // 同时监听 popstate 事件 (浏览器前进/后退)
   window.addEventListener('popstate', async () => {
     console.log('[Shopee Auto Cart] 检测到 popstate 事件');
+    cancelStalePageHandler();
     await sleep(CONFIG.PAGE_LOAD_DELAY);
     
     try {
       const state = await getState();
       if (state.isRunning) {
         lastUrl = window.location.href;
-        await handleCurrentPage();
+        await runPageHandler('popstate');
       }
     } catch (error) {
       console.error('[Shopee Auto Cart] popstate 处理错误:', error);
@@ -2932,13 +6931,14 @@ function setupUrlChangeListener() {
   // 监听 hashchange 事件
   window.addEventListener('hashchange', async () => {
     console.log('[Shopee Auto Cart] 检测到 hashchange 事件');
+    cancelStalePageHandler();
     await sleep(CONFIG.PAGE_LOAD_DELAY);
     
     try {
       const state = await getState();
       if (state.isRunning) {
         lastUrl = window.location.href;
-        await handleCurrentPage();
+        await runPageHandler('hashchange');
       }
     } catch (error) {
       console.error('[Shopee Auto Cart] hashchange 处理错误:', error);
@@ -2955,7 +6955,25 @@ setupUrlChangeListener();
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     CONFIG,
+    configKeyToConstant,
+    PROTOCOL_VERSION,
+    MessageError,
+    createRequestId,
+    sendMessage,
+    request,
+    log,
+    flushLogs,
+    connectPort,
+    injectFloatingUI,
+    LOG_BATCH_SIZE,
+    MAX_PENDING_LOGS,
     PageType,
+    RunMode,
+    WorkflowStep,
+    HandlerSupersededError,
+    RunAbortedError,
+    runPageHandler,
+    cancelStalePageHandler,
     detectPageType,
     isSearchPage,
     isProductPage,
@@ -2963,13 +6981,61 @@ if (typeof module !== 'undefined' && module.exports) {
     extractProductId,
     extractShopId,
     buildSearchUrl,
+    normalizeSearchSpec,
+    SearchSortBy,
+    isLastSearchPage,
+    goToNextSearchPage,
+    KeywordRotation,
+    getShopeeRegion,
+    normalizeKeywordStore,
+    pickKeyword,
+    moveItem,
+    formatKeywordChangeInterval,
+    shouldChangeKeyword,
+    parseDiscount,
+    extractProductSnapshot,
+    describeProductSnapshot,
+    readDisplayedPrice,
+    checkBudget,
+    describeBudget,
+    parseQuantityLimits,
+    clampQuantity,
+    parseShoppingList,
+    listItemResult,
+    describeRunTarget,
+    parseVariantRules,
+    applyVariantRules,
+    parseCompactNumber,
+    parsePriceText,
+    parseSoldCount,
+    getProductInfo,
+    checkSearchFilter,
+    SelectionStrategy,
+    SELECTION_TOP_N,
+    createSeededRandom,
+    orderCandidates,
+    parseRestockInterval,
+    summarizeVariantPrices,
+    RUN_HISTORY_CSV_COLUMNS,
+    escapeCsvField,
+    runHistoryToCsv,
+    describeRunRecord,
+    getResumeCheckpoint,
+    resolveCheckpointIndices,
+    variantCombinationOrdinal,
+    nextVariantIndices,
+    addedVariantCheckpoint,
+    findAddToCartButton,
+    isButtonClickable,
+    waitForAddToCartReady,
+    handleFlashSaleWatch,
+    handleRestockCheck,
     sleep,
     // 错误处理和重试机制 - Requirements 7.1, 7.2
     waitForElement,
     waitForElements,
     withRetry,
     withTimeout,
-    addToCartWithRetry,
     safeNavigate,
     // 购物车限制相关 - Property 1
     addAllVariantsToCart,
@@ -1055,6 +1055,2130 @@ describe('Property 3: Product Processing Uniqueness', () => {
   });
 });
 
+// ============================================
+// 加载 content.js
+// ============================================
+
+// jsdom 的 AbortSignal 没有 throwIfAborted (content script 运行的 Chrome 中有)
+if (!AbortSignal.prototype.throwIfAborted) {
+  AbortSignal.prototype.throwIfAborted = function () {
+    if (this.aborted) throw this.reason;
+  };
+}
+
+/**
+ * 加载一份 content.js - 每次得到独立的模块状态 (日志队列、端口、页面处理)
+ * 加载时 document.readyState 设为 loading，初始化只注册不执行，不注入面板也不读取运行状态
+ * @returns {Object} content.js 导出的函数和常量
+ */
+function loadContent() {
+  Object.defineProperty(document, 'readyState', { value: 'loading', configurable: true });
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = require('./content');
+  });
+  delete document.readyState;
+  return loaded;
+}
+
+/** 不依赖模块状态的函数共用一份 */
+let content;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  content = loadContent();
+});
+
+beforeEach(() => {
+  // content.js 输出运行日志，消息失败时输出错误
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.chrome;
+  document.body.innerHTML = '';
+});
+
+/**
+ * 模拟 background - 记录收到的消息，由测试决定何时、以什么内容响应
+ * 用作 chrome.runtime: global.chrome = { runtime: createRuntime() }
+ */
+function createRuntime() {
+  const pending = [];
+  return {
+    id: 'extension-id',
+    lastError: undefined,
+    pending,
+    sendMessage: jest.fn((envelope, callback) => { pending.push({ envelope, callback }); }),
+    /** 按 background 的响应格式回复第 index 条消息 */
+    reply(index, body) {
+      const { envelope, callback } = pending[index];
+      callback({ requestId: envelope.requestId, protocolVersion: 1, ...body });
+    }
+  };
+}
+
+/**
+ * 注入面板 - 调用返回值的 loaded() 时 storage 才返回历史日志，其他设置读取为空
+ * @param {Object} page - content script 模块
+ * @param {Array} [storedLogs] - storage 中保存的日志
+ * @returns {{saved: Array[], loaded: function(): void, runtime: Object}} saved 为每次保存的日志
+ */
+function injectPanel(page, storedLogs) {
+  const runtime = createRuntime();
+  runtime.onMessage = { addListener: jest.fn() };
+  const storage = {
+    saved: [],
+    runtime,
+    get: jest.fn((keys, callback) => {
+      if (keys.includes('shopee_auto_cart_logs')) {
+        storage.loaded = () => callback({ shopee_auto_cart_logs: storedLogs });
+      } else {
+        callback({});
+      }
+    }),
+    set: jest.fn(items => {
+      if (items.shopee_auto_cart_logs) storage.saved.push([...items.shopee_auto_cart_logs]);
+    })
+  };
+  global.chrome = { runtime, storage: { local: storage } };
+  page.injectFloatingUI();
+  // 面板注入时先写入一条欢迎日志
+  storage.saved.length = 0;
+  return storage;
+}
+
+// ============================================
+// 购物清单解析
+// ============================================
+
+describe('Shopping List Parsing', () => {
+  test('parses both product URL formats', () => {
+    const { items, invalid } = content.parseShoppingList(
+      'https://shopee.tw/product/123/456\nhttps://shopee.tw/好看女裝-i.789.1011'
+    );
+
+    expect(invalid).toEqual([]);
+    expect(items.map(item => item.productId)).toEqual(['123_456', '789_1011']);
+  });
+
+  test('completes relative and protocol-less URLs', () => {
+    const { items } = content.parseShoppingList('/product/1/2\nshopee.tw/x-i.3.4');
+
+    expect(items[0].url).toBe(`${window.location.origin}/product/1/2`);
+    expect(items[1].url).toBe('https://shopee.tw/x-i.3.4');
+  });
+
+  test('reports unrecognised lines and skips blank lines', () => {
+    const { items, invalid } = content.parseShoppingList('\n\nhttps://shopee.tw/search?keyword=abc\n  \n');
+
+    expect(items).toEqual([]);
+    expect(invalid).toEqual(['https://shopee.tw/search?keyword=abc']);
+  });
+
+  test('takes the first column of CSV lines', () => {
+    const { items } = content.parseShoppingList('https://shopee.tw/product/5/6,2,備註');
+
+    expect(items).toEqual([{ url: 'https://shopee.tw/product/5/6', productId: '5_6' }]);
+  });
+
+  test('reads a per-item quantity and variant rules after the URL', () => {
+    const { items } = content.parseShoppingList('https://shopee.tw/product/1/2 x3 顏色~黑\nhttps://shopee.tw/product/3/4 尺寸=XL');
+
+    expect(items[0].quantity).toBe(3);
+    expect(items[0].variantRules).toEqual([{ layer: '顏色', op: 'contains', values: ['黑'], raw: '顏色~黑' }]);
+    expect(items[1].quantity).toBeUndefined();
+    expect(items[1].variantRules).toEqual([{ layer: '尺寸', op: 'equals', values: ['XL'], raw: '尺寸=XL' }]);
+  });
+
+  test('the quantity token is not read as part of the variant rules', () => {
+    const { items } = content.parseShoppingList('https://shopee.tw/product/1/2 顏色~黑|白 ×2; 尺寸=M');
+
+    expect(items[0].quantity).toBe(2);
+    expect(items[0].variantRules.map(rule => rule.values)).toEqual([['黑', '白'], ['M']]);
+  });
+
+  test('an item with nothing added is skipped with a reason instead of done', () => {
+    expect(content.listItemResult(2)).toEqual({ status: 'done' });
+    expect(content.listItemResult(0)).toEqual({ status: 'skipped', error: '没有加入任何商品' });
+    expect(content.listItemResult(0, ['顏色~黑'])).toEqual({ status: 'skipped', error: '规格规则无法满足: 顏色~黑' });
+  });
+
+  test('Property: duplicate products keep only their first occurrence', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.tuple(fc.integer({ min: 1, max: 5 }), fc.integer({ min: 1, max: 5 })), { minLength: 1, maxLength: 30 }),
+        (pairs) => {
+          const text = pairs.map(([shopId, itemId]) => `https://shopee.tw/product/${shopId}/${itemId}`).join('\n');
+          const { items } = content.parseShoppingList(text);
+
+          const expected = [...new Set(pairs.map(([shopId, itemId]) => `${shopId}_${itemId}`))];
+          expect(items.map(item => item.productId)).toEqual(expected);
+
+          return items.length === expected.length;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 规格筛选规则
+// ============================================
+
+/**
+ * 创建规格层 - 按钮为真实的 DOM 元素
+ * @param {string} name - 层名称
+ * @param {string[]} texts - 选项文本
+ */
+function makeLayer(name, texts) {
+  return {
+    name,
+    buttons: texts.map(text => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      return button;
+    })
+  };
+}
+
+describe('Variant Rules', () => {
+  const texts = layer => layer.buttons.map(button => button.textContent);
+
+  test('parses contains and equals rules', () => {
+    const { rules, invalid } = content.parseVariantRules('Color~黑|Black; 尺寸 = M | L');
+
+    expect(invalid).toEqual([]);
+    expect(rules[0]).toMatchObject({ layer: 'Color', op: 'contains', values: ['黑', 'Black'] });
+    expect(rules[1]).toMatchObject({ layer: '尺寸', op: 'equals', values: ['M', 'L'] });
+  });
+
+  test('reports malformed rules', () => {
+    expect(content.parseVariantRules('顏色 黑; 尺寸=').invalid).toEqual(['顏色 黑', '尺寸=']);
+  });
+
+  test('filters each layer to matching options only', () => {
+    const layers = [makeLayer('顏色', ['黑色', '白色', 'Black Pearl']), makeLayer('尺寸', ['S', 'M', 'L', 'XL'])];
+    const { rules } = content.parseVariantRules('Color~黑|Black; Size=M|L');
+
+    const result = content.applyVariantRules(layers, rules);
+
+    expect(result.unmatched).toEqual([]);
+    expect(texts(result.layers[0])).toEqual(['黑色', 'Black Pearl']);
+    expect(texts(result.layers[1])).toEqual(['M', 'L']);
+    expect(texts(layers[1])).toEqual(['S', 'M', 'L', 'XL']);
+  });
+
+  test('options without text are matched by their aria-label', () => {
+    const layer = makeLayer('顏色', ['']);
+    layer.buttons[0].setAttribute('aria-label', '黑色');
+    const { rules } = content.parseVariantRules('顏色~黑');
+
+    expect(content.applyVariantRules([layer], rules).layers[0].buttons).toEqual(layer.buttons);
+  });
+
+  test('reports unmatched rules instead of falling back to the first option', () => {
+    const layers = [makeLayer('顏色', ['白色', '紅色'])];
+    const { rules } = content.parseVariantRules('顏色~黑; 款式~長袖');
+
+    const result = content.applyVariantRules(layers, rules);
+
+    expect(result.unmatched.map(entry => entry.reason)).toEqual(['规格 "顏色" 中没有符合条件的选项', '找不到规格层 "款式"']);
+    expect(result.layers[0].buttons).toEqual([]);
+  });
+
+  test('Property: filtered layers only contain options satisfying their rules', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.constantFrom('S', 'M', 'L', 'XL', 'XXL'), { minLength: 1, maxLength: 10 }),
+        fc.subarray(['S', 'M', 'L', 'XL', 'XXL'], { minLength: 1 }),
+        (options, wanted) => {
+          const rule = { layer: '尺寸', op: 'equals', values: wanted, raw: '' };
+          const result = content.applyVariantRules([makeLayer('尺寸', options)], [rule]);
+          const kept = texts(result.layers[0]);
+
+          expect(kept.every(text => wanted.includes(text))).toBe(true);
+          expect(result.unmatched.length > 0).toBe(kept.length === 0);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 搜索结果筛选
+// ============================================
+
+describe('Search Card Parsing', () => {
+  test('parses single prices and price ranges', () => {
+    expect(content.parsePriceText('$1,299')).toEqual({ min: 1299, max: 1299 });
+    expect(content.parsePriceText('$100 - $250')).toEqual({ min: 100, max: 250 });
+    expect(content.parsePriceText('₫123.000')).toEqual({ min: 123000, max: 123000 });
+    expect(content.parsePriceText('RM12.50')).toEqual({ min: 12.5, max: 12.5 });
+    expect(content.parsePriceText('免運')).toBeNull();
+  });
+
+  test('parses sold counts with units', () => {
+    expect(content.parseSoldCount('已售出 1,234')).toBe(1234);
+    expect(content.parseSoldCount('已售出 1.2萬')).toBe(12000);
+    expect(content.parseSoldCount('3.4k sold')).toBe(3400);
+    expect(content.parseSoldCount('10k+ sold')).toBe(10000);
+    expect(content.parseSoldCount('$199')).toBeNull();
+  });
+
+  /**
+   * 渲染搜索结果卡片
+   * @param {string} title - 商品名称
+   * @param {string} [badges] - 卖家标识和商品图片的 HTML
+   */
+  function renderCard(title, badges = '') {
+    document.body.innerHTML = `
+      <div data-sqe="item">
+        <a href="/好看-i.1.2">
+          ${badges}
+          <div class="item-name">${title}</div>
+          <div class="item-price">$199</div>
+        </a>
+      </div>`;
+    return content.getProductInfo(document.querySelector('[data-sqe="item"]'));
+  }
+
+  test('seller badges are not read from the product title or product images', () => {
+    const info = renderCard('Small 商城同款 Preferred Mall 包包', '<img alt="商城 Mall 同款包包" src="a.jpg">');
+
+    expect(info).toMatchObject({ id: '1_2', name: 'Small 商城同款 Preferred Mall 包包', isMall: false, isPreferred: false });
+  });
+
+  test('Mall and Preferred badges are read from badge images and badge labels', () => {
+    expect(renderCard('包包', '<img alt="Mall" src="mall.png">')).toMatchObject({ isMall: true, isPreferred: false });
+    expect(renderCard('包包', '<img alt="Preferred Plus" src="p.png">')).toMatchObject({ isMall: false, isPreferred: true });
+    expect(renderCard('包包', '<div class="shop-badge">商城</div><span class="flag">蝦皮優選</span>'))
+      .toMatchObject({ isMall: true, isPreferred: true });
+  });
+});
+
+describe('Search Filter', () => {
+  const baseInfo = {
+    price: { min: 100, max: 300 },
+    rating: 4.8,
+    soldCount: 5000,
+    location: '臺北市',
+    isMall: false,
+    isPreferred: true
+  };
+
+  test('passes when no condition is set', () => {
+    expect(content.checkSearchFilter(baseInfo, {})).toBeNull();
+    expect(content.checkSearchFilter(baseInfo, null)).toBeNull();
+  });
+
+  test('price ranges pass when they overlap the wanted range', () => {
+    expect(content.checkSearchFilter(baseInfo, { minPrice: 250, maxPrice: 400 })).toBeNull();
+    expect(content.checkSearchFilter(baseInfo, { minPrice: 301 })).toBe('价格 300 低于 301');
+    expect(content.checkSearchFilter(baseInfo, { maxPrice: 99 })).toBe('价格 100 高于 99');
+  });
+
+  test('missing values fail filters that need them', () => {
+    expect(content.checkSearchFilter({ ...baseInfo, price: null }, { maxPrice: 500 })).toBe('无法读取价格');
+    expect(content.checkSearchFilter({ ...baseInfo, rating: null }, { minRating: 4 })).toBe('无法读取评分');
+    expect(content.checkSearchFilter({ ...baseInfo, soldCount: null }, { minSold: 1 })).toBe('无法读取已售出数量');
+    expect(content.checkSearchFilter({ ...baseInfo, location: '' }, { locations: ['臺北'] })).toBe('无法读取店铺所在地');
+  });
+
+  test('checks location and badges', () => {
+    expect(content.checkSearchFilter(baseInfo, { locations: ['新北市', '臺北'] })).toBeNull();
+    expect(content.checkSearchFilter(baseInfo, { locations: ['海外'] })).toBe('所在地 "臺北市" 不在范围内');
+    expect(content.checkSearchFilter(baseInfo, { mallOnly: true })).toBe('不是商城商品');
+    expect(content.checkSearchFilter(baseInfo, { preferredOnly: true })).toBeNull();
+  });
+
+  test('Property: minimum sold filter is monotonic', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 100000 }),
+        fc.integer({ min: 0, max: 100000 }),
+        (soldCount, minSold) => {
+          const passed = content.checkSearchFilter({ ...baseInfo, soldCount }, { minSold }) === null;
+          expect(passed).toBe(soldCount >= minSold);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 商品选择策略
+// ============================================
+
+describe('Selection Strategies', () => {
+  const infos = [
+    { id: 'a', price: { min: 300 }, rating: 4.1, soldCount: 10 },
+    { id: 'b', price: { min: 100 }, rating: null, soldCount: 999 },
+    { id: 'c', price: null, rating: 4.9, soldCount: 50 },
+    { id: 'd', price: { min: 100 }, rating: 4.9, soldCount: null }
+  ];
+  const ids = list => list.map(info => info.id);
+
+  test('sequential keeps page order', () => {
+    expect(ids(content.orderCandidates(infos, content.SelectionStrategy.SEQUENTIAL))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('metric strategies sort with ties in page order and missing values last', () => {
+    const { CHEAPEST, HIGHEST_RATED, MOST_SOLD } = content.SelectionStrategy;
+    expect(ids(content.orderCandidates(infos, CHEAPEST))).toEqual(['b', 'd', 'a', 'c']);
+    expect(ids(content.orderCandidates(infos, HIGHEST_RATED))).toEqual(['c', 'd', 'a', 'b']);
+    expect(ids(content.orderCandidates(infos, MOST_SOLD))).toEqual(['b', 'c', 'a', 'd']);
+  });
+
+  test('random order walks forward from the start, then backward', () => {
+    expect(ids(content.orderCandidates(infos, content.SelectionStrategy.RANDOM, () => 0.5))).toEqual(['c', 'd', 'b', 'a']);
+  });
+
+  test('Property: the same seed reproduces the same order', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 2147483646 }),
+        fc.integer({ min: 1, max: 120 }),
+        (seed, count) => {
+          const list = Array.from({ length: count }, (_, i) => ({ id: i }));
+          const { RANDOM } = content.SelectionStrategy;
+          const first = content.orderCandidates(list, RANDOM, content.createSeededRandom(seed));
+          const second = content.orderCandidates(list, RANDOM, content.createSeededRandom(seed));
+
+          expect(second).toEqual(first);
+          expect(first.length).toBe(count);
+          expect(first[0].id).toBeLessThan(content.SELECTION_TOP_N);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 搜索 URL 构建
+// ============================================
+
+describe('Search URL Builder', () => {
+  test('a plain keyword produces the legacy URL', () => {
+    expect(content.buildSearchUrl('手機殼')).toBe(`${window.location.origin}/search?keyword=${encodeURIComponent('手機殼')}`);
+  });
+
+  test('sort, price range, filters and page are all carried in the URL', () => {
+    const url = new URL(content.buildSearchUrl({
+      keyword: 'usb',
+      sortBy: 'price',
+      order: 'asc',
+      priceMin: 100,
+      priceMax: 500,
+      filters: { locations: ['台北市', '新北市'], ratingFilter: 4, officialMall: true, preferredSellers: true },
+      page: 2
+    }));
+
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      keyword: 'usb',
+      page: '2',
+      sortBy: 'price',
+      order: 'asc',
+      minPrice: '100',
+      maxPrice: '500',
+      locations: '台北市,新北市',
+      ratingFilter: '4',
+      officialMall: '1',
+      preferredSellers: '1'
+    });
+  });
+
+  test('default relevancy sort and first page are omitted', () => {
+    const url = new URL(content.buildSearchUrl({ keyword: 'usb', sortBy: 'relevancy', page: 0 }));
+    expect([...url.searchParams.keys()]).toEqual(['keyword']);
+  });
+
+  test('Property: keyword survives URL encoding round trip', () => {
+    fc.assert(
+      fc.property(
+        fc.string(),
+        fc.nat({ max: 100 }),
+        (keyword, page) => {
+          const url = new URL(content.buildSearchUrl({ keyword, page }));
+
+          expect(url.searchParams.get('keyword')).toBe(keyword);
+          expect(url.searchParams.get('page')).toBe(page > 0 ? String(page) : null);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 预算控制
+// ============================================
+
+describe('Budget Guard', () => {
+  test('no limits allows any price, including unknown ones', () => {
+    expect(content.checkBudget(20000, { maxItemPrice: null, totalBudget: null, spent: 0 })).toBeNull();
+    expect(content.checkBudget(null, undefined)).toBeNull();
+  });
+
+  test('unknown price is skipped when a limit is set', () => {
+    expect(content.checkBudget(null, { maxItemPrice: 500, totalBudget: null, spent: 0 })).toMatch('无法读取');
+  });
+
+  test('price ceiling and remaining budget are both enforced', () => {
+    const budget = { maxItemPrice: 1000, totalBudget: 3000, spent: 2500 };
+    expect(content.checkBudget(20000, budget)).toMatch('单品上限');
+    expect(content.checkBudget(800, budget)).toMatch('剩余预算 500');
+    expect(content.checkBudget(500, budget)).toBeNull();
+  });
+
+  test('remaining budget is compared against the total for the quantity', () => {
+    const budget = { maxItemPrice: 300, totalBudget: 1000, spent: 0 };
+    expect(content.checkBudget(300, budget, 3)).toBeNull();
+    expect(content.checkBudget(300, budget, 4)).toMatch('总价 1200');
+  });
+
+  test('the displayed price is read from the product price section only', () => {
+    document.body.innerHTML = `
+      <div class="shopee-auto-cart-container" id="shopee-auto-cart-container"><span class="product-price">$1</span></div>
+      <section aria-live="polite"><div class="price-before">$900</div><div class="current-price">$100 - $250</div></section>
+      <div class="recommend-item-price">$5</div>`;
+    expect(content.readDisplayedPrice()).toEqual({ min: 100, max: 250 });
+  });
+
+  test('prices outside the product price section leave the price unknown', () => {
+    document.body.innerHTML = `
+      <div class="shipping-price">$60</div>
+      <div class="voucher-price">$50 off</div>
+      <div class="recommend-item-price">$5</div>`;
+    const price = content.readDisplayedPrice();
+    expect(price).toBeNull();
+    expect(content.checkBudget(price?.max ?? null, { maxItemPrice: 500, totalBudget: null, spent: 0 })).toMatch('无法读取');
+  });
+
+  test('Property: accepted additions never push spending past the budget', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 100000 }),
+        fc.array(fc.integer({ min: 1, max: 20000 }), { maxLength: 50 }),
+        (totalBudget, prices) => {
+          const budget = { maxItemPrice: null, totalBudget, spent: 0 };
+          for (const price of prices) {
+            if (content.checkBudget(price, budget) === null) {
+              budget.spent += price;
+            }
+          }
+
+          expect(budget.spent).toBeLessThanOrEqual(totalBudget);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('a spend that background fails to record keeps the addition a success', async () => {
+    const page = loadContent();
+    const runtime = createRuntime();
+    global.chrome = { runtime };
+    const sent = [];
+    runtime.sendMessage.mockImplementation((envelope, callback) => {
+      sent.push(envelope);
+      if (envelope.type === 'RECORD_SPEND') {
+        // worker 已停止: 回调时带 lastError，sendMessage 以 DISCONNECTED 拒绝
+        runtime.lastError = { message: 'Could not establish connection.' };
+        callback(undefined);
+        runtime.lastError = undefined;
+        return;
+      }
+      const data = envelope.type === 'GET_STATE' ? { budget: { maxItemPrice: null, totalBudget: 1000, spent: 0 } } : null;
+      callback({ requestId: envelope.requestId, protocolVersion: 1, success: true, data });
+    });
+    document.body.innerHTML = `
+      <section aria-live="polite"><div class="product-price">$120</div></section>
+      <button class="btn-solid-primary">加入購物車</button>`;
+    // jsdom 没有 innerText (检查规格未选择提示时读取) 和 scrollIntoView
+    Object.defineProperty(document.body, 'innerText', { configurable: true, get: () => document.body.textContent });
+    document.querySelector('button').scrollIntoView = () => {};
+
+    const added = await page.addToCart(1);
+    delete document.body.innerText;
+
+    expect(added).toBe(true);
+    const attempts = sent.filter(envelope => envelope.type === 'RECORD_ATTEMPT').map(envelope => envelope.payload.success);
+    expect(attempts).toEqual([true]);
+    expect(sent.find(envelope => envelope.type === 'RECORD_SPEND').payload).toEqual({ amount: 120 });
+  });
+});
+
+// ============================================
+// 加购数量
+// ============================================
+
+describe('Quantity', () => {
+  test('parses stock and purchase limit text', () => {
+    expect(content.parseQuantityLimits('數量 還剩 1,234 件 限購 5 件')).toEqual({ stock: 1234, purchaseLimit: 5 });
+    expect(content.parseQuantityLimits('12 pieces available')).toEqual({ stock: 12, purchaseLimit: null });
+    expect(content.parseQuantityLimits('')).toEqual({ stock: null, purchaseLimit: null });
+  });
+
+  test('clamps to the smallest limit and reports empty stock as 0', () => {
+    expect(content.clampQuantity(10, { stock: 8, purchaseLimit: 5 })).toBe(5);
+    expect(content.clampQuantity(3, { stock: 0 })).toBe(0);
+    expect(content.clampQuantity(0, {})).toBe(1);
+  });
+
+  test('Property: clamped quantity never exceeds desired quantity or any limit', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 1000 }),
+        fc.option(fc.nat({ max: 1000 })),
+        fc.option(fc.nat({ max: 1000 })),
+        (desired, stock, purchaseLimit) => {
+          const quantity = content.clampQuantity(desired, { stock, purchaseLimit });
+
+          expect(quantity).toBeLessThanOrEqual(desired);
+          if (stock != null) expect(quantity).toBeLessThanOrEqual(stock);
+          if (purchaseLimit != null) expect(quantity).toBeLessThanOrEqual(purchaseLimit);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 关键词列表轮换
+// ============================================
+
+describe('Keyword Lists', () => {
+  test('detects the region from the Shopee hostname', () => {
+    expect(content.getShopeeRegion('shopee.tw')).toBe('tw');
+    expect(content.getShopeeRegion('shopee.com.my')).toBe('my');
+    expect(content.getShopeeRegion('localhost')).toBe('');
+  });
+
+  test('a missing store gets the preset list with random rotation', () => {
+    const store = content.normalizeKeywordStore(undefined);
+    expect(store.lists).toHaveLength(1);
+    expect(store.lists[0]).toMatchObject({ id: 'default', region: '' });
+    expect(store.lists[0].keywords).toContain('女裝');
+    expect(store.rotation).toBe(content.KeywordRotation.RANDOM);
+  });
+
+  test('fixed always uses the first keyword', () => {
+    expect(content.pickKeyword(['a', 'b', 'c'], content.KeywordRotation.FIXED, 2)).toEqual({ keyword: 'a', index: 0 });
+  });
+
+  test('round-robin starts at the top and wraps around', () => {
+    const keywords = ['a', 'b', 'c'];
+    const seen = [];
+    let index = -1;
+    for (let i = 0; i < 4; i++) {
+      ({ index } = content.pickKeyword(keywords, content.KeywordRotation.ROUND_ROBIN, index));
+      seen.push(keywords[index]);
+    }
+    expect(seen).toEqual(['a', 'b', 'c', 'a']);
+  });
+
+  test('empty lists fall back to the preset keywords', () => {
+    expect(content.pickKeyword([], content.KeywordRotation.FIXED, -1).keyword).toBe('女裝');
+  });
+
+  test('move reorders within bounds and ignores moves past the ends', () => {
+    expect(content.moveItem(['a', 'b', 'c'], 2, 1)).toEqual(['a', 'c', 'b']);
+    expect(content.moveItem(['a', 'b', 'c'], 0, -1)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('the keyword change interval is shown as configured', () => {
+    expect(content.formatKeywordChangeInterval(240000)).toBe('4 分钟');
+    expect(content.formatKeywordChangeInterval(60000)).toBe('1 分钟');
+    expect(content.formatKeywordChangeInterval(90000)).toBe('90 秒');
+    expect(content.formatKeywordChangeInterval()).toBe(`${content.CONFIG.KEYWORD_CHANGE_INTERVAL / 60000} 分钟`);
+  });
+
+  test('keywords change once the configured interval has passed', () => {
+    const rotation = { policy: content.KeywordRotation.RANDOM, keywords: ['a', 'b'], index: 0 };
+    const interval = content.CONFIG.KEYWORD_CHANGE_INTERVAL;
+    try {
+      content.CONFIG.KEYWORD_CHANGE_INTERVAL = 60000;
+      expect(content.shouldChangeKeyword({ ...rotation, changedAt: Date.now() - 59000 })).toBe(false);
+      expect(content.shouldChangeKeyword({ ...rotation, changedAt: Date.now() - 61000 })).toBe(true);
+      expect(content.shouldChangeKeyword({ ...rotation, policy: content.KeywordRotation.FIXED, changedAt: 0 })).toBe(false);
+    } finally {
+      content.CONFIG.KEYWORD_CHANGE_INTERVAL = interval;
+    }
+  });
+
+  test('Property: random rotation never repeats the current keyword when there is a choice', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 2, max: 20 }),
+        fc.nat(),
+        fc.double({ min: 0, max: 0.999, noNaN: true }),
+        (length, current, r) => {
+          const keywords = Array.from({ length }, (_, i) => `k${i}`);
+          const currentIndex = current % length;
+          const { keyword, index } = content.pickKeyword(keywords, content.KeywordRotation.RANDOM, currentIndex, () => r);
+
+          expect(index).not.toBe(currentIndex);
+          expect(keyword).toBe(keywords[index]);
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+// ============================================
+// 商品快照
+// ============================================
+
+describe('Product Snapshot', () => {
+  test('parses percentage and 折 discount labels', () => {
+    expect(content.parseDiscount('-20%')).toBe(20);
+    expect(content.parseDiscount('35% off')).toBe(35);
+    expect(content.parseDiscount('8折')).toBe(20);
+    expect(content.parseDiscount('75折')).toBe(25);
+    expect(content.parseDiscount('免運')).toBeNull();
+  });
+
+  describe('extractProductSnapshot', () => {
+    // 面板中的标题、店铺链接和数量输入框不能当作商品信息
+    const panel = `
+      <div id="shopee-auto-cart-container">
+        <h1>Shopee Auto Cart</h1>
+        <a href="/shop/999">面板店铺</a>
+        <section><input type="number"><span>還剩 1 件</span></section>
+      </div>`;
+
+    /** 用页面上的规格按钮组成 detectVariantLayers 格式的规格层 */
+    const layersOf = (...names) => names.map(name => ({
+      name,
+      labelText: name,
+      buttons: [...document.querySelectorAll(`[data-layer="${name}"] button`)]
+    }));
+
+    afterEach(() => {
+      window.history.pushState(null, '', '/');
+    });
+
+    test('reads the product page, derives the discount from the prices and lists the variant tree', () => {
+      window.history.pushState(null, '', '/product/77/456');
+      document.body.innerHTML = `${panel}
+        <h1>藍牙耳機 降噪</h1>
+        <div class="page-product__shop"><a href="/shop/123"><span class="shop-name">耳機專賣店</span></a></div>
+        <section aria-live="polite"><del>$500</del><div class="current-price">$400</div></section>
+        <div class="product-rating">4.8</div>
+        <div class="product-sold">已售 1.2萬</div>
+        <section><div class="quantity"><input type="number" max="5"></div><div>還剩 37 件</div></section>
+        <div data-layer="顏色"><button>黑色</button><button disabled>白色</button></div>
+        <div data-layer="尺寸"><button>S</button></div>`;
+
+      const snapshot = content.extractProductSnapshot(layersOf('顏色', '尺寸'));
+
+      expect(snapshot).toEqual(expect.objectContaining({
+        productId: '77_456',
+        title: '藍牙耳機 降噪',
+        shopName: '耳機專賣店',
+        shopId: '123',
+        price: { min: 400, max: 400 },
+        originalPrice: { min: 500, max: 500 },
+        discount: 20,
+        rating: 4.8,
+        soldCount: 12000,
+        stock: 37,
+        variants: [
+          { name: '顏色', options: [{ text: '黑色', available: true }, { text: '白色', available: false }] },
+          { name: '尺寸', options: [{ text: 'S', available: true }] }
+        ]
+      }));
+    });
+
+    test('falls back to the shop id in the product id and prefers the discount label', () => {
+      window.history.pushState(null, '', '/product/55/66');
+      document.body.innerHTML = `${panel}
+        <h1>手機殼</h1>
+        <section aria-live="polite"><del>$200</del><div class="current-price">$150</div><span class="discount-label">-30%</span></section>`;
+
+      const snapshot = content.extractProductSnapshot([]);
+
+      expect(snapshot.shopId).toBe('55');
+      expect(snapshot.shopName).toBe('');
+      expect(snapshot.title).toBe('手機殼');
+      expect(snapshot.discount).toBe(30);
+      expect(snapshot.stock).toBeNull();
+      expect(snapshot.variants).toEqual([]);
+    });
+  });
+});
+
+// ============================================
+// 到货提醒
+// ============================================
+
+describe('Restock Watch', () => {
+  test('empty or invalid input is left out so the background default applies', () => {
+    expect(content.parseRestockInterval('')).toBeUndefined();
+    expect(content.parseRestockInterval('abc')).toBeUndefined();
+    expect(content.parseRestockInterval('0')).toBeUndefined();
+    expect(content.parseRestockInterval('-5')).toBeUndefined();
+    expect(JSON.parse(JSON.stringify({ intervalMinutes: content.parseRestockInterval('') }))).toEqual({});
+  });
+
+  test('keeps any positive whole number of minutes', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 10000 }), (minutes) => {
+        expect(content.parseRestockInterval(String(minutes))).toBe(minutes);
+      })
+    );
+  });
+
+  test('auto-add sets the watch quantity and clicks without run state, budget or run record messages', async () => {
+    const page = loadContent();
+    const runtime = createRuntime();
+    global.chrome = { runtime };
+    const sent = [];
+    runtime.sendMessage.mockImplementation((envelope, callback) => {
+      sent.push(envelope);
+      callback({ requestId: envelope.requestId, protocolVersion: 1, success: true, data: null });
+    });
+    document.body.innerHTML = `
+      <section class="product-briefing">
+        <input type="number" value="1">
+        <button class="btn-solid-primary">加入購物車</button>
+      </section>`;
+    // jsdom 没有 innerText (检查规格未选择提示时读取)
+    Object.defineProperty(document.body, 'innerText', { configurable: true, get: () => document.body.textContent });
+    const button = document.querySelector('button');
+    let quantityAtClick = null;
+    button.addEventListener('click', () => { quantityAtClick = document.querySelector('input').value; });
+
+    await page.handleRestockCheck({ productId: '1_2', variantRules: [], autoAddToCart: true, quantity: 3 });
+    delete document.body.innerText;
+    document.body.innerHTML = '';
+
+    expect(quantityAtClick).toBe('3');
+    const types = sent.map(envelope => envelope.type);
+    for (const type of ['GET_STATE', 'RECORD_ATTEMPT', 'RECORD_SPEND', 'STATE_UPDATE']) {
+      expect(types).not.toContain(type);
+    }
+    expect(sent.find(envelope => envelope.type === 'RESTOCK_RESULT').payload).toMatchObject({ available: true, added: true });
+  });
+});
+
+// ============================================
+// 降价提醒
+// ============================================
+
+describe('Price Watch', () => {
+  test('returns null when no variant price was read', () => {
+    expect(content.summarizeVariantPrices({})).toBeNull();
+    expect(content.summarizeVariantPrices(null)).toBeNull();
+    expect(content.summarizeVariantPrices({ 黑: NaN })).toBeNull();
+  });
+
+  test('min and max bound every variant price', () => {
+    fc.assert(
+      fc.property(
+        fc.dictionary(fc.string({ minLength: 1, maxLength: 8 }), fc.integer({ min: 1, max: 100000 }), { minKeys: 1 }),
+        (prices) => {
+          const summary = content.summarizeVariantPrices(prices);
+          const values = Object.values(prices);
+          expect(summary.count).toBe(values.length);
+          for (const value of values) {
+            expect(value).toBeGreaterThanOrEqual(summary.min);
+            expect(value).toBeLessThanOrEqual(summary.max);
+          }
+          expect(values).toContain(summary.min);
+          expect(values).toContain(summary.max);
+        }
+      )
+    );
+  });
+});
+
+// ============================================
+// 运行记录 CSV 导出
+// ============================================
+
+describe('Run History Export', () => {
+  const run = {
+    sessionId: 'run-1',
+    startedAt: Date.UTC(2024, 0, 1, 8, 0, 0),
+    stoppedAt: Date.UTC(2024, 0, 1, 8, 30, 0),
+    mode: 'search',
+    target: '手機殼',
+    stopReason: '手动停止',
+    products: [
+      {
+        productId: '1_2',
+        url: 'https://shopee.tw/a-i.1.2',
+        title: 'Case, "Pro"',
+        attempts: [
+          { variant: '黑 + M', success: true, reason: '', quantity: 2, price: 199 },
+          { variant: '白 + L', success: false, reason: '无库存', quantity: 0, price: null }
+        ]
+      },
+      { productId: '3_4', url: 'https://shopee.tw/b-i.3.4', title: 'B', attempts: [], error: '页面加载失败' }
+    ]
+  };
+
+  test('writes one row per attempt and one row for products without attempts', () => {
+    const lines = content.runHistoryToCsv([run]).split('\r\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toBe(content.RUN_HISTORY_CSV_COLUMNS.join(','));
+    expect(lines[1].startsWith('run-1,2024-01-01T08:00:00.000Z,2024-01-01T08:30:00.000Z,search,手機殼,手动停止,')).toBe(true);
+    expect(lines[1]).toContain('"Case, ""Pro"""');
+    expect(lines[1]).toContain(',黑 + M,yes,,2,199');
+    expect(lines[2]).toContain(',白 + L,no,无库存,0,');
+    expect(lines[3]).toContain(',,,页面加载失败,,');
+  });
+
+  test('the report shows the search settings or the shopping list the run started with', () => {
+    const report = (record) => Object.fromEntries(content.describeRunRecord({ ...run, ...record }));
+
+    const search = report({
+      searchSpec: { keyword: '手機殼', sortBy: 'price', order: 'asc', priceMin: 100, priceMax: null, filters: { officialMall: true }, page: 0 },
+      maxPages: 3,
+      searchFilter: { minPrice: 100, minRating: 4.5, locations: ['臺北市', '新北市'], mallOnly: true },
+      selection: { strategy: 'random', seed: 42 }
+    });
+    expect(search['搜索条件']).toBe('价格: 低 → 高，价格区间 100-，最多 3 页');
+    expect(search['筛选条件']).toBe('最低评分 4.5，店铺所在地 臺北市, 新北市，只选商城');
+    expect(search['选择策略']).toBe('随机 (种子 42)');
+    expect(report({ selection: { strategy: 'cheapest', seed: null } })['选择策略']).toBe('最便宜');
+
+    const list = report({
+      mode: 'list',
+      shoppingList: [
+        { url: 'https://shopee.tw/a-i.1.2', productId: '1_2', quantity: 2, variantRules: [{ layer: '顏色', op: 'contains', values: ['黑'], raw: '顏色~黑' }] },
+        { url: 'https://shopee.tw/b-i.3.4', productId: '3_4', quantity: null, variantRules: [] }
+      ]
+    });
+    expect(list['清单 1']).toBe('https://shopee.tw/a-i.1.2 ×2 (规格: 顏色~黑)');
+    expect(list['清单 2']).toBe('https://shopee.tw/b-i.3.4');
+    expect(list['搜索条件']).toBeUndefined();
+    expect(list['选择策略']).toBeUndefined();
+
+    // 旧版本的记录没有这些项
+    expect(Object.keys(report({}))).not.toContain('搜索条件');
+  });
+
+  test('escaped fields survive a round trip through a CSV parser', () => {
+    const parseField = (field) => field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field;
+    const guarded = (text) => /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    fc.assert(
+      fc.property(fc.string(), (value) => {
+        expect(parseField(content.escapeCsvField(value))).toBe(guarded(value));
+      })
+    );
+  });
+
+  test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+    expect(content.escapeCsvField('=HYPERLINK("http://evil","x")')).toBe('"\'=HYPERLINK(""http://evil"",""x"")"');
+    expect(content.escapeCsvField('+1+1')).toBe("'+1+1");
+    expect(content.escapeCsvField('-2+3')).toBe("'-2+3");
+    expect(content.escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(content.escapeCsvField('\tcmd')).toBe("'\tcmd");
+    expect(content.escapeCsvField('\rcmd')).toBe('"\'\rcmd"');
+    expect(content.escapeCsvField('手機殼 = 好')).toBe('手機殼 = 好');
+  });
+
+  test('numbers are written as numbers, even when negative', () => {
+    expect(content.escapeCsvField(-5)).toBe('-5');
+    expect(content.escapeCsvField(199)).toBe('199');
+  });
+
+  test('Property: no exported field starts with a formula character', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.string(), (title, variant) => {
+        const csv = content.runHistoryToCsv([{
+          ...run,
+          products: [{ productId: '1_2', url: '', title, attempts: [{ variant, success: true, reason: '', quantity: 1, price: 1 }] }]
+        }]);
+        for (const field of [title, variant]) {
+          const written = content.escapeCsvField(field);
+          expect(csv).toContain(written);
+          expect(written.replace(/^"/, '')).not.toMatch(/^[=+\-@\t\r]/);
+        }
+      })
+    );
+  });
+});
+
+// ============================================
+// 暂停断点恢复
+// ============================================
+
+/**
+ * 规格遍历模型 - 按 handleMultiLayerVariants / handleDynamicVariants 的顺序调用 content.js 的断点函数，
+ * 点击和加购等页面操作由 page 模拟 (见 variantPage)
+ */
+const VariantWalk = {
+  /**
+   * 多层规格遍历 (单层和混合规格的遍历顺序相同)
+   * @param {number[]} layerSizes - 每层的选项数量
+   * @param {number} maxCarts - 最大购物车数量
+   * @param {Object|null} checkpoint - 运行断点
+   * @param {Object} page - 见 variantPage
+   */
+  async multi(layerSizes, maxCarts, checkpoint, page) {
+    const resumed = content.resolveCheckpointIndices(checkpoint, layerSizes);
+    let indices = resumed || new Array(layerSizes.length).fill(0);
+    let cartCount = resumed ? checkpoint.cartCount : 0;
+
+    while (cartCount < maxCarts) {
+      await page.save(indices, cartCount);
+      const success = await page.add(indices);
+      const next = content.nextVariantIndices(indices, layerSizes);
+      if (success) {
+        cartCount++;
+        await page.saveAdded(next, cartCount, maxCarts);
+      }
+      await page.sleep();
+      if (!next) break;
+      indices = next;
+    }
+    return cartCount;
+  },
+
+  /**
+   * 动态规格遍历 (无法分离颜色和尺寸的分支)
+   * @param {number} firstLayerSize - 第一层选项数量
+   * @param {number} maxCarts - 最大购物车数量
+   * @param {Object|null} checkpoint - 运行断点
+   * @param {Object} page - 见 variantPage
+   */
+  async dynamic(firstLayerSize, maxCarts, checkpoint, page) {
+    let cartCount = 0;
+    const resumed = content.resolveCheckpointIndices(checkpoint, [firstLayerSize, Infinity]);
+    if (resumed) cartCount = checkpoint.cartCount;
+
+    for (let idx = resumed ? resumed[0] : 0; idx < firstLayerSize && cartCount < maxCarts; idx++) {
+      const resumedSecondIdx = resumed && idx === resumed[0] ? resumed[1] : 0;
+      await page.save([idx, resumedSecondIdx], cartCount);
+
+      const secondSize = page.secondLayerSize(idx);
+      if (secondSize > 0) {
+        const firstSecondIdx = resumedSecondIdx < secondSize ? resumedSecondIdx : 0;
+        for (let secondIdx = firstSecondIdx; secondIdx < secondSize && cartCount < maxCarts; secondIdx++) {
+          await page.save([idx, secondIdx], cartCount);
+          if (await page.add([idx, secondIdx])) {
+            cartCount++;
+            await page.saveAdded(content.nextVariantIndices([idx, secondIdx], [firstLayerSize, secondSize]), cartCount, maxCarts);
+          }
+          await page.sleep();
+        }
+      } else {
+        if (await page.add([idx])) {
+          cartCount++;
+          await page.saveAdded(content.nextVariantIndices([idx, 0], [firstLayerSize, 1]), cartCount, maxCarts);
+        }
+        await page.sleep();
+      }
+    }
+    return cartCount;
+  }
+};
+
+describe('Pause Checkpoint', () => {
+  test('checkpoint only applies after resume and to the same product', () => {
+    const checkpoint = { productId: '1_2', variantIndices: [1, 0], cartCount: 1, resumed: true };
+    expect(content.getResumeCheckpoint({ checkpoint }, '1_2')).toBe(checkpoint);
+    expect(content.getResumeCheckpoint({ checkpoint }, '1_3')).toBeNull();
+    expect(content.getResumeCheckpoint({ checkpoint: { ...checkpoint, resumed: false } }, '1_2')).toBeNull();
+    expect(content.getResumeCheckpoint({ checkpoint: null }, '1_2')).toBeNull();
+  });
+
+  test('checkpoint also applies when a reload interrupted the variant walk', () => {
+    const checkpoint = { productId: '1_2', variantIndices: [1, 0], cartCount: 1, resumed: false };
+    expect(content.getResumeCheckpoint({ checkpoint, workflow: { step: 'adding' } }, '1_2')).toBe(checkpoint);
+    expect(content.getResumeCheckpoint({ checkpoint, workflow: { step: 'selecting_variants' } }, '1_2')).toBe(checkpoint);
+    expect(content.getResumeCheckpoint({ checkpoint, workflow: { step: 'opening_product' } }, '1_2')).toBeNull();
+  });
+
+  test('indices that do not fit the current layers are ignored', () => {
+    expect(content.resolveCheckpointIndices({ variantIndices: [1, 2] }, [3, 3])).toEqual([1, 2]);
+    expect(content.resolveCheckpointIndices({ variantIndices: [1, 3] }, [3, 3])).toBeNull();
+    expect(content.resolveCheckpointIndices({ variantIndices: [1] }, [3, 3])).toBeNull();
+    expect(content.resolveCheckpointIndices({ variantIndices: null }, [3])).toBeNull();
+    expect(content.resolveCheckpointIndices(null, [3])).toBeNull();
+  });
+
+  test('a two-index checkpoint is routed to the dynamic walk, a one-index one is not', () => {
+    expect(content.resolveCheckpointIndices({ variantIndices: [2, 7] }, [3, Infinity])).toEqual([2, 7]);
+    expect(content.resolveCheckpointIndices({ variantIndices: [2] }, [3, Infinity])).toBeNull();
+    expect(content.resolveCheckpointIndices({ variantIndices: [3, 0] }, [3, Infinity])).toBeNull();
+  });
+
+  test('the next combination advances the last layer first and is null after the last one', () => {
+    expect(content.nextVariantIndices([0, 1], [2, 3])).toEqual([0, 2]);
+    expect(content.nextVariantIndices([0, 2], [2, 3])).toEqual([1, 0]);
+    expect(content.nextVariantIndices([1, 2], [2, 3])).toBeNull();
+    expect(content.nextVariantIndices([4], [5])).toBeNull();
+  });
+
+  test('the checkpoint after an add points at the next combination or marks the product completed', () => {
+    expect(content.addedVariantCheckpoint([1, 0], 2, 5)).toEqual({ variantIndices: [1, 0], cartCount: 2, completed: false });
+    expect(content.addedVariantCheckpoint([1, 0], 5, 5)).toEqual({ variantIndices: null, cartCount: 5, completed: true });
+    expect(content.addedVariantCheckpoint(null, 3, 5)).toEqual({ variantIndices: null, cartCount: 3, completed: true });
+  });
+
+  /**
+   * 模拟页面: 记录加购尝试，第 pauseAt 个可中止的等待 (写入断点前的检查或加购后的等待) 处暂停 (抛出)
+   * 加购成功后写入断点不检查中止信号，总是写入
+   * @param {number[]} [secondSizes=[]] - 动态规格每个第一层选项的第二层选项数量
+   */
+  function variantPage(secondSizes = [], { pauseAt = Infinity } = {}) {
+    let steps = 0;
+    const abortable = () => {
+      if (steps++ === pauseAt) throw new Error('已暂停');
+    };
+    const page = {
+      attempts: [],
+      added: [],
+      saved: null,
+      secondLayerSize: (idx) => secondSizes[idx],
+      save: async (indices, cartCount) => {
+        abortable();
+        page.saved = { productId: '1_2', variantIndices: [...indices], cartCount, completed: false, resumed: true };
+      },
+      saveAdded: async (next, cartCount, maxCarts) => {
+        page.saved = { productId: '1_2', ...content.addedVariantCheckpoint(next, cartCount, maxCarts), resumed: true };
+      },
+      sleep: async () => abortable(),
+      add: async (combination) => {
+        const name = combination.join('-');
+        page.attempts.push(name);
+        const success = combination.reduce((a, b) => a + b, 0) % 2 === 0;
+        if (success) page.added.push(name);
+        return success;
+      }
+    };
+    return page;
+  }
+
+  /**
+   * 从断点继续 - 断点已标记完成时不再遍历 (handleProductPage)
+   */
+  async function resumeWalk(walk, saved, page) {
+    return saved?.completed ? saved.cartCount : walk(saved, page);
+  }
+
+  test('pausing before a combination resumes from that combination', async () => {
+    // 第 6 个可中止处 (尝试 1-0 前写入断点) 暂停，断点停在第一层选项 1 开始时写入的 [1, 0]
+    const paused = variantPage([2, 3, 0], { pauseAt: 6 });
+    await expect(VariantWalk.dynamic(3, 10, null, paused)).rejects.toThrow('已暂停');
+    expect(paused.saved).toMatchObject({ variantIndices: [1, 0], cartCount: 1 });
+    expect(paused.attempts).toEqual(['0-0', '0-1']);
+
+    const resumed = variantPage([2, 3, 0]);
+    await VariantWalk.dynamic(3, 10, paused.saved, resumed);
+    expect(resumed.attempts).toEqual(['1-0', '1-1', '1-2', '2']);
+  });
+
+  test('pausing during the wait after a successful add does not add that combination again', async () => {
+    // 第 9 个可中止处是 1-1 加购成功后的等待
+    const paused = variantPage([2, 3, 0], { pauseAt: 9 });
+    await expect(VariantWalk.dynamic(3, 10, null, paused)).rejects.toThrow('已暂停');
+    expect(paused.added).toEqual(['0-0', '1-1']);
+    expect(paused.saved).toMatchObject({ variantIndices: [1, 2], cartCount: 2, completed: false });
+
+    const resumed = variantPage([2, 3, 0]);
+    expect(await VariantWalk.dynamic(3, 10, paused.saved, resumed)).toBe(3);
+    expect(resumed.attempts).toEqual(['1-2', '2']);
+    expect(resumed.added).toEqual(['2']);
+  });
+
+  test('pausing after the add of the last combination or the last allowed add completes the product', async () => {
+    // [2, 2] 的最后一个组合 1-1 加购成功，之后的等待中暂停
+    const exhausted = variantPage([], { pauseAt: 7 });
+    await expect(VariantWalk.multi([2, 2], 10, null, exhausted)).rejects.toThrow('已暂停');
+    expect(exhausted.saved).toMatchObject({ variantIndices: null, cartCount: 2, completed: true });
+
+    // 达到最大数量 (第一个组合加购成功) 后的等待中暂停
+    const limited = variantPage([], { pauseAt: 1 });
+    await expect(VariantWalk.multi([2, 2], 1, null, limited)).rejects.toThrow('已暂停');
+    expect(limited.saved).toMatchObject({ variantIndices: null, cartCount: 1, completed: true });
+
+    const resumed = variantPage();
+    expect(await resumeWalk((saved, page) => VariantWalk.multi([2, 2], 1, saved, page), limited.saved, resumed)).toBe(1);
+    expect(resumed.attempts).toEqual([]);
+  });
+
+  test('a second-layer index that no longer fits restarts that second layer', async () => {
+    const page = variantPage([2, 2]);
+    await VariantWalk.dynamic(2, 10, { variantIndices: [1, 5], cartCount: 1 }, page);
+    expect(page.attempts).toEqual(['1-0', '1-1']);
+  });
+
+  /**
+   * 在任意可中止处暂停后继续，加购的组合和数量与不暂停时完全相同
+   */
+  async function expectPauseAnywhereAddsTheSame(walk, secondSizes, pauseAt) {
+    const full = variantPage(secondSizes);
+    const expectedCount = await walk(null, full);
+
+    const paused = variantPage(secondSizes, { pauseAt });
+    let cartCount;
+    let resumedAdded = [];
+    try {
+      cartCount = await walk(null, paused);
+    } catch (error) {
+      expect(error.message).toBe('已暂停');
+      const resumed = variantPage(secondSizes);
+      cartCount = await resumeWalk(walk, paused.saved, resumed);
+      resumedAdded = resumed.added;
+    }
+    // 既不跳过也不重复加购
+    expect([...paused.added, ...resumedAdded]).toEqual(full.added);
+    expect(cartCount).toBe(expectedCount);
+  }
+
+  test('Property: pausing the multi-layer walk anywhere and resuming adds each combination exactly once', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 1, max: 3 }), { minLength: 1, maxLength: 3 }),
+        fc.integer({ min: 1, max: 12 }),
+        fc.nat({ max: 60 }),
+        (layerSizes, maxCarts, pauseAt) => expectPauseAnywhereAddsTheSame(
+          (saved, page) => VariantWalk.multi(layerSizes, maxCarts, saved, page), [], pauseAt
+        )
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  test('Property: pausing the dynamic walk anywhere and resuming adds each combination exactly once', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 0, max: 3 }), { minLength: 1, maxLength: 4 }),
+        fc.integer({ min: 1, max: 12 }),
+        fc.nat({ max: 40 }),
+        (secondSizes, maxCarts, pauseAt) => expectPauseAnywhereAddsTheSame(
+          (saved, page) => VariantWalk.dynamic(secondSizes.length, maxCarts, saved, page), secondSizes, pauseAt
+        )
+      ),
+      { numRuns: 200 }
+    );
+  });
+
+  test('ordinal matches the position in the odometer walk', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: 1, max: 4 }), { minLength: 1, maxLength: 3 }),
+        (layerSizes) => {
+          // 按遍历顺序 (最后一层变化最快) 枚举所有组合
+          let indices = new Array(layerSizes.length).fill(0);
+          let position = 0;
+          while (indices) {
+            expect(content.variantCombinationOrdinal(indices, layerSizes)).toBe(position);
+            position++;
+            indices = content.nextVariantIndices(indices, layerSizes);
+          }
+          expect(position).toBe(layerSizes.reduce((acc, size) => acc * size, 1));
+        }
+      )
+    );
+  });
+});
+
+// ============================================
+// 配置
+// ============================================
+
+describe('Config', () => {
+  test('config keys map to the content script constant names', () => {
+    expect(content.configKeyToConstant('maxCartsWithVariants')).toBe('MAX_CARTS_WITH_VARIANTS');
+    expect(content.configKeyToConstant('pageLoadDelay')).toBe('PAGE_LOAD_DELAY');
+    expect(content.configKeyToConstant('retryAttempts')).toBe('RETRY_ATTEMPTS');
+    expect(content.configKeyToConstant('elementTimeout')).toBe('ELEMENT_TIMEOUT');
+  });
+
+  test('every constant a config key maps to exists in CONFIG', () => {
+    for (const key of ['maxCartsWithVariants', 'maxCartsNoVariants', 'retryAttempts', 'retryDelay', 'elementTimeout', 'pageLoadDelay', 'keywordChangeInterval']) {
+      expect(content.CONFIG).toHaveProperty(content.configKeyToConstant(key));
+    }
+  });
+});
+
+// ============================================
+// 消息发送 (超时和请求ID)
+// ============================================
+
+describe('Message Sending', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+    global.chrome = { runtime };
+  });
+
+  test('each message is sent with its payload, the protocol version and a new request id', () => {
+    content.sendMessage({ type: 'GET_STATE' });
+    content.sendMessage({ type: 'STOP', payload: { reason: '手动停止' } });
+    runtime.pending.forEach((_, i) => runtime.reply(i, { success: true }));
+
+    const [first, second] = runtime.pending.map(({ envelope }) => envelope);
+    expect(first).toEqual({ type: 'GET_STATE', payload: {}, requestId: expect.any(String), protocolVersion: content.PROTOCOL_VERSION });
+    expect(second.payload).toEqual({ reason: '手动停止' });
+    expect(second.requestId).not.toBe(first.requestId);
+  });
+
+  test('a message without a response is rejected with TIMEOUT after the timeout', async () => {
+    const started = Date.now();
+    const error = await content.sendMessage({ type: 'GET_STATE' }, { timeout: 30 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(content.MessageError);
+    expect(error.code).toBe('TIMEOUT');
+    expect(error.message).toContain('GET_STATE');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+  });
+
+  test('a response after the timeout does not change the result', async () => {
+    const result = content.sendMessage({ type: 'GET_STATE' }, { timeout: 10 });
+    await expect(result).rejects.toMatchObject({ code: 'TIMEOUT' });
+
+    expect(() => runtime.reply(0, { success: true, data: {} })).not.toThrow();
+    await expect(result).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('a response before the timeout resolves and clears the timer', async () => {
+    const clearTimer = jest.spyOn(global, 'clearTimeout');
+    const result = content.sendMessage({ type: 'GET_STATE' }, { timeout: 20 });
+    runtime.reply(0, { success: true, data: { isRunning: false } });
+    expect(clearTimer).toHaveBeenCalledTimes(1);
+
+    const response = await result;
+    expect(response).toEqual({ success: true, requestId: runtime.pending[0].envelope.requestId, protocolVersion: 1, data: { isRunning: false } });
+  });
+
+  test('a closed connection is rejected with DISCONNECTED, a throwing sendMessage with its own error', async () => {
+    const result = content.sendMessage({ type: 'GET_STATE' }, { timeout: 1000 });
+    runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+    runtime.reply(0, undefined);
+    await expect(result).rejects.toMatchObject({ code: 'DISCONNECTED', message: expect.stringContaining('Receiving end') });
+
+    // 扩展更新后旧页面的 chrome.runtime 已失效，sendMessage 直接抛出
+    const invalidated = new Error('Extension context invalidated.');
+    runtime.sendMessage.mockImplementationOnce(() => { throw invalidated; });
+    await expect(content.sendMessage({ type: 'GET_STATE' }, { timeout: 1000 })).rejects.toBe(invalidated);
+  });
+
+  test('request returns the data or throws the protocol error from the response', async () => {
+    const ok = content.request('GET_CONFIG');
+    const invalid = content.request('FOCUS_TAB', { tabId: '3' });
+    const empty = content.request('GET_RUNS');
+
+    runtime.reply(0, { success: true, data: { maxCartsWithVariants: 10 } });
+    runtime.reply(1, {
+      success: false,
+      error: { code: 'INVALID_PAYLOAD', message: 'FOCUS_TAB 的参数不正确', details: ['payload.tabId 应为 number，实际为 string'] }
+    });
+    runtime.pending[2].callback(undefined);
+
+    await expect(ok).resolves.toEqual({ maxCartsWithVariants: 10 });
+    const error = await invalid.catch(e => e);
+    expect(error).toBeInstanceOf(content.MessageError);
+    expect(error.code).toBe('INVALID_PAYLOAD');
+    expect(error.details).toEqual(['payload.tabId 应为 number，实际为 string']);
+    expect(console.error).toHaveBeenCalledWith('[Shopee Auto Cart] 消息错误:', expect.objectContaining({ type: 'FOCUS_TAB', code: 'INVALID_PAYLOAD' }));
+    await expect(empty).rejects.toMatchObject({ code: 'NO_RESPONSE' });
+  });
+
+  test('Property: responses answered in any order reach the request with the same request id', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 1, max: 8 }).chain(count => fc.tuple(fc.constant(count), fc.shuffledSubarray([...Array(count).keys()], { minLength: count }))),
+        async ([count, order]) => {
+          runtime = createRuntime();
+          global.chrome = { runtime };
+          const results = [...Array(count)].map((_, i) => content.request('GET_STATE', {}, { timeout: 1000 }).then(data => [i, data]));
+          for (const index of order) {
+            runtime.reply(index, { success: true, data: runtime.pending[index].envelope.requestId });
+          }
+
+          const resolved = await Promise.all(results);
+          const requestIds = runtime.pending.map(({ envelope }) => envelope.requestId);
+          expect(resolved).toEqual(requestIds.map((requestId, i) => [i, requestId]));
+          expect(new Set(requestIds).size).toBe(count);
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+});
+
+// ============================================
+// 日志批量写入面板
+// ============================================
+
+describe('Log Batching', () => {
+  const shownLogs = () => [...document.querySelectorAll('#log-area .log-entry')].map(entry => entry.textContent.replace(/^\[.*?\]/, ''));
+
+  test('logs are written to the panel in batches of LOG_BATCH_SIZE in order, saving once per batch', () => {
+    const page = loadContent();
+    const storage = injectPanel(page);
+    storage.loaded();
+
+    const logs = Array.from({ length: 120 }, (_, i) => `日志 ${i}`);
+    logs.forEach(message => page.log(message));
+    expect(storage.saved).toHaveLength(2);
+    expect(storage.saved[1].at(-1).message).toBe('日志 99');
+    expect(shownLogs().at(-1)).toBe('日志 99');
+
+    page.flushLogs();
+    expect(storage.saved).toHaveLength(3);
+    expect(storage.saved[2].slice(1).map(entry => entry.message)).toEqual(logs);
+    expect(shownLogs()).toEqual(logs.slice(-page.CONFIG.MAX_VISIBLE_LOG_ENTRIES));
+  });
+
+  test('logs never go to background', () => {
+    const page = loadContent();
+    const runtime = createRuntime();
+    const port = { postMessage: jest.fn(), onMessage: { addListener: jest.fn() }, onDisconnect: { addListener: jest.fn() } };
+    runtime.connect = jest.fn(() => port);
+    global.chrome = { runtime };
+    page.connectPort();
+
+    for (let i = 0; i < 120; i++) page.log(`日志 ${i}`);
+    page.flushLogs();
+    expect(port.postMessage).not.toHaveBeenCalled();
+    expect(runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('logs before the panel is ready are shown after the stored history', () => {
+    const page = loadContent();
+    page.log('启动');
+    page.flushLogs();
+    const storage = injectPanel(page, [{ timestamp: '2026-01-01 08:00:00', type: 'info', message: '上次的日志' }]);
+    page.log('注入后');
+    page.flushLogs();
+    expect(shownLogs()).toEqual(['扩展已加载，准备就绪']);
+
+    storage.loaded();
+    expect(shownLogs()).toEqual(['扩展已加载，准备就绪', '上次的日志', '启动', '注入后']);
+  });
+
+  test('queued logs never exceed MAX_PENDING_LOGS and keep the newest', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 2000 }), (count) => {
+        document.body.innerHTML = '';
+        const page = loadContent();
+        // 保存条数不设限，才能看到队列本身保留了多少条
+        page.CONFIG.MAX_LOG_ENTRIES = Infinity;
+        for (let i = 0; i < count; i++) page.log(`${i}`);
+        page.flushLogs();
+
+        const storage = injectPanel(page);
+        storage.loaded();
+        expect(storage.saved).toHaveLength(1);
+        const saved = storage.saved[0].slice(1);
+        expect(saved.length).toBe(Math.min(count, page.MAX_PENDING_LOGS));
+        expect(saved[saved.length - 1].message).toBe(`${count - 1}`);
+      }),
+      { numRuns: 10 }
+    );
+  });
+});
+
+// ============================================
+// 运行控制按钮
+// ============================================
+
+describe('Run Controls', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  const shownLogs = () => [...document.querySelectorAll('#log-area .log-entry')].map(entry => entry.textContent);
+
+  let page;
+  let runtime;
+
+  beforeEach(() => {
+    page = loadContent();
+    const storage = injectPanel(page);
+    storage.loaded();
+    runtime = storage.runtime;
+  });
+
+  /** 回复最后一条指定类型的消息 */
+  function replyTo(type, body) {
+    const index = runtime.pending.map(({ envelope }) => envelope.type).lastIndexOf(type);
+    expect(index).toBeGreaterThanOrEqual(0);
+    runtime.reply(index, body);
+  }
+
+  async function startRun() {
+    document.getElementById('start-btn').click();
+    await tick();
+    replyTo('START', { success: true, data: null });
+    await tick();
+  }
+
+  test('a rejected START returns the panel to idle and logs the error', async () => {
+    document.getElementById('start-btn').click();
+    await tick();
+    expect(document.getElementById('start-btn').disabled).toBe(true);
+
+    replyTo('START', { success: false, error: { code: 'INVALID_PAYLOAD', message: 'START 的参数不正确' } });
+    await tick();
+
+    expect(document.getElementById('start-btn').disabled).toBe(false);
+    expect(document.getElementById('stop-btn').disabled).toBe(true);
+    expect(shownLogs().at(-1)).toContain('开始运行失败: START 的参数不正确');
+    expect(shownLogs().some(text => text.includes('开始搜索'))).toBe(false);
+  });
+
+  test('a START that gets no answer returns the panel to idle', async () => {
+    document.getElementById('start-btn').click();
+    await tick();
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'START');
+    runtime.pending[index].callback(undefined);
+    await tick();
+
+    expect(document.getElementById('start-btn').disabled).toBe(false);
+    expect(shownLogs().at(-1)).toContain('开始运行失败');
+  });
+
+  test('pause switches the controls only after background confirms', async () => {
+    await startRun();
+    const pauseBtn = document.getElementById('pause-btn');
+
+    pauseBtn.click();
+    await tick();
+    expect(pauseBtn.disabled).toBe(true);
+    expect(pauseBtn.textContent).toBe('❚❚ 暂停');
+
+    replyTo('PAUSE', { success: true, data: null });
+    await tick();
+    expect(pauseBtn.disabled).toBe(false);
+    expect(pauseBtn.textContent).toBe('▶ 继续');
+  });
+
+  test('a failed pause or resume keeps the current controls and logs the error', async () => {
+    await startRun();
+    const pauseBtn = document.getElementById('pause-btn');
+
+    pauseBtn.click();
+    await tick();
+    replyTo('PAUSE', { success: false, error: { code: 'HANDLER_ERROR', message: '保存失败' } });
+    await tick();
+    expect(pauseBtn.textContent).toBe('❚❚ 暂停');
+    expect(pauseBtn.disabled).toBe(false);
+    expect(shownLogs().at(-1)).toContain('暂停失败: 保存失败');
+
+    pauseBtn.click();
+    await tick();
+    replyTo('PAUSE', { success: true, data: null });
+    await tick();
+    pauseBtn.click();
+    await tick();
+    replyTo('RESUME', { success: true, data: false });
+    await tick();
+    expect(pauseBtn.textContent).toBe('▶ 继续');
+    expect(shownLogs().at(-1)).toContain('没有可继续的暂停任务');
+  });
+
+  test('stop switches the controls to idle only after background confirms', async () => {
+    await startRun();
+    const stopBtn = document.getElementById('stop-btn');
+
+    stopBtn.click();
+    await tick();
+    expect(stopBtn.disabled).toBe(true);
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'STOP');
+    runtime.pending[index].callback(undefined);
+    await tick();
+    expect(stopBtn.disabled).toBe(false);
+    expect(document.getElementById('start-btn').disabled).toBe(true);
+    expect(shownLogs().at(-1)).toContain('停止失败');
+
+    stopBtn.click();
+    await tick();
+    replyTo('STOP', { success: true, data: null });
+    await tick();
+    expect(stopBtn.disabled).toBe(true);
+    expect(document.getElementById('start-btn').disabled).toBe(false);
+    expect(shownLogs().at(-1)).toContain('已停止任务');
+  });
+
+  test('cancelling a scheduled job reports success only when background confirms', async () => {
+    document.getElementById('scheduled-job-list').innerHTML = '<li><button data-action="cancel" data-job-id="job-1">×</button></li>';
+    const cancelBtn = document.querySelector('#scheduled-job-list button');
+
+    cancelBtn.click();
+    await tick();
+    replyTo('CANCEL_JOB', { success: false, error: { code: 'HANDLER_ERROR', message: '任务不存在' } });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('取消定时任务失败: 任务不存在');
+
+    cancelBtn.click();
+    await tick();
+    replyTo('CANCEL_JOB', { success: true, data: null });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('已取消定时任务');
+  });
+
+  test('removing a restock watch that background rejects logs the error', async () => {
+    document.getElementById('restock-watch-list').innerHTML = '<li><button data-watch-id="watch-1">×</button></li>';
+    document.querySelector('#restock-watch-list button').click();
+    await tick();
+    replyTo('REMOVE_RESTOCK_WATCH', { success: false, error: { code: 'HANDLER_ERROR', message: '保存失败' } });
+    await tick();
+
+    expect(shownLogs().at(-1)).toContain('删除到货提醒失败: 保存失败');
+    expect(shownLogs().some(text => text.includes('已删除到货提醒'))).toBe(false);
+  });
+
+  test('price watch actions report failures from background instead of success', async () => {
+    document.getElementById('price-check-now-btn').click();
+    await tick();
+    replyTo('PRICE_CHECK_NOW', { success: false, error: { code: 'HANDLER_ERROR', message: '没有关注的商品' } });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('开始检查价格失败: 没有关注的商品');
+
+    document.getElementById('price-watch-list').innerHTML = '<li><button data-watch-id="watch-1">×</button></li>';
+    document.querySelector('#price-watch-list button').click();
+    await tick();
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'REMOVE_PRICE_WATCH');
+    runtime.pending[index].callback(undefined);
+    await tick();
+    expect(shownLogs().at(-1)).toContain('取消关注商品价格失败');
+  });
+
+  test('clearing processed products logs success only when background confirms', async () => {
+    const clearBtn = document.getElementById('processed-clear-btn');
+    clearBtn.click();
+    await tick();
+    replyTo('CLEAR_PROCESSED', { success: false, error: { code: 'HANDLER_ERROR', message: '数据库不可用' } });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('清除已处理商品记录失败: 数据库不可用');
+
+    clearBtn.click();
+    await tick();
+    replyTo('CLEAR_PROCESSED', { success: true, data: null });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('已清除所有已处理商品记录');
+  });
+
+  test('discarding a paused run in another tab logs success only when background confirms', async () => {
+    replyTo('GET_RUNS', { success: true, data: { tabId: 1, runs: [{ tabId: 2, sessionId: 's-1', paused: true, mode: 'search', keyword: '耳機' }] } });
+    await tick();
+    const discardBtn = document.getElementById('other-run-discard-btn');
+
+    discardBtn.click();
+    await tick();
+    replyTo('STOP', { success: false, error: { code: 'HANDLER_ERROR', message: '任务不存在' } });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('放弃暂停的任务失败: 任务不存在');
+
+    document.getElementById('other-run-resume-btn').click();
+    await tick();
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'RESUME');
+    runtime.pending[index].callback(undefined);
+    await tick();
+    expect(shownLogs().at(-1)).toContain('继续暂停的任务失败');
+
+    discardBtn.click();
+    await tick();
+    replyTo('STOP', { success: true, data: null });
+    await tick();
+    expect(shownLogs().at(-1)).toContain('已放弃暂停的任务');
+  });
+
+  test('exporting run history logs the error when background does not answer', async () => {
+    document.getElementById('history-export-csv-btn').click();
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'GET_RUN_HISTORY');
+    runtime.pending[index].callback(undefined);
+    await tick();
+
+    expect(shownLogs().at(-1)).toContain('导出失败');
+  });
+
+  test('opening the options page logs the error when background cannot be reached', async () => {
+    document.getElementById('settings-btn').click();
+    const index = runtime.pending.findIndex(({ envelope }) => envelope.type === 'OPEN_OPTIONS');
+    runtime.lastError = { message: 'Extension context invalidated.' };
+    runtime.pending[index].callback(undefined);
+    runtime.lastError = undefined;
+    await tick();
+
+    expect(shownLogs().at(-1)).toContain('打开设置页失败: Extension context invalidated.');
+  });
+});
+
+// ============================================
+// 面板配置显示
+// ============================================
+
+describe('Panel Config Text', () => {
+  test('defaults shown in the panel follow the config when injected and after CONFIG_UPDATE', () => {
+    const page = loadContent();
+    page.CONFIG.MAX_SEARCH_PAGES = 8;
+    const { runtime } = injectPanel(page);
+
+    expect(document.getElementById('max-pages-input').placeholder).toBe('默认 8 页');
+    expect(document.getElementById('quantity-input').placeholder).toBe('默认: 无规格 3 件，有规格每种 1 件');
+
+    const [listener] = runtime.onMessage.addListener.mock.calls[0];
+    listener({
+      type: 'CONFIG_UPDATE',
+      protocolVersion: page.PROTOCOL_VERSION,
+      payload: { config: { maxSearchPages: 2, maxCartsNoVariants: 6, keywordChangeInterval: 90000 } }
+    }, {}, () => {});
+
+    expect(document.getElementById('max-pages-input').placeholder).toBe('默认 2 页');
+    expect(document.getElementById('quantity-input').placeholder).toBe('默认: 无规格 6 件，有规格每种 1 件');
+    expect(document.getElementById('keyword-rotation-label').textContent).toBe('轮换方式 (每 90 秒)');
+  });
+
+  test('the panel opens at the configured position and a drag saves it through background', () => {
+    const page = loadContent();
+    page.CONFIG.UI_POSITION = { x: 40, y: 60 };
+    const storage = injectPanel(page);
+    const panel = document.getElementById('shopee-auto-cart-panel');
+    expect([panel.style.left, panel.style.top]).toEqual(['40px', '60px']);
+
+    const header = document.getElementById('panel-header');
+    header.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, clientX: 50, clientY: 70 }));
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 150, clientY: 120 }));
+    document.dispatchEvent(new MouseEvent('mouseup'));
+
+    const saves = storage.runtime.sendMessage.mock.calls.filter(([envelope]) => envelope.type === 'SAVE_UI_POSITION');
+    expect(saves.map(([envelope]) => envelope.payload)).toEqual([{ x: 100, y: 50 }]);
+    expect(page.CONFIG.UI_POSITION).toEqual({ x: 100, y: 50 });
+    expect(storage.set.mock.calls.flatMap(([items]) => Object.keys(items))).not.toContain('shopee_auto_cart_ui_position');
+  });
+
+  test('a docked panel stays docked when the header is clicked without moving', () => {
+    const page = loadContent();
+    const storage = injectPanel(page);
+    const header = document.getElementById('panel-header');
+    header.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, clientX: 50, clientY: 70 }));
+    document.dispatchEvent(new MouseEvent('mouseup'));
+
+    expect(document.getElementById('shopee-auto-cart-panel').style.left).toBe('');
+    expect(storage.runtime.sendMessage.mock.calls.some(([envelope]) => envelope.type === 'SAVE_UI_POSITION')).toBe(false);
+    expect(page.CONFIG.UI_POSITION).toBeNull();
+  });
+});
+
+// ============================================
+// 页面处理互斥
+// ============================================
+
+describe('Page Handler Lock', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  const idle = { success: true, data: { isRunning: false } };
+  // 抢购监视在其他页面时先检查是否被取代，再前往目标商品
+  const watching = { success: true, data: { isRunning: true, mode: 'watch', watch: { productId: '1_2', url: 'https://shopee.tw/x-i.1.2' } } };
+
+  let page;
+  let runtime;
+
+  /** 切换页面 URL (SPA 导航) */
+  const navigate = (path) => window.history.pushState(null, '', path);
+
+  beforeEach(() => {
+    page = loadContent();
+    runtime = createRuntime();
+    global.chrome = { runtime };
+  });
+
+  afterEach(() => {
+    navigate('/');
+  });
+
+  test('a second trigger for the same URL does not start another handler', async () => {
+    navigate('/a');
+    const first = page.runPageHandler('init');
+    const second = page.runPageHandler('url-change');
+    const third = page.runPageHandler('popstate');
+
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    runtime.reply(0, idle);
+    await first;
+    expect(runtime.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('a watch run without a target URL is stopped instead of navigating', async () => {
+    navigate('/a');
+    const handler = page.runPageHandler('init');
+    runtime.reply(0, { success: true, data: { isRunning: true, mode: 'watch', watch: null } });
+    await tick();
+
+    expect(runtime.pending[1].envelope).toEqual(expect.objectContaining({ type: 'STOP', payload: { reason: '抢购监视缺少商品链接' } }));
+    runtime.reply(1, { success: true, data: null });
+    await handler;
+    expect(window.location.pathname).toBe('/a');
+  });
+
+  test('a URL change aborts the old handler before the new one starts', async () => {
+    navigate('/a');
+    const first = page.runPageHandler('init');
+    navigate('/b');
+    page.cancelStalePageHandler();
+    const second = page.runPageHandler('url-change');
+
+    await tick();
+    expect(runtime.pending).toHaveLength(1);
+    runtime.reply(0, watching);
+    await first;
+    expect(console.log).toHaveBeenCalledWith('[Shopee Auto Cart] 页面处理 #1 已中止:', `页面已切换到 ${window.location.origin}/b，中止旧页面的处理`);
+
+    await tick();
+    expect(runtime.pending).toHaveLength(2);
+    runtime.reply(1, idle);
+    await second;
+  });
+
+  test('a handler that is superseded while waiting never runs', async () => {
+    navigate('/a');
+    const runs = [page.runPageHandler('init')];
+    navigate('/b');
+    runs.push(page.runPageHandler('url-change'));
+    navigate('/c');
+    runs.push(page.runPageHandler('url-change'));
+
+    runtime.reply(0, idle);
+    await runs[0];
+    await tick();
+    expect(runtime.pending).toHaveLength(2);
+    runtime.reply(1, idle);
+    await Promise.all(runs);
+    expect(runtime.sendMessage).toHaveBeenCalledTimes(2);
+  });
+
+  test('other errors still reach the caller', async () => {
+    navigate('/a');
+    const run = page.runPageHandler('init');
+    runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+    runtime.reply(0, idle);
+    await expect(run).rejects.toMatchObject({ name: 'MessageError', code: 'DISCONNECTED' });
+  });
+
+  test('handlers never overlap and the last URL always finishes', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.constantFrom('/a', '/b', '/c'), { minLength: 1, maxLength: 8 }), async (urls) => {
+        let outstanding = 0;
+        let maxOutstanding = 0;
+        const checkedUrls = [];
+        // 每个处理读取一次状态，下一轮事件循环回复
+        runtime.sendMessage.mockImplementation((envelope, callback) => {
+          outstanding++;
+          maxOutstanding = Math.max(maxOutstanding, outstanding);
+          checkedUrls.push(window.location.pathname);
+          setTimeout(() => {
+            outstanding--;
+            callback({ requestId: envelope.requestId, protocolVersion: 1, ...idle });
+          }, 0);
+        });
+
+        const runs = [];
+        for (const url of urls) {
+          navigate(url);
+          page.cancelStalePageHandler();
+          runs.push(page.runPageHandler('url-change'));
+          await tick();
+        }
+        await Promise.all(runs);
+        expect(maxOutstanding).toBe(1);
+        expect(checkedUrls[checkedUrls.length - 1]).toBe(urls[urls.length - 1]);
+      }),
+      { numRuns: 50 }
+    );
+  });
+});
+
+// ============================================
+// 运行中止
+// ============================================
+
+describe('Run Cancellation', () => {
+  const stopped = () => new content.RunAbortedError('手动停止', false);
+
+  test('an aborted sleep rejects with the abort reason without waiting out the delay', async () => {
+    const controller = new AbortController();
+    const reason = stopped();
+    const startedAt = Date.now();
+    const pending = content.sleep(60000, controller.signal);
+    setTimeout(() => controller.abort(reason), 5);
+    await expect(pending).rejects.toBe(reason);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  test('sleeping on an already aborted signal rejects immediately', async () => {
+    const controller = new AbortController();
+    const reason = stopped();
+    controller.abort(reason);
+    await expect(content.sleep(60000, controller.signal)).rejects.toBe(reason);
+  });
+
+  test('sleep without a signal still resolves', async () => {
+    await expect(content.sleep(1)).resolves.toBeUndefined();
+  });
+
+  test('withRetry stops retrying once aborted', async () => {
+    const controller = new AbortController();
+    const reason = stopped();
+    let calls = 0;
+    const pending = content.withRetry(async () => {
+      calls++;
+      throw new Error('元素未找到');
+    }, { retries: 5, delay: 60000, silent: true, signal: controller.signal });
+    setTimeout(() => controller.abort(reason), 5);
+    await expect(pending).rejects.toBe(reason);
+    expect(calls).toBe(1);
+  });
+
+  test('withRetry still retries and returns when not aborted', async () => {
+    let calls = 0;
+    const result = await content.withRetry(async () => {
+      calls++;
+      if (calls < 3) throw new Error('失败');
+      return 'ok';
+    }, { retries: 3, delay: 1, silent: true, signal: new AbortController().signal });
+    expect(result).toBe('ok');
+    expect(calls).toBe(3);
+  });
+
+  test('withTimeout rejects with the abort reason while the operation is still running', async () => {
+    const controller = new AbortController();
+    const reason = stopped();
+    const pending = content.withTimeout(() => new Promise(() => {}), 60000, '加载', controller.signal);
+    setTimeout(() => controller.abort(reason), 5);
+    await expect(pending).rejects.toBe(reason);
+  });
+
+  test('withTimeout passes through the result and the timeout error', async () => {
+    const signal = new AbortController().signal;
+    await expect(content.withTimeout(async () => 42, 1000, '加载', signal)).resolves.toBe(42);
+    await expect(content.withTimeout(() => new Promise(() => {}), 5, '加载', signal)).rejects.toThrow('加载超时');
+  });
+
+  test('a walk stops at the step where it was aborted and never runs later steps', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 6 }), fc.integer({ min: 0, max: 5 }), async (steps, abortAfter) => {
+        const controller = new AbortController();
+        const reason = stopped();
+        const done = [];
+        const walk = (async () => {
+          for (let i = 0; i < steps; i++) {
+            controller.signal.throwIfAborted();
+            done.push(i);
+            if (i === abortAfter) controller.abort(reason);
+            await content.sleep(1, controller.signal);
+          }
+        })();
+        if (abortAfter < steps) {
+          await expect(walk).rejects.toBe(reason);
+          expect(done).toEqual([...Array(abortAfter + 1).keys()]);
+        } else {
+          await walk;
+          expect(done).toHaveLength(steps);
+        }
+      }),
+      { numRuns: 30 }
+    );
+  });
+});
+
+// ============================================
+// 搜索结果翻页
+// ============================================
+
+describe('Search Pagination', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+    global.chrome = { runtime };
+  });
+
+  function renderNextButton(attributes = '') {
+    document.body.innerHTML = `<div class="shopee-page-controller"><button>1</button><button class="shopee-icon-button--right" ${attributes}>&gt;</button></div>`;
+  }
+
+  test('a disabled or aria-disabled next button marks the last page', () => {
+    renderNextButton('disabled');
+    expect(content.isLastSearchPage()).toBe(true);
+    renderNextButton('aria-disabled="true"');
+    expect(content.isLastSearchPage()).toBe(true);
+  });
+
+  test('an enabled next button is not the last page', () => {
+    renderNextButton();
+    expect(content.isLastSearchPage()).toBe(false);
+    renderNextButton('aria-disabled="false"');
+    expect(content.isLastSearchPage()).toBe(false);
+  });
+
+  test('a page without a next button is not treated as the last page', () => {
+    document.body.innerHTML = '<div class="shopee-search-item-result"></div>';
+    expect(content.isLastSearchPage()).toBe(false);
+  });
+
+  test('the last page never asks the background for another page', async () => {
+    renderNextButton('disabled');
+    expect(await content.goToNextSearchPage(new AbortController().signal)).toBe(false);
+    expect(runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('stops when the background reports the page limit', async () => {
+    renderNextButton();
+    const result = content.goToNextSearchPage(new AbortController().signal);
+    expect(runtime.pending[0].envelope.type).toBe('NEXT_SEARCH_PAGE');
+    runtime.reply(0, { success: true, data: { hasNext: false, searchSpec: { keyword: '手機殼', page: 2 }, maxPages: 3 } });
+    expect(await result).toBe(false);
+    expect(console.log).toHaveBeenCalledWith('[Shopee Auto Cart] [info] 已达到最多翻页数 (3 页)');
+  });
+
+  test('moves on to the page the background advanced to', async () => {
+    renderNextButton();
+    const searchSpec = { keyword: '手機殼', sortBy: 'price', order: 'asc', priceMin: 100, page: 2 };
+    const result = content.goToNextSearchPage(new AbortController().signal);
+    runtime.reply(0, { success: true, data: { hasNext: true, searchSpec, maxPages: 5 } });
+    expect(await result).toBe(true);
+    expect(console.log).toHaveBeenCalledWith('[Shopee Auto Cart] [info] 当前页商品已处理完，翻到第 3/5 页');
+  });
+
+  test('a run stopped while asking for the next page does not navigate', async () => {
+    renderNextButton();
+    const controller = new AbortController();
+    const reason = new content.RunAbortedError('手动停止', false);
+    const result = content.goToNextSearchPage(controller.signal);
+    controller.abort(reason);
+    runtime.reply(0, { success: true, data: { hasNext: true, searchSpec: { keyword: '手機殼', page: 1 }, maxPages: 5 } });
+    await expect(result).rejects.toBe(reason);
+  });
+});
+
+// ============================================
+// 抢购监视 - 等待加购按钮可用
+// ============================================
+
+describe('Flash Sale Watch', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  function renderButton(attributes = '', className = 'btn-solid-primary') {
+    document.body.innerHTML = `<section class="product-briefing"><button class="${className}" ${attributes}>加入購物車</button></section>`;
+    return document.querySelector('button');
+  }
+
+  test('finds the add to cart button by its text', () => {
+    const button = renderButton();
+    expect(content.findAddToCartButton()).toBe(button);
+  });
+
+  test('disabled, sold-out and faded buttons are not clickable', () => {
+    expect(content.isButtonClickable(renderButton())).toBe(true);
+    expect(content.isButtonClickable(renderButton('disabled'))).toBe(false);
+    expect(content.isButtonClickable(renderButton('aria-disabled="true"'))).toBe(false);
+    expect(content.isButtonClickable(renderButton('', 'btn-solid-primary sold-out'))).toBe(false);
+    expect(content.isButtonClickable(renderButton('style="opacity: 0.3"'))).toBe(false);
+    expect(content.isButtonClickable(renderButton('style="pointer-events: none"'))).toBe(false);
+  });
+
+  test('an enabled button is ready immediately', async () => {
+    renderButton();
+    await expect(content.waitForAddToCartReady(Date.now() + HOUR, new AbortController().signal)).resolves.toBe('ready');
+  });
+
+  test('a disabled button becomes ready as soon as it is enabled, without waiting for the poll', async () => {
+    const button = renderButton('disabled aria-disabled="true"');
+    const startedAt = Date.now();
+    const pending = content.waitForAddToCartReady(Date.now() + HOUR, new AbortController().signal);
+
+    setTimeout(() => {
+      button.disabled = false;
+      button.removeAttribute('aria-disabled');
+    }, 10);
+
+    await expect(pending).resolves.toBe('ready');
+    expect(Date.now() - startedAt).toBeLessThan(500);
+  });
+
+  test('a sold-out button that is re-rendered as a new enabled button is found again', async () => {
+    renderButton('', 'btn-solid-primary sold-out');
+    const pending = content.waitForAddToCartReady(Date.now() + HOUR, new AbortController().signal);
+
+    setTimeout(() => {
+      document.querySelector('section').innerHTML = '<button class="btn-solid-primary">加入購物車</button>';
+    }, 10);
+
+    await expect(pending).resolves.toBe('ready');
+  });
+
+  test('a button that stays disabled times out at the deadline', async () => {
+    renderButton('disabled');
+    const startedAt = Date.now();
+    await expect(content.waitForAddToCartReady(Date.now() + 30, new AbortController().signal)).resolves.toBe('timeout');
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(25);
+  });
+
+  test('the button is clicked before any message once it becomes enabled, with quantity and budget settled beforehand', async () => {
+    const page = loadContent();
+    const runtime = createRuntime();
+    global.chrome = { runtime };
+    const state = { isRunning: true, mode: 'watch', watch: { productId: '1_2', url: 'https://shopee.tw/x-i.1.2', stopAt: Date.now() + HOUR }, budget: {} };
+    const sent = [];
+    runtime.sendMessage.mockImplementation((envelope, callback) => {
+      sent.push(envelope.type);
+      callback({ requestId: envelope.requestId, protocolVersion: 1, success: true, data: envelope.type === 'GET_STATE' ? state : null });
+    });
+    const button = renderButton('disabled');
+    // jsdom 没有 innerText (检查规格未选择提示时读取)
+    Object.defineProperty(document.body, 'innerText', { configurable: true, get: () => document.body.textContent });
+    let sentBeforeClick = null;
+    button.addEventListener('click', () => { sentBeforeClick = [...sent]; });
+
+    const watch = page.handleFlashSaleWatch(new AbortController().signal);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const sentWhileWaiting = [...sent];
+    button.disabled = false;
+    await watch;
+    delete document.body.innerText;
+
+    expect(sentWhileWaiting).toEqual(['GET_STATE']);
+    expect(sentBeforeClick).toEqual(sentWhileWaiting);
+    expect(sent.slice(1)).toEqual(['RECORD_ATTEMPT', 'STATE_UPDATE', 'WATCH_DONE']);
+  });
+
+  test('a deadline already passed times out without waiting', async () => {
+    renderButton('disabled');
+    await expect(content.waitForAddToCartReady(Date.now() - 1000, new AbortController().signal)).resolves.toBe('timeout');
+  });
+
+  test('stopping the run ends the wait, and an already stopped run never starts waiting', async () => {
+    renderButton('disabled');
+    const controller = new AbortController();
+    const pending = content.waitForAddToCartReady(Date.now() + HOUR, controller.signal);
+    setTimeout(() => controller.abort(), 10);
+    await expect(pending).resolves.toBe('stopped');
+
+    await expect(content.waitForAddToCartReady(Date.now() + HOUR, controller.signal)).resolves.toBe('stopped');
+  });
+});
+
 // 导出供其他测试使用
 module.exports = {
   CartManager,
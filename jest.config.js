@@ -1,7 +1,7 @@
 module.exports = {
   testEnvironment: 'jsdom',
   testMatch: ['**/*.test.js'],
-  collectCoverageFrom: ['*.js', '!jest.config.js', '!*.test.js'],
+  collectCoverageFrom: ['*.js', '!jest.config.js', '!babel.config.js', '!*.test.js'],
   coverageDirectory: 'coverage',
   verbose: true
 };
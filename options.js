@@ -0,0 +1,204 @@
+/**
+ * Shopee Auto Cart - 选项页
+ * 按 background 的配置结构 (CONFIG_SCHEMA) 生成表单，保存后由 background 通知运行中的页面
+ */
+
+/** 消息协议版本 (与 background 的 PROTOCOL_VERSION 一致) */
+const PROTOCOL_VERSION = 1;
+
+/** @type {Object<string, Object>} 配置结构 (来自 GET_CONFIG_SCHEMA) */
+let schema = {};
+
+let messageSequence = 0;
+
+/**
+ * 生成请求ID - 与 content script 相同，带序号以区分同一毫秒内发出的请求
+ * @returns {string}
+ */
+function createRequestId() {
+  messageSequence++;
+  return `options-${Date.now().toString(36)}-${messageSequence.toString(36)}`;
+}
+
+/**
+ * 发送消息到 background
+ * @param {Object} message
+ * @returns {Promise<Object>}
+ */
+async function sendMessage(message) {
+  const response = await chrome.runtime.sendMessage({
+    ...message,
+    payload: message.payload ?? {},
+    requestId: createRequestId(),
+    protocolVersion: PROTOCOL_VERSION
+  });
+  if (!response?.success) {
+    throw new Error(response?.error?.message || '未知错误');
+  }
+  return response.data;
+}
+
+/**
+ * 选项页可编辑的配置项 (面板位置由拖动面板保存，不在这里编辑)
+ * @param {Object<string, Object>} configSchema - 配置结构
+ * @returns {Array<[string, Object]>}
+ */
+function editableFields(configSchema) {
+  return Object.entries(configSchema).filter(([, field]) => field.type === 'integer');
+}
+
+/**
+ * 格式化默认值说明，毫秒数附带换算后的秒/分钟
+ * @param {Object} field - 配置项定义
+ * @returns {string}
+ */
+function describeDefault(field) {
+  const value = field.default;
+  if (!field.label.includes('毫秒')) return `默认 ${value}`;
+  if (value >= 60000 && value % 60000 === 0) return `默认 ${value} (${value / 60000} 分钟)`;
+  if (value >= 1000) return `默认 ${value} (${value / 1000} 秒)`;
+  return `默认 ${value}`;
+}
+
+/**
+ * 生成配置表单
+ * @param {Object} config - 当前配置
+ */
+function renderForm(config) {
+  const form = document.getElementById('config-form');
+  form.innerHTML = '';
+  
+  for (const [key, field] of editableFields(schema)) {
+    const row = document.createElement('div');
+    row.className = 'option-field';
+    row.dataset.key = key;
+    
+    const label = document.createElement('label');
+    label.htmlFor = `config-${key}`;
+    label.textContent = field.label;
+    
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `config-${key}`;
+    input.name = key;
+    input.min = field.min;
+    input.max = field.max;
+    input.step = 1;
+    input.value = config[key];
+    
+    const help = document.createElement('p');
+    help.className = 'option-help';
+    help.textContent = `${field.help}。${describeDefault(field)}，范围 ${field.min} ~ ${field.max}`;
+    
+    const error = document.createElement('p');
+    error.className = 'option-error';
+    
+    row.append(label, input, help, error);
+    form.appendChild(row);
+  }
+}
+
+/**
+ * 读取表单中的配置值 (空输入不提交，保持原值)
+ * @returns {Object}
+ */
+function readFormValues() {
+  const values = {};
+  for (const [key] of editableFields(schema)) {
+    const input = document.getElementById(`config-${key}`);
+    if (input && input.value.trim() !== '') {
+      values[key] = Number(input.value);
+    }
+  }
+  return values;
+}
+
+/**
+ * 显示各配置项的校验错误
+ * @param {Array<{key: string, message: string}>} errors
+ */
+function showFieldErrors(errors) {
+  for (const row of document.querySelectorAll('.option-field')) {
+    const error = errors.find(item => item.key === row.dataset.key);
+    row.classList.toggle('invalid', !!error);
+    row.querySelector('.option-error').textContent = error ? `${error.message}，已自动修正` : '';
+  }
+}
+
+/**
+ * 显示保存结果
+ * @param {string} message
+ * @param {boolean} [isError=false]
+ */
+function setStatus(message, isError = false) {
+  const status = document.getElementById('options-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * 加载配置结构和当前配置
+ */
+async function loadOptions() {
+  try {
+    const [schemaData, config] = await Promise.all([
+      sendMessage({ type: 'GET_CONFIG_SCHEMA' }),
+      sendMessage({ type: 'GET_CONFIG' })
+    ]);
+    schema = schemaData.schema;
+    document.getElementById('config-version').textContent = `配置版本 ${schemaData.version}`;
+    renderForm(config);
+  } catch (error) {
+    setStatus(`读取设置失败: ${error.message}`, true);
+  }
+}
+
+/**
+ * 保存配置
+ * @param {Event} event
+ */
+async function saveOptions(event) {
+  event.preventDefault();
+  try {
+    const { config, errors } = await sendMessage({ type: 'SAVE_CONFIG', payload: { values: readFormValues() } });
+    renderForm(config);
+    showFieldErrors(errors);
+    setStatus(errors.length > 0 ? `已保存，${errors.length} 项超出范围已修正` : '已保存', errors.length > 0);
+  } catch (error) {
+    setStatus(`保存失败: ${error.message}`, true);
+  }
+}
+
+/**
+ * 恢复默认配置
+ */
+async function resetOptions() {
+  if (!confirm('确定将所有设置恢复为默认值吗？')) return;
+  try {
+    const config = await sendMessage({ type: 'RESET_CONFIG' });
+    renderForm(config);
+    setStatus('已恢复默认设置');
+  } catch (error) {
+    setStatus(`恢复默认失败: ${error.message}`, true);
+  }
+}
+
+// 导出函数供测试使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    editableFields,
+    describeDefault,
+    renderForm,
+    readFormValues,
+    showFieldErrors,
+    loadOptions,
+    saveOptions,
+    resetOptions
+  };
+}
+
+if (typeof document !== 'undefined' && typeof chrome !== 'undefined' && chrome.runtime) {
+  document.getElementById('config-form').addEventListener('submit', saveOptions);
+  document.getElementById('reset-btn').addEventListener('click', resetOptions);
+  loadOptions();
+}
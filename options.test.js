@@ -0,0 +1,189 @@
+/**
+ * Options Page Tests
+ * 按配置结构生成表单、校验错误显示、保存和恢复默认
+ */
+
+const options = require('./options');
+
+// 与 background 的 CONFIG_SCHEMA 结构相同的部分配置项
+const schema = {
+  maxCartsWithVariants: {
+    type: 'integer', default: 5, min: 1, max: 50, label: '有规格商品最多加购组合数',
+    help: '有规格的商品最多尝试加入购物车的规格组合数，达到后处理下一个商品'
+  },
+  retryDelay: {
+    type: 'integer', default: 2000, min: 0, max: 60000, label: '重试延迟 (毫秒)',
+    help: '每次重试前的等待时间'
+  },
+  keywordChangeInterval: {
+    type: 'integer', default: 240000, min: 60000, max: 3600000, label: '搜索词更换间隔 (毫秒)',
+    help: '关键词轮换 (随机/依次) 时每个关键词使用的时长'
+  },
+  uiPosition: {
+    type: 'position', default: { x: 20, y: 20 }, label: '面板位置',
+    help: '悬浮面板的位置，拖动面板时自动保存'
+  }
+};
+
+const defaults = { maxCartsWithVariants: 5, retryDelay: 2000, keywordChangeInterval: 240000, uiPosition: { x: 20, y: 20 } };
+
+/**
+ * 模拟 background 的消息响应
+ * @param {Object<string, function(Object): *>} handlers - 消息类型 -> 响应数据 (抛出异常时返回失败响应)
+ */
+function mockBackground(handlers) {
+  global.chrome = {
+    runtime: {
+      sendMessage: jest.fn(async (message) => {
+        try {
+          return { success: true, data: await handlers[message.type](message.payload) };
+        } catch (error) {
+          return { success: false, error: { message: error.message } };
+        }
+      })
+    }
+  };
+  return global.chrome.runtime.sendMessage;
+}
+
+const input = (key) => document.getElementById(`config-${key}`);
+const row = (key) => document.querySelector(`.option-field[data-key="${key}"]`);
+const status = () => document.getElementById('options-status');
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <span id="config-version"></span>
+    <form id="config-form"></form>
+    <span id="options-status"></span>`;
+});
+
+afterEach(() => {
+  delete global.chrome;
+  jest.restoreAllMocks();
+});
+
+describe('Options Fields', () => {
+  test('only integer settings are editable; the panel position is not', () => {
+    expect(options.editableFields(schema).map(([key]) => key)).toEqual(['maxCartsWithVariants', 'retryDelay', 'keywordChangeInterval']);
+  });
+
+  test('millisecond defaults are described in seconds or minutes', () => {
+    expect(options.describeDefault(schema.maxCartsWithVariants)).toBe('默认 5');
+    expect(options.describeDefault(schema.retryDelay)).toBe('默认 2000 (2 秒)');
+    expect(options.describeDefault(schema.keywordChangeInterval)).toBe('默认 240000 (4 分钟)');
+    expect(options.describeDefault({ ...schema.retryDelay, default: 500 })).toBe('默认 500');
+  });
+});
+
+describe('Options Page', () => {
+  async function loadPage(config = defaults, handlers = {}) {
+    const send = mockBackground({
+      GET_CONFIG_SCHEMA: () => ({ version: 1, schema }),
+      GET_CONFIG: () => config,
+      ...handlers
+    });
+    await options.loadOptions();
+    return send;
+  }
+
+  test('renders one number input per editable setting with its range, value and help', async () => {
+    await loadPage({ ...defaults, retryDelay: 3000 });
+
+    expect(document.querySelectorAll('.option-field')).toHaveLength(3);
+    expect(input('uiPosition')).toBeNull();
+    expect(document.getElementById('config-version').textContent).toBe('配置版本 1');
+
+    const retry = input('retryDelay');
+    expect(retry.type).toBe('number');
+    expect([retry.min, retry.max, retry.value]).toEqual(['0', '60000', '3000']);
+    expect(row('retryDelay').querySelector('label').textContent).toBe('重试延迟 (毫秒)');
+    expect(row('retryDelay').querySelector('.option-help').textContent).toBe('每次重试前的等待时间。默认 2000 (2 秒)，范围 0 ~ 60000');
+  });
+
+  test('requests sent together get different request ids', async () => {
+    const send = await loadPage();
+    const requestIds = send.mock.calls.map(([message]) => message.requestId);
+    expect(requestIds).toHaveLength(2);
+    expect(new Set(requestIds).size).toBe(2);
+  });
+
+  test('a failed load is shown in the status line', async () => {
+    mockBackground({
+      GET_CONFIG_SCHEMA: () => { throw new Error('扩展已更新，请刷新'); },
+      GET_CONFIG: () => defaults
+    });
+    await options.loadOptions();
+    expect(status().textContent).toBe('读取设置失败: 扩展已更新，请刷新');
+    expect(status().classList.contains('error')).toBe(true);
+  });
+
+  test('saving sends the edited values as numbers and leaves empty inputs out', async () => {
+    const saved = [];
+    await loadPage(defaults, {
+      SAVE_CONFIG: ({ values }) => {
+        saved.push(values);
+        return { config: { ...defaults, ...values }, errors: [] };
+      }
+    });
+    input('maxCartsWithVariants').value = '8';
+    input('retryDelay').value = '';
+
+    await options.saveOptions(new Event('submit'));
+
+    expect(saved).toEqual([{ maxCartsWithVariants: 8, keywordChangeInterval: 240000 }]);
+    expect(input('maxCartsWithVariants').value).toBe('8');
+    expect(status().textContent).toBe('已保存');
+    expect(status().classList.contains('error')).toBe(false);
+  });
+
+  test('values corrected by the background are marked on their fields', async () => {
+    await loadPage(defaults, {
+      SAVE_CONFIG: () => ({
+        config: { ...defaults, maxCartsWithVariants: 50 },
+        errors: [{ key: 'maxCartsWithVariants', message: '有规格商品最多加购组合数: 超出范围 1 ~ 50' }]
+      })
+    });
+    input('maxCartsWithVariants').value = '500';
+
+    await options.saveOptions(new Event('submit'));
+
+    expect(input('maxCartsWithVariants').value).toBe('50');
+    expect(row('maxCartsWithVariants').classList.contains('invalid')).toBe(true);
+    expect(row('maxCartsWithVariants').querySelector('.option-error').textContent).toBe('有规格商品最多加购组合数: 超出范围 1 ~ 50，已自动修正');
+    expect(row('retryDelay').classList.contains('invalid')).toBe(false);
+    expect(status().textContent).toBe('已保存，1 项超出范围已修正');
+    expect(status().classList.contains('error')).toBe(true);
+  });
+
+  test('a failed save is shown in the status line and keeps the form', async () => {
+    await loadPage(defaults, { SAVE_CONFIG: () => { throw new Error('配置写入失败'); } });
+    input('maxCartsWithVariants').value = '9';
+
+    await options.saveOptions(new Event('submit'));
+
+    expect(status().textContent).toBe('保存失败: 配置写入失败');
+    expect(input('maxCartsWithVariants').value).toBe('9');
+  });
+
+  test('reset asks first and does nothing when cancelled', async () => {
+    const send = await loadPage();
+    send.mockClear();
+    jest.spyOn(window, 'confirm').mockReturnValue(false);
+
+    await options.resetOptions();
+
+    expect(send).not.toHaveBeenCalled();
+    expect(status().textContent).toBe('');
+  });
+
+  test('reset renders the defaults returned by the background', async () => {
+    await loadPage({ ...defaults, maxCartsWithVariants: 12 }, { RESET_CONFIG: () => defaults });
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    expect(input('maxCartsWithVariants').value).toBe('12');
+
+    await options.resetOptions();
+
+    expect(input('maxCartsWithVariants').value).toBe('5');
+    expect(status().textContent).toBe('已恢复默认设置');
+  });
+});
@@ -3,8 +3,10 @@
  * Requirements: 5.3, 5.4, 5.5, 6.2, 6.5
  */
 
-// 配置常量
+// 配置常量 (MAX_LOG_ENTRIES 初始化时按 background 配置的 maxVisibleLogEntries 覆盖)
+// 扩展中面板位置保存在 background 配置的 uiPosition，STORAGE_KEY_POSITION 只用于脱离扩展预览时的 localStorage
 const CONFIG = {
+  PROTOCOL_VERSION: 1,
   MAX_LOG_ENTRIES: 100,
   STORAGE_KEY_POSITION: 'shopee_auto_cart_ui_position',
   STORAGE_KEY_MINIMIZED: 'shopee_auto_cart_ui_minimized'
@@ -48,6 +50,9 @@ function initUI() {
   // 恢复保存的位置和状态
   restoreUIState();
   
+  // 读取 background 的配置
+  loadConfig();
+  
   // 添加初始日志
   addLog('扩展已加载，准备就绪', 'info');
 }
@@ -132,15 +137,13 @@ function updatePanelPosition(x, y) {
 }
 
 /**
- * 保存 UI 位置到 storage
+ * 保存 UI 位置 - 扩展中交给 background 写入配置
  */
 function saveUIPosition() {
   if (uiState.position.x !== null) {
     try {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.set({
-          [CONFIG.STORAGE_KEY_POSITION]: uiState.position
-        });
+      if (typeof chrome !== 'undefined' && chrome.runtime) {
+        sendMessage({ type: 'SAVE_UI_POSITION', payload: uiState.position });
       } else {
         localStorage.setItem(CONFIG.STORAGE_KEY_POSITION, JSON.stringify(uiState.position));
       }
@@ -151,16 +154,12 @@ function saveUIPosition() {
 }
 
 /**
- * 恢复 UI 状态
+ * 恢复 UI 状态 (扩展中的面板位置随 loadConfig 恢复)
  */
 function restoreUIState() {
   try {
     if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.get([CONFIG.STORAGE_KEY_POSITION, CONFIG.STORAGE_KEY_MINIMIZED], (result) => {
-        if (result[CONFIG.STORAGE_KEY_POSITION]) {
-          const pos = result[CONFIG.STORAGE_KEY_POSITION];
-          updatePanelPosition(pos.x, pos.y);
-        }
+      chrome.storage.local.get([CONFIG.STORAGE_KEY_MINIMIZED], (result) => {
         if (result[CONFIG.STORAGE_KEY_MINIMIZED]) {
           minimizePanel();
         }
@@ -382,13 +381,50 @@ function clearLogs() {
 function sendMessage(message) {
   try {
     if (typeof chrome !== 'undefined' && chrome.runtime) {
-      chrome.runtime.sendMessage(message);
+      chrome.runtime.sendMessage({ ...message, protocolVersion: CONFIG.PROTOCOL_VERSION });
     }
   } catch (e) {
     console.error('发送消息失败:', e);
   }
 }
 
+/**
+ * 从 background 读取配置，日志显示条数和面板位置以配置为准
+ */
+function loadConfig() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.runtime) {
+      chrome.runtime.sendMessage({ type: 'GET_CONFIG', protocolVersion: CONFIG.PROTOCOL_VERSION }, (response) => {
+        applyLogConfig(response?.data);
+        applyPositionConfig(response?.data);
+      });
+    }
+  } catch (e) {
+    console.error('读取配置失败:', e);
+  }
+}
+
+/**
+ * 按配置设置日志显示条数 - 配置中缺少该项或不是正整数时保留当前值
+ * @param {Object} [config] - background 的配置
+ */
+function applyLogConfig(config) {
+  const limit = config?.maxVisibleLogEntries;
+  if (!Number.isInteger(limit) || limit <= 0) return;
+  CONFIG.MAX_LOG_ENTRIES = limit;
+  enforceLogLimit();
+}
+
+/**
+ * 按配置恢复面板位置 - 没有保存过位置 (null) 时面板停靠右上角
+ * @param {Object} [config] - background 的配置
+ */
+function applyPositionConfig(config) {
+  const pos = config?.uiPosition;
+  if (!pos || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return;
+  updatePanelPosition(pos.x, pos.y);
+}
+
 /**
  * 监听来自 background 的消息
  */
@@ -408,8 +444,7 @@ function initMessageListener() {
 function handleMessage(message) {
   switch (message.type) {
     case 'LOG':
-      // 支持 logType 和 type 两种字段名 (兼容 background.js 和 content.js)
-      addLog(message.payload.message, message.payload.logType || message.payload.type || 'info');
+      addLog(message.payload.message, message.payload.logType || 'info');
       break;
     case 'STATE_UPDATE':
       handleStateUpdate(message.payload);
@@ -417,6 +452,9 @@ function handleMessage(message) {
     case 'TASK_COMPLETE':
       handleTaskComplete();
       break;
+    case 'CONFIG_UPDATE':
+      applyLogConfig(message.payload?.config);
+      break;
   }
 }
 
@@ -459,6 +497,9 @@ if (typeof module !== 'undefined' && module.exports) {
     enforceLogLimit,
     formatTimestamp,
     escapeHtml,
+    handleMessage,
+    applyPositionConfig,
+    saveUIPosition,
     CONFIG
   };
 }
@@ -309,3 +309,59 @@ describe('UI Component Tests', () => {
     });
   });
 });
+
+describe('Config Updates', () => {
+  let ui;
+
+  beforeEach(() => {
+    setupDOM();
+    jest.isolateModules(() => {
+      ui = require('./ui');
+    });
+    // 加载时 initUI 会写入一条欢迎日志
+    document.getElementById('log-area').innerHTML = '';
+    for (let i = 0; i < 30; i++) {
+      ui.addLog(`日志 ${i}`, 'info');
+    }
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('a config without a valid maxVisibleLogEntries keeps the current limit and logs', () => {
+    for (const payload of [{}, { config: {} }, { config: { maxVisibleLogEntries: 'abc' } }, { config: { maxVisibleLogEntries: 0 } }, { config: { maxVisibleLogEntries: null } }]) {
+      expect(() => ui.handleMessage({ type: 'CONFIG_UPDATE', payload })).not.toThrow();
+      expect(ui.CONFIG.MAX_LOG_ENTRIES).toBe(100);
+    }
+    expect(document.getElementById('log-area').children).toHaveLength(30);
+  });
+
+  test('a valid maxVisibleLogEntries replaces the limit and trims the oldest logs', () => {
+    ui.handleMessage({ type: 'CONFIG_UPDATE', payload: { config: { maxVisibleLogEntries: 20 } } });
+
+    const entries = document.getElementById('log-area').children;
+    expect(ui.CONFIG.MAX_LOG_ENTRIES).toBe(20);
+    expect(entries).toHaveLength(20);
+    expect(entries[0].textContent).toContain('日志 10');
+  });
+
+  test('the configured position moves the panel and a saved position goes to background', () => {
+    ui.applyPositionConfig({ uiPosition: null });
+    expect(document.getElementById('shopee-auto-cart-panel').style.left).toBe('');
+
+    ui.applyPositionConfig({ uiPosition: { x: 30, y: 45 } });
+    const panel = document.getElementById('shopee-auto-cart-panel');
+    expect([panel.style.left, panel.style.top]).toEqual(['30px', '45px']);
+
+    global.chrome = { runtime: { sendMessage: jest.fn() } };
+    try {
+      ui.saveUIPosition();
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'SAVE_UI_POSITION', payload: { x: 30, y: 45 } })
+      );
+    } finally {
+      delete global.chrome;
+    }
+  });
+});